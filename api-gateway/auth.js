@@ -0,0 +1,93 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('./jwks');
+const { logger } = require('./logger');
+
+// Services trust X-User-* headers only when they carry a valid HMAC made with
+// this secret, so a client talking to a service directly cannot forge them.
+const IDENTITY_SECRET = process.env.GATEWAY_IDENTITY_SECRET || '';
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-role', 'x-user-session', 'x-user-timestamp', 'x-user-signature'];
+
+if (!IDENTITY_SECRET) {
+    logger.warn('GATEWAY_IDENTITY_SECRET is not set; identity headers will not be forwarded to services.');
+}
+
+function parseBearerToken(req) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) return null;
+
+    const token = header.slice(7).trim();
+    return token || null;
+}
+
+function signIdentity({ id, role, sid }, timestamp) {
+    return crypto
+        .createHmac('sha256', IDENTITY_SECRET)
+        .update([id, role, sid, timestamp].join('\n'))
+        .digest('hex');
+}
+
+function stripIdentityHeaders(req) {
+    for (const name of IDENTITY_HEADERS) {
+        delete req.headers[name];
+    }
+}
+
+function setIdentityHeaders(req, payload) {
+    if (!IDENTITY_SECRET) return;
+
+    const identity = {
+        id: String(payload.id),
+        role: String(payload.role || ''),
+        sid: String(payload.sid || ''),
+    };
+    const timestamp = String(Date.now());
+
+    req.headers['x-user-id'] = identity.id;
+    req.headers['x-user-role'] = identity.role;
+    req.headers['x-user-session'] = identity.sid;
+    req.headers['x-user-timestamp'] = timestamp;
+    req.headers['x-user-signature'] = signIdentity(identity, timestamp);
+}
+
+/**
+ * Verifies the bearer token once for every proxied request and replaces any
+ * client-supplied X-User-* headers with signed ones. Routes for which
+ * `isPublicRoute(req)` is true are let through anonymously when the token is
+ * missing or invalid; every other route gets a 401.
+ */
+function authenticateGateway({ isPublicRoute }) {
+    return async (req, res, next) => {
+        stripIdentityHeaders(req);
+
+        const isPublic = isPublicRoute(req);
+        const token = parseBearerToken(req);
+        if (!token) {
+            return isPublic ? next() : res.status(401).json({ error: 'Authentication required' });
+        }
+
+        let payload = null;
+        try {
+            payload = await verifyAccessToken(token);
+        } catch (error) {
+            // Anything other than a bad token means the JWKS could not be
+            // loaded; that is an outage, not the client's fault.
+            if (!isPublic && !(error instanceof jwt.JsonWebTokenError)) {
+                logger.error('Token verification failed', { error: error.message });
+                return res.status(503).json({ error: 'Authentication is temporarily unavailable' });
+            }
+        }
+
+        if (!payload?.id) {
+            return isPublic ? next() : res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        req.gatewayUser = payload;
+        setIdentityHeaders(req, payload);
+        return next();
+    };
+}
+
+module.exports = {
+    authenticateGateway,
+};
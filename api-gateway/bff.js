@@ -0,0 +1,159 @@
+const { fetchUpstream } = require('./upstream');
+
+// Aggregate endpoints for the frontend's first paint. Each one fans out to the
+// services in parallel and answers with every section it could load:
+//
+//   { sections: { <name>: { ok: true, data, ... } | { ok: false, status, error } },
+//     partial, failedSections }
+//
+// A successful section is the service's own response body plus `ok: true`, so
+// fields such as `pagination` and `nextCursor` come through unchanged. The
+// response is 200 while at least one section loaded, 502 when none did.
+
+// Sent to the services so they see the same caller the proxy would forward.
+const FORWARDED_HEADERS = [
+    'authorization',
+    'x-user-id',
+    'x-user-role',
+    'x-user-session',
+    'x-user-timestamp',
+    'x-user-signature',
+];
+
+// Query parameters /bff/home passes through to post-service's feed.
+const FEED_QUERY_PARAMS = ['type', 'status', 'includeArchived', 'tag', 'pinnedOnly', 'search', 'sort', 'limit', 'offset', 'cursor'];
+const DEFAULT_FEED_LIMIT = '10';
+const DASHBOARD_POST_LIMIT = '120';
+const NOTIFICATION_LIMIT = '30';
+const ANNOUNCEMENT_LIMIT = '12';
+
+function forwardedHeaders(req) {
+    const headers = { accept: 'application/json' };
+    for (const name of FORWARDED_HEADERS) {
+        if (typeof req.headers[name] === 'string') {
+            headers[name] = req.headers[name];
+        }
+    }
+    return headers;
+}
+
+async function loadSection(upstream, path, req) {
+    try {
+        const response = await fetchUpstream(upstream, path, { headers: forwardedHeaders(req) });
+        const contentType = response.headers.get('content-type') || '';
+        const body = contentType.includes('application/json') ? await response.json() : null;
+
+        if (!response.ok) {
+            return {
+                ok: false,
+                status: response.status,
+                error: body?.error || body?.message || `${upstream.name} answered ${response.status}`,
+            };
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return { ok: true, data: body };
+        }
+        return { ...body, ok: true };
+    } catch (error) {
+        return { ok: false, status: error.status || 502, error: error.message };
+    }
+}
+
+/**
+ * Resolves `{ name: Promise<section> }` into the aggregate response. Entries
+ * set to null are skipped (sections that do not apply to the caller).
+ */
+async function sendAggregate(res, pending) {
+    const entries = Object.entries(pending).filter(([, promise]) => promise);
+    const results = await Promise.all(entries.map(([, promise]) => promise));
+
+    const sections = {};
+    const failedSections = [];
+    entries.forEach(([name], index) => {
+        sections[name] = results[index];
+        if (!results[index].ok) failedSections.push(name);
+    });
+
+    const allFailed = entries.length > 0 && failedSections.length === entries.length;
+    return res.status(allFailed ? 502 : 200).json({
+        sections,
+        partial: failedSections.length > 0,
+        failedSections,
+    });
+}
+
+function buildQuery(values) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(values)) {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(key, String(value));
+        }
+    }
+    return params.toString();
+}
+
+function feedQueryFrom(req) {
+    const values = {};
+    for (const name of FEED_QUERY_PARAMS) {
+        if (typeof req.query[name] === 'string') {
+            values[name] = req.query[name];
+        }
+    }
+    values.limit = values.limit || DEFAULT_FEED_LIMIT;
+    if (!values.cursor) values.offset = values.offset || '0';
+    return buildQuery(values);
+}
+
+/**
+ * Express handlers for GET /bff/home, /bff/dashboard and /bff/notifications.
+ * `upstreams` is the gateway's map of createUpstream() results.
+ */
+function createBffHandlers(upstreams) {
+    // Signed-in users get their notification-service inbox, which already
+    // holds announcements. Guests have no inbox and see recent announcements.
+    function notificationSections(req) {
+        if (!req.gatewayUser) {
+            const announcementsQuery = buildQuery({ type: 'ANNOUNCEMENT', status: 'published', limit: ANNOUNCEMENT_LIMIT, offset: 0 });
+            return {
+                announcements: loadSection(upstreams.post, `/feed?${announcementsQuery}`, req),
+            };
+        }
+
+        return {
+            inbox: loadSection(upstreams.notification, `/?${buildQuery({ limit: NOTIFICATION_LIMIT })}`, req),
+        };
+    }
+
+    function homeHandler(req, res) {
+        return sendAggregate(res, {
+            feed: loadSection(upstreams.post, `/feed?${feedQueryFrom(req)}`, req),
+            tags: loadSection(upstreams.post, '/tags', req),
+        });
+    }
+
+    function dashboardHandler(req, res) {
+        const postsQuery = buildQuery({
+            authorId: req.gatewayUser.id,
+            sort: typeof req.query.sort === 'string' ? req.query.sort : 'new',
+            status: 'all',
+            includeArchived: 'true',
+            limit: DASHBOARD_POST_LIMIT,
+        });
+
+        return sendAggregate(res, {
+            profile: loadSection(upstreams.user, '/me', req),
+            tags: loadSection(upstreams.post, '/tags', req),
+            posts: loadSection(upstreams.post, `/feed?${postsQuery}`, req),
+        });
+    }
+
+    function notificationsHandler(req, res) {
+        return sendAggregate(res, notificationSections(req));
+    }
+
+    return { homeHandler, dashboardHandler, notificationsHandler };
+}
+
+module.exports = {
+    createBffHandlers,
+};
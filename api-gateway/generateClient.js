@@ -0,0 +1,187 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { OPENAPI_SERVICES, mergeOpenApiDocuments } = require('./openapi');
+
+// Writes the frontend's API client from the merged OpenAPI document: one
+// exported function per operation, named by its operationId, taking
+// (params, body, options) as the operation needs; options are headers/signal.
+//
+//   node generateClient.js                  read ../services/*/openapi.js
+//   node generateClient.js --url <url>      fetch a running gateway's /openapi.json
+//   node generateClient.js --out <file>     default ../frontend/src/utils/apiClient.js
+const DEFAULT_OUT = path.join(__dirname, '..', 'frontend', 'src', 'utils', 'apiClient.js');
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+function readArg(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? null : process.argv[index + 1];
+}
+
+async function loadDocument(url) {
+    if (url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${url}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    return mergeOpenApiDocuments(OPENAPI_SERVICES.map((service) => ({
+        service,
+        document: require(path.join(__dirname, '..', 'services', service.name, 'openapi.js')).openApiDocument,
+    })));
+}
+
+function collectOperations(document) {
+    const operations = [];
+    const seen = new Set();
+
+    for (const [route, pathItem] of Object.entries(document.paths)) {
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem[method];
+            if (!operation) continue;
+
+            if (!operation.operationId || seen.has(operation.operationId)) {
+                throw new Error(`${method.toUpperCase()} ${route} needs a unique operationId`);
+            }
+            seen.add(operation.operationId);
+
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+            operations.push({
+                name: operation.operationId,
+                summary: operation.summary || '',
+                method: method.toUpperCase(),
+                route,
+                pathParams: parameters.filter((parameter) => parameter.in === 'path').map((parameter) => parameter.name),
+                queryParams: parameters.filter((parameter) => parameter.in === 'query').map((parameter) => parameter.name),
+                hasBody: Boolean(operation.requestBody),
+            });
+        }
+    }
+
+    return operations;
+}
+
+function renderOperation(operation) {
+    const args = [];
+    const options = [];
+    if (operation.pathParams.length) {
+        args.push('params');
+        options.push('params');
+    } else if (operation.queryParams.length) {
+        args.push('params = {}');
+        options.push('params');
+    }
+    if (operation.queryParams.length) {
+        options.push(`query: [${operation.queryParams.map((name) => `'${name}'`).join(', ')}]`);
+    }
+    if (operation.hasBody) {
+        args.push('body');
+        options.push('body');
+    }
+    args.push('options = {}');
+    options.push('...options');
+
+    const docLines = [`${operation.summary.replace(/\.?$/, '.')}`, `\`${operation.method} ${operation.route}\``];
+    if (operation.pathParams.length || operation.queryParams.length) {
+        docLines.push(`params: ${[...operation.pathParams, ...operation.queryParams].join(', ')}`);
+    }
+
+    return [
+        '/**',
+        ...docLines.map((line) => ` * ${line}`),
+        ' */',
+        `export function ${operation.name}(${args.join(', ')}) {`,
+        `  return request('${operation.method}', '${operation.route}', { ${options.join(', ')} });`,
+        '}',
+    ].join('\n');
+}
+
+const RUNTIME = `const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+export class ApiError extends Error {
+  constructor(message, { status, code, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || null;
+    this.details = details || null;
+  }
+}
+
+function buildUrl(path, params = {}, queryNames = []) {
+  const resolvedPath = path.replace(/\\{(\\w+)\\}/g, (match, name) => encodeURIComponent(params[name]));
+  const search = new URLSearchParams();
+  for (const name of queryNames) {
+    const value = params[name];
+    if (value !== undefined && value !== null && value !== '') {
+      search.set(name, String(value));
+    }
+  }
+
+  const queryString = search.toString();
+  return \`\${API_BASE_URL}\${resolvedPath}\${queryString ? \`?\${queryString}\` : ''}\`;
+}
+
+async function request(method, path, { params, query, body, headers, signal } = {}) {
+  const storedToken = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  const isFormDataBody = typeof FormData !== 'undefined' && body instanceof FormData;
+
+  const response = await fetch(buildUrl(path, params, query), {
+    method,
+    signal,
+    headers: {
+      ...(body !== undefined && !isFormDataBody ? { 'Content-Type': 'application/json' } : {}),
+      ...(storedToken ? { Authorization: \`Bearer \${storedToken}\` } : {}),
+      ...(headers || {}),
+    },
+    ...(body !== undefined ? { body: isFormDataBody ? body : JSON.stringify(body) } : {}),
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  let data;
+  if (contentType.includes('application/json')) {
+    data = await response.json();
+  } else if (contentType.startsWith('text/')) {
+    data = await response.text();
+  } else {
+    data = await response.blob();
+  }
+
+  if (!response.ok) {
+    const message = typeof data === 'string'
+      ? data
+      : data?.error || data?.message || 'Request failed';
+    throw new ApiError(message, { status: response.status, code: data?.code, details: data?.details });
+  }
+
+  return data;
+}`;
+
+function renderClient(operations) {
+    return [
+        '// Generated by api-gateway/generateClient.js from the gateway\'s OpenAPI',
+        '// document. Do not edit by hand: change the service\'s openapi.js and run',
+        '// `npm run client:generate` in api-gateway.',
+        RUNTIME,
+        ...operations.map(renderOperation),
+    ].join('\n\n') + '\n';
+}
+
+async function main() {
+    const document = await loadDocument(readArg('--url'));
+    const unavailable = document.info?.['x-unavailable-services'];
+    if (unavailable?.length) {
+        throw new Error(`The document is missing ${unavailable.join(', ')}; refusing to write a partial client`);
+    }
+
+    const outFile = path.resolve(readArg('--out') || DEFAULT_OUT);
+    const operations = collectOperations(document);
+    fs.writeFileSync(outFile, renderClient(operations));
+    console.log(`Wrote ${operations.length} operations to ${outFile}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
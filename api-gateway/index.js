@@ -1,31 +1,88 @@
 require('dotenv').config();
 const http = require('http');
 const express = require('express');
-const { createProxyMiddleware } = require('http-proxy-middleware');
 const cors = require('cors');
+const { authenticateGateway } = require('./auth');
+const { createRateLimiter, RATE_LIMIT_HEADERS } = require('./rateLimit');
+const { logger, requestLogger, tracedFetch } = require('./logger');
+const { metricsMiddleware, metricsHandler } = require('./metrics');
+const { createOpenApiHandlers } = require('./openapi');
+const { createUpstream, buildServiceProxy } = require('./upstream');
+const { createBffHandlers } = require('./bff');
 
 const app = express();
 const server = http.createServer(app);
 
-app.use(cors({ origin: true, credentials: true }));
+// Rate limits key anonymous callers by req.ip, so only trust X-Forwarded-For
+// from proxies we run ourselves.
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
+
+// Runs first so the id is on every response, including CORS and rate-limit
+// rejections, and is forwarded upstream with the proxied headers.
+app.use(requestLogger);
+
+// Proxied requests match no Express route, so label them by the mount they
+// were sent to instead.
+const PROXY_MOUNTS = [
+    '/posts/search',
+    '/posts/collab-posts',
+    '/posts/join-requests',
+    '/posts/collab-notifications',
+    '/posts/newsletter',
+    '/users',
+    '/posts',
+    '/jobs',
+    '/auth',
+    '/chat',
+    '/notifications',
+];
+
+app.use(metricsMiddleware({
+    resolveLabel: (req) => PROXY_MOUNTS.find((mount) => req.path === mount || req.path.startsWith(`${mount}/`)),
+}));
 
-function buildServiceProxy(target, extraOptions = {}) {
-    return createProxyMiddleware({
-        target,
-        changeOrigin: true,
-        ...extraOptions,
-    });
-}
+// Empty means any origin is reflected, as before; set CORS_ORIGIN in
+// production so other sites cannot drive the API from a user's browser.
+const allowedOrigins = (process.env.CORS_ORIGIN || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+app.use(cors({
+    origin(origin, callback) {
+        if (!origin || allowedOrigins.length === 0 || allowedOrigins.includes(origin)) {
+            return callback(null, true);
+        }
+        return callback(null, false);
+    },
+    credentials: true,
+    exposedHeaders: ['X-Request-Id', ...RATE_LIMIT_HEADERS],
+}));
 
 const userServiceUrl = process.env.USER_SERVICE_URL || 'http://localhost:3001';
 const postServiceUrl = process.env.POST_SERVICE_URL || 'http://localhost:3002';
 const jobServiceUrl = process.env.JOB_SERVICE_URL || 'http://localhost:3003';
 const authServiceUrl = process.env.AUTH_SERVICE_URL || 'http://localhost:3004';
 const chatServiceUrl = process.env.CHAT_SERVICE_URL || 'http://localhost:3005';
-
-async function fetchDependencyHealth(service, url, healthPath = '/health') {
+const notificationServiceUrl = process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3006';
+
+const upstreams = {
+    auth: createUpstream('auth-service', authServiceUrl),
+    user: createUpstream('user-service', userServiceUrl),
+    post: createUpstream('post-service', postServiceUrl),
+    job: createUpstream('job-service', jobServiceUrl),
+    // Socket.IO long-polling holds requests open for up to its ping interval.
+    chat: createUpstream('chat-service', chatServiceUrl, { timeoutMs: 20_000 }),
+    notification: createUpstream('notification-service', notificationServiceUrl),
+};
+
+async function fetchDependencyHealth(upstream, healthPath = '/health') {
+    const { name: service, url } = upstream;
+    // Reported alongside the probe: a service can answer /health while its
+    // proxied requests keep failing or timing out.
+    const circuit = upstream.breaker.snapshot();
     try {
-        const response = await fetch(`${url}${healthPath}`, {
+        const response = await tracedFetch(`${url}${healthPath}`, {
             signal: AbortSignal.timeout(5_000),
         });
 
@@ -34,6 +91,7 @@ async function fetchDependencyHealth(service, url, healthPath = '/health') {
             ok: response.ok,
             status: response.status,
             url,
+            circuit,
         };
     } catch (error) {
         return {
@@ -41,70 +99,125 @@ async function fetchDependencyHealth(service, url, healthPath = '/health') {
             ok: false,
             status: 503,
             url,
+            circuit,
             error: error?.message || 'Dependency health check failed',
         };
     }
 }
 
-app.get('/posts/search', buildServiceProxy(postServiceUrl, {
+// Every route under these prefixes requires a valid token unless it is listed
+// in PUBLIC_ROUTES. /auth is not here: auth-service authenticates its own
+// routes (login, refresh, 2FA...), so tokens there are only passed along.
+const PROTECTED_PREFIXES = /^\/(users|posts|jobs|chat|notifications|bff)(\/|$)/;
+
+// A valid token is still forwarded on public routes (the feed uses it for
+// personalisation); a missing or invalid one is dropped instead of rejected.
+const PUBLIC_ROUTES = [
+    { pattern: /^\/(users|posts|jobs|chat|notifications)\/health$/ },
+    // Socket.IO sends its token in the handshake payload; chat-service checks it.
+    { pattern: /^\/chat\/socket\.io(\/|$)/ },
+    { method: 'GET', pattern: /^\/posts(\/feed|\/search|\/tags)?\/?$/ },
+    { method: 'GET', pattern: /^\/posts\/posts\/[^/]+(\/comments)?\/?$/ },
+    { method: 'GET', pattern: /^\/posts\/collab-posts(\/[^/]+(\/members)?)?\/?$/ },
+    // Public profiles; /users/me and the other fixed paths stay protected.
+    { method: 'GET', pattern: /^\/users\/(?!(me|admin|notifications|alumni-verification)(\/|$))[^/]+\/?$/ },
+    // Anonymous visitors get the public sections (feed, tags, announcements).
+    { method: 'GET', pattern: /^\/bff\/(home|notifications)\/?$/ },
+];
+
+function isPublicRoute(req) {
+    if (!PROTECTED_PREFIXES.test(req.path)) return true;
+
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    return PUBLIC_ROUTES.some((route) => (!route.method || route.method === method) && route.pattern.test(req.path));
+}
+
+// Registered before authentication and rate limiting so scrapes are never
+// throttled. Service metrics stay internal: scrape the services directly.
+app.get('/metrics', metricsHandler);
+app.use((req, res, next) => {
+    if (/^\/(users|posts|jobs|auth|chat|notifications)\/metrics$/.test(req.path)) {
+        return res.status(404).json({ error: 'Route not found' });
+    }
+    // Service-to-service routes (notification publishing, socket push and
+    // post sweeps).
+    if (/^\/(notifications|chat|posts)\/internal(\/|$)/.test(req.path)) {
+        return res.status(404).json({ error: 'Route not found' });
+    }
+    return next();
+});
+
+// API docs are public and aggregated from the services' /openapi.json.
+const { openApiHandler, docsHandler } = createOpenApiHandlers({
+    'auth-service': authServiceUrl,
+    'user-service': userServiceUrl,
+    'post-service': postServiceUrl,
+    'job-service': jobServiceUrl,
+    'chat-service': chatServiceUrl,
+    'notification-service': notificationServiceUrl,
+});
+app.get('/openapi.json', openApiHandler);
+app.get('/docs', docsHandler);
+
+app.use(authenticateGateway({ isPublicRoute }));
+app.use(createRateLimiter());
+
+// Aggregates for the frontend's first paint; see bff.js.
+const { homeHandler, dashboardHandler, notificationsHandler } = createBffHandlers(upstreams);
+app.get('/bff/home', homeHandler);
+app.get('/bff/dashboard', dashboardHandler);
+app.get('/bff/notifications', notificationsHandler);
+
+app.get('/posts/search', buildServiceProxy(upstreams.post, {
     pathRewrite: {
         '^/posts/search$': '/search',
     },
 }));
 
-app.get('/posts', buildServiceProxy(postServiceUrl, {
+app.get('/posts', buildServiceProxy(upstreams.post, {
     pathRewrite: {
         '^/posts$': '/feed',
     },
 }));
 
-app.use('/posts/collab-posts', buildServiceProxy(postServiceUrl, {
+app.use('/posts/collab-posts', buildServiceProxy(upstreams.post, {
     pathRewrite: (path) => `/collab-posts${path === '/' ? '' : path}`,
 }));
 
-app.use('/posts/join-requests', buildServiceProxy(postServiceUrl, {
+app.use('/posts/join-requests', buildServiceProxy(upstreams.post, {
     pathRewrite: (path) => `/join-requests${path === '/' ? '' : path}`,
 }));
 
-app.use('/posts/collab-notifications', buildServiceProxy(postServiceUrl, {
+app.use('/posts/collab-notifications', buildServiceProxy(upstreams.post, {
     pathRewrite: (path) => `/collab-notifications${path === '/' ? '' : path}`,
 }));
 
-app.use('/posts/newsletter', buildServiceProxy(postServiceUrl, {
+app.use('/posts/newsletter', buildServiceProxy(upstreams.post, {
     pathRewrite: (path) => `/newsletter${path === '/' ? '' : path}`,
 }));
 
-app.use('/users', buildServiceProxy(userServiceUrl));
-app.use('/posts', buildServiceProxy(postServiceUrl));
-app.use('/jobs', buildServiceProxy(jobServiceUrl));
-app.use('/auth', buildServiceProxy(authServiceUrl));
-
-const chatProxy = buildServiceProxy(
-    chatServiceUrl,
-    {
-        ws: true,
-        proxyTimeout: 20_000,
-        timeout: 20_000,
-    }
-);
+app.use('/users', buildServiceProxy(upstreams.user));
+app.use('/posts', buildServiceProxy(upstreams.post));
+app.use('/jobs', buildServiceProxy(upstreams.job));
+app.use('/auth', buildServiceProxy(upstreams.auth));
+app.use('/notifications', buildServiceProxy(upstreams.notification));
+
+const chatProxy = buildServiceProxy(upstreams.chat, {
+    ws: true,
+    timeout: 20_000,
+});
 
 app.use('/chat', chatProxy);
 
 app.get('/health', async (req, res) => {
-    const dependencies = await Promise.all([
-        fetchDependencyHealth('auth-service', authServiceUrl),
-        fetchDependencyHealth('user-service', userServiceUrl),
-        fetchDependencyHealth('post-service', postServiceUrl),
-        fetchDependencyHealth('job-service', jobServiceUrl),
-        fetchDependencyHealth('chat-service', chatServiceUrl),
-    ]);
+    const dependencies = await Promise.all(Object.values(upstreams).map((upstream) => fetchDependencyHealth(upstream)));
 
-    const allHealthy = dependencies.every((item) => item.ok);
+    const allHealthy = dependencies.every((item) => item.ok && item.circuit.state === 'closed');
 
     return res.status(allHealthy ? 200 : 503).json({
         service: 'api-gateway',
         status: allHealthy ? 'ok' : 'degraded',
-        routes: ['/auth', '/users', '/posts', '/posts/collab-posts', '/posts/join-requests', '/posts/collab-notifications', '/posts/newsletter', '/jobs', '/chat'],
+        routes: ['/auth', '/users', '/posts', '/posts/collab-posts', '/posts/join-requests', '/posts/collab-notifications', '/posts/newsletter', '/jobs', '/chat', '/notifications', '/bff'],
         dependencies,
     });
 });
@@ -118,5 +231,5 @@ server.on('upgrade', (req, socket, head) => {
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
-    console.log(`API Gateway is running on port ${PORT}`);
+    logger.info(`API Gateway is running on port ${PORT}`);
 });
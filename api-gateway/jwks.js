@@ -0,0 +1,88 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+// Access tokens are signed by auth-service with asymmetric keys; the gateway
+// only ever holds the public half, fetched from auth-service's JWKS.
+const AUTH_SERVICE_URL = String(process.env.AUTH_SERVICE_URL || 'http://localhost:3004').replace(/\/+$/, '');
+const JWKS_URL = process.env.AUTH_JWKS_URL || `${AUTH_SERVICE_URL}/auth/.well-known/jwks.json`;
+const JWKS_CACHE_TTL_MS = Number(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000;
+// An unknown kid triggers a refetch (that is how a rotated-in key is picked
+// up), but no more often than this so garbage tokens cannot hammer auth-service.
+const JWKS_MIN_REFETCH_INTERVAL_MS = 30 * 1000;
+const SUPPORTED_ALGORITHMS = new Set(['RS256', 'ES256']);
+
+let cachedKeys = new Map();
+let fetchedAt = 0;
+let pendingFetch = null;
+
+async function fetchJwks() {
+    const response = await fetch(JWKS_URL, { signal: AbortSignal.timeout(5_000) });
+    if (!response.ok) {
+        throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    const keys = new Map();
+    for (const jwk of Array.isArray(body?.keys) ? body.keys : []) {
+        if (!jwk?.kid || !SUPPORTED_ALGORITHMS.has(jwk.alg)) continue;
+        keys.set(jwk.kid, {
+            alg: jwk.alg,
+            publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        });
+    }
+
+    cachedKeys = keys;
+    fetchedAt = Date.now();
+}
+
+async function refreshJwks() {
+    if (!pendingFetch) {
+        pendingFetch = fetchJwks().finally(() => {
+            pendingFetch = null;
+        });
+    }
+    return pendingFetch;
+}
+
+async function getVerificationKey(kid) {
+    const age = Date.now() - fetchedAt;
+    const shouldRefetch = age > JWKS_CACHE_TTL_MS
+        || (!cachedKeys.has(kid) && age > JWKS_MIN_REFETCH_INTERVAL_MS);
+
+    if (shouldRefetch) {
+        try {
+            await refreshJwks();
+        } catch (error) {
+            // Keep verifying with the keys we already have while auth-service
+            // is unreachable; with none cached there is nothing to fall back to.
+            if (cachedKeys.size === 0) throw error;
+            logger.error('JWKS refresh failed', { error: error.message });
+        }
+    }
+
+    return cachedKeys.get(kid) || null;
+}
+
+/**
+ * Verifies an access token against auth-service's published keys and
+ * resolves to its payload. Rejects like jwt.verify on any failure.
+ */
+async function verifyAccessToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid;
+    if (!kid || !SUPPORTED_ALGORITHMS.has(decoded.header.alg)) {
+        throw new jwt.JsonWebTokenError('Unsupported token signature');
+    }
+
+    const key = await getVerificationKey(kid);
+    if (!key) {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+module.exports = {
+    verifyAccessToken,
+};
@@ -0,0 +1,204 @@
+const { logger, tracedFetch } = require('./logger');
+
+// Merges each service's GET /openapi.json into one document for the paths the
+// gateway exposes. Every proxy mount forwards `<prefix><service path>`
+// unchanged, so merging is a matter of prefixing paths and keeping component
+// names from colliding.
+const OPENAPI_SERVICES = [
+    { name: 'auth-service', prefix: '/auth', namespace: 'auth' },
+    { name: 'user-service', prefix: '/users', namespace: 'user' },
+    { name: 'post-service', prefix: '/posts', namespace: 'post' },
+    { name: 'job-service', prefix: '/jobs', namespace: 'job' },
+    { name: 'chat-service', prefix: '/chat', namespace: 'chat' },
+    { name: 'notification-service', prefix: '/notifications', namespace: 'notification' },
+];
+
+const CACHE_TTL_MS = Number(process.env.OPENAPI_CACHE_TTL_MS) || 5 * 60 * 1000;
+// A document missing a service is only kept briefly, so the docs recover
+// soon after the service does.
+const PARTIAL_CACHE_TTL_MS = 10 * 1000;
+const HTTP_METHODS = new Set(['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']);
+const COMPONENT_REF = /^#\/components\/(\w+)\/(.+)$/;
+
+function namespaceRefs(value, namespace) {
+    if (Array.isArray(value)) return value.map((item) => namespaceRefs(item, namespace));
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        if (key === '$ref' && typeof item === 'string') {
+            return [key, item.replace(COMPONENT_REF, `#/components/$1/${namespace}.$2`)];
+        }
+        return [key, namespaceRefs(item, namespace)];
+    }));
+}
+
+function buildGatewayComponents() {
+    return {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        },
+        schemas: {
+            RateLimited: {
+                type: 'object',
+                properties: {
+                    error: { type: 'string' },
+                    retryAfterSeconds: { type: 'integer' },
+                },
+            },
+        },
+        responses: {
+            RateLimited: {
+                description: 'Rate limit exceeded; see Retry-After',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/RateLimited' } } },
+            },
+        },
+    };
+}
+
+/**
+ * Builds the gateway document from `{ service, document }` entries (a null
+ * document marks a service that could not be reached). Component names are
+ * prefixed with the service namespace, e.g. `post.Post`; operations without
+ * tags are tagged with the service name.
+ */
+function mergeOpenApiDocuments(entries) {
+    const merged = {
+        openapi: '3.0.3',
+        info: {
+            title: 'ICEntral API',
+            version: '1.0.0',
+            description: 'All service APIs as exposed through the API gateway.',
+        },
+        servers: [{ url: '/' }],
+        tags: [],
+        paths: {},
+        components: buildGatewayComponents(),
+    };
+    const unavailable = [];
+    const tagNames = new Set();
+
+    for (const { service, document } of entries) {
+        if (!document) {
+            unavailable.push(service.name);
+            continue;
+        }
+
+        const namespaced = namespaceRefs(document, service.namespace);
+        for (const [section, items] of Object.entries(namespaced.components || {})) {
+            if (section === 'securitySchemes') continue;
+            merged.components[section] = merged.components[section] || {};
+            for (const [name, item] of Object.entries(items)) {
+                merged.components[section][`${service.namespace}.${name}`] = item;
+            }
+        }
+
+        for (const tag of namespaced.tags || []) {
+            if (!tagNames.has(tag.name)) {
+                tagNames.add(tag.name);
+                merged.tags.push(tag);
+            }
+        }
+
+        for (const [path, pathItem] of Object.entries(namespaced.paths || {})) {
+            const gatewayPathItem = {};
+            for (const [method, operation] of Object.entries(pathItem)) {
+                if (!HTTP_METHODS.has(method)) {
+                    gatewayPathItem[method] = operation;
+                    continue;
+                }
+                gatewayPathItem[method] = {
+                    ...operation,
+                    tags: operation.tags?.length ? operation.tags : [service.name],
+                    responses: {
+                        429: { $ref: '#/components/responses/RateLimited' },
+                        ...operation.responses,
+                    },
+                };
+            }
+            merged.paths[`${service.prefix}${path === '/' ? '' : path}`] = gatewayPathItem;
+        }
+    }
+
+    if (unavailable.length) {
+        merged.info.description += ` Not included (unreachable when this document was built): ${unavailable.join(', ')}.`;
+        merged.info['x-unavailable-services'] = unavailable;
+    }
+
+    return merged;
+}
+
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="utf-8" />
+    <title>ICEntral API</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+    <script>
+        window.ui = SwaggerUIBundle({
+            url: 'openapi.json',
+            dom_id: '#swagger-ui',
+            persistAuthorization: true,
+        });
+    </script>
+</body>
+</html>
+`;
+
+/**
+ * Express handlers for GET /openapi.json and GET /docs. `serviceUrls` maps a
+ * service name to its base URL; documents are fetched on first use and cached.
+ */
+function createOpenApiHandlers(serviceUrls) {
+    let cached = null;
+    let pending = null;
+
+    async function fetchServiceDocument(service) {
+        try {
+            const response = await tracedFetch(`${serviceUrls[service.name]}/openapi.json`, {
+                signal: AbortSignal.timeout(5_000),
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return { service, document: await response.json() };
+        } catch (error) {
+            logger.warn('Could not load service OpenAPI document', { upstream: service.name, error: error.message });
+            return { service, document: null };
+        }
+    }
+
+    async function loadDocument() {
+        const entries = await Promise.all(OPENAPI_SERVICES.map(fetchServiceDocument));
+        const document = mergeOpenApiDocuments(entries);
+        const complete = entries.every((entry) => entry.document);
+        cached = { document, expiresAt: Date.now() + (complete ? CACHE_TTL_MS : PARTIAL_CACHE_TTL_MS) };
+        return document;
+    }
+
+    async function openApiHandler(req, res) {
+        if (!cached || cached.expiresAt <= Date.now()) {
+            pending = pending || loadDocument().finally(() => {
+                pending = null;
+            });
+            await pending;
+        }
+        return res.json(cached.document);
+    }
+
+    function docsHandler(req, res) {
+        res.type('html');
+        return res.send(DOCS_PAGE);
+    }
+
+    return { openApiHandler, docsHandler };
+}
+
+module.exports = {
+    OPENAPI_SERVICES,
+    mergeOpenApiDocuments,
+    createOpenApiHandlers,
+};
@@ -0,0 +1,215 @@
+const { logger } = require('./logger');
+const { createCounter } = require('./metrics');
+
+// Token-bucket rate limiting for the gateway. Each policy is a bucket of
+// `capacity` requests that refills at `refillPerMinute`; a request takes one
+// token and is rejected with 429 when the bucket is empty.
+const DEFAULT_POLICIES = {
+    default: { capacity: 120, refillPerMinute: 120 },
+    // Keyed by IP even when a token is sent: these are the credential-guessing
+    // and mail-sending endpoints.
+    login: { capacity: 10, refillPerMinute: 5, key: 'ip' },
+    accountEmail: { capacity: 5, refillPerMinute: 1, key: 'ip' },
+    search: { capacity: 30, refillPerMinute: 30 },
+    messageSend: { capacity: 20, refillPerMinute: 30 },
+    jobApplication: { capacity: 10, refillPerMinute: 5 },
+};
+
+// First match wins; anything unmatched uses the `default` policy.
+const ROUTE_POLICIES = [
+    { method: 'POST', pattern: /^\/auth\/(login|2fa\/verify)\/?$/, policy: 'login' },
+    { method: 'POST', pattern: /^\/auth\/(signup|password\/forgot|verify-email\/resend)\/?$/, policy: 'accountEmail' },
+    { method: 'GET', pattern: /^\/posts\/search\/?$/, policy: 'search' },
+    { method: 'GET', pattern: /^\/chat\/users\/search\/?$/, policy: 'search' },
+    { method: 'POST', pattern: /^\/chat\/conversations\/[^/]+\/messages\/?$/, policy: 'messageSend' },
+    { method: 'POST', pattern: /^\/jobs\/applications\/?$/, policy: 'jobApplication' },
+];
+
+const EXEMPT_PATHS = /^\/health$/;
+
+const rateLimitedRequests = createCounter('gateway_rate_limited_total', 'Requests rejected by the rate limiter, by policy.', ['policy']);
+
+const REDIS_KEY_PREFIX = process.env.RATE_LIMIT_REDIS_PREFIX || 'gateway:ratelimit:';
+
+// Refills and takes atomically in Redis. TIME keeps every gateway instance on
+// the server's clock; tokens come back as a string because Redis truncates
+// Lua numbers to integers.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(state[1]) or capacity
+local updated_at = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated_at) * refill_per_ms)
+local allowed = 0
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill_per_ms) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+function loadPolicies() {
+    let overrides = {};
+    if (process.env.RATE_LIMIT_POLICIES) {
+        try {
+            overrides = JSON.parse(process.env.RATE_LIMIT_POLICIES);
+        } catch (error) {
+            logger.warn('Ignoring invalid RATE_LIMIT_POLICIES', { error: error.message });
+        }
+    }
+
+    const policies = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_POLICIES)) {
+        const policy = { ...defaults, ...(overrides?.[name] || {}) };
+        const capacity = Number(policy.capacity);
+        const refillPerMinute = Number(policy.refillPerMinute);
+        if (!(capacity >= 1) || !(refillPerMinute > 0)) {
+            logger.warn('Ignoring invalid rate limit override', { policy: name });
+            Object.assign(policy, defaults);
+        }
+
+        policies[name] = {
+            name,
+            capacity: Number(policy.capacity),
+            refillPerMs: Number(policy.refillPerMinute) / 60_000,
+            key: policy.key === 'ip' ? 'ip' : 'user',
+        };
+    }
+    return policies;
+}
+
+function createMemoryStore() {
+    const buckets = new Map();
+
+    // Drop buckets that have refilled completely; they hold no state that a
+    // fresh bucket would not.
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.fullAt <= now) buckets.delete(key);
+        }
+    }, 60_000);
+    sweep.unref();
+
+    return {
+        async take(key, policy) {
+            const now = Date.now();
+            const bucket = buckets.get(key);
+            let tokens = bucket
+                ? Math.min(policy.capacity, bucket.tokens + (now - bucket.updatedAt) * policy.refillPerMs)
+                : policy.capacity;
+
+            const allowed = tokens >= 1;
+            if (allowed) tokens -= 1;
+
+            buckets.set(key, {
+                tokens,
+                updatedAt: now,
+                fullAt: now + (policy.capacity - tokens) / policy.refillPerMs,
+            });
+            return { allowed, tokens };
+        },
+    };
+}
+
+function createRedisStore(url, fallback) {
+    // Only loaded when configured, so the gateway runs without Redis.
+    const Redis = require('ioredis');
+    const client = new Redis(url, {
+        enableOfflineQueue: false,
+        maxRetriesPerRequest: 1,
+    });
+    let lastErrorLoggedAt = 0;
+
+    function logError(error) {
+        if (Date.now() - lastErrorLoggedAt < 60_000) return;
+        lastErrorLoggedAt = Date.now();
+        logger.error('Rate limit store unavailable, using in-memory buckets', { error: error.message });
+    }
+
+    client.on('error', logError);
+
+    return {
+        async take(key, policy) {
+            try {
+                const [allowed, tokens] = await client.eval(
+                    TAKE_TOKEN_SCRIPT,
+                    1,
+                    `${REDIS_KEY_PREFIX}${key}`,
+                    policy.capacity,
+                    policy.refillPerMs
+                );
+                return { allowed: allowed === 1, tokens: Number(tokens) };
+            } catch (error) {
+                // Fail open to per-instance limits rather than failing requests.
+                logError(error);
+                return fallback.take(key, policy);
+            }
+        },
+    };
+}
+
+function resolvePolicy(req, policies) {
+    const match = ROUTE_POLICIES.find((route) => route.method === req.method && route.pattern.test(req.path));
+    return policies[match?.policy || 'default'];
+}
+
+function setRateLimitHeaders(res, policy, tokens) {
+    const windowSeconds = Math.ceil(policy.capacity / policy.refillPerMs / 1000);
+    res.setHeader('RateLimit-Policy', `${policy.capacity};w=${windowSeconds}`);
+    res.setHeader('RateLimit-Limit', String(policy.capacity));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, Math.floor(tokens))));
+    res.setHeader('RateLimit-Reset', String(Math.ceil((policy.capacity - tokens) / policy.refillPerMs / 1000)));
+}
+
+/**
+ * Express middleware enforcing the route policies. Mount it after gateway
+ * authentication so signed-in callers are limited per user (`req.gatewayUser`)
+ * instead of per IP, which would penalise everyone behind a campus NAT.
+ */
+function createRateLimiter() {
+    if (String(process.env.RATE_LIMIT_ENABLED || 'true').toLowerCase() === 'false') {
+        return (req, res, next) => next();
+    }
+
+    const policies = loadPolicies();
+    const memoryStore = createMemoryStore();
+    const store = process.env.RATE_LIMIT_REDIS_URL
+        ? createRedisStore(process.env.RATE_LIMIT_REDIS_URL, memoryStore)
+        : memoryStore;
+
+    return async (req, res, next) => {
+        if (req.method === 'OPTIONS' || EXEMPT_PATHS.test(req.path)) {
+            return next();
+        }
+
+        const policy = resolvePolicy(req, policies);
+        const subject = policy.key === 'user' && req.gatewayUser?.id
+            ? `user:${req.gatewayUser.id}`
+            : `ip:${req.ip}`;
+
+        const { allowed, tokens } = await store.take(`${policy.name}:${subject}`, policy);
+        setRateLimitHeaders(res, policy, tokens);
+        if (allowed) {
+            return next();
+        }
+
+        rateLimitedRequests.inc({ policy: policy.name });
+        const retryAfterSeconds = Math.ceil((1 - tokens) / policy.refillPerMs / 1000);
+        res.setHeader('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+            error: 'Too many requests. Please slow down and try again shortly.',
+            retryAfterSeconds,
+        });
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_HEADERS: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
+    createRateLimiter,
+};
@@ -0,0 +1,283 @@
+const { createProxyMiddleware } = require('http-proxy-middleware');
+const { logger, tracedFetch } = require('./logger');
+const { createCounter, createGauge } = require('./metrics');
+
+// Resilience for proxied upstreams: a request timeout per service, a circuit
+// breaker that fails fast once a service keeps failing, and one retry of
+// idempotent requests that fail before the upstream answered.
+const DEFAULT_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 10_000;
+const FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const OPEN_DURATION_MS = Number(process.env.CIRCUIT_OPEN_MS) || 30_000;
+const GET_RETRIES = Math.max(0, Number(process.env.UPSTREAM_GET_RETRIES ?? 1) || 0);
+const RETRY_DELAY_MS = 100;
+
+// Statuses that mean the service itself is unwell rather than the request.
+const FAILURE_STATUSES = new Set([502, 503, 504]);
+// Errors raised before any response byte arrived, so a GET can be resent.
+const RETRYABLE_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND']);
+const CIRCUIT_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+const circuitStateGauge = createGauge('gateway_circuit_state', 'Circuit breaker state per upstream (0 closed, 1 half-open, 2 open).', ['upstream']);
+const upstreamFailures = createCounter('gateway_upstream_failures_total', 'Proxied requests that failed, by upstream and reason.', ['upstream', 'reason']);
+const upstreamRetries = createCounter('gateway_upstream_retries_total', 'Idempotent requests resent to an upstream.', ['upstream']);
+
+/**
+ * Consecutive-failure breaker. Opens after `failureThreshold` failures in a
+ * row, rejects for `openDurationMs`, then lets a single probe through
+ * (half-open): its success closes the circuit, its failure reopens it.
+ */
+function createCircuitBreaker(name, { failureThreshold = FAILURE_THRESHOLD, openDurationMs = OPEN_DURATION_MS } = {}) {
+    let state = 'closed';
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let probeStartedAt = null;
+
+    function setState(next) {
+        if (state !== next) {
+            logger.warn('Circuit breaker state changed', { upstream: name, from: state, to: next, consecutiveFailures });
+        }
+        state = next;
+        circuitStateGauge.set({ upstream: name }, CIRCUIT_STATE_VALUES[next]);
+    }
+
+    setState('closed');
+
+    return {
+        name,
+
+        tryAcquire() {
+            const now = Date.now();
+            if (state === 'open' && now - openedAt >= openDurationMs) {
+                setState('half_open');
+                probeStartedAt = null;
+            }
+            if (state === 'closed') return true;
+            // A probe whose outcome never arrived (client went away) should
+            // not keep the circuit half-open forever.
+            if (state === 'half_open' && (!probeStartedAt || now - probeStartedAt >= openDurationMs)) {
+                probeStartedAt = now;
+                return true;
+            }
+            return false;
+        },
+
+        recordSuccess() {
+            consecutiveFailures = 0;
+            openedAt = null;
+            probeStartedAt = null;
+            setState('closed');
+        },
+
+        recordFailure() {
+            consecutiveFailures += 1;
+            // Requests already in flight when the circuit opened do not
+            // extend the open period.
+            if (state === 'open') return;
+            if (state === 'half_open' || consecutiveFailures >= failureThreshold) {
+                openedAt = Date.now();
+                probeStartedAt = null;
+                setState('open');
+            }
+        },
+
+        retryAfterSeconds() {
+            if (state !== 'open') return 1;
+            return Math.max(1, Math.ceil((openedAt + openDurationMs - Date.now()) / 1000));
+        },
+
+        snapshot() {
+            return {
+                state,
+                consecutiveFailures,
+                openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+                retryAt: state === 'open' ? new Date(openedAt + openDurationMs).toISOString() : null,
+            };
+        },
+    };
+}
+
+/**
+ * `{ name, url, timeoutMs, breaker }` for one service. The timeout comes from
+ * `<NAME>_TIMEOUT_MS` (e.g. POST_SERVICE_TIMEOUT_MS), then `timeoutMs`, then
+ * UPSTREAM_TIMEOUT_MS.
+ */
+function createUpstream(name, url, { timeoutMs } = {}) {
+    const envKey = `${name.toUpperCase().replace(/-/g, '_')}_TIMEOUT_MS`;
+    return {
+        name,
+        url,
+        timeoutMs: Number(process.env[envKey]) || timeoutMs || DEFAULT_TIMEOUT_MS,
+        breaker: createCircuitBreaker(name),
+    };
+}
+
+function sendUpstreamError(res, upstream, status, message) {
+    if (res.headersSent) {
+        return res.end();
+    }
+    if (status === 503) {
+        res.setHeader('Retry-After', String(upstream.breaker.retryAfterSeconds()));
+    }
+    return res.status(status).json({ error: message, upstream: upstream.name });
+}
+
+function isIdempotent(req) {
+    return req.method === 'GET' || req.method === 'HEAD';
+}
+
+/**
+ * Proxy middleware for `upstream` wrapped in its circuit breaker. Requests are
+ * rejected with 503 while the circuit is open; a timeout answers 504 and a
+ * connection failure 502, all with the same `{ error, upstream }` body.
+ */
+function buildServiceProxy(upstream, extraOptions = {}) {
+    const { on: extraHandlers = {}, ...proxyOptions } = extraOptions;
+
+    const proxy = createProxyMiddleware({
+        target: upstream.url,
+        changeOrigin: true,
+        xfwd: true,
+        proxyTimeout: upstream.timeoutMs,
+        ...proxyOptions,
+        on: {
+            ...extraHandlers,
+            proxyReq(proxyReq, req, res) {
+                proxyReq.on('timeout', () => {
+                    req.upstreamTimedOut = true;
+                });
+                extraHandlers.proxyReq?.(proxyReq, req, res);
+            },
+            proxyRes(proxyRes, req, res) {
+                if (FAILURE_STATUSES.has(proxyRes.statusCode)) {
+                    upstreamFailures.inc({ upstream: upstream.name, reason: String(proxyRes.statusCode) });
+                    upstream.breaker.recordFailure();
+                } else {
+                    upstream.breaker.recordSuccess();
+                }
+                extraHandlers.proxyRes?.(proxyRes, req, res);
+            },
+            error(error, req, res) {
+                // WebSocket upgrades hand us the socket rather than a response.
+                if (typeof res?.writeHead !== 'function') {
+                    res?.destroy?.();
+                    return;
+                }
+
+                const timedOut = Boolean(req.upstreamTimedOut);
+                upstreamFailures.inc({ upstream: upstream.name, reason: timedOut ? 'timeout' : error.code || 'error' });
+                upstream.breaker.recordFailure();
+
+                const retry = req.upstreamRetry;
+                if (!timedOut && retry && retry.remaining > 0 && isIdempotent(req)
+                    && RETRYABLE_ERROR_CODES.has(error.code) && !res.headersSent && upstream.breaker.tryAcquire()) {
+                    retry.remaining -= 1;
+                    upstreamRetries.inc({ upstream: upstream.name });
+                    setTimeout(retry.send, RETRY_DELAY_MS);
+                    return;
+                }
+
+                logger.warn('Upstream request failed', {
+                    upstream: upstream.name,
+                    error: error.message,
+                    code: error.code,
+                    timedOut,
+                });
+                if (timedOut) {
+                    sendUpstreamError(res, upstream, 504, `${upstream.name} did not respond in time`);
+                } else {
+                    sendUpstreamError(res, upstream, 502, `${upstream.name} is unreachable`);
+                }
+            },
+        },
+    });
+
+    const middleware = (req, res, next) => {
+        if (!upstream.breaker.tryAcquire()) {
+            return sendUpstreamError(res, upstream, 503, `${upstream.name} is temporarily unavailable`);
+        }
+
+        // pathRewrite edits req.url, so a retry starts again from the URL the
+        // mount handed us.
+        const url = req.url;
+        req.upstreamTimedOut = false;
+        req.upstreamRetry = {
+            remaining: GET_RETRIES,
+            send: () => {
+                req.url = url;
+                req.upstreamTimedOut = false;
+                proxy(req, res, next);
+            },
+        };
+        return proxy(req, res, next);
+    };
+    // WebSocket upgrades go straight to the proxy; Socket.IO reconnects on
+    // its own and the breaker only tracks HTTP traffic.
+    middleware.upgrade = proxy.upgrade;
+    return middleware;
+}
+
+function upstreamError(upstream, status, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.upstream = upstream.name;
+    return error;
+}
+
+/**
+ * GET `path` from `upstream` under the same breaker, timeout and retry rules
+ * as proxied requests, for routes the gateway answers itself. Resolves with
+ * the upstream's Response; rejects with an error carrying `status` (502, 503
+ * or 504) when no response arrived.
+ */
+async function fetchUpstream(upstream, path, { headers } = {}) {
+    let retriesLeft = GET_RETRIES;
+
+    for (;;) {
+        if (!upstream.breaker.tryAcquire()) {
+            throw upstreamError(upstream, 503, `${upstream.name} is temporarily unavailable`);
+        }
+
+        try {
+            const response = await tracedFetch(`${upstream.url}${path}`, {
+                headers,
+                signal: AbortSignal.timeout(upstream.timeoutMs),
+            });
+            if (FAILURE_STATUSES.has(response.status)) {
+                upstreamFailures.inc({ upstream: upstream.name, reason: String(response.status) });
+                upstream.breaker.recordFailure();
+            } else {
+                upstream.breaker.recordSuccess();
+            }
+            return response;
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError';
+            // fetch wraps socket errors, so the errno code is on the cause.
+            const code = error.cause?.code || error.code;
+            upstreamFailures.inc({ upstream: upstream.name, reason: timedOut ? 'timeout' : code || 'error' });
+            upstream.breaker.recordFailure();
+
+            if (!timedOut && retriesLeft > 0 && RETRYABLE_ERROR_CODES.has(code)) {
+                retriesLeft -= 1;
+                upstreamRetries.inc({ upstream: upstream.name });
+                await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS));
+                continue;
+            }
+
+            logger.warn('Upstream request failed', {
+                upstream: upstream.name,
+                error: error.message,
+                code,
+                timedOut,
+            });
+            throw timedOut
+                ? upstreamError(upstream, 504, `${upstream.name} did not respond in time`)
+                : upstreamError(upstream, 502, `${upstream.name} is unreachable`);
+        }
+    }
+}
+
+module.exports = {
+    createUpstream,
+    buildServiceProxy,
+    fetchUpstream,
+};
@@ -4,6 +4,9 @@ import AppShell from './components/layout/AppShell';
 import RequireModerator from './components/routing/RequireModerator';
 import Login from './components/Login';
 import Signup from './components/Signup';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
 import HomeFeedPage from './pages/HomeFeedPage';
 import JobPortalPage from './pages/JobPortalPage';
 import JobApplicationPage from './pages/JobApplicationPage';
@@ -27,6 +30,9 @@ function App() {
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/signup" element={<Signup />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
 
         <Route element={<AppShell />}>
           <Route path="/" element={<Navigate to="/home" replace />} />
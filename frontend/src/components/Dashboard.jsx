@@ -4,7 +4,7 @@ import { useAuth } from '../context/useAuth';
 
 export default function Dashboard() {
     const navigate = useNavigate();
-    const { user: sessionUser, isAuthenticated, clearAuthSession } = useAuth();
+    const { user: sessionUser, isAuthenticated, logout } = useAuth();
     const user = sessionUser;
 
     useEffect(() => {
@@ -15,7 +15,7 @@ export default function Dashboard() {
     }, [isAuthenticated, navigate]);
 
     const handleLogout = () => {
-        clearAuthSession();
+        logout();
         navigate('/login');
     };
 
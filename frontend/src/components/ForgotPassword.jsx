@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { requestPasswordReset } from '../utils/authApi';
+
+export default function ForgotPassword() {
+    const [email, setEmail] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [status, setStatus] = useState({ type: 'idle', message: '' });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setStatus({ type: 'idle', message: '' });
+        try {
+            const data = await requestPasswordReset(email.trim());
+            setStatus({ type: 'success', message: data.message || 'Check your email for a reset link.' });
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message || 'Could not start password reset.' });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="auth-shell">
+            <div className="auth-stage auth-stage-single">
+                <section className="panel auth-form-panel" aria-labelledby="forgot-password-title">
+                    <div className="auth-form-head">
+                        <p className="eyebrow">Account recovery</p>
+                        <h2 id="forgot-password-title">Forgot your password?</h2>
+                        <p className="auth-subtitle">Enter your account email and we will send you a link to choose a new password.</p>
+                    </div>
+
+                    <form onSubmit={handleSubmit} className="stacked-form auth-form">
+                        <label>
+                            <span>Email Address</span>
+                            <input
+                                name="email"
+                                type="email"
+                                placeholder="you@university.edu"
+                                autoComplete="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                required
+                            />
+                        </label>
+
+                        {status.message && (
+                            <p className={`auth-form-status${status.type === 'error' ? ' auth-form-status-error' : ''}`} role="status">
+                                {status.message}
+                            </p>
+                        )}
+
+                        <button type="submit" className="btn btn-primary-solid auth-submit-btn" disabled={submitting}>
+                            {submitting ? 'Sending...' : 'Send reset link'}
+                        </button>
+                    </form>
+
+                    <p className="auth-link auth-link-themed">
+                        Remembered it? <Link to="/login">Back to sign in</Link>
+                    </p>
+                </section>
+            </div>
+        </div>
+    );
+}
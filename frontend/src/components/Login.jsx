@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { useNavigate, Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/useAuth';
+import { resendVerificationEmail, verifyTwoFactorLogin } from '../utils/authApi';
+import TwoFactorEnrollment, { RecoveryCodesList } from './account/TwoFactorEnrollment';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
@@ -9,11 +11,53 @@ export default function Login() {
     const location = useLocation();
     const { setAuthSession } = useAuth();
     const [credentials, setCredentials] = useState({ email: '', password: '' });
+    const [unverifiedEmail, setUnverifiedEmail] = useState('');
+    const [status, setStatus] = useState({ type: 'idle', message: '' });
+    const [resending, setResending] = useState(false);
+    const [twoFactorStep, setTwoFactorStep] = useState(null);
+    const [secondFactor, setSecondFactor] = useState({ code: '', useRecoveryCode: false });
+    const [verifying, setVerifying] = useState(false);
+    const [enrolledSession, setEnrolledSession] = useState(null);
 
     const handleChange = (e) => setCredentials({ ...credentials, [e.target.name]: e.target.value });
 
+    const completeSignIn = (data) => {
+        setAuthSession({ token: data.token, refreshToken: data.refreshToken, user: data.user });
+        navigate(location.state?.from || '/home'); 
+    };
+
+    const resetTwoFactor = () => {
+        setTwoFactorStep(null);
+        setSecondFactor({ code: '', useRecoveryCode: false });
+        setEnrolledSession(null);
+        setStatus({ type: 'idle', message: '' });
+    };
+
+    const handleVerifySecondFactor = async (e) => {
+        e.preventDefault();
+        setVerifying(true);
+        setStatus({ type: 'idle', message: '' });
+        try {
+            const value = secondFactor.code.trim();
+            const data = await verifyTwoFactorLogin({
+                challengeToken: twoFactorStep.challengeToken,
+                ...(secondFactor.useRecoveryCode ? { recoveryCode: value } : { code: value }),
+            });
+            completeSignIn(data);
+        } catch (error) {
+            if (error.code === 'TWO_FACTOR_TOKEN_INVALID') {
+                resetTwoFactor();
+            }
+            setStatus({ type: 'error', message: error.message || 'Could not verify the code.' });
+        } finally {
+            setVerifying(false);
+        }
+    };
+
     const handleLogin = async (e) => {
         e.preventDefault();
+        setUnverifiedEmail('');
+        setStatus({ type: 'idle', message: '' });
         try {
             const response = await fetch(`${API_BASE_URL}/auth/login`, {
                 method: 'POST',
@@ -25,9 +69,16 @@ export default function Login() {
                 ? await response.json()
                 : { success: false, message: await response.text() };
             
-            if (response.ok && data.success) {
-                setAuthSession({ token: data.token, user: data.user });
-                navigate(location.state?.from || '/home'); 
+            if (response.ok && data.twoFactorRequired) {
+                setTwoFactorStep({ mode: 'challenge', challengeToken: data.challengeToken });
+            } else if (response.ok && data.twoFactorEnrollmentRequired) {
+                setTwoFactorStep({ mode: 'enroll', enrollmentToken: data.enrollmentToken });
+                setStatus({ type: 'idle', message: 'Your role requires two-factor authentication. Set it up to finish signing in.' });
+            } else if (response.ok && data.success) {
+                completeSignIn(data);
+            } else if (data.code === 'EMAIL_NOT_VERIFIED') {
+                setUnverifiedEmail(credentials.email.trim());
+                setStatus({ type: 'error', message: data.message });
             } else {
                 alert(data.message || 'Invalid credentials');
             }
@@ -37,6 +88,18 @@ export default function Login() {
         }
     };
 
+    const handleResendVerification = async () => {
+        setResending(true);
+        try {
+            const data = await resendVerificationEmail(unverifiedEmail);
+            setStatus({ type: 'success', message: data.message || 'Verification email sent.' });
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message || 'Could not resend verification email.' });
+        } finally {
+            setResending(false);
+        }
+    };
+
     return (
         <div className="auth-shell">
             <div className="auth-stage">
@@ -66,33 +129,136 @@ export default function Login() {
                         <p className="auth-subtitle">Use your academic email and password to continue.</p>
                     </div>
 
-                    <form onSubmit={handleLogin} className="stacked-form auth-form">
-                        <label>
-                            <span>Email Address</span>
-                            <input
-                                name="email"
-                                type="email"
-                                placeholder="you@university.edu"
-                                autoComplete="email"
-                                onChange={handleChange}
-                                required
-                            />
-                        </label>
-
-                        <label>
-                            <span>Password</span>
-                            <input
-                                name="password"
-                                type="password"
-                                placeholder="Enter your password"
-                                autoComplete="current-password"
-                                onChange={handleChange}
-                                required
-                            />
-                        </label>
-
-                        <button type="submit" className="btn btn-primary-solid auth-submit-btn">Sign In</button>
-                    </form>
+                    {location.state?.notice && (
+                        <p className="auth-form-status" role="status">{location.state.notice}</p>
+                    )}
+
+                    {twoFactorStep?.mode === 'challenge' && (
+                        <form onSubmit={handleVerifySecondFactor} className="stacked-form auth-form">
+                            <label>
+                                <span>{secondFactor.useRecoveryCode ? 'Recovery code' : 'Authentication code'}</span>
+                                <input
+                                    name="code"
+                                    autoComplete="one-time-code"
+                                    inputMode={secondFactor.useRecoveryCode ? 'text' : 'numeric'}
+                                    placeholder={secondFactor.useRecoveryCode ? 'xxxxx-xxxxx' : '6-digit code'}
+                                    value={secondFactor.code}
+                                    onChange={(e) => setSecondFactor({ ...secondFactor, code: e.target.value })}
+                                    required
+                                    autoFocus
+                                />
+                            </label>
+
+                            {status.message && (
+                                <p className={`auth-form-status${status.type === 'error' ? ' auth-form-status-error' : ''}`} role="status">
+                                    {status.message}
+                                </p>
+                            )}
+
+                            <button
+                                type="button"
+                                className="btn btn-soft"
+                                onClick={() => setSecondFactor({ code: '', useRecoveryCode: !secondFactor.useRecoveryCode })}
+                            >
+                                {secondFactor.useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+                            </button>
+
+                            <button type="submit" className="btn btn-primary-solid auth-submit-btn" disabled={verifying}>
+                                {verifying ? 'Verifying...' : 'Verify'}
+                            </button>
+                        </form>
+                    )}
+
+                    {twoFactorStep?.mode === 'enroll' && (
+                        <div className="stacked-form auth-form">
+                            {status.message && (
+                                <p className={`auth-form-status${status.type === 'error' ? ' auth-form-status-error' : ''}`} role="status">
+                                    {status.message}
+                                </p>
+                            )}
+
+                            {enrolledSession ? (
+                                <>
+                                    <RecoveryCodesList codes={enrolledSession.recoveryCodes || []} />
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary-solid auth-submit-btn"
+                                        onClick={() => completeSignIn(enrolledSession)}
+                                    >
+                                        I saved my codes, continue
+                                    </button>
+                                </>
+                            ) : (
+                                <TwoFactorEnrollment
+                                    enrollmentToken={twoFactorStep.enrollmentToken}
+                                    onEnabled={(data) => {
+                                        setStatus({ type: 'success', message: 'Two-factor authentication is on.' });
+                                        setEnrolledSession(data);
+                                    }}
+                                    onError={(message) => setStatus({ type: 'error', message })}
+                                />
+                            )}
+                        </div>
+                    )}
+
+                    {twoFactorStep && !enrolledSession && (
+                        <p className="auth-link auth-link-themed">
+                            <button type="button" className="btn btn-soft" onClick={resetTwoFactor}>Back to sign in</button>
+                        </p>
+                    )}
+
+                    {!twoFactorStep && (
+                        <form onSubmit={handleLogin} className="stacked-form auth-form">
+                            <label>
+                                <span>Email Address</span>
+                                <input
+                                    name="email"
+                                    type="email"
+                                    placeholder="you@university.edu"
+                                    autoComplete="email"
+                                    value={credentials.email}
+                                    onChange={handleChange}
+                                    required
+                                />
+                            </label>
+
+                            <label>
+                                <span>Password</span>
+                                <input
+                                    name="password"
+                                    type="password"
+                                    placeholder="Enter your password"
+                                    autoComplete="current-password"
+                                    value={credentials.password}
+                                    onChange={handleChange}
+                                    required
+                                />
+                            </label>
+
+                            {status.message && (
+                                <p className={`auth-form-status${status.type === 'error' ? ' auth-form-status-error' : ''}`} role="status">
+                                    {status.message}
+                                </p>
+                            )}
+
+                            {unverifiedEmail && (
+                                <button
+                                    type="button"
+                                    className="btn btn-soft"
+                                    onClick={handleResendVerification}
+                                    disabled={resending}
+                                >
+                                    {resending ? 'Sending...' : 'Resend verification email'}
+                                </button>
+                            )}
+
+                            <button type="submit" className="btn btn-primary-solid auth-submit-btn">Sign In</button>
+                        </form>
+                    )}
+
+                    <p className="auth-link auth-link-themed">
+                        <Link to="/forgot-password">Forgot your password?</Link>
+                    </p>
 
                     <p className="auth-link auth-link-themed">
                         New to ICEntral? <Link to="/signup">Create an account</Link>
@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { resetPasswordWithToken } from '../utils/authApi';
+
+export default function ResetPassword() {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+    const [form, setForm] = useState({ password: '', confirmPassword: '' });
+    const [submitting, setSubmitting] = useState(false);
+    const [status, setStatus] = useState({ type: 'idle', message: '' });
+
+    const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (form.password !== form.confirmPassword) {
+            setStatus({ type: 'error', message: 'Passwords do not match.' });
+            return;
+        }
+
+        setSubmitting(true);
+        setStatus({ type: 'idle', message: '' });
+        try {
+            await resetPasswordWithToken({ token, password: form.password });
+            navigate('/login', { replace: true, state: { notice: 'Password reset. Sign in with your new password.' } });
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message || 'Could not reset password.' });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="auth-shell">
+            <div className="auth-stage auth-stage-single">
+                <section className="panel auth-form-panel" aria-labelledby="reset-password-title">
+                    <div className="auth-form-head">
+                        <p className="eyebrow">Account recovery</p>
+                        <h2 id="reset-password-title">Choose a new password</h2>
+                        <p className="auth-subtitle">Use at least 8 characters. You will be signed out everywhere else.</p>
+                    </div>
+
+                    {!token ? (
+                        <p className="auth-form-status auth-form-status-error" role="alert">
+                            This reset link is incomplete. Request a new one below.
+                        </p>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="stacked-form auth-form">
+                            <label>
+                                <span>New Password</span>
+                                <input
+                                    name="password"
+                                    type="password"
+                                    autoComplete="new-password"
+                                    minLength={8}
+                                    value={form.password}
+                                    onChange={handleChange}
+                                    required
+                                />
+                            </label>
+
+                            <label>
+                                <span>Confirm Password</span>
+                                <input
+                                    name="confirmPassword"
+                                    type="password"
+                                    autoComplete="new-password"
+                                    minLength={8}
+                                    value={form.confirmPassword}
+                                    onChange={handleChange}
+                                    required
+                                />
+                            </label>
+
+                            {status.message && (
+                                <p className={`auth-form-status${status.type === 'error' ? ' auth-form-status-error' : ''}`} role="status">
+                                    {status.message}
+                                </p>
+                            )}
+
+                            <button type="submit" className="btn btn-primary-solid auth-submit-btn" disabled={submitting}>
+                                {submitting ? 'Saving...' : 'Reset password'}
+                            </button>
+                        </form>
+                    )}
+
+                    <p className="auth-link auth-link-themed">
+                        <Link to="/forgot-password">Request a new link</Link> or <Link to="/login">sign in</Link>
+                    </p>
+                </section>
+            </div>
+        </div>
+    );
+}
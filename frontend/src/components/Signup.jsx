@@ -1,13 +1,41 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { lookupInvitation } from '../utils/authApi';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
 export default function Signup() {
     const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const invitationCode = searchParams.get('invite') || '';
     const [formData, setFormData] = useState({
         university_id: '', full_name: '', session: '', email: '', phone_number: '', role: 'student', password: ''
     });
+    const [invitation, setInvitation] = useState(null);
+    const [invitationError, setInvitationError] = useState('');
+
+    useEffect(() => {
+        if (!invitationCode) return undefined;
+        let isMounted = true;
+
+        lookupInvitation(invitationCode)
+            .then((result) => {
+                if (!isMounted) return;
+                setInvitation(result.invitation);
+                setFormData((prev) => ({
+                    ...prev,
+                    role: result.invitation.role,
+                    email: result.invitation.email || prev.email,
+                }));
+            })
+            .catch((error) => {
+                if (isMounted) setInvitationError(error.message);
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [invitationCode]);
 
     const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
 
@@ -17,7 +45,7 @@ export default function Signup() {
             const response = await fetch(`${API_BASE_URL}/auth/signup`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(formData)
+                body: JSON.stringify(invitation ? { ...formData, invitationCode } : formData)
             });
             const contentType = response.headers.get('content-type') || '';
             const data = contentType.includes('application/json')
@@ -25,8 +53,13 @@ export default function Signup() {
                 : { success: false, message: await response.text() };
             
             if (response.ok && data.success) {
-                alert('Registration successful! Please login.');
-                navigate('/login');
+                navigate('/login', {
+                    state: {
+                        notice: data.verificationEmailSent === false
+                            ? 'Account created, but we could not send the verification email. Sign in to request a new link.'
+                            : `Account created. We sent a verification link to ${formData.email}.`,
+                    },
+                });
             } else {
                 alert(data.message || 'Registration failed');
             }
@@ -65,6 +98,18 @@ export default function Signup() {
                         <p className="auth-subtitle">Fill in your academic profile details to join the portal.</p>
                     </div>
 
+                    {invitation && (
+                        <p className="auth-form-status" role="status">
+                            You were invited to join as <strong>{invitation.role}</strong>. The invitation expires on{' '}
+                            {new Date(invitation.expiresAt).toLocaleDateString()}.
+                        </p>
+                    )}
+                    {invitationError && (
+                        <p className="auth-form-status auth-form-status-error" role="alert">
+                            {invitationError}. You can still sign up as a student or alumni.
+                        </p>
+                    )}
+
                     <form onSubmit={handleSignup} className="stacked-form auth-form">
                         <div className="field-row two-col">
                             <label>
@@ -78,11 +123,14 @@ export default function Signup() {
                             </label>
                             <label>
                                 <span>Role</span>
-                                <select name="role" onChange={handleChange} defaultValue="student">
-                                    <option value="student">Student</option>
-                                    <option value="alumni">Alumni</option>
-                                    <option value="faculty">Faculty</option>
-                                </select>
+                                {invitation ? (
+                                    <input value={invitation.role} readOnly aria-readonly="true" />
+                                ) : (
+                                    <select name="role" onChange={handleChange} value={formData.role}>
+                                        <option value="student">Student</option>
+                                        <option value="alumni">Alumni</option>
+                                    </select>
+                                )}
                             </label>
                         </div>
 
@@ -118,7 +166,9 @@ export default function Signup() {
                                 type="email"
                                 placeholder="you@university.edu"
                                 autoComplete="email"
+                                value={formData.email}
                                 onChange={handleChange}
+                                readOnly={Boolean(invitation?.email)}
                                 required
                             />
                         </label>
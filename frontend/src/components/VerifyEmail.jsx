@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { verifyEmailToken } from '../utils/authApi';
+
+export default function VerifyEmail() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+    const [status, setStatus] = useState(() => (
+        token
+            ? { type: 'pending', message: 'Verifying your email address...' }
+            : { type: 'error', message: 'This verification link is incomplete.' }
+    ));
+
+    useEffect(() => {
+        if (!token) return undefined;
+
+        let cancelled = false;
+        verifyEmailToken(token)
+            .then((data) => {
+                if (!cancelled) {
+                    setStatus({ type: 'success', message: data.message || 'Email address verified.' });
+                }
+            })
+            .catch((error) => {
+                if (!cancelled) {
+                    setStatus({ type: 'error', message: error.message || 'Could not verify email address.' });
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [token]);
+
+    return (
+        <div className="auth-shell">
+            <div className="auth-stage auth-stage-single">
+                <section className="panel auth-form-panel" aria-labelledby="verify-email-title">
+                    <div className="auth-form-head">
+                        <p className="eyebrow">Account activation</p>
+                        <h2 id="verify-email-title">Verify your email</h2>
+                    </div>
+
+                    <p className={`auth-form-status${status.type === 'error' ? ' auth-form-status-error' : ''}`} role="status">
+                        {status.message}
+                    </p>
+
+                    <p className="auth-link auth-link-themed">
+                        {status.type === 'error'
+                            ? <>Sign in to request a new link. <Link to="/login">Go to sign in</Link></>
+                            : <Link to="/login">Continue to sign in</Link>}
+                    </p>
+                </section>
+            </div>
+        </div>
+    );
+}
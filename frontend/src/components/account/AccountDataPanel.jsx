@@ -0,0 +1,145 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '../../context/useAuth';
+import {
+  cancelAccountDeletion,
+  downloadAccountExport,
+  fetchAccountDeletionState,
+  requestAccountDeletion,
+} from '../../utils/profileApi';
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return new Intl.DateTimeFormat(undefined, { month: 'long', day: 'numeric', year: 'numeric' }).format(date);
+}
+
+export default function AccountDataPanel({ onStatus }) {
+  const { user } = useAuth();
+  const [deletionState, setDeletionState] = useState(null);
+  const [confirmEmail, setConfirmEmail] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [updatingDeletion, setUpdatingDeletion] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAccountDeletionState()
+      .then((state) => {
+        if (!cancelled) setDeletionState(state);
+      })
+      .catch(() => {
+        if (!cancelled) setDeletionState(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  function notify(type, message) {
+    if (typeof onStatus === 'function') {
+      onStatus({ type, message });
+    }
+  }
+
+  async function handleExport() {
+    setExporting(true);
+    try {
+      const { blob, fileName } = await downloadAccountExport();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+      notify('success', 'Your data export has been downloaded.');
+    } catch (error) {
+      notify('error', error.message);
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  async function handleRequestDeletion(event) {
+    event.preventDefault();
+    setUpdatingDeletion(true);
+    try {
+      const result = await requestAccountDeletion(confirmEmail.trim());
+      setDeletionState(result?.data || null);
+      setConfirmEmail('');
+      notify('success', result?.message || 'Account deletion scheduled.');
+    } catch (error) {
+      notify('error', error.message);
+    } finally {
+      setUpdatingDeletion(false);
+    }
+  }
+
+  async function handleCancelDeletion() {
+    setUpdatingDeletion(true);
+    try {
+      const result = await cancelAccountDeletion();
+      setDeletionState(result?.data || null);
+      notify('success', 'Account deletion cancelled.');
+    } catch (error) {
+      notify('error', error.message);
+    } finally {
+      setUpdatingDeletion(false);
+    }
+  }
+
+  return (
+    <section className="panel profile-personal-card account-security-card">
+      <div className="panel-header">
+        <div>
+          <p className="eyebrow">Account</p>
+          <h3>Your data</h3>
+        </div>
+      </div>
+
+      <p className="muted-line">
+        Download a ZIP with your profile, posts, comments, votes, enrolments, collaborations, job applications,
+        chats and verification requests.
+      </p>
+      <div className="account-security-actions">
+        <button type="button" className="btn btn-soft" onClick={handleExport} disabled={exporting}>
+          {exporting ? 'Preparing export...' : 'Download my data'}
+        </button>
+      </div>
+
+      {deletionState?.deletionScheduledFor ? (
+        <div className="account-two-factor">
+          <h4>Account deletion scheduled</h4>
+          <p>
+            Your account will be deleted on {formatDate(deletionState.deletionScheduledFor)}. Your posts and comments
+            will stay up as &quot;Deleted user&quot;; everything else is erased.
+          </p>
+          <div className="account-security-actions">
+            <button type="button" className="btn btn-accent" onClick={handleCancelDeletion} disabled={updatingDeletion}>
+              {updatingDeletion ? 'Cancelling...' : 'Keep my account'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <form className="profile-edit-form account-security-form" onSubmit={handleRequestDeletion}>
+          <label>
+            <span>Type {user?.email || 'your email'} to delete your account</span>
+            <input
+              type="email"
+              autoComplete="off"
+              value={confirmEmail}
+              onChange={(event) => setConfirmEmail(event.target.value)}
+              required
+            />
+          </label>
+          <button
+            type="submit"
+            className="btn btn-danger-soft"
+            disabled={updatingDeletion || confirmEmail.trim().toLowerCase() !== String(user?.email || '').toLowerCase()}
+          >
+            {updatingDeletion ? 'Scheduling...' : 'Delete my account'}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,264 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/useAuth';
+import {
+  changePassword,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  logoutAllAuthSessions,
+  regenerateRecoveryCodes,
+} from '../../utils/authApi';
+import TwoFactorEnrollment, { RecoveryCodesList } from './TwoFactorEnrollment';
+
+const INITIAL_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+export default function AccountSecurityPanel({ onStatus }) {
+  const navigate = useNavigate();
+  const { token, logout } = useAuth();
+  const [passwordForm, setPasswordForm] = useState(INITIAL_PASSWORD_FORM);
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [signingOutEverywhere, setSigningOutEverywhere] = useState(false);
+  const [twoFactorStatus, setTwoFactorStatus] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ code: '', password: '' });
+  const [freshRecoveryCodes, setFreshRecoveryCodes] = useState([]);
+  const [updatingTwoFactor, setUpdatingTwoFactor] = useState(false);
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    let cancelled = false;
+    getTwoFactorStatus(token)
+      .then((status) => {
+        if (!cancelled) setTwoFactorStatus(status);
+      })
+      .catch(() => {
+        if (!cancelled) setTwoFactorStatus(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  function notify(type, message) {
+    if (typeof onStatus === 'function') {
+      onStatus({ type, message });
+    }
+  }
+
+  async function handleChangePassword(event) {
+    event.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      notify('error', 'New passwords do not match.');
+      return;
+    }
+
+    setSavingPassword(true);
+    try {
+      const result = await changePassword({
+        token,
+        currentPassword: passwordForm.currentPassword,
+        newPassword: passwordForm.newPassword,
+      });
+      setPasswordForm(INITIAL_PASSWORD_FORM);
+      const revokedCount = Number(result?.revokedCount || 0);
+      notify('success', revokedCount > 0
+        ? `Password updated. Signed out ${revokedCount} other session${revokedCount === 1 ? '' : 's'}.`
+        : 'Password updated.');
+    } catch (error) {
+      notify('error', `Could not change password: ${error.message}`);
+    } finally {
+      setSavingPassword(false);
+    }
+  }
+
+  function handleTwoFactorEnabled(result) {
+    setFreshRecoveryCodes(result?.recoveryCodes || []);
+    setTwoFactorStatus((prev) => ({
+      ...prev,
+      enabled: true,
+      recoveryCodesRemaining: (result?.recoveryCodes || []).length,
+    }));
+    notify('success', 'Two-factor authentication enabled.');
+  }
+
+  async function handleRegenerateRecoveryCodes() {
+    setUpdatingTwoFactor(true);
+    try {
+      const result = await regenerateRecoveryCodes({ token, code: twoFactorForm.code.trim() });
+      setFreshRecoveryCodes(result.recoveryCodes || []);
+      setTwoFactorStatus((prev) => ({ ...prev, recoveryCodesRemaining: (result.recoveryCodes || []).length }));
+      setTwoFactorForm({ code: '', password: '' });
+      notify('success', 'New recovery codes generated. The old ones no longer work.');
+    } catch (error) {
+      notify('error', `Could not regenerate recovery codes: ${error.message}`);
+    } finally {
+      setUpdatingTwoFactor(false);
+    }
+  }
+
+  async function handleDisableTwoFactor() {
+    if (!twoFactorForm.password) {
+      notify('error', 'Enter your password to turn off two-factor authentication.');
+      return;
+    }
+
+    setUpdatingTwoFactor(true);
+    try {
+      await disableTwoFactor({ token, password: twoFactorForm.password, code: twoFactorForm.code.trim() });
+      setTwoFactorStatus((prev) => ({ ...prev, enabled: false, recoveryCodesRemaining: 0 }));
+      setFreshRecoveryCodes([]);
+      setTwoFactorForm({ code: '', password: '' });
+      notify('success', 'Two-factor authentication disabled.');
+    } catch (error) {
+      notify('error', `Could not disable two-factor authentication: ${error.message}`);
+    } finally {
+      setUpdatingTwoFactor(false);
+    }
+  }
+
+  async function handleSignOutEverywhere() {
+    if (!window.confirm('Sign out of ICEntral on every device, including this one?')) return;
+
+    setSigningOutEverywhere(true);
+    try {
+      await logoutAllAuthSessions(token);
+      await logout();
+      navigate('/login');
+    } catch (error) {
+      notify('error', `Could not sign out everywhere: ${error.message}`);
+      setSigningOutEverywhere(false);
+    }
+  }
+
+  return (
+    <section className="panel profile-personal-card account-security-card">
+      <div className="panel-header">
+        <div>
+          <p className="eyebrow">Account</p>
+          <h3>Security</h3>
+        </div>
+      </div>
+
+      <form className="profile-edit-form account-security-form" onSubmit={handleChangePassword}>
+        <label>
+          <span>Current password</span>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={passwordForm.currentPassword}
+            onChange={(event) => setPasswordForm((prev) => ({ ...prev, currentPassword: event.target.value }))}
+            required
+          />
+        </label>
+        <label>
+          <span>New password</span>
+          <input
+            type="password"
+            autoComplete="new-password"
+            minLength={8}
+            value={passwordForm.newPassword}
+            onChange={(event) => setPasswordForm((prev) => ({ ...prev, newPassword: event.target.value }))}
+            required
+          />
+        </label>
+        <label>
+          <span>Confirm new password</span>
+          <input
+            type="password"
+            autoComplete="new-password"
+            minLength={8}
+            value={passwordForm.confirmPassword}
+            onChange={(event) => setPasswordForm((prev) => ({ ...prev, confirmPassword: event.target.value }))}
+            required
+          />
+        </label>
+        <button type="submit" className="btn btn-primary-solid" disabled={savingPassword}>
+          {savingPassword ? 'Updating...' : 'Change password'}
+        </button>
+      </form>
+
+      {twoFactorStatus && (
+        <div className="account-two-factor">
+          <h4>Two-factor authentication</h4>
+          {twoFactorStatus.enabled ? (
+            <>
+              <p>
+                On. {twoFactorStatus.recoveryCodesRemaining} recovery code
+                {twoFactorStatus.recoveryCodesRemaining === 1 ? '' : 's'} left.
+              </p>
+              {freshRecoveryCodes.length > 0 && <RecoveryCodesList codes={freshRecoveryCodes} />}
+              <div className="profile-edit-form account-security-form">
+                <label>
+                  <span>Authentication code</span>
+                  <input
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    maxLength={6}
+                    value={twoFactorForm.code}
+                    onChange={(event) => setTwoFactorForm((prev) => ({ ...prev, code: event.target.value }))}
+                  />
+                </label>
+                {!twoFactorStatus.required && (
+                  <label>
+                    <span>Password (to turn off)</span>
+                    <input
+                      type="password"
+                      autoComplete="current-password"
+                      value={twoFactorForm.password}
+                      onChange={(event) => setTwoFactorForm((prev) => ({ ...prev, password: event.target.value }))}
+                    />
+                  </label>
+                )}
+                <div className="account-security-actions">
+                  <button
+                    type="button"
+                    className="btn btn-soft"
+                    onClick={handleRegenerateRecoveryCodes}
+                    disabled={updatingTwoFactor || !twoFactorForm.code.trim()}
+                  >
+                    New recovery codes
+                  </button>
+                  {!twoFactorStatus.required && (
+                    <button
+                      type="button"
+                      className="btn btn-danger-soft"
+                      onClick={handleDisableTwoFactor}
+                      disabled={updatingTwoFactor || !twoFactorForm.code.trim()}
+                    >
+                      Turn off
+                    </button>
+                  )}
+                </div>
+              </div>
+            </>
+          ) : (
+            <>
+              <p>
+                {twoFactorStatus.required
+                  ? 'Required for your role. Set it up now to keep signing in.'
+                  : 'Add a one-time code from an authenticator app to every sign-in.'}
+              </p>
+              <TwoFactorEnrollment
+                token={token}
+                onEnabled={handleTwoFactorEnabled}
+                onError={(message) => notify('error', message)}
+              />
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="account-security-actions">
+        <button
+          type="button"
+          className="btn btn-danger-soft"
+          onClick={handleSignOutEverywhere}
+          disabled={signingOutEverywhere}
+        >
+          {signingOutEverywhere ? 'Signing out...' : 'Sign out of all devices'}
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,115 @@
+import { useEffect, useState } from 'react';
+import {
+  NOTIFICATION_PREFERENCE_CHANNELS,
+  NOTIFICATION_PREFERENCE_TYPES,
+  fetchNotificationPreferences,
+  saveNotificationPreferences,
+} from '../../utils/notificationsApi';
+
+export default function NotificationPreferencesPanel({ onStatus }) {
+  const [preferences, setPreferences] = useState(null);
+  const [savedPreferences, setSavedPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchNotificationPreferences()
+      .then((data) => {
+        if (cancelled) return;
+        setPreferences(data);
+        setSavedPreferences(data);
+      })
+      .catch(() => {
+        if (!cancelled) setPreferences(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  function notify(type, message) {
+    if (typeof onStatus === 'function') {
+      onStatus({ type, message });
+    }
+  }
+
+  function toggle(type, channel, enabled) {
+    setPreferences((prev) => ({
+      ...prev,
+      [type]: { ...prev?.[type], [channel]: enabled },
+    }));
+  }
+
+  const hasChanges = JSON.stringify(preferences) !== JSON.stringify(savedPreferences);
+
+  async function handleSave(event) {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const data = await saveNotificationPreferences(preferences);
+      setPreferences(data);
+      setSavedPreferences(data);
+      notify('success', 'Notification preferences saved.');
+    } catch (error) {
+      notify('error', error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <section className="panel profile-personal-card account-security-card">
+      <div className="panel-header">
+        <div>
+          <p className="eyebrow">Account</p>
+          <h3>Notifications</h3>
+        </div>
+      </div>
+
+      <p className="muted-line">
+        Choose how you hear about each kind of update. The daily digest is one email with everything you have not
+        read yet.
+      </p>
+
+      {!preferences ? (
+        <p className="muted-line">Notification preferences are unavailable right now.</p>
+      ) : (
+        <form onSubmit={handleSave}>
+          <table className="notification-preferences-table">
+            <thead>
+              <tr>
+                <th scope="col">Notify me about</th>
+                {NOTIFICATION_PREFERENCE_CHANNELS.map((channel) => (
+                  <th scope="col" key={channel.value}>{channel.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {NOTIFICATION_PREFERENCE_TYPES.map((type) => (
+                <tr key={type.value}>
+                  <th scope="row">{type.label}</th>
+                  {NOTIFICATION_PREFERENCE_CHANNELS.map((channel) => (
+                    <td key={channel.value}>
+                      <input
+                        type="checkbox"
+                        aria-label={`${type.label}: ${channel.label}`}
+                        checked={Boolean(preferences[type.value]?.[channel.value])}
+                        onChange={(event) => toggle(type.value, channel.value, event.target.checked)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="account-security-actions">
+            <button type="submit" className="btn btn-soft" disabled={saving || !hasChanges}>
+              {saving ? 'Saving...' : 'Save preferences'}
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { enableTwoFactor, setupTwoFactor } from '../../utils/authApi';
+
+export function RecoveryCodesList({ codes }) {
+  return (
+    <div className="two-factor-recovery">
+      <p>
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator. They will not be shown again.
+      </p>
+      <ol className="two-factor-recovery-codes">
+        {codes.map((code) => (
+          <li key={code}><code>{code}</code></li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default function TwoFactorEnrollment({ token, enrollmentToken, onEnabled, onError }) {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  function reportError(message) {
+    if (typeof onError === 'function') {
+      onError(message);
+    }
+  }
+
+  async function handleStart() {
+    setBusy(true);
+    try {
+      setSetup(await setupTwoFactor({ token, enrollmentToken }));
+    } catch (error) {
+      reportError(`Could not start two-factor setup: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleConfirm(event) {
+    event.preventDefault();
+    setBusy(true);
+    try {
+      const result = await enableTwoFactor({ token, enrollmentToken, code: code.trim() });
+      setCode('');
+      onEnabled(result);
+    } catch (error) {
+      reportError(error.message || 'Could not enable two-factor authentication.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!setup) {
+    return (
+      <button type="button" className="btn btn-soft" onClick={handleStart} disabled={busy}>
+        {busy ? 'Preparing...' : 'Set up authenticator app'}
+      </button>
+    );
+  }
+
+  return (
+    <form className="stacked-form two-factor-enrollment" onSubmit={handleConfirm}>
+      <p>
+        Add ICEntral to your authenticator app with this key, or{' '}
+        <a href={setup.otpauthUri}>open it directly</a> on this device.
+      </p>
+      <code className="two-factor-secret">{setup.secret}</code>
+      <label>
+        <span>6-digit code from the app</span>
+        <input
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="[0-9]{6}"
+          maxLength={6}
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          required
+        />
+      </label>
+      <button type="submit" className="btn btn-primary-solid" disabled={busy}>
+        {busy ? 'Verifying...' : 'Turn on two-factor authentication'}
+      </button>
+    </form>
+  );
+}
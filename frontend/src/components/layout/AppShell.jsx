@@ -1,10 +1,10 @@
-import { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { useCallback, useEffect, useId, useMemo, useRef, useState } from 'react';
 import { Link, NavLink, Outlet, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/useAuth';
 import { useChatSocket } from '../../context/useChatSocket';
-import { getUnreadJobApplicationNotificationsForUser } from '../../utils/jobPortalStorage';
+import { fetchNotificationsBundle, getBundleSection, getSectionItems } from '../../utils/bffApi';
+import { describeNotification } from '../../utils/notificationsApi';
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 const PRIMARY_NAV_ITEMS = [
   { key: 'home', label: 'HOME', menuLabel: 'Home', to: '/home', hint: 'Main feed', end: true },
   { key: 'jobs', label: 'JOBS', menuLabel: 'Jobs', to: '/job-portal', hint: 'Career posts' },
@@ -21,32 +21,6 @@ const FEED_SECTIONS = [
   { key: 'moderation', label: 'Moderation', to: '/moderation', hint: 'Admin / Faculty', roles: ['admin', 'faculty']},
 ];
 
-async function apiRequest(path, options = {}) {
-  const storedToken = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
-  const response = await fetch(`${API_BASE_URL}${path}`, {
-    headers: {
-      'Content-Type': 'application/json',
-      ...(storedToken ? { Authorization: `Bearer ${storedToken}` } : {}),
-      ...(options.headers || {}),
-    },
-    ...options,
-  });
-
-  const contentType = response.headers.get('content-type') || '';
-  const data = contentType.includes('application/json')
-    ? await response.json()
-    : await response.text();
-
-  if (!response.ok) {
-    const message = typeof data === 'string'
-      ? data
-      : data?.error || data?.message || 'Request failed';
-    throw new Error(message);
-  }
-
-  return data;
-}
-
 function formatRelativeTime(value) {
   if (!value) return 'No timestamp';
   const date = new Date(value);
@@ -93,129 +67,28 @@ function mapAnnouncementNotification(post) {
     kind: 'announcement',
     badge: 'AN',
     title: post.title || 'New announcement posted',
-    subtitle: formatRelativeTime(post.createdAt),
-    createdAt: post.createdAt || null,
+    subtitle: formatRelativeTime(post.publishedAt || post.createdAt),
+    createdAt: post.publishedAt || post.createdAt || null,
   };
 }
 
-function mapVerificationNotification(item, isModerator) {
-  const normalizedStatus = String(item?.status || '').toLowerCase();
-  const createdAt = item?.reviewedAt || item?.updatedAt || item?.createdAt || null;
-
-  if (isModerator) {
-    return {
-      id: `verification-${item.id}`,
-      source: 'api',
-      kind: 'verification',
-      badge: 'VF',
-      title: `${item?.applicant?.fullName || 'Alumni'} requested verification`,
-      subtitle: formatRelativeTime(createdAt),
-      createdAt,
-    };
-  }
-
-  if (normalizedStatus === 'approved') {
-    return {
-      id: `verification-${item.id}`,
-      source: 'api',
-      kind: 'verification',
-      badge: 'VF',
-      title: 'Verification approved',
-      subtitle: formatRelativeTime(createdAt),
-      createdAt,
-    };
-  }
-
-  if (normalizedStatus === 'rejected') {
-    return {
-      id: `verification-${item.id}`,
-      source: 'api',
-      kind: 'verification',
-      badge: 'VF',
-      title: 'Verification rejected',
-      subtitle: formatRelativeTime(createdAt),
-      createdAt,
-    };
-  }
-
+function mapInboxNotification(notification) {
+  const { id, kind, badge, title, createdAt } = describeNotification(notification);
   return {
-    id: `verification-${item.id}`,
-    source: 'api',
-    kind: 'verification',
-    badge: 'VF',
-    title: 'Verification pending review',
+    id,
+    kind,
+    badge,
+    title,
     subtitle: formatRelativeTime(createdAt),
     createdAt,
   };
 }
 
-function mapJobNotificationItem(item) {
-  return {
-    id: String(item?.id || ''),
-    source: 'job-service',
-    kind: 'job',
-    badge: 'JB',
-    title: `${item?.applicantName || 'A student'} applied for ${item?.jobTitle || 'your job post'}`,
-    subtitle: formatRelativeTime(item?.createdAt),
-    createdAt: item?.createdAt || null,
-  };
-}
-
-function mapCollabNotificationItem(item) {
-  const postId = String(item?.postId || '').trim();
-  const postTitle = item?.postTitle || 'a collaboration post';
-  const actorName = item?.actorName || 'A collaborator';
-  const eventType = String(item?.eventType || '').toLowerCase();
-  let title = 'Collaboration update';
-
-  if (eventType === 'join_request_received') {
-    title = `${actorName} requested to join ${postTitle}`;
-  } else if (eventType === 'join_request_accepted') {
-    title = `Your request for ${postTitle} was accepted`;
-  } else if (eventType === 'join_request_rejected') {
-    title = `Your request for ${postTitle} was rejected`;
-  }
-
-  return {
-    id: String(item?.id || ''),
-    source: 'api',
-    kind: 'collab',
-    badge: 'CL',
-    title,
-    subtitle: formatRelativeTime(item?.createdAt),
-    createdAt: item?.createdAt || null,
-    postId,
-  };
-}
-
-function mapEventNotificationItem(item) {
-  const postId = String(item?.postId || '').trim();
-  const postTitle = item?.postTitle || 'an event post';
-  const actorName = item?.actorName || 'A volunteer';
-
-  return {
-    id: String(item?.id || ''),
-    source: 'api',
-    kind: 'event',
-    badge: 'EV',
-    title: `${actorName} enrolled for ${postTitle}`,
-    subtitle: formatRelativeTime(item?.createdAt),
-    createdAt: item?.createdAt || null,
-    postId,
-  };
-}
-
-function mapNewsletterNotificationItem(item) {
-  return {
-    id: String(item?.id || ''),
-    source: 'api',
-    kind: 'newsletter',
-    badge: 'NL',
-    title: item?.title || 'Monthly newsletter published',
-    subtitle: formatRelativeTime(item?.createdAt),
-    createdAt: item?.createdAt || null,
-  };
-}
+// Live pushes for these categories also show a toast; announcements and
+// newsletters only update the bell and sidebar list.
+const TOAST_CATEGORIES = new Set(['collab', 'job', 'verification', 'event', 'post', 'mention']);
+const TOAST_DURATION_MS = 6000;
+const MAX_TOASTS = 3;
 
 function SidebarItem({ item, canAccess, onNavigate, className = '' }) {
   const baseClassName = `feed-menu-item${className ? ` ${className}` : ''}`;
@@ -250,12 +123,13 @@ function SidebarItem({ item, canAccess, onNavigate, className = '' }) {
 export default function AppShell() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { user, isAuthenticated, isModerator, clearAuthSession } = useAuth();
+  const { user, isAuthenticated, isModerator, logout } = useAuth();
   const {
     conversations,
     loadingConversations,
     socketConnected: chatSocketConnected,
     isReconnecting: isChatReconnecting,
+    subscribeToNotifications,
   } = useChatSocket();
   const mobileDrawerId = useId();
   const mobileDrawerCloseButtonRef = useRef(null);
@@ -263,14 +137,15 @@ export default function AppShell() {
   const [isGlobalSearchSubmitting, setIsGlobalSearchSubmitting] = useState(false);
   const [recentNotifications, setRecentNotifications] = useState([]);
   const [loadingRecentNotifications, setLoadingRecentNotifications] = useState(true);
+  const [unreadNotificationCount, setUnreadNotificationCount] = useState(0);
+  const [notificationToasts, setNotificationToasts] = useState([]);
+  const toastTimersRef = useRef(new Map());
   const [avatarImageFailed, setAvatarImageFailed] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
   const profileName = user?.full_name || user?.name || 'Guest User';
   const profileAvatarUrl = typeof user?.avatar_url === 'string' ? user.avatar_url.trim() : '';
   const roleLabel = user?.role ? String(user.role) : 'guest';
-  const normalizedRole = String(user?.role || '').toLowerCase();
-  const isAlumni = normalizedRole === 'alumni';
   const isChatRoute = location.pathname.startsWith('/chat');
   const isPublicProfileRoute = location.pathname.startsWith('/profile/');
   const isDashboardRoute = location.pathname.startsWith('/dashboard');
@@ -309,7 +184,7 @@ export default function AppShell() {
   }
 
   function handleLogout() {
-    clearAuthSession();
+    logout();
     navigate('/login');
   }
 
@@ -395,130 +270,34 @@ export default function AppShell() {
       }
 
       try {
-        const allItems = [];
-        let readKeySet = new Set();
-        let lastSeenMs = NaN;
-
-        if (isAuthenticated) {
-          try {
-            const stateResult = await apiRequest('/users/notifications/state', {
-              signal: controller.signal,
-            });
-            const lastSeenAt = stateResult?.data?.lastSeenAt || null;
-            const readKeys = Array.isArray(stateResult?.data?.readKeys)
-              ? stateResult.data.readKeys.map((value) => String(value))
-              : [];
-            readKeySet = new Set(readKeys);
-            lastSeenMs = lastSeenAt ? new Date(lastSeenAt).getTime() : NaN;
-          } catch (error) {
-            if (error.name !== 'AbortError') {
-              console.warn('Could not load notification read state', error);
-            }
-          }
-        }
-
+        // Loaded through /bff/notifications; a failed section is logged and
+        // the list is left empty.
+        let bundle = null;
         try {
-          const announcementsResult = await apiRequest('/posts/feed?type=ANNOUNCEMENT&status=published&limit=12&offset=0', {
-            signal: controller.signal,
-          });
-          const announcements = Array.isArray(announcementsResult?.data) ? announcementsResult.data : [];
-          allItems.push(...announcements.map(mapAnnouncementNotification));
+          bundle = await fetchNotificationsBundle({ signal: controller.signal });
         } catch (error) {
           if (error.name !== 'AbortError') {
-            console.warn('Could not load announcement notifications', error);
-          }
-        }
-
-        if (isAuthenticated && (isModerator || isAlumni)) {
-          try {
-            const statusParam = isModerator ? 'pending' : 'all';
-            const verificationResult = await apiRequest(`/users/notifications/alumni-verifications?status=${statusParam}&limit=20`, {
-              signal: controller.signal,
-            });
-            const items = Array.isArray(verificationResult?.data) ? verificationResult.data : [];
-            allItems.push(...items.map((item) => mapVerificationNotification(item, isModerator)));
-          } catch (error) {
-            if (error.name !== 'AbortError') {
-              console.warn('Could not load verification notifications', error);
-            }
-          }
-        }
-
-        if (isAuthenticated && user?.id) {
-          try {
-            const jobItems = await getUnreadJobApplicationNotificationsForUser(user.id, { signal: controller.signal });
-            allItems.push(...jobItems.map(mapJobNotificationItem));
-          } catch (error) {
-            if (error.name !== 'AbortError') {
-              console.warn('Could not load job notifications', error);
-            }
+            console.warn('Could not load notifications', error);
           }
+          return;
         }
 
-        if (isAuthenticated) {
-          try {
-            const collabResult = await apiRequest('/posts/collab-notifications?limit=30', {
-              signal: controller.signal,
-            });
-            const collabItems = Array.isArray(collabResult?.data) ? collabResult.data : [];
-            allItems.push(...collabItems.map(mapCollabNotificationItem));
-          } catch (error) {
-            if (error.name !== 'AbortError') {
-              console.warn('Could not load collaboration notifications', error);
-            }
-          }
+        for (const name of bundle.failedSections || []) {
+          console.warn(`Could not load ${name}`, getBundleSection(bundle, name).error);
         }
 
-        if (isAuthenticated) {
-          try {
-            const eventResult = await apiRequest('/posts/event-notifications?limit=30', {
-              signal: controller.signal,
-            });
-            const eventItems = Array.isArray(eventResult?.data) ? eventResult.data : [];
-            allItems.push(...eventItems.map(mapEventNotificationItem));
-          } catch (error) {
-            if (error.name !== 'AbortError') {
-              console.warn('Could not load event notifications', error);
-            }
-          }
-        }
-
-        if (isAuthenticated) {
-          try {
-            const newsletterResult = await apiRequest('/posts/newsletter/notifications?limit=30', {
-              signal: controller.signal,
-            });
-            const newsletterItems = Array.isArray(newsletterResult?.data) ? newsletterResult.data : [];
-            allItems.push(...newsletterItems.map(mapNewsletterNotificationItem));
-          } catch (error) {
-            if (error.name !== 'AbortError') {
-              console.warn('Could not load newsletter notifications', error);
-            }
-          }
-        }
+        // Signed-in users get their inbox, newest first; guests get the
+        // latest announcements.
+        const items = isAuthenticated
+          ? getSectionItems(getBundleSection(bundle, 'inbox'))
+            .filter((notification) => !notification.isRead)
+            .map(mapInboxNotification)
+          : getSectionItems(getBundleSection(bundle, 'announcements')).map(mapAnnouncementNotification);
 
         if (!isMounted) return;
 
-        const sorted = allItems
-          .slice()
-          .sort((a, b) => {
-            const aTime = a.createdAt ? new Date(a.createdAt).getTime() : 0;
-            const bTime = b.createdAt ? new Date(b.createdAt).getTime() : 0;
-            return bTime - aTime;
-          });
-
-        const unreadFiltered = sorted.filter((item) => {
-          if (!isAuthenticated) return true;
-          if (item.source === 'job-service') return true;
-          if (readKeySet.has(String(item.id))) return false;
-          if (!item.createdAt) return true;
-          const createdAtMs = new Date(item.createdAt).getTime();
-          if (Number.isNaN(createdAtMs)) return true;
-          if (Number.isNaN(lastSeenMs)) return true;
-          return createdAtMs > lastSeenMs;
-        });
-
-        setRecentNotifications(unreadFiltered.slice(0, 5));
+        setRecentNotifications(items.slice(0, 5));
+        setUnreadNotificationCount(isAuthenticated ? Number(getBundleSection(bundle, 'inbox').unreadCount || 0) : 0);
       } finally {
         if (isMounted) {
           setLoadingRecentNotifications(false);
@@ -546,7 +325,43 @@ export default function AppShell() {
       window.clearInterval(refreshInterval);
       window.removeEventListener('focus', handleWindowFocus);
     };
-  }, [isAuthenticated, isModerator, isAlumni, location.pathname, user?.id]);
+  }, [isAuthenticated, location.pathname, user?.id]);
+
+  const dismissNotificationToast = useCallback((toastId) => {
+    window.clearTimeout(toastTimersRef.current.get(toastId));
+    toastTimersRef.current.delete(toastId);
+    setNotificationToasts((current) => current.filter((toast) => toast.id !== toastId));
+  }, []);
+
+  useEffect(() => {
+    const toastTimers = toastTimersRef.current;
+
+    const unsubscribe = subscribeToNotifications((notification) => {
+      const item = mapInboxNotification(notification);
+      setRecentNotifications((current) => [item, ...current.filter((entry) => entry.id !== item.id)].slice(0, 5));
+      setUnreadNotificationCount((current) => current + 1);
+
+      if (!TOAST_CATEGORIES.has(notification.category)) return;
+
+      const toast = describeNotification(notification);
+      setNotificationToasts((current) => [toast, ...current.filter((entry) => entry.id !== toast.id)].slice(0, MAX_TOASTS));
+      window.clearTimeout(toastTimers.get(toast.id));
+      toastTimers.set(toast.id, window.setTimeout(() => dismissNotificationToast(toast.id), TOAST_DURATION_MS));
+    });
+
+    return () => {
+      unsubscribe();
+      for (const timer of toastTimers.values()) {
+        window.clearTimeout(timer);
+      }
+      toastTimers.clear();
+    };
+  }, [dismissNotificationToast, subscribeToNotifications]);
+
+  function openNotificationToast(toast) {
+    dismissNotificationToast(toast.id);
+    navigate(toast.ctaTo);
+  }
 
   return (
     <div className="social-shell">
@@ -628,10 +443,10 @@ export default function AppShell() {
           <button
             type="button"
             className="topbar-circle-btn topbar-notif-btn"
-            aria-label="Notifications"
+            aria-label={unreadNotificationCount > 0 ? `Notifications (${unreadNotificationCount} unread)` : 'Notifications'}
             onClick={() => navigate('/notifications')}
           >
-            <span className="notif-dot" />
+            {unreadNotificationCount > 0 ? <span className="notif-dot" /> : null}
             <svg viewBox="0 0 24 24" focusable="false" aria-hidden="true">
               <path d="M12 3a5 5 0 0 0-5 5v2.25c0 .95-.32 1.88-.92 2.62l-.9 1.13A1.5 1.5 0 0 0 6.35 16.5h11.3a1.5 1.5 0 0 0 1.17-2.5l-.9-1.13A4.22 4.22 0 0 1 17 10.25V8a5 5 0 0 0-5-5zm0 18a2.5 2.5 0 0 0 2.45-2h-4.9A2.5 2.5 0 0 0 12 21z" />
             </svg>
@@ -920,6 +735,29 @@ export default function AppShell() {
           </aside>
         ) : null}
       </div>
+
+      {notificationToasts.length > 0 ? (
+        <div className="notification-toast-stack" role="status" aria-live="polite">
+          {notificationToasts.map((toast) => (
+            <div className={`notification-toast notif-${toast.kind}`} key={toast.id}>
+              <span className="contact-avatar contact-avatar-group" aria-hidden="true">{toast.badge}</span>
+              <button type="button" className="notification-toast-body" onClick={() => openNotificationToast(toast)}>
+                <small>{toast.label}</small>
+                <strong>{toast.title}</strong>
+                {toast.message ? <span>{toast.message}</span> : null}
+              </button>
+              <button
+                type="button"
+                className="notification-toast-close"
+                aria-label="Dismiss notification"
+                onClick={() => dismissNotificationToast(toast.id)}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : null}
     </div>
   );
 }
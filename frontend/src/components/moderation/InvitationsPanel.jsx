@@ -0,0 +1,214 @@
+import { startTransition, useEffect, useState } from 'react';
+import { useAuth } from '../../context/useAuth';
+import { createInvitation, listInvitations, revokeInvitation } from '../../utils/authApi';
+
+const EMPTY_FORM = { role: 'faculty', email: '', note: '', expiresInDays: '7' };
+
+function formatDate(value) {
+  if (!value) return 'N/A';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return new Intl.DateTimeFormat(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  }).format(date);
+}
+
+export default function InvitationsPanel({ onNotify }) {
+  const { token, user } = useAuth();
+  const isAdmin = String(user?.role || '').toLowerCase() === 'admin';
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [busyInvitationId, setBusyInvitationId] = useState(null);
+  const [createdInvite, setCreatedInvite] = useState(null);
+  const [refreshTick, setRefreshTick] = useState(0);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    let isMounted = true;
+
+    setLoading(true);
+    listInvitations({ token, status: statusFilter })
+      .then((result) => {
+        if (!isMounted) return;
+        startTransition(() => {
+          setInvitations(Array.isArray(result.invitations) ? result.invitations : []);
+        });
+      })
+      .catch((error) => {
+        if (isMounted) onNotify({ type: 'error', message: `Failed to load invitations: ${error.message}` });
+      })
+      .finally(() => {
+        if (isMounted) setLoading(false);
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [token, statusFilter, refreshTick, onNotify]);
+
+  function updateForm(key, value) {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  }
+
+  async function handleCreate(event) {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const result = await createInvitation({
+        token,
+        role: form.role,
+        email: form.email.trim() || null,
+        note: form.note.trim() || null,
+        expiresInDays: Number(form.expiresInDays) || 7,
+      });
+      setCreatedInvite(result);
+      setForm(EMPTY_FORM);
+      onNotify({
+        type: 'success',
+        message: result.emailSent
+          ? `Invitation emailed to ${result.invitation.email}.`
+          : 'Invitation created. Copy the link below; it will not be shown again.',
+      });
+      setRefreshTick((prev) => prev + 1);
+    } catch (error) {
+      onNotify({ type: 'error', message: `Could not create invitation: ${error.message}` });
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function handleRevoke(invitation) {
+    if (!window.confirm(`Revoke the ${invitation.role} invitation${invitation.email ? ` for ${invitation.email}` : ''}?`)) return;
+    setBusyInvitationId(invitation.id);
+    try {
+      await revokeInvitation({ token, invitationId: invitation.id });
+      onNotify({ type: 'success', message: 'Invitation revoked.' });
+      setRefreshTick((prev) => prev + 1);
+    } catch (error) {
+      onNotify({ type: 'error', message: `Could not revoke invitation: ${error.message}` });
+    } finally {
+      setBusyInvitationId(null);
+    }
+  }
+
+  return (
+    <section className="panel feed-panel user-admin-panel">
+      <div className="panel-header feed-header">
+        <div>
+          <p className="eyebrow">Onboarding</p>
+          <h3>Faculty & Admin Invitations</h3>
+        </div>
+        <div className="header-actions">
+          <select value={statusFilter} onChange={(event) => setStatusFilter(event.target.value)} aria-label="Invitation status">
+            <option value="pending">Pending</option>
+            <option value="used">Used</option>
+            <option value="expired">Expired</option>
+            <option value="revoked">Revoked</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+      </div>
+
+      <form className="user-admin-filters" onSubmit={handleCreate}>
+        <label>
+          <span>Role</span>
+          <select value={form.role} onChange={(event) => updateForm('role', event.target.value)}>
+            <option value="faculty">Faculty</option>
+            {isAdmin && <option value="admin">Admin</option>}
+          </select>
+        </label>
+        <label>
+          <span>Email (optional)</span>
+          <input
+            type="email"
+            placeholder="Restrict to this address"
+            value={form.email}
+            onChange={(event) => updateForm('email', event.target.value)}
+          />
+        </label>
+        <label>
+          <span>Expires in (days)</span>
+          <input
+            type="number"
+            min="1"
+            max="30"
+            value={form.expiresInDays}
+            onChange={(event) => updateForm('expiresInDays', event.target.value)}
+          />
+        </label>
+        <label>
+          <span>Note</span>
+          <input
+            type="text"
+            placeholder="e.g. New CSE lecturer"
+            value={form.note}
+            onChange={(event) => updateForm('note', event.target.value)}
+          />
+        </label>
+        <div className="user-admin-filter-actions">
+          <button className="btn btn-accent" type="submit" disabled={submitting}>
+            {submitting ? 'Creating...' : 'Create invitation'}
+          </button>
+        </div>
+      </form>
+
+      {createdInvite && (
+        <div className="api-note">
+          <p><strong>Invitation link:</strong> <code>{createdInvite.inviteUrl}</code></p>
+          <p><strong>Code:</strong> <code>{createdInvite.code}</code></p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="muted-line">Loading invitations...</p>
+      ) : invitations.length === 0 ? (
+        <p className="muted-line">No invitations match this filter.</p>
+      ) : (
+        <div className="user-admin-table-wrap">
+          <table className="user-admin-table">
+            <thead>
+              <tr>
+                <th>Role</th>
+                <th>Email</th>
+                <th>Status</th>
+                <th>Created</th>
+                <th>Expires</th>
+                <th>Note</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {invitations.map((invitation) => (
+                <tr key={invitation.id}>
+                  <td>{invitation.role}</td>
+                  <td>{invitation.email || 'Any address'}</td>
+                  <td><span className="pill">{invitation.status}</span></td>
+                  <td>{formatDate(invitation.createdAt)}</td>
+                  <td>{formatDate(invitation.expiresAt)}</td>
+                  <td>{invitation.note || ''}</td>
+                  <td>
+                    {invitation.status === 'pending' && (isAdmin || invitation.role !== 'admin') && (
+                      <button
+                        className="btn btn-danger-soft"
+                        type="button"
+                        disabled={busyInvitationId === invitation.id}
+                        onClick={() => handleRevoke(invitation)}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,183 @@
+import { startTransition, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getPostAuthorDisplayName } from '../../utils/postAuthor';
+import {
+  fetchPostReviewQueue,
+  getPostLabel,
+  getPostImageUrl,
+  POST_REVIEW_STATUS_LABELS,
+  submitPostReview,
+} from '../../utils/postManagement';
+
+const REVIEW_OUTCOME_MESSAGES = {
+  approve: 'Post approved.',
+  reject: 'Post rejected.',
+  request_changes: 'Changes requested from the author.',
+};
+
+function formatDateTime(value) {
+  if (!value) return 'N/A';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return new Intl.DateTimeFormat(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  }).format(date);
+}
+
+export default function PostReviewQueue({ onNotify }) {
+  const [statusFilter, setStatusFilter] = useState('pending_review');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyPostId, setBusyPostId] = useState(null);
+  const [refreshTick, setRefreshTick] = useState(0);
+
+  useEffect(() => {
+    let isMounted = true;
+    const controller = new AbortController();
+
+    setLoading(true);
+    fetchPostReviewQueue({ status: statusFilter }, { signal: controller.signal })
+      .then((posts) => {
+        if (!isMounted) return;
+        startTransition(() => {
+          setItems(posts);
+        });
+      })
+      .catch((error) => {
+        if (!isMounted || error.name === 'AbortError') return;
+        onNotify({ type: 'error', message: `Failed to load the review queue: ${error.message}` });
+      })
+      .finally(() => {
+        if (isMounted) setLoading(false);
+      });
+
+    return () => {
+      isMounted = false;
+      controller.abort();
+    };
+  }, [statusFilter, refreshTick, onNotify]);
+
+  async function review(post, action) {
+    let reason = '';
+    if (action !== 'approve') {
+      const prompt = action === 'reject' ? 'Why is this post rejected?' : 'What should the author change?';
+      reason = (window.prompt(prompt, '') || '').trim();
+      if (!reason) {
+        onNotify({ type: 'error', message: 'A reason is required so the author knows what to do.' });
+        return;
+      }
+    }
+
+    setBusyPostId(post.id);
+    try {
+      await submitPostReview(post.id, { action, reason });
+      onNotify({ type: 'success', message: REVIEW_OUTCOME_MESSAGES[action] });
+      setItems((prev) => prev.filter((item) => item.id !== post.id));
+    } catch (error) {
+      onNotify({ type: 'error', message: `Could not review "${getPostLabel(post)}": ${error.message}` });
+    } finally {
+      setBusyPostId(null);
+    }
+  }
+
+  const reviewable = statusFilter === 'pending_review';
+
+  return (
+    <section className="panel feed-panel">
+      <div className="panel-header feed-header">
+        <div>
+          <p className="eyebrow">Review Queue</p>
+          <h3>Posts Waiting for Review</h3>
+        </div>
+        <div className="header-actions">
+          <span className="pill">{loading ? 'Loading...' : `${items.length} post(s)`}</span>
+          <button className="btn btn-soft" type="button" onClick={() => setRefreshTick((prev) => prev + 1)}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <form className="feed-filters" onSubmit={(event) => event.preventDefault()}>
+        <label>
+          <span>Status</span>
+          <select value={statusFilter} onChange={(event) => setStatusFilter(event.target.value)}>
+            {Object.entries(POST_REVIEW_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </form>
+
+      {loading ? (
+        <div className="skeleton-grid" aria-hidden="true">
+          {Array.from({ length: 3 }).map((_, index) => (
+            <div className="feed-card skeleton-card" key={index} />
+          ))}
+        </div>
+      ) : items.length === 0 ? (
+        <div className="empty-state">
+          <h4>Nothing to review</h4>
+          <p>No posts match the current status filter.</p>
+        </div>
+      ) : (
+        <div className="feed-grid">
+          {items.map((post, index) => {
+            const imageUrl = getPostImageUrl(post);
+            const busy = busyPostId === post.id;
+            return (
+              <article className="feed-card social-post-card" key={post.id} style={{ '--card-index': index }}>
+                <div className="social-post-header">
+                  <div className="post-author-chip">
+                    <span className="post-avatar">{String(post.type || 'P').slice(0, 1)}</span>
+                    <div>
+                      <strong>{getPostLabel(post)}</strong>
+                      <small>{getPostAuthorDisplayName(post, 'Unknown author')}</small>
+                    </div>
+                  </div>
+                  <div className="pill-row">
+                    <span className="pill">{post.type || 'POST'}</span>
+                  </div>
+                </div>
+
+                {imageUrl && (
+                  <div className="feed-image-wrap">
+                    <img src={imageUrl} alt={post.title || 'Post image'} loading="lazy" />
+                  </div>
+                )}
+
+                <p className="feed-summary">{post.summary || 'No summary provided.'}</p>
+
+                <div className="api-note">
+                  <p><strong>Submitted:</strong> {formatDateTime(post.updatedAt)}</p>
+                  {post.publishAt && <p><strong>Requested publish time:</strong> {formatDateTime(post.publishAt)}</p>}
+                  {post.reviewNote && <p><strong>Review note:</strong> {post.reviewNote}</p>}
+                </div>
+
+                <div className="feed-card-actions social-actions">
+                  <Link className="btn btn-soft" to={`/posts/${post.id}`}>Open</Link>
+                  {reviewable && (
+                    <>
+                      <button className="btn btn-accent" type="button" disabled={busy} onClick={() => review(post, 'approve')}>
+                        Approve
+                      </button>
+                      <button className="btn btn-soft" type="button" disabled={busy} onClick={() => review(post, 'request_changes')}>
+                        Request changes
+                      </button>
+                      <button className="btn btn-danger-soft" type="button" disabled={busy} onClick={() => review(post, 'reject')}>
+                        Reject
+                      </button>
+                    </>
+                  )}
+                </div>
+              </article>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,392 @@
+import { startTransition, useEffect, useState } from 'react';
+import { useAuth } from '../../context/useAuth';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+const PAGE_SIZE = 25;
+const ROLE_OPTIONS = ['student', 'alumni', 'faculty', 'admin'];
+const EMPTY_FILTERS = {
+  q: '',
+  role: '',
+  session: '',
+  status: '',
+  verificationStatus: '',
+  createdFrom: '',
+  createdTo: '',
+};
+
+async function apiRequest(path, options = {}) {
+  const storedToken = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      ...(storedToken ? { Authorization: `Bearer ${storedToken}` } : {}),
+      ...(options.headers || {}),
+    },
+    ...options,
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  const data = contentType.includes('application/json')
+    ? await response.json()
+    : await response.text();
+
+  if (!response.ok) {
+    const message = typeof data === 'string'
+      ? data
+      : data?.error || data?.message || 'Request failed';
+    throw new Error(message);
+  }
+
+  return data;
+}
+
+function formatDate(value) {
+  if (!value) return 'N/A';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return new Intl.DateTimeFormat(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  }).format(date);
+}
+
+function buildUsersQuery(filters, offset) {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    // Date inputs give local calendar days; send the day's bounds so the
+    // "to" date is inclusive.
+    if (key === 'createdTo') {
+      params.set(key, new Date(`${value}T23:59:59.999`).toISOString());
+    } else if (key === 'createdFrom') {
+      params.set(key, new Date(`${value}T00:00:00`).toISOString());
+    } else {
+      params.set(key, value.trim());
+    }
+  });
+  return params.toString();
+}
+
+function statusTone(status) {
+  if (status === 'suspended') return 'tone-warn';
+  if (status === 'pending_verification') return 'tone-muted';
+  return 'tone-ok';
+}
+
+export default function UserManagementPanel({ onNotify }) {
+  const { user: currentUser } = useAuth();
+  const isAdmin = String(currentUser?.role || '').toLowerCase() === 'admin';
+  const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busyUserId, setBusyUserId] = useState(null);
+  const [roleDrafts, setRoleDrafts] = useState({});
+  const [refreshTick, setRefreshTick] = useState(0);
+
+  useEffect(() => {
+    let isMounted = true;
+    const controller = new AbortController();
+
+    async function loadUsers() {
+      setLoading(true);
+      try {
+        const result = await apiRequest(`/users/admin/users?${buildUsersQuery(filters, offset)}`, {
+          signal: controller.signal,
+        });
+        if (!isMounted) return;
+        startTransition(() => {
+          setUsers(Array.isArray(result.data) ? result.data : []);
+          setTotal(result.pagination?.total ?? 0);
+          setRoleDrafts({});
+        });
+      } catch (error) {
+        if (!isMounted || error.name === 'AbortError') return;
+        onNotify({ type: 'error', message: `Failed to load users: ${error.message}` });
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    }
+
+    loadUsers();
+    return () => {
+      isMounted = false;
+      controller.abort();
+    };
+  }, [filters, offset, refreshTick, onNotify]);
+
+  function updateDraftFilter(key, value) {
+    setDraftFilters((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function applyFilters(event) {
+    event.preventDefault();
+    setOffset(0);
+    setFilters(draftFilters);
+  }
+
+  function resetFilters() {
+    setDraftFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setFilters(EMPTY_FILTERS);
+  }
+
+  async function runUserAction(userId, path, body, successMessage) {
+    setBusyUserId(userId);
+    try {
+      const result = await apiRequest(`/users/admin/users/${userId}${path}`, {
+        method: 'PATCH',
+        body: JSON.stringify(body),
+      });
+      onNotify({ type: 'success', message: result?.message || successMessage });
+      setRefreshTick((prev) => prev + 1);
+    } catch (error) {
+      onNotify({ type: 'error', message: `Could not update user: ${error.message}` });
+    } finally {
+      setBusyUserId(null);
+    }
+  }
+
+  function changeRole(account) {
+    const role = roleDrafts[account.id];
+    if (!role || role === account.role) return;
+    if (!window.confirm(`Change ${account.fullName || account.email} to ${role}? They will be signed out everywhere.`)) return;
+    runUserAction(account.id, '/role', { role }, 'Role updated.');
+  }
+
+  function suspendUser(account) {
+    const reason = window.prompt(`Reason for suspending ${account.fullName || account.email} (optional):`, '');
+    if (reason === null) return;
+    runUserAction(account.id, '/suspend', { reason: reason.trim() || null }, 'User suspended.');
+  }
+
+  function editUniversityId(account) {
+    const universityId = window.prompt('University ID:', account.universityId || '');
+    if (universityId === null || universityId.trim() === (account.universityId || '')) return;
+    runUserAction(account.id, '', { universityId }, 'User updated.');
+  }
+
+  function canManage(account) {
+    if (account.id === currentUser?.id) return false;
+    return isAdmin || account.role !== 'admin';
+  }
+
+  const pageStart = total === 0 ? 0 : offset + 1;
+  const pageEnd = Math.min(offset + users.length, total);
+
+  return (
+    <section className="panel feed-panel user-admin-panel">
+      <div className="panel-header feed-header">
+        <div>
+          <p className="eyebrow">Accounts</p>
+          <h3>Users</h3>
+        </div>
+        <div className="header-actions">
+          <span className="pill">{loading ? 'Loading...' : `${pageStart}-${pageEnd} of ${total}`}</span>
+          <button className="btn btn-soft" type="button" onClick={() => setRefreshTick((prev) => prev + 1)}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <form className="user-admin-filters" onSubmit={applyFilters}>
+        <label>
+          <span>Search</span>
+          <input
+            type="search"
+            placeholder="Name, email or university ID"
+            value={draftFilters.q}
+            onChange={(event) => updateDraftFilter('q', event.target.value)}
+          />
+        </label>
+        <label>
+          <span>Role</span>
+          <select value={draftFilters.role} onChange={(event) => updateDraftFilter('role', event.target.value)}>
+            <option value="">All roles</option>
+            {ROLE_OPTIONS.map((role) => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>Session</span>
+          <input
+            type="text"
+            placeholder="e.g. 2019-20"
+            value={draftFilters.session}
+            onChange={(event) => updateDraftFilter('session', event.target.value)}
+          />
+        </label>
+        <label>
+          <span>Account</span>
+          <select value={draftFilters.status} onChange={(event) => updateDraftFilter('status', event.target.value)}>
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="pending_verification">Email unverified</option>
+            <option value="suspended">Suspended</option>
+          </select>
+        </label>
+        <label>
+          <span>Alumni verification</span>
+          <select
+            value={draftFilters.verificationStatus}
+            onChange={(event) => updateDraftFilter('verificationStatus', event.target.value)}
+          >
+            <option value="">Any</option>
+            <option value="approved">Verified</option>
+            <option value="pending">Pending</option>
+            <option value="rejected">Rejected</option>
+            <option value="not_submitted">Not submitted</option>
+          </select>
+        </label>
+        <label>
+          <span>Joined from</span>
+          <input
+            type="date"
+            value={draftFilters.createdFrom}
+            onChange={(event) => updateDraftFilter('createdFrom', event.target.value)}
+          />
+        </label>
+        <label>
+          <span>Joined to</span>
+          <input
+            type="date"
+            value={draftFilters.createdTo}
+            onChange={(event) => updateDraftFilter('createdTo', event.target.value)}
+          />
+        </label>
+        <div className="user-admin-filter-actions">
+          <button className="btn btn-accent" type="submit">Apply</button>
+          <button className="btn btn-soft" type="button" onClick={resetFilters}>Reset</button>
+        </div>
+      </form>
+
+      {loading ? (
+        <p className="muted-line">Loading users...</p>
+      ) : users.length === 0 ? (
+        <div className="empty-state">
+          <h4>No users found</h4>
+          <p>No accounts match the current filters.</p>
+        </div>
+      ) : (
+        <div className="user-admin-table-wrap">
+          <table className="user-admin-table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>University ID</th>
+                <th>Session</th>
+                <th>Status</th>
+                <th>Joined</th>
+                <th>Role</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((account) => {
+                const manageable = canManage(account);
+                const busy = busyUserId === account.id;
+                const roleDraft = roleDrafts[account.id] || account.role;
+
+                return (
+                  <tr key={account.id}>
+                    <td>
+                      <strong>{account.fullName || 'Unnamed user'}</strong>
+                      <small>{account.email || 'No email'}</small>
+                    </td>
+                    <td>{account.universityId || 'N/A'}</td>
+                    <td>{account.session || 'N/A'}</td>
+                    <td>
+                      <div className="pill-row">
+                        <span className={`pill ${statusTone(account.accountStatus)}`}>
+                          {String(account.accountStatus || 'active').replace('_', ' ')}
+                        </span>
+                        {account.alumniVerificationStatus && (
+                          <span className="pill pill-ghost">alumni: {account.alumniVerificationStatus.replace('_', ' ')}</span>
+                        )}
+                      </div>
+                      {account.suspendedReason && <small>{account.suspendedReason}</small>}
+                    </td>
+                    <td>{formatDate(account.createdAt)}</td>
+                    <td>
+                      <div className="user-admin-role">
+                        <select
+                          aria-label={`Role for ${account.fullName || account.email}`}
+                          value={roleDraft}
+                          disabled={!manageable || busy}
+                          onChange={(event) => setRoleDrafts((prev) => ({ ...prev, [account.id]: event.target.value }))}
+                        >
+                          {ROLE_OPTIONS.filter((role) => isAdmin || role !== 'admin' || account.role === 'admin').map((role) => (
+                            <option key={role} value={role}>{role}</option>
+                          ))}
+                        </select>
+                        {roleDraft !== account.role && (
+                          <button className="btn btn-accent" type="button" disabled={busy} onClick={() => changeRole(account)}>
+                            Save
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                    <td>
+                      <div className="user-admin-actions">
+                        <button
+                          className="btn btn-soft"
+                          type="button"
+                          disabled={!manageable || busy}
+                          onClick={() => editUniversityId(account)}
+                        >
+                          Edit ID
+                        </button>
+                        {account.accountStatus === 'suspended' ? (
+                          <button
+                            className="btn btn-accent"
+                            type="button"
+                            disabled={!manageable || busy}
+                            onClick={() => runUserAction(account.id, '/reactivate', {}, 'User reactivated.')}
+                          >
+                            Reactivate
+                          </button>
+                        ) : (
+                          <button
+                            className="btn btn-danger-soft"
+                            type="button"
+                            disabled={!manageable || busy}
+                            onClick={() => suspendUser(account)}
+                          >
+                            Suspend
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="user-admin-pagination">
+        <button
+          className="btn btn-soft"
+          type="button"
+          disabled={loading || offset === 0}
+          onClick={() => setOffset((prev) => Math.max(0, prev - PAGE_SIZE))}
+        >
+          Previous
+        </button>
+        <button
+          className="btn btn-soft"
+          type="button"
+          disabled={loading || offset + PAGE_SIZE >= total}
+          onClick={() => setOffset((prev) => prev + PAGE_SIZE)}
+        >
+          Next
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import {
+  COMMENT_REACTIONS,
+  fetchComments,
+  postComment,
+  setCommentReaction,
+} from '../../utils/commentsApi';
+import MentionInput from './MentionInput';
+import MentionText from './MentionText';
+
+const REPLY_PAGE_LIMIT = 10;
+
+export default function CommentThreadItem({
+  postId,
+  comment,
+  featured = false,
+  isAuthenticated,
+  currentUserId,
+  getAuthorLabel,
+  formatDate,
+  onOpenProfile,
+  onStatus,
+  onCommentCountChange,
+  onReplyCreated,
+}) {
+  const [item, setItem] = useState(comment);
+  const [replies, setReplies] = useState([]);
+  const [repliesCursor, setRepliesCursor] = useState(null);
+  const [repliesLoaded, setRepliesLoaded] = useState(false);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+  const [replyOpen, setReplyOpen] = useState(false);
+  const [replyDraft, setReplyDraft] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const viewerReactions = item.viewerReactions || [];
+  const hasUpvoted = viewerReactions.includes('upvote');
+  const hiddenReplyCount = Math.max(0, (item.replyCount || 0) - replies.length);
+
+  function notify(type, message) {
+    if (typeof onStatus === 'function') {
+      onStatus({ type, message });
+    }
+  }
+
+  async function loadReplies(cursor = null) {
+    setLoadingReplies(true);
+    try {
+      const page = await fetchComments(postId, { parentId: item.id, cursor, limit: REPLY_PAGE_LIMIT });
+      setReplies((prev) => {
+        const known = new Set(prev.map((reply) => reply.id));
+        return [...prev, ...page.comments.filter((reply) => !known.has(reply.id))];
+      });
+      setRepliesCursor(page.nextCursor);
+      setRepliesLoaded(true);
+    } catch (error) {
+      notify('error', `Could not load replies: ${error.message}`);
+    } finally {
+      setLoadingReplies(false);
+    }
+  }
+
+  // Replies to a comment at the nesting limit are attached to its parent by
+  // post-service, so they are handed up until they reach it.
+  function acceptReply(reply) {
+    if (reply.parentCommentId !== item.id) {
+      if (typeof onReplyCreated === 'function') onReplyCreated(reply);
+      return;
+    }
+    setReplies((prev) => [...prev, reply]);
+    setItem((prev) => ({ ...prev, replyCount: (prev.replyCount || 0) + 1 }));
+  }
+
+  async function handleReplySubmit(event) {
+    event.preventDefault();
+    const content = replyDraft.trim();
+    if (!content) return;
+
+    setBusy(true);
+    try {
+      const result = await postComment(postId, { content, parentCommentId: item.id });
+      if (result?.data) acceptReply(result.data);
+      const backendCount = Number(result?.meta?.commentCount);
+      if (Number.isFinite(backendCount) && typeof onCommentCountChange === 'function') {
+        onCommentCountChange(backendCount);
+      }
+      setReplyDraft('');
+      setReplyOpen(false);
+    } catch (error) {
+      notify('error', `Reply failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function toggleReaction(reaction) {
+    if (!isAuthenticated) {
+      notify('error', 'Sign in to react to comments.');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const updated = await setCommentReaction(postId, item.id, reaction, !viewerReactions.includes(reaction));
+      if (updated) setItem((prev) => ({ ...prev, ...updated }));
+    } catch (error) {
+      notify('error', `Reaction failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <li className={`post-detail-comment-item${featured ? ' is-featured' : ''}${item.deleted ? ' is-deleted' : ''}`}>
+      <div className="post-comment-head">
+        {item.deleted ? (
+          <strong>Deleted comment</strong>
+        ) : item.authorId ? (
+          <button
+            type="button"
+            className="author-inline-btn"
+            onClick={(event) => onOpenProfile(event, item.authorId)}
+          >
+            {getAuthorLabel(item)}
+          </button>
+        ) : (
+          <strong>{getAuthorLabel(item)}</strong>
+        )}
+        <small>{formatDate(item.createdAt)}</small>
+      </div>
+      <p>
+        {item.deleted
+          ? 'This comment was deleted.'
+          : <MentionText text={item.content || 'No comment text provided.'} mentions={item.mentions} currentUserId={currentUserId} />}
+      </p>
+
+      {!item.deleted && (
+        <div className="post-comment-actions">
+          <button
+            type="button"
+            className={`post-comment-reaction${hasUpvoted ? ' is-active' : ''}`}
+            aria-pressed={hasUpvoted}
+            aria-label={`Upvote (${item.upvoteCount || 0})`}
+            onClick={() => toggleReaction('upvote')}
+            disabled={busy}
+          >
+            ▲ {item.upvoteCount || 0}
+          </button>
+          {COMMENT_REACTIONS.map((reaction) => {
+            const count = item.reactions?.[reaction.value] || 0;
+            const active = viewerReactions.includes(reaction.value);
+            return (
+              <button
+                key={reaction.value}
+                type="button"
+                className={`post-comment-reaction${active ? ' is-active' : ''}`}
+                aria-pressed={active}
+                aria-label={`${reaction.label} (${count})`}
+                title={reaction.label}
+                onClick={() => toggleReaction(reaction.value)}
+                disabled={busy}
+              >
+                <span aria-hidden="true">{reaction.symbol}</span>
+                {count > 0 && ` ${count}`}
+              </button>
+            );
+          })}
+          {isAuthenticated && (
+            <button type="button" className="post-comment-link" onClick={() => setReplyOpen((prev) => !prev)}>
+              Reply
+            </button>
+          )}
+        </div>
+      )}
+
+      {replyOpen && (
+        <form className="post-join-form post-comment-reply-form" onSubmit={handleReplySubmit}>
+          <MentionInput
+            placeholder={`Reply to ${getAuthorLabel(item)}`}
+            value={replyDraft}
+            onChange={setReplyDraft}
+            disabled={busy}
+            autoFocus
+          />
+          <button className="btn btn-primary-solid" type="submit" disabled={busy || !replyDraft.trim()}>
+            Reply
+          </button>
+        </form>
+      )}
+
+      {replies.length > 0 && (
+        <ul className="post-comment-replies" aria-label={`Replies to ${getAuthorLabel(item)}`}>
+          {replies.map((reply) => (
+            <CommentThreadItem
+              key={reply.id}
+              postId={postId}
+              comment={reply}
+              isAuthenticated={isAuthenticated}
+              currentUserId={currentUserId}
+              getAuthorLabel={getAuthorLabel}
+              formatDate={formatDate}
+              onOpenProfile={onOpenProfile}
+              onStatus={onStatus}
+              onCommentCountChange={onCommentCountChange}
+              onReplyCreated={acceptReply}
+            />
+          ))}
+        </ul>
+      )}
+
+      {hiddenReplyCount > 0 && (!repliesLoaded || repliesCursor) && (
+        <button
+          type="button"
+          className="post-comment-link"
+          onClick={() => loadReplies(repliesLoaded ? repliesCursor : null)}
+          disabled={loadingReplies}
+        >
+          {loadingReplies
+            ? 'Loading replies...'
+            : `View ${hiddenReplyCount} ${hiddenReplyCount === 1 ? 'reply' : 'replies'}`}
+        </button>
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,113 @@
+import { useEffect, useId, useRef, useState } from 'react';
+import { fetchMentionSuggestions, getTypedMention } from '../../utils/mentionsApi';
+
+const SUGGESTION_DELAY_MS = 200;
+
+// A text input that suggests people while an "@handle" is being typed.
+export default function MentionInput({ value, onChange, ...inputProps }) {
+  const listId = useId();
+  const inputRef = useRef(null);
+  const [typedMention, setTypedMention] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const query = typedMention?.query || '';
+  const open = Boolean(query) && suggestions.length > 0;
+
+  useEffect(() => {
+    if (!query) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      fetchMentionSuggestions(query, { signal: controller.signal })
+        .then((items) => {
+          setSuggestions(items);
+          setActiveIndex(0);
+        })
+        .catch((error) => {
+          if (error.name !== 'AbortError') setSuggestions([]);
+        });
+    }, SUGGESTION_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  function trackTypedMention(input) {
+    setTypedMention(getTypedMention(input.value, input.selectionStart ?? input.value.length));
+  }
+
+  function pickSuggestion(suggestion) {
+    if (!typedMention || !suggestion) return;
+    const inserted = `@${suggestion.handle} `;
+    const end = typedMention.start + 1 + typedMention.query.length;
+    const caret = typedMention.start + inserted.length;
+    onChange(`${value.slice(0, typedMention.start)}${inserted}${value.slice(end)}`);
+    setTypedMention(null);
+    setSuggestions([]);
+
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    });
+  }
+
+  function handleKeyDown(event) {
+    if (!open) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((prev) => (prev + step + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      pickSuggestion(suggestions[activeIndex]);
+    } else if (event.key === 'Escape') {
+      setTypedMention(null);
+    }
+  }
+
+  return (
+    <div className="mention-input">
+      <input
+        {...inputProps}
+        ref={inputRef}
+        type="text"
+        value={value}
+        onChange={(event) => {
+          onChange(event.target.value);
+          trackTypedMention(event.target);
+        }}
+        onClick={(event) => trackTypedMention(event.target)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setTypedMention(null)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={open ? `${listId}-${activeIndex}` : undefined}
+      />
+      {open && (
+        <ul className="mention-suggestions" id={listId} role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.userId}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'is-active' : ''}
+              onMouseDown={(event) => {
+                event.preventDefault();
+                pickSuggestion(suggestion);
+              }}
+            >
+              <strong>{suggestion.fullName}</strong>
+              <small>@{suggestion.handle}</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
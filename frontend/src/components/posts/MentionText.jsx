@@ -0,0 +1,19 @@
+import { Link } from 'react-router-dom';
+import { splitMentionText } from '../../utils/mentionsApi';
+import { getProfilePathForUser } from '../../utils/profileNavigation';
+
+export default function MentionText({ text, mentions, currentUserId }) {
+  return splitMentionText(text, mentions).map((part, index) => {
+    if (typeof part === 'string') return part;
+    return (
+      <Link
+        key={`${part.userId}-${index}`}
+        className="mention-link"
+        to={getProfilePathForUser(part.userId, currentUserId)}
+        title={`@${part.handle}`}
+      >
+        @{part.fullName || part.handle}
+      </Link>
+    );
+  });
+}
@@ -12,6 +12,8 @@ import {
   isPostOwner,
   isFacultyUser,
   isPostArchived,
+  POST_REVIEW_STATUS_LABELS,
+  resubmitPostForReview,
   setPostPinned,
 } from '../../utils/postManagement';
 import { openUserProfile } from '../../utils/profileNavigation';
@@ -35,7 +37,8 @@ function statusTone(status) {
   const normalized = String(status || '').toLowerCase();
   if (normalized === 'published') return 'ok';
   if (normalized === 'archived') return 'muted';
-  if (normalized === 'draft') return 'warn';
+  if (normalized === 'draft' || normalized === 'pending_review' || normalized === 'changes_requested') return 'warn';
+  if (normalized === 'rejected') return 'muted';
   return 'neutral';
 }
 
@@ -113,6 +116,21 @@ export default function PostResultCard({
     }
   }
 
+  async function handleResubmitPost() {
+    if (!post?.id) return;
+
+    setBusyAction(true);
+    try {
+      const updated = await resubmitPostForReview(post.id);
+      onPostUpdated?.(post.id, updated || { status: 'pending_review' });
+      onActionFeedback?.({ type: 'success', message: 'Post sent back for review.' });
+    } catch (error) {
+      onActionFeedback?.({ type: 'error', message: `Could not resubmit the post: ${error.message}` });
+    } finally {
+      setBusyAction(false);
+    }
+  }
+
   async function handleDeletePost() {
     if (!post?.id) return;
     if (!isAuthenticated) {
@@ -176,13 +194,15 @@ export default function PostResultCard({
           <span className="post-avatar">{(post?.type || 'P').slice(0, 1)}</span>
           <div>
             <strong>{post?.title || `${post?.type || 'Post'} update`}</strong>
-            <small>{formatDate(post?.createdAt)}</small>
+            <small>{formatDate(post?.publishedAt || post?.createdAt)}</small>
           </div>
         </div>
 
         <div className="post-card-header-tools">
           <div className="pill-row">
-            <span className={`pill tone-${statusTone(post?.status)}`}>{post?.status || 'unknown'}</span>
+            <span className={`pill tone-${statusTone(post?.status)}`}>
+              {POST_REVIEW_STATUS_LABELS[post?.status] || post?.status || 'unknown'}
+            </span>
             {post?.pinned && <span className="pill tone-pin">Pinned</span>}
           </div>
 
@@ -205,6 +225,13 @@ export default function PostResultCard({
                   disabled: busyAction,
                   onSelect: () => setEditOpen(true),
                 },
+                {
+                  key: 'resubmit',
+                  label: 'Resubmit for review',
+                  hidden: !isOwner || post?.status !== 'changes_requested',
+                  disabled: busyAction,
+                  onSelect: handleResubmitPost,
+                },
                 {
                   key: 'archive',
                   label: 'Archive',
@@ -232,6 +259,12 @@ export default function PostResultCard({
 
       <p className="feed-summary">{post?.summary || 'No summary provided.'}</p>
 
+      {isOwner && post?.reviewNote && POST_REVIEW_STATUS_LABELS[post?.status] && (
+        <p className="post-review-note">
+          <strong>Moderator note:</strong> {post.reviewNote}
+        </p>
+      )}
+
       {Array.isArray(post?.tags) && post.tags.length > 0 && (
         <ul className="mini-tag-row" aria-label="Post tags">
           {post.tags.slice(0, 6).map((tag) => (
@@ -0,0 +1,273 @@
+import { useEffect, useMemo, useState } from 'react';
+import { fetchPostRevisions, restorePostToRevision } from '../../utils/postManagement';
+
+// Word diffs are quadratic in the text length, so very long texts are shown
+// as a whole replacement instead.
+const MAX_DIFF_CELLS = 250000;
+
+function formatRevisionDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return 'Unknown time';
+  return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function diffWords(before, after) {
+  const a = String(before || '').split(/(\s+)/).filter(Boolean);
+  const b = String(after || '').split(/(\s+)/).filter(Boolean);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...(a.length ? [{ type: 'removed', text: a.join('') }] : []),
+      ...(b.length ? [{ type: 'added', text: b.join('') }] : []),
+    ];
+  }
+
+  // lengths[i][j] is the longest common run of a[i..] and b[j..].
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  function push(type, text) {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('same', a[i]);
+      i += 1;
+      j += 1;
+    } else if (i < a.length && (j >= b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('removed', a[i]);
+      i += 1;
+    } else {
+      push('added', b[j]);
+      j += 1;
+    }
+  }
+  return parts;
+}
+
+function toFieldLabel(key) {
+  const text = String(key)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/_/g, ' ')
+    .toLowerCase();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '') return 'Not set';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : 'Not set';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Job, event and collaboration details, flattened to label -> value.
+function getRevisionDetails(revision) {
+  const details = {};
+  for (const ref of revision?.refs || []) {
+    for (const [key, value] of Object.entries(ref.metadata || {})) {
+      details[toFieldLabel(key)] = formatFieldValue(value);
+    }
+  }
+  for (const [key, value] of Object.entries(revision?.collab || {})) {
+    details[toFieldLabel(key)] = formatFieldValue(value);
+  }
+  return details;
+}
+
+function DiffText({ before, after }) {
+  const parts = diffWords(before, after);
+  if (!parts.length) return <p className="post-revision-diff-text muted-line">Empty</p>;
+
+  return (
+    <p className="post-revision-diff-text">
+      {parts.map((part, index) => {
+        if (part.type === 'added') return <ins key={index}>{part.text}</ins>;
+        if (part.type === 'removed') return <del key={index}>{part.text}</del>;
+        return <span key={index}>{part.text}</span>;
+      })}
+    </p>
+  );
+}
+
+function RevisionDiff({ revision, previous }) {
+  if (!previous) {
+    return (
+      <p className="muted-line">
+        {revision.revisionNumber === 1
+          ? 'This is the original version of the post.'
+          : 'Earlier revisions are not listed here.'}
+      </p>
+    );
+  }
+
+  const previousTags = previous.tags || [];
+  const tags = revision.tags || [];
+  const addedTags = tags.filter((tag) => !previousTags.includes(tag));
+  const removedTags = previousTags.filter((tag) => !tags.includes(tag));
+
+  const previousDetails = getRevisionDetails(previous);
+  const details = getRevisionDetails(revision);
+  const changedDetails = [...new Set([...Object.keys(previousDetails), ...Object.keys(details)])]
+    .filter((label) => previousDetails[label] !== details[label]);
+
+  const titleChanged = (previous.title || '') !== (revision.title || '');
+  const summaryChanged = (previous.summary || '') !== (revision.summary || '');
+  const hasChanges = titleChanged || summaryChanged || addedTags.length || removedTags.length || changedDetails.length;
+
+  if (!hasChanges) {
+    return <p className="muted-line">No visible changes from revision {previous.revisionNumber}.</p>;
+  }
+
+  return (
+    <div className="post-revision-diff">
+      {titleChanged && (
+        <div className="post-revision-diff-field">
+          <small>Title</small>
+          <DiffText before={previous.title} after={revision.title} />
+        </div>
+      )}
+      {summaryChanged && (
+        <div className="post-revision-diff-field">
+          <small>Summary</small>
+          <DiffText before={previous.summary} after={revision.summary} />
+        </div>
+      )}
+      {(addedTags.length > 0 || removedTags.length > 0) && (
+        <div className="post-revision-diff-field">
+          <small>Tags</small>
+          <div className="pill-row">
+            {addedTags.map((tag) => <span key={`added-${tag}`} className="pill tone-ok">+ {tag}</span>)}
+            {removedTags.map((tag) => <span key={`removed-${tag}`} className="pill tone-warn">- {tag}</span>)}
+          </div>
+        </div>
+      )}
+      {changedDetails.map((label) => (
+        <div key={label} className="post-revision-diff-field">
+          <small>{label}</small>
+          <p className="post-revision-diff-text">
+            <del>{previousDetails[label] ?? 'Not set'}</del>
+            {' '}
+            <ins>{details[label] ?? 'Not set'}</ins>
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function PostRevisionHistory({ postId, editedAt, canRestore, onRestored, onStatus }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState('');
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    fetchPostRevisions(postId, {}, { signal: controller.signal })
+      .then((items) => {
+        setRevisions(items);
+        setSelectedId(items[0]?.id || '');
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') setRevisions([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [postId, editedAt]);
+
+  const selectedIndex = useMemo(
+    () => revisions.findIndex((revision) => revision.id === selectedId),
+    [revisions, selectedId],
+  );
+  const selected = selectedIndex >= 0 ? revisions[selectedIndex] : null;
+  const previous = selectedIndex >= 0 ? revisions[selectedIndex + 1] || null : null;
+
+  function notify(type, message) {
+    if (typeof onStatus === 'function') {
+      onStatus({ type, message });
+    }
+  }
+
+  async function handleRestore() {
+    if (!selected) return;
+    if (!window.confirm(`Restore revision ${selected.revisionNumber}? The current version stays in the history.`)) return;
+
+    setRestoring(true);
+    try {
+      const updatedPost = await restorePostToRevision(postId, selected.id);
+      if (updatedPost && typeof onRestored === 'function') onRestored(updatedPost);
+      notify('success', `Revision ${selected.revisionNumber} restored.`);
+    } catch (error) {
+      notify('error', `Could not restore the revision: ${error.message}`);
+    } finally {
+      setRestoring(false);
+    }
+  }
+
+  return (
+    <section className="post-revision-panel" aria-label="Edit history">
+      <div className="post-comments-header">
+        <h5>Edit history</h5>
+      </div>
+
+      {loading ? (
+        <p className="post-comments-hint">Loading edit history...</p>
+      ) : revisions.length === 0 ? (
+        <p className="post-comments-hint">No earlier versions were recorded for this post.</p>
+      ) : (
+        <div className="post-revision-layout">
+          <ol className="post-revision-list">
+            {revisions.map((revision) => (
+              <li key={revision.id}>
+                <button
+                  type="button"
+                  className={`post-revision-item${revision.id === selectedId ? ' is-active' : ''}`}
+                  onClick={() => setSelectedId(revision.id)}
+                  aria-pressed={revision.id === selectedId}
+                >
+                  <strong>Revision {revision.revisionNumber}</strong>
+                  <small>
+                    {revision.editorName || 'Unknown editor'} · {formatRevisionDate(revision.createdAt)}
+                  </small>
+                  {revision.restoredFrom && <small>Restored revision {revision.restoredFrom}</small>}
+                </button>
+              </li>
+            ))}
+          </ol>
+
+          {selected && (
+            <div className="post-revision-detail">
+              <RevisionDiff revision={selected} previous={previous} />
+              {canRestore && selectedIndex > 0 && (
+                <div className="post-revision-actions">
+                  <button type="button" className="btn btn-soft" onClick={handleRestore} disabled={restoring}>
+                    {restoring ? 'Restoring...' : `Restore revision ${selected.revisionNumber}`}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
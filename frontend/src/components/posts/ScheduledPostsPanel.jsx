@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import {
+  cancelScheduledPost,
+  getPostLabel,
+  reschedulePost,
+} from '../../utils/postManagement';
+
+function toDateTimeLocalValue(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+function formatPublishAt(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return 'No publish time';
+  return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export default function ScheduledPostsPanel({ posts, onPostUpdated, onStatus }) {
+  const [drafts, setDrafts] = useState({});
+  const [busyPostId, setBusyPostId] = useState('');
+
+  function notify(type, message) {
+    if (typeof onStatus === 'function') {
+      onStatus({ type, message });
+    }
+  }
+
+  async function handleReschedule(post) {
+    const value = drafts[post.id];
+    const publishAt = value ? new Date(value) : null;
+    if (!publishAt || Number.isNaN(publishAt.getTime()) || publishAt.getTime() <= Date.now()) {
+      notify('error', 'Pick a publish time in the future.');
+      return;
+    }
+
+    setBusyPostId(post.id);
+    try {
+      const updated = await reschedulePost(post.id, publishAt.toISOString());
+      onPostUpdated(post.id, updated || { publishAt: publishAt.toISOString() });
+      setDrafts((prev) => ({ ...prev, [post.id]: undefined }));
+      notify('success', `${getPostLabel(post)} will be published ${formatPublishAt(publishAt)}.`);
+    } catch (error) {
+      notify('error', `Could not reschedule: ${error.message}`);
+    } finally {
+      setBusyPostId('');
+    }
+  }
+
+  async function handleCancel(post) {
+    setBusyPostId(post.id);
+    try {
+      const updated = await cancelScheduledPost(post.id);
+      onPostUpdated(post.id, updated || { status: 'draft', publishAt: null });
+      notify('success', `${getPostLabel(post)} was moved back to drafts.`);
+    } catch (error) {
+      notify('error', `Could not cancel the schedule: ${error.message}`);
+    } finally {
+      setBusyPostId('');
+    }
+  }
+
+  return (
+    <section className="panel scheduled-posts-panel">
+      <div className="panel-header">
+        <div>
+          <p className="eyebrow">Queue</p>
+          <h3>Scheduled</h3>
+        </div>
+      </div>
+
+      <ul className="scheduled-posts-list">
+        {posts.map((post) => {
+          const busy = busyPostId === post.id;
+          const draftValue = drafts[post.id] ?? toDateTimeLocalValue(post.publishAt);
+          return (
+            <li key={post.id} className="scheduled-post-row">
+              <div className="scheduled-post-copy">
+                <strong>{getPostLabel(post)}</strong>
+                <small>Publishes {formatPublishAt(post.publishAt)}</small>
+              </div>
+              <label className="scheduled-post-time">
+                <span className="sr-only">New publish time for {getPostLabel(post)}</span>
+                <input
+                  type="datetime-local"
+                  value={draftValue}
+                  onChange={(event) => setDrafts((prev) => ({ ...prev, [post.id]: event.target.value }))}
+                  disabled={busy}
+                />
+              </label>
+              <div className="scheduled-post-actions">
+                <button
+                  type="button"
+                  className="btn btn-soft"
+                  onClick={() => handleReschedule(post)}
+                  disabled={busy || !drafts[post.id]}
+                >
+                  Reschedule
+                </button>
+                <button type="button" className="btn btn-soft" onClick={() => handleCancel(post)} disabled={busy}>
+                  Cancel
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
@@ -1,5 +1,9 @@
 import { useEffect, useState } from 'react';
 import { AuthContext } from './AuthContextValue';
+import { logoutAuthSession, refreshAuthSession } from '../utils/authApi';
+
+const REFRESH_LEAD_MS = 60 * 1000;
+const REFRESH_RETRY_MS = 15 * 1000;
 
 function safeParseUser(raw) {
   if (!raw) return null;
@@ -10,17 +14,46 @@ function safeParseUser(raw) {
   }
 }
 
+function readTokenExpiry(token) {
+  try {
+    const payloadSegment = String(token || '').split('.')[1] || '';
+    const payload = JSON.parse(atob(payloadSegment.replace(/-/g, '+').replace(/_/g, '/')));
+    return Number.isFinite(payload?.exp) ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
 function readStoredSession() {
   if (typeof window === 'undefined') {
-    return { token: null, user: null };
+    return { token: null, refreshToken: null, user: null };
   }
 
   return {
     token: localStorage.getItem('token'),
+    refreshToken: localStorage.getItem('refreshToken'),
     user: safeParseUser(localStorage.getItem('user')),
   };
 }
 
+function writeStoredSession({ token, refreshToken, user }) {
+  const entries = [
+    ['token', token],
+    ['refreshToken', refreshToken],
+    ['user', user ? JSON.stringify(user) : null],
+  ];
+
+  for (const [key, value] of entries) {
+    if (value) {
+      localStorage.setItem(key, value);
+    } else {
+      localStorage.removeItem(key);
+    }
+  }
+
+  return { token: token || null, refreshToken: refreshToken || null, user: user || null };
+}
+
 export function AuthProvider({ children }) {
   const [session, setSession] = useState(readStoredSession);
 
@@ -33,24 +66,73 @@ export function AuthProvider({ children }) {
     return () => window.removeEventListener('storage', handleStorageChange);
   }, []);
 
-  function setAuthSession({ token, user }) {
-    if (token) {
-      localStorage.setItem('token', token);
-    } else {
-      localStorage.removeItem('token');
+  useEffect(() => {
+    const { token, refreshToken } = session;
+    if (!token || !refreshToken) return undefined;
+
+    let cancelled = false;
+    let timerId = null;
+
+    // Another tab may have rotated the refresh token already; adopt its result
+    // instead of presenting a superseded token.
+    function rotatedElsewhere() {
+      return localStorage.getItem('refreshToken') !== refreshToken;
     }
 
-    if (user) {
-      localStorage.setItem('user', JSON.stringify(user));
-    } else {
-      localStorage.removeItem('user');
+    async function runRefresh() {
+      if (rotatedElsewhere()) {
+        setSession(readStoredSession());
+        return;
+      }
+
+      try {
+        const result = await refreshAuthSession(refreshToken);
+        if (cancelled) return;
+        setSession(writeStoredSession({
+          token: result.token,
+          refreshToken: result.refreshToken,
+          user: result.user,
+        }));
+      } catch (error) {
+        if (cancelled) return;
+        if (rotatedElsewhere()) {
+          setSession(readStoredSession());
+        } else if (error.status === 401) {
+          setSession(writeStoredSession({ token: null, refreshToken: null, user: null }));
+        } else {
+          timerId = window.setTimeout(runRefresh, REFRESH_RETRY_MS);
+        }
+      }
     }
 
-    setSession({ token: token || null, user: user || null });
+    const expiresAt = readTokenExpiry(token);
+    const delay = expiresAt ? Math.max(expiresAt - Date.now() - REFRESH_LEAD_MS, 0) : 0;
+    timerId = window.setTimeout(runRefresh, delay);
+
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timerId);
+    };
+  }, [session]);
+
+  function setAuthSession({ token, refreshToken, user }) {
+    setSession(writeStoredSession({ token, refreshToken, user }));
   }
 
   function clearAuthSession() {
-    setAuthSession({ token: null, user: null });
+    setAuthSession({ token: null, refreshToken: null, user: null });
+  }
+
+  async function logout() {
+    const { token, refreshToken } = session;
+    clearAuthSession();
+
+    if (!token && !refreshToken) return;
+    try {
+      await logoutAuthSession({ token, refreshToken });
+    } catch (error) {
+      console.warn('[auth] logout request failed', error);
+    }
   }
 
   const role = String(session.user?.role || '').toLowerCase();
@@ -62,6 +144,7 @@ export function AuthProvider({ children }) {
     isModerator: role === 'admin' || role === 'faculty',
     setAuthSession,
     clearAuthSession,
+    logout,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -24,6 +24,7 @@ export function ChatProvider({ children }) {
   const socketRef = useRef(null);
   const joinedConversationCountsRef = useRef(new Map());
   const messageListenersRef = useRef(new Set());
+  const notificationListenersRef = useRef(new Set());
   const [conversations, setConversations] = useState([]);
   const [loadingConversations, setLoadingConversations] = useState(false);
   const [conversationsError, setConversationsError] = useState('');
@@ -45,6 +46,16 @@ export function ChatProvider({ children }) {
     }
   }, []);
 
+  const emitNotificationEvent = useCallback((notification) => {
+    for (const listener of notificationListenersRef.current) {
+      try {
+        listener(notification);
+      } catch (error) {
+        console.warn('[chat] notification listener failed', error);
+      }
+    }
+  }, []);
+
   const refreshConversations = useCallback(async ({ showLoading = true, signal } = {}) => {
     if (!token) {
       setConversations([]);
@@ -171,6 +182,19 @@ export function ChatProvider({ children }) {
     };
   }, []);
 
+  // Listeners get each notification-service notification pushed to this
+  // user, in the same shape as GET /notifications items.
+  const subscribeToNotifications = useCallback((listener) => {
+    if (typeof listener !== 'function') {
+      return () => {};
+    }
+
+    notificationListenersRef.current.add(listener);
+    return () => {
+      notificationListenersRef.current.delete(listener);
+    };
+  }, []);
+
   useEffect(() => {
     if (!isAuthenticated || !token) {
       socketRef.current?.disconnect();
@@ -231,6 +255,11 @@ export function ChatProvider({ children }) {
       emitMessageEvent(message);
     });
 
+    socket.on('notification:new', (notification) => {
+      if (!notification?.id) return;
+      emitNotificationEvent(notification);
+    });
+
     socket.on('connect_error', (error) => {
       const message = error?.message || 'Socket connection failed';
       setSocketStatus('reconnecting');
@@ -274,7 +303,7 @@ export function ChatProvider({ children }) {
         socketRef.current = null;
       }
     };
-  }, [applyConversationUpdate, emitMessageEvent, isAuthenticated, refreshConversations, sendJoinRequest, token, user?.id]);
+  }, [applyConversationUpdate, emitMessageEvent, emitNotificationEvent, isAuthenticated, refreshConversations, sendJoinRequest, token, user?.id]);
 
   useEffect(() => {
     if (!isAuthenticated || !token) return undefined;
@@ -309,6 +338,7 @@ export function ChatProvider({ children }) {
     joinConversation,
     leaveConversation,
     subscribeToMessages,
+    subscribeToNotifications,
   }), [
     applyConversationUpdate,
     conversations,
@@ -322,6 +352,7 @@ export function ChatProvider({ children }) {
     refreshConversations,
     socketStatus,
     subscribeToMessages,
+    subscribeToNotifications,
   ]);
 
   return (
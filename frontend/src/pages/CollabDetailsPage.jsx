@@ -3,6 +3,7 @@ import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../context/useAuth';
 import PostActionsMenu from '../components/posts/PostActionsMenu';
 import CollabPostEditModal from '../components/posts/CollabPostEditModal';
+import MentionText from '../components/posts/MentionText';
 import { openUserProfile } from '../utils/profileNavigation';
 import {
   COLLAB_STATUSES,
@@ -380,7 +381,9 @@ export default function CollabDetailsPage() {
             </header>
 
             <h2 className="post-details-title">{post?.title || 'Collaboration opportunity'}</h2>
-            <p className="post-details-summary">{post?.summary || 'No summary provided.'}</p>
+            <p className="post-details-summary">
+              <MentionText text={post?.summary || 'No summary provided.'} mentions={post?.mentions} currentUserId={currentUserId} />
+            </p>
 
             <div className="collab-details-meta-grid">
               <div className="collab-details-meta-item">
@@ -1,27 +1,34 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import PostResultCard from '../components/posts/PostResultCard';
+import AccountSecurityPanel from '../components/account/AccountSecurityPanel';
+import AccountDataPanel from '../components/account/AccountDataPanel';
+import NotificationPreferencesPanel from '../components/account/NotificationPreferencesPanel';
+import ScheduledPostsPanel from '../components/posts/ScheduledPostsPanel';
 import { useAuth } from '../context/useAuth';
 import {
   apiRequest,
-  fetchCurrentUserProfile,
   fetchUserPosts,
   updateCurrentUserAvatar,
   updateCurrentUserProfile,
 } from '../utils/profileApi';
+import { fetchDashboardBundle, getBundleSection, getSectionItems } from '../utils/bffApi';
+import { isPostAwaitingReview, isPostScheduled } from '../utils/postManagement';
 
-const EDITABLE_VISIBILITY_FIELDS = ['bio', 'location', 'education', 'work'];
+const EDITABLE_VISIBILITY_FIELDS = ['bio', 'location', 'education', 'work', 'mentions'];
 const VISIBILITY_LABELS = {
   bio: 'Bio',
   location: 'Location',
   education: 'Education',
   work: 'Work',
+  mentions: 'Mention suggestions',
 };
 const DEFAULT_VISIBILITY = {
   bio: true,
   location: true,
   education: true,
   work: true,
+  mentions: true,
 };
 const PROFILE_SORT_OPTIONS = [
   { value: 'new', label: 'Newest' },
@@ -44,6 +51,7 @@ const INITIAL_COMPOSER_FORM = {
   tagIds: [],
   pinned: false,
   expiresAt: '',
+  publishAt: '',
 };
 
 function canRoleCreateType(role, type) {
@@ -90,6 +98,7 @@ function normalizeVisibility(value) {
     location: value.location !== false,
     education: value.education !== false,
     work: value.work !== false,
+    mentions: value.mentions !== false,
   };
 }
 
@@ -185,17 +194,39 @@ export default function DashboardPage() {
     });
   }
 
-  async function loadProfile() {
-    setLoadingProfile(true);
+  // Profile, tags and posts in one round trip; each section can fail alone.
+  async function loadDashboard(activeSort) {
+    setLoadingPosts(true);
     setPageError('');
     try {
-      const profileResult = await fetchCurrentUserProfile();
-      setProfile(profileResult);
-      syncAuthUser(profileResult);
+      const bundle = await fetchDashboardBundle({ sort: activeSort });
+      const profileSection = getBundleSection(bundle, 'profile');
+      const tagsSection = getBundleSection(bundle, 'tags');
+      const postsSection = getBundleSection(bundle, 'posts');
+
+      if (profileSection.ok) {
+        setProfile(profileSection.data || null);
+        syncAuthUser(profileSection.data || null);
+      } else {
+        setPageError(profileSection.error || 'Could not load your profile.');
+      }
+
+      if (tagsSection.ok) {
+        setTags(getSectionItems(tagsSection));
+      } else {
+        setBanner({ type: 'error', message: `Failed to load tags: ${tagsSection.error}` });
+      }
+
+      if (postsSection.ok) {
+        setPosts(getSectionItems(postsSection));
+      } else {
+        setBanner({ type: 'error', message: `Could not load posts: ${postsSection.error}` });
+      }
     } catch (error) {
-      setPageError(error.message || 'Could not load your profile.');
+      setPageError(error.message || 'Could not load your dashboard.');
     } finally {
       setLoadingProfile(false);
+      setLoadingPosts(false);
     }
   }
 
@@ -223,33 +254,6 @@ export default function DashboardPage() {
     navigate('/login', { replace: true });
   }, [isAuthenticated, navigate]);
 
-  useEffect(() => {
-    if (!isAuthenticated || !currentUserId) return;
-    loadProfile();
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isAuthenticated, currentUserId]);
-
-  useEffect(() => {
-    if (!isAuthenticated) return;
-    let isMounted = true;
-
-    async function loadTags() {
-      try {
-        const result = await apiRequest('/posts/tags');
-        if (!isMounted) return;
-        setTags(Array.isArray(result?.data) ? result.data : []);
-      } catch (error) {
-        if (!isMounted) return;
-        setBanner({ type: 'error', message: `Failed to load tags: ${error.message}` });
-      }
-    }
-
-    loadTags();
-    return () => {
-      isMounted = false;
-    };
-  }, [isAuthenticated]);
-
   useEffect(() => {
     if (!allowedComposerTypeOptions.some((option) => option.value === composerForm.type)) {
       setComposerForm((prev) => ({
@@ -263,7 +267,7 @@ export default function DashboardPage() {
 
   useEffect(() => {
     if (!isAuthenticated || !currentUserId) return;
-    loadPosts(sort);
+    loadDashboard(sort);
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isAuthenticated, currentUserId, sort]);
 
@@ -350,12 +354,18 @@ export default function DashboardPage() {
     }
 
     const summary = safeText(composerForm.summary);
+    const isScheduled = composerForm.status === 'scheduled';
 
     if (!composerForm.type || !summary) {
       setBanner({ type: 'error', message: 'Type and summary are required to create a post.' });
       return;
     }
 
+    if (isScheduled && !(new Date(composerForm.publishAt).getTime() > Date.now())) {
+      setBanner({ type: 'error', message: 'Pick a publish time in the future to schedule this post.' });
+      return;
+    }
+
     if (!canRoleCreateType(normalizedRole, composerForm.type)) {
       setBanner({ type: 'error', message: getRoleTypeBlockMessage(normalizedRole, composerForm.type) });
       return;
@@ -370,6 +380,7 @@ export default function DashboardPage() {
       pinned: Boolean(composerForm.pinned),
       tags: [...new Set(composerSelectedTagIds)],
       expiresAt: safeText(composerForm.expiresAt) || null,
+      ...(isScheduled ? { publishAt: new Date(composerForm.publishAt).toISOString() } : {}),
       ...(composerImage ? {
         ref: {
           service: 'image-upload',
@@ -387,14 +398,20 @@ export default function DashboardPage() {
 
     setSubmittingPost(true);
     try {
-      await apiRequest('/posts/posts', {
+      const result = await apiRequest('/posts/posts', {
         method: 'POST',
         body: JSON.stringify(payload),
       });
       setComposerForm(INITIAL_COMPOSER_FORM);
       setTagSearchInput('');
       clearComposerImage();
-      setBanner({ type: 'success', message: 'Post created and added to your feed.' });
+      let message = 'Post created and added to your feed.';
+      if (isPostAwaitingReview(result?.data)) {
+        message = 'Post submitted for review. It will appear in the feed once a moderator approves it.';
+      } else if (isScheduled) {
+        message = 'Post scheduled. You can reschedule or cancel it below.';
+      }
+      setBanner({ type: 'success', message });
       await loadPosts(sort);
     } catch (error) {
       setBanner({ type: 'error', message: `Could not create post: ${error.message}` });
@@ -452,6 +469,10 @@ export default function DashboardPage() {
   }
 
   const pageReady = !loadingProfile && !loadingPosts;
+  const scheduledPosts = posts
+    .filter(isPostScheduled)
+    .sort((a, b) => new Date(a.publishAt).getTime() - new Date(b.publishAt).getTime());
+  const listedPosts = posts.filter((item) => !isPostScheduled(item));
 
   function handlePostUpdated(postId, patch) {
     setPosts((prev) => prev.map((item) => (item.id === postId ? { ...item, ...patch } : item)));
@@ -511,41 +532,47 @@ export default function DashboardPage() {
       </section>
 
       <div className="profile-layout-grid">
-        <section className="panel profile-personal-card">
-          <div className="panel-header">
-            <div>
-              <p className="eyebrow">Profile</p>
-              <h3>Personal details</h3>
+        <div className="profile-side-column">
+          <section className="panel profile-personal-card">
+            <div className="panel-header">
+              <div>
+                <p className="eyebrow">Profile</p>
+                <h3>Personal details</h3>
+              </div>
             </div>
-          </div>
 
-          <div className="profile-detail-list">
-            <article>
-              <h4>Name</h4>
-              <p>{displayName}</p>
-            </article>
-            <article>
-              <h4>Bio</h4>
-              <p>{safeText(profile?.bio) || 'Not provided'}</p>
-              <small>{visibility.bio ? 'Visible' : 'Hidden from others'}</small>
-            </article>
-            <article>
-              <h4>Location</h4>
-              <p>{safeText(profile?.location) || 'Not provided'}</p>
-              <small>{visibility.location ? 'Visible' : 'Hidden from others'}</small>
-            </article>
-            <article>
-              <h4>Education</h4>
-              <p>{safeText(profile?.education) || 'Not provided'}</p>
-              <small>{visibility.education ? 'Visible' : 'Hidden from others'}</small>
-            </article>
-            <article>
-              <h4>Work</h4>
-              <p>{safeText(profile?.work) || 'Not provided'}</p>
-              <small>{visibility.work ? 'Visible' : 'Hidden from others'}</small>
-            </article>
-          </div>
-        </section>
+            <div className="profile-detail-list">
+              <article>
+                <h4>Name</h4>
+                <p>{displayName}</p>
+              </article>
+              <article>
+                <h4>Bio</h4>
+                <p>{safeText(profile?.bio) || 'Not provided'}</p>
+                <small>{visibility.bio ? 'Visible' : 'Hidden from others'}</small>
+              </article>
+              <article>
+                <h4>Location</h4>
+                <p>{safeText(profile?.location) || 'Not provided'}</p>
+                <small>{visibility.location ? 'Visible' : 'Hidden from others'}</small>
+              </article>
+              <article>
+                <h4>Education</h4>
+                <p>{safeText(profile?.education) || 'Not provided'}</p>
+                <small>{visibility.education ? 'Visible' : 'Hidden from others'}</small>
+              </article>
+              <article>
+                <h4>Work</h4>
+                <p>{safeText(profile?.work) || 'Not provided'}</p>
+                <small>{visibility.work ? 'Visible' : 'Hidden from others'}</small>
+              </article>
+            </div>
+          </section>
+
+          <AccountSecurityPanel onStatus={setBanner} />
+          <NotificationPreferencesPanel onStatus={setBanner} />
+          <AccountDataPanel onStatus={setBanner} />
+        </div>
 
         <section className="profile-main-column">
           <section className="panel profile-create-post-card composer-panel">
@@ -632,11 +659,25 @@ export default function DashboardPage() {
                     disabled={!isAuthenticated}
                   >
                     <option value="published">Published</option>
+                    <option value="scheduled">Scheduled</option>
                     <option value="draft">Draft</option>
                     <option value="archived">Archived</option>
                   </select>
                 </label>
 
+                {composerForm.status === 'scheduled' && (
+                  <label className="composer-field field-publish-at">
+                    <span>Publish at</span>
+                    <input
+                      type="datetime-local"
+                      value={composerForm.publishAt}
+                      onChange={(event) => updateComposerField('publishAt', event.target.value)}
+                      disabled={!isAuthenticated}
+                      required
+                    />
+                  </label>
+                )}
+
                 <label className="composer-field field-title">
                   <span>Title</span>
                   <input
@@ -718,6 +759,10 @@ export default function DashboardPage() {
             </form>
           </section>
 
+          {scheduledPosts.length > 0 && (
+            <ScheduledPostsPanel posts={scheduledPosts} onPostUpdated={handlePostUpdated} onStatus={setBanner} />
+          )}
+
           <section className="panel profile-posts-panel">
             <div className="panel-header profile-posts-head">
               <div>
@@ -738,14 +783,14 @@ export default function DashboardPage() {
               <p className="post-comments-hint">Loading profile data...</p>
             ) : loadingPosts ? (
               <p className="post-comments-hint">Loading posts...</p>
-            ) : posts.length === 0 ? (
+            ) : listedPosts.length === 0 ? (
               <div className="empty-state">
                 <h4>No posts yet</h4>
                 <p>Create your first post from the card above.</p>
               </div>
             ) : (
               <div className="feed-grid profile-post-grid">
-                {posts.map((item, index) => (
+                {listedPosts.map((item, index) => (
                   <PostResultCard
                     key={item.id || `dashboard-post-${index}`}
                     post={item}
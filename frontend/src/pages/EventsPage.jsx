@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/useAuth';
 import PostActionsMenu from '../components/posts/PostActionsMenu';
 import PostEditModal from '../components/posts/PostEditModal';
+import MentionText from '../components/posts/MentionText';
 import { getPostAuthorDisplayName } from '../utils/postAuthor';
 import { getPostLabel, isFacultyUser } from '../utils/postManagement';
 import { openUserProfile } from '../utils/profileNavigation';
@@ -101,8 +102,8 @@ function formatCompactCount(value) {
   return compactCountFormatter.format(Math.trunc(numericValue));
 }
 
-function getCreatedAtTime(post) {
-  const timestamp = Number(new Date(post?.createdAt || 0));
+function getPublishedAtTime(post) {
+  const timestamp = Number(new Date(post?.publishedAt || post?.createdAt || 0));
   return Number.isNaN(timestamp) ? 0 : timestamp;
 }
 
@@ -113,7 +114,7 @@ function sortPosts(posts, sort = 'new') {
       const voteDelta = getBaseVoteScore(b) - getBaseVoteScore(a);
       if (voteDelta !== 0) return voteDelta;
     }
-    const timeDelta = getCreatedAtTime(b) - getCreatedAtTime(a);
+    const timeDelta = getPublishedAtTime(b) - getPublishedAtTime(a);
     if (timeDelta !== 0) return timeDelta;
     return String(b?.id || '').localeCompare(String(a?.id || ''));
   });
@@ -970,7 +971,7 @@ export default function EventsPage() {
                       <span className="post-avatar">{(item.type || 'P').slice(0, 1)}</span>
                       <div>
                         <strong>{item.title || `${item.type} update`}</strong>
-                        <small>{formatDate(item.createdAt)}</small>
+                        <small>{formatDate(item.publishedAt || item.createdAt)}</small>
                       </div>
                     </div>
                     <div className="post-card-header-tools">
@@ -1017,7 +1018,9 @@ export default function EventsPage() {
                     </div>
                   </div>
 
-                  <p className="feed-summary">{item.summary || 'No summary provided.'}</p>
+                  <p className="feed-summary">
+                    <MentionText text={item.summary || 'No summary provided.'} mentions={item.mentions} currentUserId={currentUserId} />
+                  </p>
                   <EventMetadataBlock post={item} variant="card" />
 
                   <div className="post-utility-bar">
@@ -1092,7 +1095,7 @@ export default function EventsPage() {
                                 <strong>{comment.author?.fullName || comment.author?.email || `User ${String(comment.authorId || '').slice(0, 8)}`}</strong>
                                 <small>{formatDate(comment.createdAt)}</small>
                               </div>
-                              <p>{comment.content}</p>
+                              <p><MentionText text={comment.content} mentions={comment.mentions} currentUserId={currentUserId} /></p>
                             </li>
                           ))}
                         </ul>
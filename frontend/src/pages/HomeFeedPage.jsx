@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/useAuth';
 import PostActionsMenu from '../components/posts/PostActionsMenu';
 import PostEditModal from '../components/posts/PostEditModal';
+import MentionText from '../components/posts/MentionText';
 import { getPostAuthorDisplayName } from '../utils/postAuthor';
 import { openUserProfile } from '../utils/profileNavigation';
 import { getPostLabel, isFacultyUser } from '../utils/postManagement';
@@ -15,6 +16,7 @@ import {
   isEventPostType,
   isVolunteerEligibleEvent,
 } from '../utils/eventPost';
+import { fetchHomeBundle, getBundleSection, getSectionItems } from '../utils/bffApi';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
@@ -218,28 +220,6 @@ export default function HomeFeedPage() {
     })
     .slice(0, 8);
 
-  useEffect(() => {
-    let isMounted = true;
-
-    async function loadTags() {
-      try {
-        const result = await apiRequest('/posts/tags');
-        if (!isMounted) return;
-        startTransition(() => {
-          setTags(Array.isArray(result.data) ? result.data : []);
-        });
-      } catch (error) {
-        if (!isMounted) return;
-        setBanner({ type: 'error', message: `Failed to load tags: ${error.message}` });
-      }
-    }
-
-    loadTags();
-    return () => {
-      isMounted = false;
-    };
-  }, []);
-
   useEffect(() => {
     const controller = new AbortController();
     let isMounted = true;
@@ -261,16 +241,23 @@ export default function HomeFeedPage() {
         params.set('limit', String(FEED_PAGE_LIMIT));
         params.set('offset', '0');
 
-        const result = await apiRequest(`/posts/feed?${params.toString()}`, {
+        // Feed and tags arrive together; either may fail on its own.
+        const bundle = await fetchHomeBundle(params, {
           signal: controller.signal,
         });
-        const items = Array.isArray(result.data) ? result.data : [];
+        const feedSection = getBundleSection(bundle, 'feed');
+        const tagsSection = getBundleSection(bundle, 'tags');
 
         if (!isMounted) return;
 
         startTransition(() => {
-          setFeedItems(items);
+          if (feedSection.ok) setFeedItems(getSectionItems(feedSection));
+          if (tagsSection.ok) setTags(getSectionItems(tagsSection));
         });
+        if (!feedSection.ok) setFeedError(feedSection.error);
+        if (!tagsSection.ok) {
+          setBanner({ type: 'error', message: `Failed to load tags: ${tagsSection.error}` });
+        }
       } catch (error) {
         if (!isMounted || error.name === 'AbortError') return;
         setFeedError(error.message);
@@ -748,9 +735,9 @@ export default function HomeFeedPage() {
       .sort((a, b) => {
         const voteDelta = getBaseVoteScore(b) - getBaseVoteScore(a);
         if (voteDelta !== 0) return voteDelta;
-        const createdAtA = Number(new Date(a?.createdAt || 0));
-        const createdAtB = Number(new Date(b?.createdAt || 0));
-        return createdAtB - createdAtA;
+        const publishedAtA = Number(new Date(a?.publishedAt || a?.createdAt || 0));
+        const publishedAtB = Number(new Date(b?.publishedAt || b?.createdAt || 0));
+        return publishedAtB - publishedAtA;
       })
       .slice(0, 8)
       .map((item, index) => {
@@ -1117,7 +1104,7 @@ export default function HomeFeedPage() {
                       <span className="post-avatar">{(item.type || 'P').slice(0, 1)}</span>
                       <div>
                         <strong>{item.title || `${item.type} update`}</strong>
-                        <small>{formatDate(item.createdAt)}</small>
+                        <small>{formatDate(item.publishedAt || item.createdAt)}</small>
                       </div>
                     </div>
 
@@ -1179,7 +1166,9 @@ export default function HomeFeedPage() {
                     </div>
                   )}
 
-                  <p className="feed-summary">{item.summary || 'No summary provided.'}</p>
+                  <p className="feed-summary">
+                    <MentionText text={item.summary || 'No summary provided.'} mentions={item.mentions} currentUserId={currentUserId} />
+                  </p>
 
                   {isEventPost && <EventMetadataBlock post={item} variant="card" />}
 
@@ -1313,7 +1302,7 @@ export default function HomeFeedPage() {
                                 )}
                                 <small>{formatDate(comment.createdAt)}</small>
                               </div>
-                              <p>{comment.content}</p>
+                              <p><MentionText text={comment.content} mentions={comment.mentions} currentUserId={currentUserId} /></p>
                             </li>
                           ))}
                         </ul>
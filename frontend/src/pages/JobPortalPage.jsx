@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/useAuth';
 import PostActionsMenu from '../components/posts/PostActionsMenu';
 import PostEditModal from '../components/posts/PostEditModal';
+import MentionText from '../components/posts/MentionText';
 import { getJobDetailsFromPost } from '../utils/jobPortalStorage';
 import { getPostLabel, isFacultyUser } from '../utils/postManagement';
 import { openUserProfile } from '../utils/profileNavigation';
@@ -1033,7 +1034,7 @@ export default function JobPortalPage() {
                                 )}
                                 <small>{formatDate(comment.createdAt)}</small>
                               </div>
-                              <p>{comment.content}</p>
+                              <p><MentionText text={comment.content} mentions={comment.mentions} currentUserId={currentUserId} /></p>
                             </li>
                           ))}
                         </ul>
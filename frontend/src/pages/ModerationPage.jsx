@@ -1,6 +1,9 @@
 import { startTransition, useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/useAuth';
+import UserManagementPanel from '../components/moderation/UserManagementPanel';
+import InvitationsPanel from '../components/moderation/InvitationsPanel';
+import PostReviewQueue from '../components/moderation/PostReviewQueue';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
@@ -58,6 +61,7 @@ export default function ModerationPage() {
   const [refreshTick, setRefreshTick] = useState(0);
   const [banner, setBanner] = useState({ type: 'idle', message: '' });
   const [newsletterState, setNewsletterState] = useState(null);
+  const [activeTab, setActiveTab] = useState('overview');
 
   const selectedTagName = (() => {
     if (!selectedTagId) return 'All tags';
@@ -233,7 +237,36 @@ export default function ModerationPage() {
         <div className="placeholder-hero">
           <p className="eyebrow">Moderator Console</p>
           <h2>Moderation</h2>
-          <p>Manage publication workflows, taxonomy, and alumni verification from one desk.</p>
+          <p>Manage publication workflows, taxonomy, alumni verification, and accounts from one desk.</p>
+        </div>
+        <div className="moderation-tabs" role="tablist" aria-label="Moderation sections">
+          <button
+            type="button"
+            role="tab"
+            aria-selected={activeTab === 'overview'}
+            className={`moderation-tab${activeTab === 'overview' ? ' is-active' : ''}`}
+            onClick={() => setActiveTab('overview')}
+          >
+            Overview
+          </button>
+          <button
+            type="button"
+            role="tab"
+            aria-selected={activeTab === 'posts'}
+            className={`moderation-tab${activeTab === 'posts' ? ' is-active' : ''}`}
+            onClick={() => setActiveTab('posts')}
+          >
+            Post review
+          </button>
+          <button
+            type="button"
+            role="tab"
+            aria-selected={activeTab === 'users'}
+            className={`moderation-tab${activeTab === 'users' ? ' is-active' : ''}`}
+            onClick={() => setActiveTab('users')}
+          >
+            Users
+          </button>
         </div>
       </section>
 
@@ -244,186 +277,199 @@ export default function ModerationPage() {
         </section>
       )}
 
-      <section className="panel newsletter-route-card">
-        <div className="newsletter-route-copy">
-          <p className="eyebrow">Newsletter</p>
-          <h3>Monthly Academic Digest</h3>
-          <p>Open the dedicated workspace to preview highlights, choose recipients, and send the issue.</p>
-          <div className="newsletter-outline-row" aria-hidden="true">
-            <span>Achievement</span>
-            <span>Jobs</span>
-            <span>Events</span>
-            <span>Collab</span>
-          </div>
-        </div>
-
-        <div className="newsletter-route-side">
-          <div className="newsletter-route-pills">
-            <span className="pill">{newsletterIssueLabel}</span>
-            <span className="pill">{newsletterStatusLabel}</span>
-            <span className="pill">{loadingNewsletter ? '...' : `${newsletterHighlightCount} highlighted`}</span>
-            {!loadingNewsletter && newsletterIssue?.lastSentAt && (
-              <span className="pill">Last sent {formatDateTime(newsletterIssue.lastSentAt)}</span>
-            )}
-            {!loadingNewsletter && newsletterSettings && !newsletterSettings.effectiveAutoSendEnabled && (
-              <span className="pill tone-muted">Auto-send off</span>
-            )}
-            {!loadingNewsletter && newsletterMeta && !newsletterMeta.smtpConfigured && (
-              <span className="pill tone-warn">SMTP missing</span>
-            )}
-          </div>
-
-          <Link className="btn btn-accent newsletter-route-button" to="/moderation/newsletter">
-            Open newsletter desk
-          </Link>
-        </div>
-      </section>
-
-      <section className="panel tag-panel">
-        <div className="panel-header">
-          <div>
-            <p className="eyebrow">Taxonomy</p>
-            <h3>Tags</h3>
-          </div>
-          <span className="pill pill-ghost">POST /posts/tags</span>
-        </div>
-
-        <form className="inline-form" onSubmit={handleCreateTag}>
-          <label className="sr-only" htmlFor="new-tag-name">Tag name</label>
-          <input
-            id="new-tag-name"
-            type="text"
-            placeholder="Create a tag (e.g. Research)"
-            value={tagName}
-            onChange={(e) => setTagName(e.target.value)}
-            disabled={!isModerator}
-          />
-          <button className="btn btn-accent" type="submit" disabled={submittingTag || !isModerator}>
-            {submittingTag ? 'Adding...' : 'Add Tag'}
-          </button>
-        </form>
-
-        <div className="tag-list-wrap">
-          {loadingTags ? (
-            <p className="muted-line">Loading tags...</p>
-          ) : tags.length === 0 ? (
-            <p className="muted-line">No tags yet. Add one to organize feeds.</p>
-          ) : (
-            <ul className="tag-cloud" aria-label="Existing tags">
-              {tags.map((tag) => (
-                <li key={tag.id}>
-                  <button
-                    type="button"
-                    className={`tag-chip ${selectedTagId && (selectedTagId === tag.id || selectedTagId === tag.slug) ? 'is-active' : ''}`}
-                    onClick={() => setSelectedTagId(selectedTagId === tag.id ? '' : tag.id)}
-                    title={`Select ${tag.name}`}
-                  >
-                    <span>{tag.name}</span>
-                    <small>{tag.slug}</small>
-                  </button>
-                </li>
-              ))}
-            </ul>
-          )}
-        </div>
+      {activeTab === 'posts' && isModerator && <PostReviewQueue onNotify={setBanner} />}
 
-        <div className="api-note">
-          <p>API Base: <code>{API_BASE_URL}</code></p>
-          <p>Selected Tag Filter: <strong>{selectedTagName}</strong></p>
-          <p>Role-aware actions: {isModerator ? 'Moderator controls enabled' : 'Standard controls'}</p>
-        </div>
-      </section>
+      {activeTab === 'users' && isModerator && (
+        <>
+          <UserManagementPanel onNotify={setBanner} />
+          <InvitationsPanel onNotify={setBanner} />
+        </>
+      )}
 
-      <section className="panel feed-panel">
-        <div className="panel-header feed-header">
-          <div>
-            <p className="eyebrow">Verification Queue</p>
-            <h3>Alumni Verification Requests</h3>
-          </div>
-          <div className="header-actions">
-            <span className="pill">{loadingVerification ? 'Loading...' : `${verificationItems.length} request(s)`}</span>
-            <button className="btn btn-soft" type="button" onClick={() => setRefreshTick((prev) => prev + 1)}>
-              Refresh
-            </button>
-          </div>
-        </div>
+      {activeTab === 'overview' && (
+        <>
+          <section className="panel newsletter-route-card">
+            <div className="newsletter-route-copy">
+              <p className="eyebrow">Newsletter</p>
+              <h3>Monthly Academic Digest</h3>
+              <p>Open the dedicated workspace to preview highlights, choose recipients, and send the issue.</p>
+              <div className="newsletter-outline-row" aria-hidden="true">
+                <span>Achievement</span>
+                <span>Jobs</span>
+                <span>Events</span>
+                <span>Collab</span>
+              </div>
+            </div>
+
+            <div className="newsletter-route-side">
+              <div className="newsletter-route-pills">
+                <span className="pill">{newsletterIssueLabel}</span>
+                <span className="pill">{newsletterStatusLabel}</span>
+                <span className="pill">{loadingNewsletter ? '...' : `${newsletterHighlightCount} highlighted`}</span>
+                {!loadingNewsletter && newsletterIssue?.lastSentAt && (
+                  <span className="pill">Last sent {formatDateTime(newsletterIssue.lastSentAt)}</span>
+                )}
+                {!loadingNewsletter && newsletterSettings && !newsletterSettings.effectiveAutoSendEnabled && (
+                  <span className="pill tone-muted">Auto-send off</span>
+                )}
+                {!loadingNewsletter && newsletterMeta && !newsletterMeta.smtpConfigured && (
+                  <span className="pill tone-warn">SMTP missing</span>
+                )}
+              </div>
+
+              <Link className="btn btn-accent newsletter-route-button" to="/moderation/newsletter">
+                Open newsletter desk
+              </Link>
+            </div>
+          </section>
+
+          <section className="panel tag-panel">
+            <div className="panel-header">
+              <div>
+                <p className="eyebrow">Taxonomy</p>
+                <h3>Tags</h3>
+              </div>
+              <span className="pill pill-ghost">POST /posts/tags</span>
+            </div>
+
+            <form className="inline-form" onSubmit={handleCreateTag}>
+              <label className="sr-only" htmlFor="new-tag-name">Tag name</label>
+              <input
+                id="new-tag-name"
+                type="text"
+                placeholder="Create a tag (e.g. Research)"
+                value={tagName}
+                onChange={(e) => setTagName(e.target.value)}
+                disabled={!isModerator}
+              />
+              <button className="btn btn-accent" type="submit" disabled={submittingTag || !isModerator}>
+                {submittingTag ? 'Adding...' : 'Add Tag'}
+              </button>
+            </form>
+
+            <div className="tag-list-wrap">
+              {loadingTags ? (
+                <p className="muted-line">Loading tags...</p>
+              ) : tags.length === 0 ? (
+                <p className="muted-line">No tags yet. Add one to organize feeds.</p>
+              ) : (
+                <ul className="tag-cloud" aria-label="Existing tags">
+                  {tags.map((tag) => (
+                    <li key={tag.id}>
+                      <button
+                        type="button"
+                        className={`tag-chip ${selectedTagId && (selectedTagId === tag.id || selectedTagId === tag.slug) ? 'is-active' : ''}`}
+                        onClick={() => setSelectedTagId(selectedTagId === tag.id ? '' : tag.id)}
+                        title={`Select ${tag.name}`}
+                      >
+                        <span>{tag.name}</span>
+                        <small>{tag.slug}</small>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="api-note">
+              <p>API Base: <code>{API_BASE_URL}</code></p>
+              <p>Selected Tag Filter: <strong>{selectedTagName}</strong></p>
+              <p>Role-aware actions: {isModerator ? 'Moderator controls enabled' : 'Standard controls'}</p>
+            </div>
+          </section>
+
+          <section className="panel feed-panel">
+            <div className="panel-header feed-header">
+              <div>
+                <p className="eyebrow">Verification Queue</p>
+                <h3>Alumni Verification Requests</h3>
+              </div>
+              <div className="header-actions">
+                <span className="pill">{loadingVerification ? 'Loading...' : `${verificationItems.length} request(s)`}</span>
+                <button className="btn btn-soft" type="button" onClick={() => setRefreshTick((prev) => prev + 1)}>
+                  Refresh
+                </button>
+              </div>
+            </div>
+
+            <form className="feed-filters" onSubmit={(event) => event.preventDefault()}>
+              <label>
+                <span>Status</span>
+                <select value={verificationFilter} onChange={(event) => setVerificationFilter(event.target.value)}>
+                  <option value="pending">Pending</option>
+                  <option value="approved">Approved</option>
+                  <option value="rejected">Rejected</option>
+                  <option value="all">All</option>
+                </select>
+              </label>
+            </form>
+
+            {loadingVerification ? (
+              <div className="skeleton-grid" aria-hidden="true">
+                {Array.from({ length: 4 }).map((_, index) => (
+                  <div className="feed-card skeleton-card" key={index} />
+                ))}
+              </div>
+            ) : verificationItems.length === 0 ? (
+              <div className="empty-state">
+                <h4>No verification applications</h4>
+                <p>No applications match the current status filter.</p>
+              </div>
+            ) : (
+              <div className="feed-grid">
+                {verificationItems.map((item, index) => (
+                  <article className="feed-card social-post-card" key={item.id} style={{ '--card-index': index }}>
+                    <div className="social-post-header">
+                      <div className="post-author-chip">
+                        <span className="post-avatar">A</span>
+                        <div>
+                          <strong>{item.applicant?.fullName || 'Unknown applicant'}</strong>
+                          <small>{item.applicant?.email || 'No email available'}</small>
+                        </div>
+                      </div>
+                      <div className="pill-row">
+                        <span className="pill">{String(item.status || 'pending').toUpperCase()}</span>
+                      </div>
+                    </div>
 
-        <form className="feed-filters" onSubmit={(event) => event.preventDefault()}>
-          <label>
-            <span>Status</span>
-            <select value={verificationFilter} onChange={(event) => setVerificationFilter(event.target.value)}>
-              <option value="pending">Pending</option>
-              <option value="approved">Approved</option>
-              <option value="rejected">Rejected</option>
-              <option value="all">All</option>
-            </select>
-          </label>
-        </form>
-
-        {loadingVerification ? (
-          <div className="skeleton-grid" aria-hidden="true">
-            {Array.from({ length: 4 }).map((_, index) => (
-              <div className="feed-card skeleton-card" key={index} />
-            ))}
-          </div>
-        ) : verificationItems.length === 0 ? (
-          <div className="empty-state">
-            <h4>No verification applications</h4>
-            <p>No applications match the current status filter.</p>
-          </div>
-        ) : (
-          <div className="feed-grid">
-            {verificationItems.map((item, index) => (
-              <article className="feed-card social-post-card" key={item.id} style={{ '--card-index': index }}>
-                <div className="social-post-header">
-                  <div className="post-author-chip">
-                    <span className="post-avatar">A</span>
-                    <div>
-                      <strong>{item.applicant?.fullName || 'Unknown applicant'}</strong>
-                      <small>{item.applicant?.email || 'No email available'}</small>
+                    <div className="api-note">
+                      <p><strong>Student ID:</strong> {item.studentId || 'N/A'}</p>
+                      <p><strong>Current Job Info:</strong> {item.currentJobInfo || 'N/A'}</p>
+                      <p><strong>Submitted:</strong> {item.createdAt ? new Date(item.createdAt).toLocaleString() : 'N/A'}</p>
+                      {item.reviewNote && <p><strong>Review Note:</strong> {item.reviewNote}</p>}
                     </div>
-                  </div>
-                  <div className="pill-row">
-                    <span className="pill">{String(item.status || 'pending').toUpperCase()}</span>
-                  </div>
-                </div>
-
-                <div className="api-note">
-                  <p><strong>Student ID:</strong> {item.studentId || 'N/A'}</p>
-                  <p><strong>Current Job Info:</strong> {item.currentJobInfo || 'N/A'}</p>
-                  <p><strong>Submitted:</strong> {item.createdAt ? new Date(item.createdAt).toLocaleString() : 'N/A'}</p>
-                  {item.reviewNote && <p><strong>Review Note:</strong> {item.reviewNote}</p>}
-                </div>
-
-                {item.idCardImageDataUrl && (
-                  <div className="feed-image-wrap">
-                    <img src={item.idCardImageDataUrl} alt={`ID card of ${item.applicant?.fullName || 'applicant'}`} loading="lazy" />
-                  </div>
-                )}
 
-                <div className="feed-card-actions social-actions">
-                  <button
-                    className="btn btn-accent"
-                    type="button"
-                    disabled={busyVerificationId === item.id || item.status !== 'pending'}
-                    onClick={() => reviewApplication(item.id, 'approve')}
-                  >
-                    Approve
-                  </button>
-                  <button
-                    className="btn btn-danger-soft"
-                    type="button"
-                    disabled={busyVerificationId === item.id || item.status !== 'pending'}
-                    onClick={() => reviewApplication(item.id, 'reject')}
-                  >
-                    Reject
-                  </button>
-                </div>
-              </article>
-            ))}
-          </div>
-        )}
-      </section>
+                    {item.idCardImageDataUrl && (
+                      <div className="feed-image-wrap">
+                        <img src={item.idCardImageDataUrl} alt={`ID card of ${item.applicant?.fullName || 'applicant'}`} loading="lazy" />
+                      </div>
+                    )}
+
+                    <div className="feed-card-actions social-actions">
+                      <button
+                        className="btn btn-accent"
+                        type="button"
+                        disabled={busyVerificationId === item.id || item.status !== 'pending'}
+                        onClick={() => reviewApplication(item.id, 'approve')}
+                      >
+                        Approve
+                      </button>
+                      <button
+                        className="btn btn-danger-soft"
+                        type="button"
+                        disabled={busyVerificationId === item.id || item.status !== 'pending'}
+                        onClick={() => reviewApplication(item.id, 'reject')}
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </article>
+                ))}
+              </div>
+            )}
+          </section>
+        </>
+      )}
     </div>
   );
 }
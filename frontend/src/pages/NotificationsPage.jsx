@@ -1,11 +1,14 @@
 import { useEffect, useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/useAuth';
+import { useChatSocket } from '../context/useChatSocket';
 import {
-  getUnreadJobApplicationNotificationsForUser,
-  markAllJobApplicationNotificationsReadForUser,
-  markJobApplicationNotificationRead,
-} from '../utils/jobPortalStorage';
+  NOTIFICATION_CATEGORIES,
+  describeNotification,
+  fetchInbox,
+  markInboxNotificationRead,
+  markInboxRead,
+} from '../utils/notificationsApi';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
@@ -64,179 +67,20 @@ function mapAnnouncementToCard(post) {
   };
 }
 
-function mapVerificationToCard(item, isModerator) {
-  if (isModerator) {
-    return {
-      id: `verification-${item.id}`,
-      kind: 'verification',
-      theme: 'pending',
-      icon: 'REQ',
-      label: 'Verification',
-      title: 'New approval request pending',
-      message: `${item.applicant?.fullName || 'An alumni'} submitted a verification request.`,
-      createdAt: item.createdAt || null,
-      ctaLabel: 'Review in Moderation',
-      ctaTo: '/moderation',
-    };
-  }
-
-  const normalizedStatus = String(item.status || '').toLowerCase();
-  if (normalizedStatus === 'approved') {
-    return {
-      id: `verification-${item.id}`,
-      kind: 'verification',
-      theme: 'approved',
-      icon: 'OK',
-      label: 'Verification',
-      title: 'Application accepted',
-      message: item.reviewNote || 'Your alumni verification has been approved.',
-      createdAt: item.reviewedAt || item.updatedAt || item.createdAt || null,
-      ctaLabel: 'Open Job Portal',
-      ctaTo: '/job-portal',
-    };
-  }
-
-  if (normalizedStatus === 'rejected') {
-    return {
-      id: `verification-${item.id}`,
-      kind: 'verification',
-      theme: 'rejected',
-      icon: 'NO',
-      label: 'Verification',
-      title: 'Application rejected',
-      message: item.reviewNote || 'Your verification request was rejected. You can apply again.',
-      createdAt: item.reviewedAt || item.updatedAt || item.createdAt || null,
-      ctaLabel: 'Apply Again',
-      ctaTo: '/alumni-verification',
-    };
-  }
-
-  return {
-    id: `verification-${item.id}`,
-    kind: 'verification',
-    theme: 'pending',
-    icon: 'PEN',
-    label: 'Verification',
-    title: 'Application pending',
-    message: 'Your alumni verification request is still pending review.',
-    createdAt: item.createdAt || null,
-    ctaLabel: 'View Verification',
-    ctaTo: '/alumni-verification',
-  };
-}
-
-function mapJobApplicationNotificationToCard(notification) {
-  const postId = String(notification?.postId || '').trim();
-  const jobTitle = notification.jobTitle || 'your job post';
-  const companyName = notification.companyName ? ` at ${notification.companyName}` : '';
-  const applicantName = notification.applicantName || 'A student';
-
-  return {
-    id: String(notification.id),
-    source: 'job-service',
-    kind: 'job-application',
-    theme: 'pending',
-    icon: 'JOB',
-    label: 'Job Application',
-    title: 'New job application received',
-    message: `${applicantName} applied for ${jobTitle}${companyName}.`,
-    createdAt: notification.createdAt || null,
-    ctaLabel: postId ? 'Open Post' : 'Open Job Portal',
-    ctaTo: postId ? `/posts/${encodeURIComponent(postId)}` : '/job-portal',
-  };
-}
-
-function mapCollabNotificationToCard(notification) {
-  const postId = String(notification?.postId || '').trim();
-  const postTitle = notification?.postTitle || 'collaboration post';
-  const actorName = notification?.actorName || 'A collaborator';
-  const eventType = String(notification?.eventType || '').toLowerCase();
-
-  if (eventType === 'join_request_received') {
-    return {
-      id: String(notification.id),
-      kind: 'collab',
-      theme: 'pending',
-      icon: 'CLB',
-      label: 'Collaboration',
-      title: 'New join request received',
-      message: `${actorName} requested to join "${postTitle}".`,
-      createdAt: notification.createdAt || null,
-      ctaLabel: postId ? 'Review in Collab' : 'Open Collab',
-      ctaTo: postId ? `/collaborate/${encodeURIComponent(postId)}` : '/collaborate',
-    };
-  }
-
-  if (eventType === 'join_request_accepted') {
-    return {
-      id: String(notification.id),
-      kind: 'collab',
-      theme: 'approved',
-      icon: 'CLB',
-      label: 'Collaboration',
-      title: 'Join request accepted',
-      message: `Your request for "${postTitle}" was accepted by ${actorName}.`,
-      createdAt: notification.createdAt || null,
-      ctaLabel: postId ? 'Open Collab' : 'Open Collaborate',
-      ctaTo: postId ? `/collaborate/${encodeURIComponent(postId)}` : '/collaborate',
-    };
-  }
-
-  return {
-    id: String(notification.id),
-    kind: 'collab',
-    theme: 'rejected',
-    icon: 'CLB',
-    label: 'Collaboration',
-    title: 'Join request updated',
-    message: `Your request for "${postTitle}" was not accepted.`,
-    createdAt: notification.createdAt || null,
-    ctaLabel: postId ? 'Open Collab' : 'Open Collaborate',
-    ctaTo: postId ? `/collaborate/${encodeURIComponent(postId)}` : '/collaborate',
-  };
-}
-
-function mapEventNotificationToCard(notification) {
-  const postId = String(notification?.postId || '').trim();
-  const postTitle = notification?.postTitle || 'event post';
-  const volunteerName = notification?.actorName || 'A volunteer';
-
-  return {
-    id: String(notification.id),
-    kind: 'event',
-    theme: 'pending',
-    icon: 'EVT',
-    label: 'Event Volunteer',
-    title: 'New volunteer enrollment received',
-    message: `${volunteerName} enrolled to volunteer for "${postTitle}".`,
-    createdAt: notification.createdAt || null,
-    ctaLabel: postId ? 'Open Event Post' : 'Open Events',
-    ctaTo: postId ? `/posts/${encodeURIComponent(postId)}` : '/events',
-  };
-}
-
-function mapNewsletterNotificationToCard(notification) {
-  return {
-    id: String(notification?.id || ''),
-    kind: 'newsletter',
-    theme: 'announcement',
-    icon: 'NWS',
-    label: 'Newsletter',
-    title: notification?.title || 'Monthly newsletter published',
-    message: notification?.message || 'A new monthly academic digest is available.',
-    createdAt: notification?.createdAt || null,
-    ctaLabel: 'Open Home Feed',
-    ctaTo: '/home',
-  };
-}
-
 export default function NotificationsPage() {
-  const { isAuthenticated, role, user } = useAuth();
+  const { isAuthenticated, role } = useAuth();
+  const { subscribeToNotifications } = useChatSocket();
   const normalizedRole = String(role || '').toLowerCase();
   const isModerator = normalizedRole === 'admin' || normalizedRole === 'faculty';
   const isAlumni = normalizedRole === 'alumni';
   const [cards, setCards] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loadedAt, setLoadedAt] = useState(null);
+  const [category, setCategory] = useState('');
+  const [unreadOnly, setUnreadOnly] = useState(true);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [markingRead, setMarkingRead] = useState(false);
   const [busyCardId, setBusyCardId] = useState('');
   const [refreshTick, setRefreshTick] = useState(0);
@@ -250,134 +94,37 @@ export default function NotificationsPage() {
       setLoading(true);
       setBanner({ type: 'idle', message: '' });
 
-      const allCards = [];
-      const errors = [];
-      let lastSeenAt = null;
-      let readKeys = [];
-
-      if (isAuthenticated) {
-        try {
-          const stateResult = await apiRequest('/users/notifications/state', { signal: controller.signal });
-          lastSeenAt = stateResult?.data?.lastSeenAt || null;
-          readKeys = Array.isArray(stateResult?.data?.readKeys)
-            ? stateResult.data.readKeys.map((value) => String(value))
-            : [];
-        } catch (error) {
-          if (error.name !== 'AbortError') {
-            errors.push(`Read state: ${error.message}`);
-          }
-        }
-      }
-
-      const announcementQuery = '/posts/feed?type=ANNOUNCEMENT&status=published&limit=12&offset=0';
       try {
-        const announcementsResult = await apiRequest(announcementQuery, { signal: controller.signal });
-        const announcements = Array.isArray(announcementsResult.data) ? announcementsResult.data : [];
-        allCards.push(...announcements.map(mapAnnouncementToCard));
-      } catch (error) {
-        if (error.name !== 'AbortError') {
-          errors.push(`Announcements: ${error.message}`);
-        }
-      }
-
-      if (isAuthenticated && (isModerator || isAlumni)) {
-        try {
-          const statusParam = isModerator ? 'pending' : 'all';
-          const verificationResult = await apiRequest(`/users/notifications/alumni-verifications?status=${statusParam}&limit=20`, {
-            signal: controller.signal,
-          });
-          const items = Array.isArray(verificationResult.data) ? verificationResult.data : [];
-          allCards.push(...items.map((item) => mapVerificationToCard(item, isModerator)));
-        } catch (error) {
-          if (error.name !== 'AbortError') {
-            errors.push(`Verification: ${error.message}`);
-          }
-        }
-      }
-
-      if (isAuthenticated && user?.id) {
-        try {
-          const jobNotifications = await getUnreadJobApplicationNotificationsForUser(user.id, { signal: controller.signal });
-          allCards.push(...jobNotifications.map(mapJobApplicationNotificationToCard));
-        } catch (error) {
-          if (error.name !== 'AbortError') {
-            errors.push(`Job applications: ${error.message}`);
-          }
-        }
-      }
-
-      if (isAuthenticated) {
-        try {
-          const collabResult = await apiRequest('/posts/collab-notifications?limit=30', {
+        // Guests have no inbox; they see the latest announcements instead.
+        if (!isAuthenticated) {
+          const announcementsResult = await apiRequest('/posts/feed?type=ANNOUNCEMENT&status=published&limit=12&offset=0', {
             signal: controller.signal,
           });
-          const collabNotifications = Array.isArray(collabResult?.data) ? collabResult.data : [];
-          allCards.push(...collabNotifications.map(mapCollabNotificationToCard));
-        } catch (error) {
-          if (error.name !== 'AbortError') {
-            errors.push(`Collaboration: ${error.message}`);
-          }
+          const announcements = Array.isArray(announcementsResult.data) ? announcementsResult.data : [];
+          if (!isMounted) return;
+          setCards(announcements.map(mapAnnouncementToCard));
+          setNextCursor(null);
+          return;
         }
-      }
 
-      if (isAuthenticated) {
-        try {
-          const eventResult = await apiRequest('/posts/event-notifications?limit=30', {
-            signal: controller.signal,
-          });
-          const eventNotifications = Array.isArray(eventResult?.data) ? eventResult.data : [];
-          allCards.push(...eventNotifications.map(mapEventNotificationToCard));
-        } catch (error) {
-          if (error.name !== 'AbortError') {
-            errors.push(`Events: ${error.message}`);
-          }
+        const requestedAt = new Date().toISOString();
+        const inbox = await fetchInbox({ category, unreadOnly }, { signal: controller.signal });
+        if (!isMounted) return;
+        setCards(inbox.items.map(describeNotification));
+        setNextCursor(inbox.nextCursor);
+        setUnreadCount(inbox.unreadCount);
+        setLoadedAt(requestedAt);
+      } catch (error) {
+        if (error.name !== 'AbortError' && isMounted) {
+          setCards([]);
+          setNextCursor(null);
+          setBanner({ type: 'error', message: `Notifications failed to load. ${error.message}` });
         }
-      }
-
-      if (isAuthenticated) {
-        try {
-          const newsletterResult = await apiRequest('/posts/newsletter/notifications?limit=30', {
-            signal: controller.signal,
-          });
-          const newsletterNotifications = Array.isArray(newsletterResult?.data) ? newsletterResult.data : [];
-          allCards.push(...newsletterNotifications.map(mapNewsletterNotificationToCard));
-        } catch (error) {
-          if (error.name !== 'AbortError') {
-            errors.push(`Newsletter: ${error.message}`);
-          }
+      } finally {
+        if (isMounted) {
+          setLoading(false);
         }
       }
-
-      if (!isMounted) return;
-
-      const sorted = allCards
-        .slice()
-        .sort((a, b) => {
-          const aTime = a.createdAt ? new Date(a.createdAt).getTime() : 0;
-          const bTime = b.createdAt ? new Date(b.createdAt).getTime() : 0;
-          return bTime - aTime;
-        });
-
-      const unreadOnly = (() => {
-        const readKeySet = new Set(readKeys);
-        const lastSeenMs = lastSeenAt ? new Date(lastSeenAt).getTime() : NaN;
-
-        return sorted.filter((card) => {
-          if (card.source === 'job-service') return true;
-          if (readKeySet.has(String(card.id))) return false;
-          if (!card.createdAt) return true;
-          const createdAtMs = new Date(card.createdAt).getTime();
-          if (Number.isNaN(createdAtMs)) return true;
-          if (Number.isNaN(lastSeenMs)) return true;
-          return createdAtMs > lastSeenMs;
-        });
-      })();
-
-      setCards(unreadOnly);
-      if (errors.length) {
-        setBanner({ type: 'error', message: `Some notifications failed to load. ${errors.join(' | ')}` });
-      }
-      setLoading(false);
     }
 
     loadNotifications();
@@ -385,7 +132,20 @@ export default function NotificationsPage() {
       isMounted = false;
       controller.abort();
     };
-  }, [isAuthenticated, isModerator, isAlumni, user?.id, refreshTick]);
+  }, [isAuthenticated, category, unreadOnly, refreshTick]);
+
+  // Pushed notifications are unread and newer than anything listed, so they
+  // go on top when they match the current category.
+  useEffect(() => {
+    if (!isAuthenticated || loading) return undefined;
+
+    return subscribeToNotifications((notification) => {
+      if (category && notification.category !== category) return;
+      const card = describeNotification(notification);
+      setCards((prev) => (prev.some((entry) => entry.id === card.id) ? prev : [card, ...prev]));
+      setUnreadCount((prev) => prev + 1);
+    });
+  }, [isAuthenticated, loading, category, subscribeToNotifications]);
 
   const headerCopy = useMemo(() => {
     if (isModerator) {
@@ -409,34 +169,30 @@ export default function NotificationsPage() {
     };
   }, [isAlumni, isModerator]);
 
-  async function markAllAsRead() {
-    if (!isAuthenticated || cards.length === 0) return;
-
-    const localCards = cards.filter((card) => card.source === 'job-service');
-    const apiCards = cards.filter((card) => card.source !== 'job-service');
+  async function loadMore() {
+    if (!nextCursor || loadingMore) return;
 
-    setMarkingRead(true);
+    setLoadingMore(true);
     try {
-      if (localCards.length > 0 && user?.id) {
-        await markAllJobApplicationNotificationsReadForUser(user.id);
-      }
-
-      if (apiCards.length > 0) {
-        const latestCardTime = apiCards
-          .map((card) => (card.createdAt ? new Date(card.createdAt).getTime() : 0))
-          .filter((value) => Number.isFinite(value) && value > 0)
-          .sort((a, b) => b - a)[0];
-
-        const payload = latestCardTime
-          ? { lastSeenAt: new Date(latestCardTime).toISOString() }
-          : {};
+      const inbox = await fetchInbox({ category, unreadOnly, cursor: nextCursor });
+      setCards((prev) => [...prev, ...inbox.items.map(describeNotification)]);
+      setNextCursor(inbox.nextCursor);
+      setUnreadCount(inbox.unreadCount);
+    } catch (error) {
+      setBanner({ type: 'error', message: `Could not load more notifications: ${error.message}` });
+    } finally {
+      setLoadingMore(false);
+    }
+  }
 
-        await apiRequest('/users/notifications/state/mark-read', {
-          method: 'POST',
-          body: JSON.stringify(payload),
-        });
-      }
+  async function markAllAsRead() {
+    if (!isAuthenticated || unreadCount === 0) return;
 
+    setMarkingRead(true);
+    try {
+      // Only what was on screen when the list loaded, within the current filter.
+      const result = await markInboxRead({ category, before: loadedAt });
+      setUnreadCount(result.unreadCount);
       setBanner({ type: 'success', message: 'All current notifications marked as read.' });
       setRefreshTick((prev) => prev + 1);
     } catch (error) {
@@ -450,18 +206,11 @@ export default function NotificationsPage() {
     if (!isAuthenticated || !cardId) return;
     setBusyCardId(cardId);
     try {
-      const targetCard = cards.find((card) => card.id === cardId);
-      if (targetCard?.source === 'job-service') {
-        await markJobApplicationNotificationRead(cardId);
-        setCards((prev) => prev.filter((card) => card.id !== cardId));
-        return;
-      }
-
-      await apiRequest('/users/notifications/state/mark-read', {
-        method: 'POST',
-        body: JSON.stringify({ notificationKey: cardId }),
-      });
-      setCards((prev) => prev.filter((card) => card.id !== cardId));
+      await markInboxNotificationRead(cardId);
+      setCards((prev) => (unreadOnly
+        ? prev.filter((card) => card.id !== cardId)
+        : prev.map((card) => (card.id === cardId ? { ...card, isRead: true } : card))));
+      setUnreadCount((prev) => Math.max(0, prev - 1));
     } catch (error) {
       setBanner({ type: 'error', message: `Could not mark notification as read: ${error.message}` });
     } finally {
@@ -503,13 +252,15 @@ export default function NotificationsPage() {
             <h3>Recent Notifications</h3>
           </div>
           <div className="header-actions">
-            <span className="pill">{loading ? 'Loading...' : `${cards.length} unread`}</span>
+            <span className="pill">
+              {loading ? 'Loading...' : isAuthenticated ? `${unreadCount} unread` : `${cards.length} announcements`}
+            </span>
             {isAuthenticated && (
               <button
                 className="btn btn-accent"
                 type="button"
                 onClick={markAllAsRead}
-                disabled={markingRead || cards.length === 0 || loading}
+                disabled={markingRead || unreadCount === 0 || loading}
               >
                 {markingRead ? 'Marking...' : 'Mark All Read'}
               </button>
@@ -520,6 +271,39 @@ export default function NotificationsPage() {
           </div>
         </div>
 
+        {isAuthenticated && (
+          <div className="notification-filters">
+            <div className="chat-filter-tabs" role="tablist" aria-label="Notification categories">
+              {[{ value: '', label: 'All' }, ...NOTIFICATION_CATEGORIES].map((option) => (
+                <button
+                  key={option.value || 'all'}
+                  type="button"
+                  className={`chat-filter-tab${category === option.value ? ' is-active' : ''}`}
+                  onClick={() => setCategory(option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="chat-filter-tabs" role="tablist" aria-label="Read state">
+              <button
+                type="button"
+                className={`chat-filter-tab${unreadOnly ? ' is-active' : ''}`}
+                onClick={() => setUnreadOnly(true)}
+              >
+                Unread
+              </button>
+              <button
+                type="button"
+                className={`chat-filter-tab${!unreadOnly ? ' is-active' : ''}`}
+                onClick={() => setUnreadOnly(false)}
+              >
+                All
+              </button>
+            </div>
+          </div>
+        )}
+
         {loading ? (
           <div className="skeleton-grid" aria-hidden="true">
             {Array.from({ length: 5 }).map((_, index) => (
@@ -528,7 +312,7 @@ export default function NotificationsPage() {
           </div>
         ) : cards.length === 0 ? (
           <div className="empty-state">
-            <h4>No unread notifications</h4>
+            <h4>{unreadOnly || !isAuthenticated ? 'No unread notifications' : 'No notifications yet'}</h4>
             <p>When new updates arrive, unread cards will appear here.</p>
           </div>
         ) : (
@@ -555,7 +339,7 @@ export default function NotificationsPage() {
                 <div className="notification-card-footer">
                   <div className="notification-action-row">
                     <Link className="btn btn-soft" to={card.ctaTo}>{card.ctaLabel}</Link>
-                    {isAuthenticated && (
+                    {isAuthenticated && !card.isRead && (
                       <button
                         className="btn btn-accent"
                         type="button"
@@ -567,13 +351,26 @@ export default function NotificationsPage() {
                     )}
                   </div>
                   {isAuthenticated && (
-                    <span className="notification-read-hint">Unread</span>
+                    <span className="notification-read-hint">{card.isRead ? 'Read' : 'Unread'}</span>
                   )}
                 </div>
               </article>
             ))}
           </div>
         )}
+
+        {!loading && nextCursor && (
+          <div className="search-load-more-row">
+            <button
+              type="button"
+              className="btn btn-soft search-load-more-btn"
+              onClick={loadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading more...' : 'Load more'}
+            </button>
+          </div>
+        )}
       </section>
     </div>
   );
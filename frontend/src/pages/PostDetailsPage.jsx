@@ -3,6 +3,10 @@ import { Link, useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../context/useAuth';
 import PostActionsMenu from '../components/posts/PostActionsMenu';
 import PostEditModal from '../components/posts/PostEditModal';
+import PostRevisionHistory from '../components/posts/PostRevisionHistory';
+import CommentThreadItem from '../components/posts/CommentThreadItem';
+import MentionInput from '../components/posts/MentionInput';
+import MentionText from '../components/posts/MentionText';
 import { getJobDetailsFromPost } from '../utils/jobPortalStorage';
 import {
   archivePostById,
@@ -22,9 +26,10 @@ import {
   isEventPostType,
   isVolunteerEligibleEvent,
 } from '../utils/eventPost';
+import { COMMENT_SORT_OPTIONS, fetchComments, postComment } from '../utils/commentsApi';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
-const COMMENT_PAGE_LIMIT = 200;
+const COMMENT_PAGE_LIMIT = 20;
 const compactCountFormatter = new Intl.NumberFormat('en', {
   notation: 'compact',
   maximumFractionDigits: 1,
@@ -167,6 +172,9 @@ export default function PostDetailsPage() {
   const [comments, setComments] = useState([]);
   const [loadingPost, setLoadingPost] = useState(true);
   const [loadingComments, setLoadingComments] = useState(true);
+  const [commentSort, setCommentSort] = useState('top');
+  const [commentsCursor, setCommentsCursor] = useState(null);
+  const [loadingMoreComments, setLoadingMoreComments] = useState(false);
   const [pageError, setPageError] = useState('');
   const [banner, setBanner] = useState({ type: 'idle', message: '' });
   const [actionBusy, setActionBusy] = useState(false);
@@ -177,6 +185,7 @@ export default function PostDetailsPage() {
   const [volunteers, setVolunteers] = useState([]);
   const [loadingVolunteers, setLoadingVolunteers] = useState(false);
   const [editOpen, setEditOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
 
   const normalizedRole = String(user?.role || '').toLowerCase();
   const isJobPost = String(post?.type || '').toUpperCase() === 'JOB';
@@ -199,16 +208,14 @@ export default function PostDetailsPage() {
     const controller = new AbortController();
     let isMounted = true;
 
-    async function loadPostAndComments() {
+    async function loadPost() {
       if (!postId) {
         setLoadingPost(false);
-        setLoadingComments(false);
         setPageError('Missing post id.');
         return;
       }
 
       setLoadingPost(true);
-      setLoadingComments(true);
       setPageError('');
 
       try {
@@ -226,45 +233,71 @@ export default function PostDetailsPage() {
         }
 
         setPost(loadedPost);
-
-        try {
-          const commentsResult = await apiRequest(`/posts/posts/${postId}/comments?limit=${COMMENT_PAGE_LIMIT}&offset=0`, {
-            signal: controller.signal,
-          });
-          if (!isMounted) return;
-          const list = Array.isArray(commentsResult?.data) ? commentsResult.data : [];
-          const total = Number(commentsResult?.pagination?.total);
-          setComments(list);
-          if (Number.isFinite(total)) {
-            setPost((prev) => (prev ? {
-              ...prev,
-              commentCount: Math.max(0, Math.trunc(total)),
-              commentsCount: Math.max(0, Math.trunc(total)),
-            } : prev));
-          }
-        } catch (error) {
-          if (!isMounted || error.name === 'AbortError') return;
-          setComments([]);
-          setBanner({ type: 'error', message: `Could not load comments: ${error.message}` });
-        }
       } catch (error) {
         if (!isMounted || error.name === 'AbortError') return;
         setPageError(error.message || 'Could not load post details.');
       } finally {
         if (isMounted) {
           setLoadingPost(false);
-          setLoadingComments(false);
         }
       }
     }
 
-    loadPostAndComments();
+    loadPost();
     return () => {
       isMounted = false;
       controller.abort();
     };
   }, [postId]);
 
+  useEffect(() => {
+    if (!postId) return undefined;
+    const controller = new AbortController();
+    setLoadingComments(true);
+
+    fetchComments(postId, { sort: commentSort, limit: COMMENT_PAGE_LIMIT }, { signal: controller.signal })
+      .then((page) => {
+        setComments(page.comments);
+        setCommentsCursor(page.nextCursor);
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') return;
+        setComments([]);
+        setCommentsCursor(null);
+        setBanner({ type: 'error', message: `Could not load comments: ${error.message}` });
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoadingComments(false);
+      });
+
+    return () => controller.abort();
+  }, [postId, commentSort]);
+
+  async function loadMoreComments() {
+    if (!commentsCursor) return;
+    setLoadingMoreComments(true);
+    try {
+      const page = await fetchComments(postId, { sort: commentSort, cursor: commentsCursor, limit: COMMENT_PAGE_LIMIT });
+      setComments((prev) => {
+        const known = new Set(prev.map((comment) => comment.id));
+        return [...prev, ...page.comments.filter((comment) => !known.has(comment.id))];
+      });
+      setCommentsCursor(page.nextCursor);
+    } catch (error) {
+      setBanner({ type: 'error', message: `Could not load more comments: ${error.message}` });
+    } finally {
+      setLoadingMoreComments(false);
+    }
+  }
+
+  function updateCommentCount(count) {
+    setPost((prev) => (prev ? {
+      ...prev,
+      commentCount: Math.max(0, Math.trunc(count)),
+      commentsCount: Math.max(0, Math.trunc(count)),
+    } : prev));
+  }
+
   useEffect(() => {
     const controller = new AbortController();
     let isMounted = true;
@@ -365,10 +398,7 @@ export default function PostDetailsPage() {
 
     setActionBusy(true);
     try {
-      const result = await apiRequest(`/posts/posts/${post.id}/comments`, {
-        method: 'POST',
-        body: JSON.stringify({ content }),
-      });
+      const result = await postComment(post.id, { content });
       const createdComment = result?.data;
       if (createdComment) {
         setComments((prev) => [createdComment, ...prev]);
@@ -376,11 +406,7 @@ export default function PostDetailsPage() {
 
       const backendCount = Number(result?.meta?.commentCount);
       if (Number.isFinite(backendCount)) {
-        setPost((prev) => (prev ? {
-          ...prev,
-          commentCount: Math.max(0, Math.trunc(backendCount)),
-          commentsCount: Math.max(0, Math.trunc(backendCount)),
-        } : prev));
+        updateCommentCount(backendCount);
       } else {
         setPost((prev) => (prev ? {
           ...prev,
@@ -544,6 +570,7 @@ export default function PostDetailsPage() {
   const authorLabel = getPostAuthorLabel(post, user);
   const authorAvatar = String(authorLabel || 'U').trim().charAt(0).toUpperCase() || 'U';
   const authorId = post?.author?.id || post?.authorId || null;
+  const postedAt = post?.publishedAt || post?.createdAt || null;
   const volunteerCount = Number.isFinite(Number(post?.volunteerCount))
     ? Math.max(0, Math.trunc(Number(post.volunteerCount)))
     : 0;
@@ -598,7 +625,7 @@ export default function PostDetailsPage() {
           <div className="post-thread-meta">
             <span className="pill">{post?.type || 'POST'}</span>
             {isVolunteerEvent && <span className="pill">Volunteers {volunteerCount}</span>}
-            <span>{post?.createdAt ? formatRelativeTime(post.createdAt) : 'Now'}</span>
+            <span>{postedAt ? formatRelativeTime(postedAt) : 'Now'}</span>
           </div>
         </div>
 
@@ -629,7 +656,7 @@ export default function PostDetailsPage() {
                   ) : (
                     <strong>{authorLabel}</strong>
                   )}
-                  <small>{formatDate(post?.createdAt)}</small>
+                  <small>{formatDate(postedAt)}</small>
                 </div>
               </div>
               <div className="post-card-header-tools">
@@ -638,6 +665,17 @@ export default function PostDetailsPage() {
                     <span className="pill">{toTitleCase(post.status)}</span>
                   )}
                   {post?.pinned && <span className="pill tone-pin">Pinned</span>}
+                  {post?.editedAt && (
+                    <button
+                      type="button"
+                      className="pill post-edited-pill"
+                      title={`Last edited ${formatDate(post.editedAt)}`}
+                      aria-expanded={historyOpen}
+                      onClick={() => setHistoryOpen((prev) => !prev)}
+                    >
+                      Edited
+                    </button>
+                  )}
                 </div>
 
                 {canManageCurrentPost && (
@@ -690,7 +728,9 @@ export default function PostDetailsPage() {
               </div>
             )}
 
-            <p className="post-details-summary">{postSummary}</p>
+            <p className="post-details-summary">
+              <MentionText text={postSummary} mentions={post?.mentions} currentUserId={currentUserId} />
+            </p>
 
             {imageRef?.metadata?.imageDataUrl && (
               <div className="post-detail-image-wrap">
@@ -698,6 +738,16 @@ export default function PostDetailsPage() {
               </div>
             )}
 
+            {historyOpen && post?.id && (
+              <PostRevisionHistory
+                postId={post.id}
+                editedAt={post.editedAt}
+                canRestore={Boolean(isOwner || isModerator)}
+                onRestored={(updatedPost) => setPost((prev) => (prev ? { ...prev, ...updatedPost } : updatedPost))}
+                onStatus={setBanner}
+              />
+            )}
+
             <div className="feed-card-actions social-actions reddit-action-row post-detail-actions">
               <div className="reddit-vote-group" role="group" aria-label={`Voting controls for ${postTitle}`}>
                 <button
@@ -814,12 +864,11 @@ export default function PostDetailsPage() {
             </div>
 
             <form className="post-join-form" onSubmit={handleCommentSubmit}>
-              <input
+              <MentionInput
                 id="post-comments-anchor"
-                type="text"
-                placeholder={isAuthenticated ? 'Join the conversation' : 'Sign in to join the conversation'}
+                placeholder={isAuthenticated ? 'Join the conversation (type @ to mention someone)' : 'Sign in to join the conversation'}
                 value={commentDraft}
-                onChange={(event) => setCommentDraft(event.target.value)}
+                onChange={setCommentDraft}
                 disabled={!isAuthenticated || actionBusy}
               />
               <button
@@ -874,6 +923,18 @@ export default function PostDetailsPage() {
               </section>
             )}
 
+            <div className="post-comments-header post-comments-toolbar">
+              <h5>Comments</h5>
+              <label className="post-comments-sort">
+                <span>Sort by</span>
+                <select value={commentSort} onChange={(event) => setCommentSort(event.target.value)}>
+                  {COMMENT_SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
             {loadingComments ? (
               <p className="post-comments-hint">Loading comments...</p>
             ) : comments.length === 0 ? (
@@ -881,29 +942,33 @@ export default function PostDetailsPage() {
             ) : (
               <ul className="post-detail-comment-list" aria-label="Post comments">
                 {comments.map((comment, index) => (
-                  <li
-                    key={comment.id || `${comment.authorId || 'comment'}-${index}`}
-                    className={`post-detail-comment-item${index === 0 ? ' is-featured' : ''}`}
-                  >
-                    <div className="post-comment-head">
-                      {comment.authorId ? (
-                        <button
-                          type="button"
-                          className="author-inline-btn"
-                          onClick={(event) => navigateToProfile(event, comment.authorId)}
-                        >
-                          {getCommentAuthorLabel(comment, user)}
-                        </button>
-                      ) : (
-                        <strong>{getCommentAuthorLabel(comment, user)}</strong>
-                      )}
-                      <small>{formatDate(comment.createdAt)}</small>
-                    </div>
-                    <p>{comment.content || 'No comment text provided.'}</p>
-                  </li>
+                  <CommentThreadItem
+                    key={comment.id}
+                    postId={post.id}
+                    comment={comment}
+                    featured={index === 0}
+                    isAuthenticated={isAuthenticated}
+                    currentUserId={currentUserId}
+                    getAuthorLabel={(item) => getCommentAuthorLabel(item, user)}
+                    formatDate={formatDate}
+                    onOpenProfile={navigateToProfile}
+                    onStatus={setBanner}
+                    onCommentCountChange={updateCommentCount}
+                  />
                 ))}
               </ul>
             )}
+
+            {!loadingComments && commentsCursor && (
+              <button
+                type="button"
+                className="btn btn-soft post-comments-more"
+                onClick={loadMoreComments}
+                disabled={loadingMoreComments}
+              >
+                {loadingMoreComments ? 'Loading...' : 'Load more comments'}
+              </button>
+            )}
           </>
         )}
       </section>
@@ -0,0 +1,904 @@
+// Generated by api-gateway/generateClient.js from the gateway's OpenAPI
+
+// document. Do not edit by hand: change the service's openapi.js and run
+
+// `npm run client:generate` in api-gateway.
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+export class ApiError extends Error {
+  constructor(message, { status, code, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || null;
+    this.details = details || null;
+  }
+}
+
+function buildUrl(path, params = {}, queryNames = []) {
+  const resolvedPath = path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+  const search = new URLSearchParams();
+  for (const name of queryNames) {
+    const value = params[name];
+    if (value !== undefined && value !== null && value !== '') {
+      search.set(name, String(value));
+    }
+  }
+
+  const queryString = search.toString();
+  return `${API_BASE_URL}${resolvedPath}${queryString ? `?${queryString}` : ''}`;
+}
+
+async function request(method, path, { params, query, body, headers, signal } = {}) {
+  const storedToken = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  const isFormDataBody = typeof FormData !== 'undefined' && body instanceof FormData;
+
+  const response = await fetch(buildUrl(path, params, query), {
+    method,
+    signal,
+    headers: {
+      ...(body !== undefined && !isFormDataBody ? { 'Content-Type': 'application/json' } : {}),
+      ...(storedToken ? { Authorization: `Bearer ${storedToken}` } : {}),
+      ...(headers || {}),
+    },
+    ...(body !== undefined ? { body: isFormDataBody ? body : JSON.stringify(body) } : {}),
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  let data;
+  if (contentType.includes('application/json')) {
+    data = await response.json();
+  } else if (contentType.startsWith('text/')) {
+    data = await response.text();
+  } else {
+    data = await response.blob();
+  }
+
+  if (!response.ok) {
+    const message = typeof data === 'string'
+      ? data
+      : data?.error || data?.message || 'Request failed';
+    throw new ApiError(message, { status: response.status, code: data?.code, details: data?.details });
+  }
+
+  return data;
+}
+
+/**
+ * Register an account.
+ * `POST /auth/signup`
+ */
+export function signup(body, options = {}) {
+  return request('POST', '/auth/signup', { body, ...options });
+}
+
+/**
+ * Sign in with email and password.
+ * `POST /auth/login`
+ */
+export function login(body, options = {}) {
+  return request('POST', '/auth/login', { body, ...options });
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * `POST /auth/refresh`
+ */
+export function refreshSession(body, options = {}) {
+  return request('POST', '/auth/refresh', { body, ...options });
+}
+
+/**
+ * Revoke the current session.
+ * `POST /auth/logout`
+ */
+export function logout(body, options = {}) {
+  return request('POST', '/auth/logout', { body, ...options });
+}
+
+/**
+ * Revoke every session of the signed-in user.
+ * `POST /auth/logout-all`
+ */
+export function logoutAll(options = {}) {
+  return request('POST', '/auth/logout-all', { ...options });
+}
+
+/**
+ * Verify an email address from the emailed link.
+ * `GET /auth/verify-email`
+ * params: token
+ */
+export function verifyEmail(params = {}, options = {}) {
+  return request('GET', '/auth/verify-email', { params, query: ['token'], ...options });
+}
+
+/**
+ * Send a new verification email.
+ * `POST /auth/verify-email/resend`
+ */
+export function resendVerificationEmail(body, options = {}) {
+  return request('POST', '/auth/verify-email/resend', { body, ...options });
+}
+
+/**
+ * Email a password reset link.
+ * `POST /auth/password/forgot`
+ */
+export function forgotPassword(body, options = {}) {
+  return request('POST', '/auth/password/forgot', { body, ...options });
+}
+
+/**
+ * Set a new password with a reset token.
+ * `POST /auth/password/reset`
+ */
+export function resetPassword(body, options = {}) {
+  return request('POST', '/auth/password/reset', { body, ...options });
+}
+
+/**
+ * Change the signed-in user's password.
+ * `POST /auth/password/change`
+ */
+export function changePassword(body, options = {}) {
+  return request('POST', '/auth/password/change', { body, ...options });
+}
+
+/**
+ * Get two-factor status.
+ * `GET /auth/2fa/status`
+ */
+export function getTwoFactorStatus(options = {}) {
+  return request('GET', '/auth/2fa/status', { ...options });
+}
+
+/**
+ * Start authenticator enrolment.
+ * `POST /auth/2fa/setup`
+ */
+export function setupTwoFactor(body, options = {}) {
+  return request('POST', '/auth/2fa/setup', { body, ...options });
+}
+
+/**
+ * Confirm enrolment with a code.
+ * `POST /auth/2fa/enable`
+ */
+export function enableTwoFactor(body, options = {}) {
+  return request('POST', '/auth/2fa/enable', { body, ...options });
+}
+
+/**
+ * Finish a login with a two-factor code.
+ * `POST /auth/2fa/verify`
+ */
+export function verifyTwoFactor(body, options = {}) {
+  return request('POST', '/auth/2fa/verify', { body, ...options });
+}
+
+/**
+ * Turn two-factor authentication off.
+ * `POST /auth/2fa/disable`
+ */
+export function disableTwoFactor(body, options = {}) {
+  return request('POST', '/auth/2fa/disable', { body, ...options });
+}
+
+/**
+ * Replace the recovery codes.
+ * `POST /auth/2fa/recovery-codes`
+ */
+export function regenerateRecoveryCodes(body, options = {}) {
+  return request('POST', '/auth/2fa/recovery-codes', { body, ...options });
+}
+
+/**
+ * Recent suspicious sign-in activity.
+ * `GET /auth/admin/login-activity`
+ * params: limit
+ */
+export function getLoginActivity(params = {}, options = {}) {
+  return request('GET', '/auth/admin/login-activity', { params, query: ['limit'], ...options });
+}
+
+/**
+ * Clear a sign-in lockout.
+ * `POST /auth/admin/users/{userId}/unlock`
+ * params: userId
+ */
+export function unlockAccount(params, options = {}) {
+  return request('POST', '/auth/admin/users/{userId}/unlock', { params, ...options });
+}
+
+/**
+ * Check an invitation code before signing up.
+ * `GET /auth/invitations/lookup`
+ * params: code
+ */
+export function lookupInvitation(params = {}, options = {}) {
+  return request('GET', '/auth/invitations/lookup', { params, query: ['code'], ...options });
+}
+
+/**
+ * List invitations.
+ * `GET /auth/invitations`
+ * params: status, limit
+ */
+export function listInvitations(params = {}, options = {}) {
+  return request('GET', '/auth/invitations', { params, query: ['status', 'limit'], ...options });
+}
+
+/**
+ * Invite a faculty member or admin.
+ * `POST /auth/invitations`
+ */
+export function createInvitation(body, options = {}) {
+  return request('POST', '/auth/invitations', { body, ...options });
+}
+
+/**
+ * Revoke a pending invitation.
+ * `DELETE /auth/invitations/{invitationId}`
+ * params: invitationId
+ */
+export function revokeInvitation(params, options = {}) {
+  return request('DELETE', '/auth/invitations/{invitationId}', { params, ...options });
+}
+
+/**
+ * Public keys for verifying access tokens.
+ * `GET /auth/.well-known/jwks.json`
+ */
+export function getJwks(options = {}) {
+  return request('GET', '/auth/.well-known/jwks.json', { ...options });
+}
+
+/**
+ * Get the signed-in user's profile.
+ * `GET /users/me`
+ */
+export function getMyProfile(options = {}) {
+  return request('GET', '/users/me', { ...options });
+}
+
+/**
+ * Update the signed-in user's profile.
+ * `PUT /users/me`
+ */
+export function updateMyProfile(body, options = {}) {
+  return request('PUT', '/users/me', { body, ...options });
+}
+
+/**
+ * Schedule deletion of the signed-in account.
+ * `DELETE /users/me`
+ */
+export function requestAccountDeletion(body, options = {}) {
+  return request('DELETE', '/users/me', { body, ...options });
+}
+
+/**
+ * Upload an avatar image or set an avatar URL.
+ * `POST /users/me/avatar`
+ */
+export function uploadMyAvatar(body, options = {}) {
+  return request('POST', '/users/me/avatar', { body, ...options });
+}
+
+/**
+ * Download a ZIP export of the signed-in user's data.
+ * `GET /users/me/export`
+ */
+export function exportMyData(options = {}) {
+  return request('GET', '/users/me/export', { ...options });
+}
+
+/**
+ * Get the account deletion schedule.
+ * `GET /users/me/deletion`
+ */
+export function getAccountDeletion(options = {}) {
+  return request('GET', '/users/me/deletion', { ...options });
+}
+
+/**
+ * Cancel a scheduled account deletion.
+ * `POST /users/me/deletion/cancel`
+ */
+export function cancelAccountDeletion(options = {}) {
+  return request('POST', '/users/me/deletion/cancel', { ...options });
+}
+
+/**
+ * Get the signed-in user's notification preferences.
+ * `GET /users/me/notification-preferences`
+ */
+export function getMyNotificationPreferences(options = {}) {
+  return request('GET', '/users/me/notification-preferences', { ...options });
+}
+
+/**
+ * Change channels for one or more notification types.
+ * `PUT /users/me/notification-preferences`
+ */
+export function updateMyNotificationPreferences(body, options = {}) {
+  return request('PUT', '/users/me/notification-preferences', { body, ...options });
+}
+
+/**
+ * Get the signed-in alumnus's verification request.
+ * `GET /users/alumni-verification/me`
+ */
+export function getMyAlumniVerification(options = {}) {
+  return request('GET', '/users/alumni-verification/me', { ...options });
+}
+
+/**
+ * Submit an alumni verification request.
+ * `POST /users/alumni-verification/apply`
+ */
+export function applyForAlumniVerification(body, options = {}) {
+  return request('POST', '/users/alumni-verification/apply', { body, ...options });
+}
+
+/**
+ * List alumni verification requests or updates.
+ * `GET /users/notifications/alumni-verifications`
+ * params: status, limit, offset
+ */
+export function listAlumniVerificationNotifications(params = {}, options = {}) {
+  return request('GET', '/users/notifications/alumni-verifications', { params, query: ['status', 'limit', 'offset'], ...options });
+}
+
+/**
+ * Approve or reject an alumni verification request.
+ * `PATCH /users/notifications/alumni-verifications/{id}`
+ * params: id
+ */
+export function reviewAlumniVerification(params, body, options = {}) {
+  return request('PATCH', '/users/notifications/alumni-verifications/{id}', { params, body, ...options });
+}
+
+/**
+ * Get the notification read markers.
+ * `GET /users/notifications/state`
+ */
+export function getNotificationState(options = {}) {
+  return request('GET', '/users/notifications/state', { ...options });
+}
+
+/**
+ * Move a notification read marker forward.
+ * `POST /users/notifications/state/mark-read`
+ */
+export function markNotificationsRead(body, options = {}) {
+  return request('POST', '/users/notifications/state/mark-read', { body, ...options });
+}
+
+/**
+ * Search and filter user accounts.
+ * `GET /users/admin/users`
+ * params: q, role, session, status, verificationStatus, createdFrom, createdTo, limit, offset
+ */
+export function listUsersForAdmin(params = {}, options = {}) {
+  return request('GET', '/users/admin/users', { params, query: ['q', 'role', 'session', 'status', 'verificationStatus', 'createdFrom', 'createdTo', 'limit', 'offset'], ...options });
+}
+
+/**
+ * Correct a user's university ID or session.
+ * `PATCH /users/admin/users/{userId}`
+ * params: userId
+ */
+export function updateUserForAdmin(params, body, options = {}) {
+  return request('PATCH', '/users/admin/users/{userId}', { params, body, ...options });
+}
+
+/**
+ * Change a user's role and sign them out everywhere.
+ * `PATCH /users/admin/users/{userId}/role`
+ * params: userId
+ */
+export function changeUserRole(params, body, options = {}) {
+  return request('PATCH', '/users/admin/users/{userId}/role', { params, body, ...options });
+}
+
+/**
+ * Suspend a user and revoke their sessions.
+ * `PATCH /users/admin/users/{userId}/suspend`
+ * params: userId
+ */
+export function suspendUser(params, body, options = {}) {
+  return request('PATCH', '/users/admin/users/{userId}/suspend', { params, body, ...options });
+}
+
+/**
+ * Lift a suspension.
+ * `PATCH /users/admin/users/{userId}/reactivate`
+ * params: userId
+ */
+export function reactivateUser(params, options = {}) {
+  return request('PATCH', '/users/admin/users/{userId}/reactivate', { params, ...options });
+}
+
+/**
+ * Suggest users to @mention.
+ * `GET /users/mention-suggestions`
+ * params: q, limit
+ */
+export function listMentionSuggestions(params = {}, options = {}) {
+  return request('GET', '/users/mention-suggestions', { params, query: ['q', 'limit'], ...options });
+}
+
+/**
+ * Get a user's public profile.
+ * `GET /users/{userId}`
+ * params: userId
+ */
+export function getPublicProfile(params, options = {}) {
+  return request('GET', '/users/{userId}', { params, ...options });
+}
+
+/**
+ * List feed posts.
+ * `GET /posts/feed`
+ * params: limit, offset, cursor, sort, status, type, authorId, tag, search, includeArchived, pinnedOnly
+ */
+export function getFeed(params = {}, options = {}) {
+  return request('GET', '/posts/feed', { params, query: ['limit', 'offset', 'cursor', 'sort', 'status', 'type', 'authorId', 'tag', 'search', 'includeArchived', 'pinnedOnly'], ...options });
+}
+
+/**
+ * Full-text search over published posts.
+ * `GET /posts/search`
+ * params: q, cursor, limit
+ */
+export function searchPosts(params = {}, options = {}) {
+  return request('GET', '/posts/search', { params, query: ['q', 'cursor', 'limit'], ...options });
+}
+
+/**
+ * Create a post.
+ * `POST /posts/posts`
+ */
+export function createPost(body, options = {}) {
+  return request('POST', '/posts/posts', { body, ...options });
+}
+
+/**
+ * Get a post.
+ * `GET /posts/posts/{id}`
+ * params: id, includeComments, commentsLimit, commentsOffset
+ */
+export function getPost(params, options = {}) {
+  return request('GET', '/posts/posts/{id}', { params, query: ['includeComments', 'commentsLimit', 'commentsOffset'], ...options });
+}
+
+/**
+ * Delete a post.
+ * `DELETE /posts/posts/{id}`
+ * params: id
+ */
+export function deletePost(params, options = {}) {
+  return request('DELETE', '/posts/posts/{id}', { params, ...options });
+}
+
+/**
+ * Update a post.
+ * `PATCH /posts/posts/{id}`
+ * params: id
+ */
+export function updatePost(params, body, options = {}) {
+  return request('PATCH', '/posts/posts/{id}', { params, body, ...options });
+}
+
+/**
+ * Approve, reject or request changes on a post waiting for review.
+ * `POST /posts/posts/{id}/review`
+ * params: id
+ */
+export function reviewPost(params, body, options = {}) {
+  return request('POST', '/posts/posts/{id}/review', { params, body, ...options });
+}
+
+/**
+ * Edit history of a post, newest first.
+ * `GET /posts/posts/{id}/revisions`
+ * params: id, limit, offset
+ */
+export function listPostRevisions(params, options = {}) {
+  return request('GET', '/posts/posts/{id}/revisions', { params, query: ['limit', 'offset'], ...options });
+}
+
+/**
+ * Restore a post to an earlier revision (author or moderator).
+ * `POST /posts/posts/{id}/revisions/{revisionId}/restore`
+ * params: id, revisionId
+ */
+export function restorePostRevision(params, options = {}) {
+  return request('POST', '/posts/posts/{id}/revisions/{revisionId}/restore', { params, ...options });
+}
+
+/**
+ * Posts waiting for review, or already sent back (moderator).
+ * `GET /posts/review-queue`
+ * params: status, limit, offset
+ */
+export function listPostReviewQueue(params = {}, options = {}) {
+  return request('GET', '/posts/review-queue', { params, query: ['status', 'limit', 'offset'], ...options });
+}
+
+/**
+ * Upvote, downvote or clear a vote.
+ * `POST /posts/posts/{id}/vote`
+ * params: id
+ */
+export function votePost(params, body, options = {}) {
+  return request('POST', '/posts/posts/{id}/vote', { params, body, ...options });
+}
+
+/**
+ * List volunteers for an event (author or moderator).
+ * `GET /posts/posts/{id}/volunteers`
+ * params: id
+ */
+export function listVolunteers(params, options = {}) {
+  return request('GET', '/posts/posts/{id}/volunteers', { params, ...options });
+}
+
+/**
+ * Volunteer for an event.
+ * `POST /posts/posts/{id}/volunteers`
+ * params: id
+ */
+export function volunteerForEvent(params, body, options = {}) {
+  return request('POST', '/posts/posts/{id}/volunteers', { params, body, ...options });
+}
+
+/**
+ * List top-level comments on a post, or the replies to one comment.
+ * `GET /posts/posts/{id}/comments`
+ * params: id, parentId, sort, cursor, limit, offset
+ */
+export function listComments(params, options = {}) {
+  return request('GET', '/posts/posts/{id}/comments', { params, query: ['parentId', 'sort', 'cursor', 'limit', 'offset'], ...options });
+}
+
+/**
+ * Comment on a post, or reply to a comment.
+ * `POST /posts/posts/{id}/comments`
+ * params: id
+ */
+export function createComment(params, body, options = {}) {
+  return request('POST', '/posts/posts/{id}/comments', { params, body, ...options });
+}
+
+/**
+ * Delete a comment.
+ * `DELETE /posts/posts/{id}/comments/{commentId}`
+ * params: id, commentId
+ */
+export function deleteComment(params, options = {}) {
+  return request('DELETE', '/posts/posts/{id}/comments/{commentId}', { params, ...options });
+}
+
+/**
+ * Edit a comment.
+ * `PATCH /posts/posts/{id}/comments/{commentId}`
+ * params: id, commentId
+ */
+export function updateComment(params, body, options = {}) {
+  return request('PATCH', '/posts/posts/{id}/comments/{commentId}', { params, body, ...options });
+}
+
+/**
+ * React to a comment.
+ * `PUT /posts/posts/{id}/comments/{commentId}/reactions/{reaction}`
+ * params: id, commentId, reaction
+ */
+export function addCommentReaction(params, options = {}) {
+  return request('PUT', '/posts/posts/{id}/comments/{commentId}/reactions/{reaction}', { params, ...options });
+}
+
+/**
+ * Remove a reaction from a comment.
+ * `DELETE /posts/posts/{id}/comments/{commentId}/reactions/{reaction}`
+ * params: id, commentId, reaction
+ */
+export function removeCommentReaction(params, options = {}) {
+  return request('DELETE', '/posts/posts/{id}/comments/{commentId}/reactions/{reaction}', { params, ...options });
+}
+
+/**
+ * List collaboration posts.
+ * `GET /posts/collab-posts`
+ * params: limit, offset, sort, q, category, author, skill, mode, status
+ */
+export function listCollabPosts(params = {}, options = {}) {
+  return request('GET', '/posts/collab-posts', { params, query: ['limit', 'offset', 'sort', 'q', 'category', 'author', 'skill', 'mode', 'status'], ...options });
+}
+
+/**
+ * Create a collaboration post.
+ * `POST /posts/collab-posts`
+ */
+export function createCollabPost(body, options = {}) {
+  return request('POST', '/posts/collab-posts', { body, ...options });
+}
+
+/**
+ * Get a collaboration post.
+ * `GET /posts/collab-posts/{id}`
+ * params: id
+ */
+export function getCollabPost(params, options = {}) {
+  return request('GET', '/posts/collab-posts/{id}', { params, ...options });
+}
+
+/**
+ * Update a collaboration post.
+ * `PATCH /posts/collab-posts/{id}`
+ * params: id
+ */
+export function updateCollabPost(params, body, options = {}) {
+  return request('PATCH', '/posts/collab-posts/{id}', { params, body, ...options });
+}
+
+/**
+ * Open or close a collaboration post.
+ * `PATCH /posts/collab-posts/{id}/status`
+ * params: id
+ */
+export function setCollabPostStatus(params, body, options = {}) {
+  return request('PATCH', '/posts/collab-posts/{id}/status', { params, body, ...options });
+}
+
+/**
+ * List join requests (post owner).
+ * `GET /posts/collab-posts/{id}/join-requests`
+ * params: id
+ */
+export function listJoinRequests(params, options = {}) {
+  return request('GET', '/posts/collab-posts/{id}/join-requests', { params, ...options });
+}
+
+/**
+ * Ask to join a collaboration.
+ * `POST /posts/collab-posts/{id}/join-requests`
+ * params: id
+ */
+export function requestToJoin(params, body, options = {}) {
+  return request('POST', '/posts/collab-posts/{id}/join-requests', { params, body, ...options });
+}
+
+/**
+ * Accept or reject a join request.
+ * `PATCH /posts/join-requests/{id}`
+ * params: id
+ */
+export function reviewJoinRequest(params, body, options = {}) {
+  return request('PATCH', '/posts/join-requests/{id}', { params, body, ...options });
+}
+
+/**
+ * List accepted collaboration members.
+ * `GET /posts/collab-posts/{id}/members`
+ * params: id
+ */
+export function listCollabMembers(params, options = {}) {
+  return request('GET', '/posts/collab-posts/{id}/members', { params, ...options });
+}
+
+/**
+ * Join request activity for the signed-in user.
+ * `GET /posts/collab-notifications`
+ * params: limit
+ */
+export function listCollabNotifications(params = {}, options = {}) {
+  return request('GET', '/posts/collab-notifications', { params, query: ['limit'], ...options });
+}
+
+/**
+ * Recently published events.
+ * `GET /posts/event-notifications`
+ * params: limit
+ */
+export function listEventNotifications(params = {}, options = {}) {
+  return request('GET', '/posts/event-notifications', { params, query: ['limit'], ...options });
+}
+
+/**
+ * Get newsletter settings.
+ * `GET /posts/newsletter/settings`
+ */
+export function getNewsletterSettings(options = {}) {
+  return request('GET', '/posts/newsletter/settings', { ...options });
+}
+
+/**
+ * Turn automatic newsletter sends on or off.
+ * `PATCH /posts/newsletter/settings`
+ */
+export function updateNewsletterSettings(body, options = {}) {
+  return request('PATCH', '/posts/newsletter/settings', { body, ...options });
+}
+
+/**
+ * List newsletter recipients.
+ * `GET /posts/newsletter/recipients`
+ */
+export function listNewsletterRecipients(options = {}) {
+  return request('GET', '/posts/newsletter/recipients', { ...options });
+}
+
+/**
+ * Preview the current newsletter issue.
+ * `GET /posts/newsletter/current`
+ */
+export function previewNewsletter(options = {}) {
+  return request('GET', '/posts/newsletter/current', { ...options });
+}
+
+/**
+ * Send the current newsletter issue.
+ * `POST /posts/newsletter/send`
+ */
+export function sendNewsletter(body, options = {}) {
+  return request('POST', '/posts/newsletter/send', { body, ...options });
+}
+
+/**
+ * Newsletter issues sent to the signed-in user.
+ * `GET /posts/newsletter/notifications`
+ * params: limit
+ */
+export function listNewsletterNotifications(params = {}, options = {}) {
+  return request('GET', '/posts/newsletter/notifications', { params, query: ['limit'], ...options });
+}
+
+/**
+ * List or search tags.
+ * `GET /posts/tags`
+ * params: q, limit
+ */
+export function listTags(params = {}, options = {}) {
+  return request('GET', '/posts/tags', { params, query: ['q', 'limit'], ...options });
+}
+
+/**
+ * Create a tag, or return the existing one with the same slug.
+ * `POST /posts/tags`
+ */
+export function createTag(body, options = {}) {
+  return request('POST', '/posts/tags', { body, ...options });
+}
+
+/**
+ * Apply to a JOB post.
+ * `POST /jobs/applications`
+ */
+export function submitJobApplication(body, options = {}) {
+  return request('POST', '/jobs/applications', { body, ...options });
+}
+
+/**
+ * List applications to one of your job posts.
+ * `GET /jobs/posts/{postId}/applications`
+ * params: postId, limit
+ */
+export function listJobApplications(params, options = {}) {
+  return request('GET', '/jobs/posts/{postId}/applications', { params, query: ['limit'], ...options });
+}
+
+/**
+ * List unread application notifications.
+ * `GET /jobs/notifications/unread`
+ * params: limit
+ */
+export function listUnreadJobNotifications(params = {}, options = {}) {
+  return request('GET', '/jobs/notifications/unread', { params, query: ['limit'], ...options });
+}
+
+/**
+ * Mark one application notification read.
+ * `POST /jobs/notifications/{id}/read`
+ * params: id
+ */
+export function markJobNotificationRead(params, options = {}) {
+  return request('POST', '/jobs/notifications/{id}/read', { params, ...options });
+}
+
+/**
+ * Mark every application notification read.
+ * `POST /jobs/notifications/read-all`
+ */
+export function markAllJobNotificationsRead(options = {}) {
+  return request('POST', '/jobs/notifications/read-all', { ...options });
+}
+
+/**
+ * Find users to message by email.
+ * `GET /chat/users/search`
+ * params: query
+ */
+export function searchChatUsers(params = {}, options = {}) {
+  return request('GET', '/chat/users/search', { params, query: ['query'], ...options });
+}
+
+/**
+ * Open (or reuse) a direct-message conversation.
+ * `POST /chat/conversations/dm`
+ */
+export function startDmConversation(body, options = {}) {
+  return request('POST', '/chat/conversations/dm', { body, ...options });
+}
+
+/**
+ * List the signed-in user's conversations.
+ * `GET /chat/conversations`
+ */
+export function listConversations(options = {}) {
+  return request('GET', '/chat/conversations', { ...options });
+}
+
+/**
+ * Page backwards through a conversation's messages.
+ * `GET /chat/conversations/{id}/messages`
+ * params: id, cursor, limit
+ */
+export function listMessages(params, options = {}) {
+  return request('GET', '/chat/conversations/{id}/messages', { params, query: ['cursor', 'limit'], ...options });
+}
+
+/**
+ * Send a message.
+ * `POST /chat/conversations/{id}/messages`
+ * params: id
+ */
+export function sendMessage(params, body, options = {}) {
+  return request('POST', '/chat/conversations/{id}/messages', { params, body, ...options });
+}
+
+/**
+ * Mark a conversation read up to now.
+ * `POST /chat/conversations/{id}/read`
+ * params: id
+ */
+export function markConversationRead(params, options = {}) {
+  return request('POST', '/chat/conversations/{id}/read', { params, ...options });
+}
+
+/**
+ * List your notifications, newest first.
+ * `GET /notifications`
+ * params: limit, cursor, unread, type, category
+ */
+export function listNotifications(params = {}, options = {}) {
+  return request('GET', '/notifications', { params, query: ['limit', 'cursor', 'unread', 'type', 'category'], ...options });
+}
+
+/**
+ * Count unread notifications.
+ * `GET /notifications/unread-count`
+ */
+export function getUnreadNotificationCount(options = {}) {
+  return request('GET', '/notifications/unread-count', { ...options });
+}
+
+/**
+ * Mark notifications read.
+ * `POST /notifications/read-all`
+ */
+export function markAllNotificationsRead(body, options = {}) {
+  return request('POST', '/notifications/read-all', { body, ...options });
+}
+
+/**
+ * Mark one notification read.
+ * `POST /notifications/{id}/read`
+ * params: id
+ */
+export function markNotificationRead(params, options = {}) {
+  return request('POST', '/notifications/{id}/read', { params, ...options });
+}
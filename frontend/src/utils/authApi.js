@@ -0,0 +1,159 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+export async function authRequest(path, { headers, ...options } = {}) {
+  const response = await fetch(`${API_BASE_URL}/auth${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(headers || {}),
+    },
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  const data = contentType.includes('application/json')
+    ? await response.json()
+    : { success: false, message: await response.text() };
+
+  if (!response.ok || data?.success === false) {
+    const error = new Error(data?.message || data?.error || 'Request failed');
+    error.status = response.status;
+    error.code = data?.code || null;
+    throw error;
+  }
+
+  return data;
+}
+
+export async function refreshAuthSession(refreshToken) {
+  return authRequest('/refresh', {
+    method: 'POST',
+    body: JSON.stringify({ refreshToken }),
+  });
+}
+
+export async function logoutAuthSession({ token, refreshToken }) {
+  return authRequest('/logout', {
+    method: 'POST',
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: JSON.stringify(refreshToken ? { refreshToken } : {}),
+  });
+}
+
+export async function logoutAllAuthSessions(token) {
+  return authRequest('/logout-all', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+  });
+}
+
+export async function requestPasswordReset(email) {
+  return authRequest('/password/forgot', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+}
+
+export async function resetPasswordWithToken({ token, password }) {
+  return authRequest('/password/reset', {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  });
+}
+
+export async function changePassword({ token, currentPassword, newPassword }) {
+  return authRequest('/password/change', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+}
+
+export async function verifyEmailToken(token) {
+  return authRequest(`/verify-email?token=${encodeURIComponent(token)}`);
+}
+
+export async function resendVerificationEmail(email) {
+  return authRequest('/verify-email/resend', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+}
+
+function buildTwoFactorAuth({ token, enrollmentToken }) {
+  return {
+    headers: token && !enrollmentToken ? { Authorization: `Bearer ${token}` } : {},
+    body: enrollmentToken ? { enrollmentToken } : {},
+  };
+}
+
+export async function verifyTwoFactorLogin({ challengeToken, code, recoveryCode }) {
+  return authRequest('/2fa/verify', {
+    method: 'POST',
+    body: JSON.stringify(recoveryCode ? { challengeToken, recoveryCode } : { challengeToken, code }),
+  });
+}
+
+export async function getTwoFactorStatus(token) {
+  return authRequest('/2fa/status', {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+}
+
+export async function setupTwoFactor({ token, enrollmentToken }) {
+  const auth = buildTwoFactorAuth({ token, enrollmentToken });
+  return authRequest('/2fa/setup', {
+    method: 'POST',
+    headers: auth.headers,
+    body: JSON.stringify(auth.body),
+  });
+}
+
+export async function enableTwoFactor({ token, enrollmentToken, code }) {
+  const auth = buildTwoFactorAuth({ token, enrollmentToken });
+  return authRequest('/2fa/enable', {
+    method: 'POST',
+    headers: auth.headers,
+    body: JSON.stringify({ ...auth.body, code }),
+  });
+}
+
+export async function disableTwoFactor({ token, password, code }) {
+  return authRequest('/2fa/disable', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ password, code }),
+  });
+}
+
+export async function regenerateRecoveryCodes({ token, code }) {
+  return authRequest('/2fa/recovery-codes', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ code }),
+  });
+}
+
+export async function lookupInvitation(code) {
+  return authRequest(`/invitations/lookup?code=${encodeURIComponent(code)}`);
+}
+
+export async function listInvitations({ token, status = 'pending' }) {
+  return authRequest(`/invitations?status=${encodeURIComponent(status)}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+}
+
+export async function createInvitation({ token, role, email, note, expiresInDays }) {
+  return authRequest('/invitations', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ role, email, note, expiresInDays }),
+  });
+}
+
+export async function revokeInvitation({ token, invitationId }) {
+  return authRequest(`/invitations/${encodeURIComponent(invitationId)}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${token}` },
+  });
+}
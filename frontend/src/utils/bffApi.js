@@ -0,0 +1,58 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+// The gateway's /bff endpoints load several sections in one round trip. Each
+// section is either the service's usual response body with `ok: true`, or
+// `{ ok: false, status, error }` when that part could not be loaded.
+async function bundleRequest(path, options = {}) {
+  const storedToken = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      ...(storedToken ? { Authorization: `Bearer ${storedToken}` } : {}),
+      ...(options.headers || {}),
+    },
+    ...options,
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  const data = contentType.includes('application/json')
+    ? await response.json()
+    : await response.text();
+
+  // A 502 with sections still says which parts failed and why.
+  if (data && typeof data === 'object' && data.sections) {
+    return data;
+  }
+
+  if (!response.ok) {
+    const message = typeof data === 'string'
+      ? data
+      : data?.error || data?.message || 'Request failed';
+    throw new Error(message);
+  }
+
+  return { sections: {}, partial: false, failedSections: [] };
+}
+
+export function getBundleSection(bundle, name) {
+  return bundle?.sections?.[name] || { ok: false, status: null, error: 'Not loaded' };
+}
+
+export function getSectionItems(section) {
+  return section?.ok && Array.isArray(section.data) ? section.data : [];
+}
+
+export async function fetchHomeBundle(params, options = {}) {
+  const queryString = params instanceof URLSearchParams ? params.toString() : new URLSearchParams(params || {}).toString();
+  return bundleRequest(`/bff/home${queryString ? `?${queryString}` : ''}`, options);
+}
+
+export async function fetchDashboardBundle({ sort = 'new' } = {}, options = {}) {
+  const params = new URLSearchParams();
+  params.set('sort', sort);
+  return bundleRequest(`/bff/dashboard?${params.toString()}`, options);
+}
+
+export async function fetchNotificationsBundle(options = {}) {
+  return bundleRequest('/bff/notifications', options);
+}
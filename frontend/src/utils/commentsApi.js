@@ -0,0 +1,39 @@
+import {
+  addCommentReaction,
+  createComment,
+  listComments,
+  removeCommentReaction,
+} from './apiClient';
+
+export const COMMENT_SORT_OPTIONS = [
+  { value: 'top', label: 'Top' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'newest', label: 'Newest' },
+];
+
+// Reactions post-service accepts besides the upvote, in display order.
+export const COMMENT_REACTIONS = [
+  { value: 'like', label: 'Like', symbol: '👍' },
+  { value: 'celebrate', label: 'Celebrate', symbol: '🎉' },
+  { value: 'insightful', label: 'Insightful', symbol: '💡' },
+  { value: 'funny', label: 'Funny', symbol: '😄' },
+];
+
+export async function fetchComments(postId, { parentId, sort, cursor, limit = 20 } = {}, options = {}) {
+  const result = await listComments({ id: postId, parentId, sort, cursor, limit }, options);
+  return {
+    comments: Array.isArray(result?.data) ? result.data : [],
+    total: Number(result?.pagination?.total) || 0,
+    nextCursor: result?.pagination?.nextCursor || null,
+  };
+}
+
+export async function postComment(postId, { content, parentCommentId = null }) {
+  return createComment({ id: postId }, { content, ...(parentCommentId ? { parentCommentId } : {}) });
+}
+
+export async function setCommentReaction(postId, commentId, reaction, active) {
+  const params = { id: postId, commentId, reaction };
+  const result = active ? await addCommentReaction(params) : await removeCommentReaction(params);
+  return result?.data || null;
+}
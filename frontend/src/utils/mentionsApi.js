@@ -0,0 +1,51 @@
+import { listMentionSuggestions } from './apiClient';
+
+// The handle pattern post-service resolves: a university ID or a full name
+// with its words joined by dots, dashes or underscores.
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}][\p{L}\p{N}._-]*)/gu;
+const TYPED_MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}._-]*)$/u;
+
+function trimHandle(handle) {
+  return handle.replace(/[._-]+$/, '');
+}
+
+// Splits text into plain strings and `{ userId, fullName, handle }` parts for
+// the mentions post-service resolved. Unresolved handles stay plain text.
+export function splitMentionText(text, mentions = []) {
+  const value = String(text || '');
+  const mentionByHandle = new Map();
+  for (const mention of mentions || []) {
+    for (const handle of mention.handles || []) {
+      mentionByHandle.set(handle.toLowerCase(), mention);
+    }
+  }
+  if (!mentionByHandle.size) return [value];
+
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of value.matchAll(MENTION_PATTERN)) {
+    const handle = trimHandle(match[2]);
+    const mention = mentionByHandle.get(handle.toLowerCase());
+    if (!mention) continue;
+
+    const start = match.index + match[1].length;
+    if (start > lastIndex) parts.push(value.slice(lastIndex, start));
+    parts.push({ userId: mention.userId, fullName: mention.fullName, handle });
+    lastIndex = start + 1 + handle.length;
+  }
+  if (lastIndex < value.length) parts.push(value.slice(lastIndex));
+  return parts;
+}
+
+// The "@..." being typed just before the caret, as `{ start, query }`.
+export function getTypedMention(text, caret) {
+  const before = String(text || '').slice(0, caret);
+  const match = TYPED_MENTION_PATTERN.exec(before);
+  if (!match) return null;
+  return { start: before.length - match[2].length - 1, query: match[2] };
+}
+
+export async function fetchMentionSuggestions(query, options = {}) {
+  const result = await listMentionSuggestions({ q: query, limit: 6 }, options);
+  return Array.isArray(result?.data) ? result.data : [];
+}
@@ -0,0 +1,123 @@
+import {
+  getMyNotificationPreferences,
+  getUnreadNotificationCount,
+  listNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+  updateMyNotificationPreferences,
+} from './apiClient';
+
+// Display details for each notification-service category, in filter order.
+export const NOTIFICATION_CATEGORIES = [
+  { value: 'announcement', label: 'Announcements', kicker: 'Announcement', icon: 'ANN', badge: 'AN' },
+  { value: 'newsletter', label: 'Newsletters', kicker: 'Newsletter', icon: 'NWS', badge: 'NL' },
+  { value: 'verification', label: 'Verification', kicker: 'Verification', icon: 'VER', badge: 'VF' },
+  { value: 'job', label: 'Jobs', kicker: 'Job Application', icon: 'JOB', badge: 'JB' },
+  { value: 'collab', label: 'Collaboration', kicker: 'Collaboration', icon: 'CLB', badge: 'CL' },
+  { value: 'event', label: 'Events', kicker: 'Event Volunteer', icon: 'EVT', badge: 'EV' },
+  { value: 'post', label: 'Post reviews', kicker: 'Post Review', icon: 'PST', badge: 'PS' },
+  { value: 'mention', label: 'Mentions', kicker: 'Mention', icon: 'MEN', badge: 'MN' },
+];
+
+// The notification types users can configure in user-service, in display order.
+export const NOTIFICATION_PREFERENCE_TYPES = [
+  { value: 'job_application_received', label: 'Applications to my jobs' },
+  { value: 'collab_join_request', label: 'Join requests for my collaborations' },
+  { value: 'request_reviewed', label: 'Decisions on my join requests' },
+  { value: 'volunteer_enrolled', label: 'Volunteers for my events' },
+  { value: 'verification_decided', label: 'Alumni verification decisions' },
+  { value: 'newsletter', label: 'Monthly newsletter' },
+  { value: 'mentioned', label: 'Mentions of me' },
+];
+
+export const NOTIFICATION_PREFERENCE_CHANNELS = [
+  { value: 'inApp', label: 'In-app' },
+  { value: 'email', label: 'Email' },
+  { value: 'digest', label: 'Daily digest' },
+];
+
+const CATEGORY_BY_VALUE = new Map(NOTIFICATION_CATEGORIES.map((category) => [category.value, category]));
+
+function themeForType(type) {
+  if (type.startsWith('announcement.') || type.startsWith('newsletter.')) return 'announcement';
+  if (type.endsWith('.approved') || type.endsWith('_accepted')) return 'approved';
+  if (type.endsWith('.rejected') || type.endsWith('_rejected')) return 'rejected';
+  return 'pending';
+}
+
+function ctaLabelForLink(link) {
+  if (link.startsWith('/posts/')) return 'Open Post';
+  if (link.startsWith('/collaborate')) return 'Open Collab';
+  if (link.startsWith('/moderation')) return 'Review in Moderation';
+  if (link.startsWith('/alumni-verification')) return 'View Verification';
+  if (link.startsWith('/job-portal')) return 'Open Job Portal';
+  if (link === '/home') return 'Open Home Feed';
+  return 'Open';
+}
+
+// Card fields shared by the notifications page and the sidebar list.
+export function describeNotification(notification) {
+  const type = String(notification?.type || '');
+  const category = CATEGORY_BY_VALUE.get(notification?.category) || null;
+  const link = notification?.link || '/home';
+
+  return {
+    id: String(notification?.id || ''),
+    kind: notification?.category || 'neutral',
+    theme: themeForType(type),
+    icon: category?.icon || 'NEW',
+    badge: category?.badge || 'NT',
+    label: category?.kicker || 'Notification',
+    title: notification?.title || 'Notification',
+    message: notification?.body || '',
+    createdAt: notification?.createdAt || null,
+    isRead: Boolean(notification?.isRead),
+    ctaLabel: ctaLabelForLink(link),
+    ctaTo: link,
+  };
+}
+
+export async function fetchInbox({ cursor, unreadOnly = false, category, limit = 20 } = {}, options = {}) {
+  const result = await listNotifications({
+    limit,
+    cursor,
+    unread: unreadOnly ? 'true' : undefined,
+    category,
+  }, options);
+
+  return {
+    items: Array.isArray(result?.data) ? result.data : [],
+    nextCursor: result?.nextCursor || null,
+    unreadCount: Number(result?.unreadCount || 0),
+  };
+}
+
+export async function fetchUnreadNotificationCount(options = {}) {
+  const result = await getUnreadNotificationCount(options);
+  return result?.data || { total: 0, byCategory: {} };
+}
+
+export async function markInboxNotificationRead(notificationId) {
+  const result = await markNotificationRead({ id: notificationId });
+  return result?.data || null;
+}
+
+// `before` keeps notifications that arrived after the list was loaded unread.
+export async function markInboxRead({ category, before } = {}) {
+  const result = await markAllNotificationsRead({
+    ...(category ? { category } : {}),
+    ...(before ? { before } : {}),
+  });
+  return result?.data || { updatedCount: 0, unreadCount: 0 };
+}
+
+export async function fetchNotificationPreferences(options = {}) {
+  const result = await getMyNotificationPreferences(options);
+  return result?.data || {};
+}
+
+// `preferences` may hold only the types and channels that changed.
+export async function saveNotificationPreferences(preferences) {
+  const result = await updateMyNotificationPreferences({ preferences });
+  return result?.data || {};
+}
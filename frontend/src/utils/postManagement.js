@@ -1,4 +1,10 @@
 import { apiRequest } from './profileApi';
+import {
+  listPostRevisions,
+  listPostReviewQueue,
+  restorePostRevision,
+  reviewPost,
+} from './apiClient';
 
 export function toTitleCase(value) {
   const text = String(value || '').trim();
@@ -94,3 +100,51 @@ export async function updatePostById(postId, payload) {
   });
   return result?.data || null;
 }
+
+export function isPostScheduled(post) {
+  return getPostManagementStatus(post) === 'scheduled';
+}
+
+export async function reschedulePost(postId, publishAt) {
+  return updatePostById(postId, { publishAt });
+}
+
+export async function cancelScheduledPost(postId) {
+  return updatePostById(postId, { status: 'draft' });
+}
+
+// Statuses a post passes through in pre-publication review, with their labels.
+export const POST_REVIEW_STATUS_LABELS = {
+  pending_review: 'In review',
+  changes_requested: 'Changes requested',
+  rejected: 'Rejected',
+};
+
+export function isPostAwaitingReview(post) {
+  return getPostManagementStatus(post) === 'pending_review';
+}
+
+// Publishing again sends the post back to the review queue.
+export async function resubmitPostForReview(postId) {
+  return updatePostById(postId, { status: 'published' });
+}
+
+export async function fetchPostReviewQueue({ status = 'pending_review', limit = 30 } = {}, options = {}) {
+  const result = await listPostReviewQueue({ status, limit }, options);
+  return Array.isArray(result?.data) ? result.data : [];
+}
+
+export async function submitPostReview(postId, { action, reason }) {
+  const result = await reviewPost({ id: postId }, { action, ...(reason ? { reason } : {}) });
+  return result?.data || null;
+}
+
+export async function fetchPostRevisions(postId, { limit = 50 } = {}, options = {}) {
+  const result = await listPostRevisions({ id: postId, limit }, options);
+  return Array.isArray(result?.data) ? result.data : [];
+}
+
+export async function restorePostToRevision(postId, revisionId) {
+  const result = await restorePostRevision({ id: postId, revisionId });
+  return result?.data || null;
+}
@@ -64,6 +64,39 @@ export async function updateCurrentUserAvatar({ file, avatarUrl }) {
   return result?.data || null;
 }
 
+export async function downloadAccountExport() {
+  const storedToken = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  const response = await fetch(`${API_BASE_URL}/users/me/export`, {
+    headers: storedToken ? { Authorization: `Bearer ${storedToken}` } : {},
+  });
+
+  if (!response.ok) {
+    const contentType = response.headers.get('content-type') || '';
+    const data = contentType.includes('application/json') ? await response.json() : null;
+    throw new Error(data?.error || data?.message || 'Could not export your data.');
+  }
+
+  const disposition = response.headers.get('content-disposition') || '';
+  const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || 'icentral-export.zip';
+  return { blob: await response.blob(), fileName };
+}
+
+export async function fetchAccountDeletionState() {
+  const result = await apiRequest('/users/me/deletion');
+  return result?.data || null;
+}
+
+export async function requestAccountDeletion(confirmEmail) {
+  return apiRequest('/users/me', {
+    method: 'DELETE',
+    body: JSON.stringify({ confirmEmail }),
+  });
+}
+
+export async function cancelAccountDeletion() {
+  return apiRequest('/users/me/deletion/cancel', { method: 'POST' });
+}
+
 function normalizePostsPayload(result) {
   if (!result || !Array.isArray(result.data)) return null;
   return {
@@ -34,12 +34,14 @@ export POST_SERVICE_URL="${POST_SERVICE_URL:-http://127.0.0.1:3002}"
 export JOB_SERVICE_URL="${JOB_SERVICE_URL:-http://127.0.0.1:3003}"
 export AUTH_SERVICE_URL="${AUTH_SERVICE_URL:-http://127.0.0.1:3004}"
 export CHAT_SERVICE_URL="${CHAT_SERVICE_URL:-http://127.0.0.1:3005}"
+export NOTIFICATION_SERVICE_URL="${NOTIFICATION_SERVICE_URL:-http://127.0.0.1:3006}"
 
 start_service "auth-service" "3004" "/app/services/auth-service"
 start_service "user-service" "3001" "/app/services/user-service"
 start_service "post-service" "3002" "/app/services/post-service"
 start_service "job-service" "3003" "/app/services/job-service"
 start_service "chat-service" "3005" "/app/services/chat-service"
+start_service "notification-service" "3006" "/app/services/notification-service"
 
 echo "[render] starting api-gateway on port ${PORT}"
 (
@@ -1,17 +1,30 @@
-require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY 
-);
-
-const JWT_SECRET = process.env.JWT_SECRET || 'HelloWorldKey';
+const { supabase, isMissingTableError } = require('../db');
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeAllSessions,
+    verifyAccessToken,
+} = require('../sessions');
+const { parseBearerToken } = require('../middleware/auth');
+const { getJwks } = require('../keys');
+const { logger } = require('../logger');
+const { ACCOUNT_STATUS, sendVerificationEmail } = require('./verificationController');
+const { LOGIN_EVENTS, checkLoginThrottle, recordLoginEvent } = require('../loginAudit');
+const { claimInvitation, releaseInvitation, markInvitationAccepted } = require('./invitationController');
+const {
+    TWO_FACTOR_TOKEN_PURPOSES,
+    isTwoFactorRequiredForRole,
+    signTwoFactorToken,
+} = require('../twoFactor');
+
+const ACCOUNT_SUSPENDED_MESSAGE = 'This account has been suspended. Contact a moderator if you think this is a mistake.';
 const ALUMNI_VERIFICATION_TABLE = process.env.ALUMNI_VERIFICATION_TABLE || 'alumni_verification_applications';
+// Faculty and admin accounts carry moderator rights, so they are only created
+// through an invitation (see invitationController).
+const SELF_SIGNUP_ROLES = new Set(['student', 'alumni']);
 const BLOCKED_EMAIL_DOMAINS = new Set([
     'example.com',
     'example.net',
@@ -90,10 +103,6 @@ function isValidEmailAddress(value) {
     return true;
 }
 
-function isMissingTableError(error) {
-    return error?.code === '42P01';
-}
-
 function resolveVerificationStatus(rows) {
     const applications = Array.isArray(rows) ? rows : [];
     if (applications.some((item) => item.status === 'approved')) return 'approved';
@@ -124,12 +133,38 @@ async function getAlumniVerificationStatus(userId, role) {
 }
 
 async function signup(req, res) {
-    const {university_id, full_name, session, email, phone_number, role, password} = req.body;
+    const {university_id, full_name, session, email, phone_number, password} = req.body;
     const normalizedEmail = normalizeText(email).toLowerCase();
+    const requestedRole = normalizeText(req.body?.role).toLowerCase() || 'student';
+    const invitationCode = normalizeText(req.body?.invitationCode);
 
     if (!isValidEmailAddress(normalizedEmail)) {
         return res.status(400).json({success: false, message: 'Provide a valid email address'});
     }
+    if (!invitationCode && !SELF_SIGNUP_ROLES.has(requestedRole)) {
+        if (requestedRole !== 'faculty' && requestedRole !== 'admin') {
+            return res.status(400).json({success: false, message: 'role must be student or alumni'});
+        }
+        return res.status(403).json({
+            success: false,
+            message: 'Faculty and admin accounts need an invitation from a moderator',
+            code: 'INVITATION_REQUIRED',
+        });
+    }
+
+    let invitation = null;
+    if (invitationCode) {
+        try {
+            invitation = await claimInvitation(invitationCode, normalizedEmail);
+        } catch (err) {
+            if (err.status) {
+                return res.status(err.status).json({success: false, message: err.message, code: err.code});
+            }
+            logger.error('Could not check invitation', { error: err });
+            return res.status(500).json({success: false, message: 'Could not check invitation'});
+        }
+    }
+    const role = invitation ? invitation.role : requestedRole;
 
     try {
         const salt = await bcrypt.genSalt(10);
@@ -144,18 +179,34 @@ async function signup(req, res) {
                 email: normalizedEmail,
                 phone_number,
                 role,
-                password_hash: hashedPassword
+                password_hash: hashedPassword,
+                account_status: ACCOUNT_STATUS.pendingVerification
             }])
             .select('id, email, role, full_name')
             .single();
 
         if (error) throw error;
 
+        if (invitation) {
+            // The invitation is already consumed; this only records who used it.
+            await markInvitationAccepted(invitation.id, data.id).catch((markError) => logger.error('Could not record invitation acceptance', { error: markError }));
+        }
+
+        // The account exists either way; a failed send can be retried via resend.
+        const verificationEmailSent = await sendVerificationEmail(data)
+            .then(() => true)
+            .catch((mailError) => {
+                logger.error('Verification email failed', { error: mailError });
+                return false;
+            });
+
         const verificationStatus = await getAlumniVerificationStatus(data.id, data.role);
 
         res.status(201).json({
             success: true,
-            message: 'Registration successful',
+            message: 'Registration successful. Check your email to verify your account before signing in.',
+            verificationRequired: true,
+            verificationEmailSent,
             user: {
                 ...data,
                 alumniVerificationStatus: verificationStatus,
@@ -163,15 +214,101 @@ async function signup(req, res) {
             },
         });
     } catch (err) {
-        console.error(err);
+        logger.error('Signup failed', { error: err });
+        if (invitation) {
+            // Hand the invitation back so the invitee can retry with fixed details.
+            await releaseInvitation(invitation.id).catch((releaseError) => logger.error('Could not release invitation', { error: releaseError }));
+        }
         res.status(400).json({success: false, message: 'Registration failed, Email or ID might be already exists'});
     }
 };
 
+async function getUserForToken(userId) {
+    const { data, error } = await supabase
+        .from('users')
+        .select('id, email, role, full_name, account_status')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (data?.account_status === ACCOUNT_STATUS.suspended) {
+        const suspendedError = new Error(ACCOUNT_SUSPENDED_MESSAGE);
+        suspendedError.status = 403;
+        suspendedError.code = 'ACCOUNT_SUSPENDED';
+        throw suspendedError;
+    }
+    return data || null;
+}
+
+async function buildUserResponse(user) {
+    const verificationStatus = await getAlumniVerificationStatus(user.id, user.role);
+
+    return {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        full_name: user.full_name,
+        alumniVerificationStatus: verificationStatus,
+        isVerifiedAlumni: verificationStatus === 'approved',
+    };
+}
+
+async function rejectThrottledLogin(req, res, throttle, email) {
+    await recordLoginEvent(req, {
+        event: LOGIN_EVENTS.blocked,
+        email,
+        reason: throttle.scope === 'account' ? 'account_locked' : 'ip_locked',
+    });
+
+    res.set('Retry-After', String(throttle.retryAfterSeconds));
+    return res.status(429).json({
+        success: false,
+        message: throttle.scope === 'account'
+            ? 'Too many failed sign-in attempts for this account. Try again later.'
+            : 'Too many failed sign-in attempts from this network. Try again later.',
+        code: throttle.scope === 'account' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+        retryAfterSeconds: throttle.retryAfterSeconds,
+        lockedUntil: throttle.lockedUntil,
+    });
+}
+
+async function rejectSuspendedLogin(req, res, user) {
+    await recordLoginEvent(req, { event: LOGIN_EVENTS.blocked, email: user.email, userId: user.id, reason: 'account_suspended' });
+    return res.status(403).json({
+        success: false,
+        message: ACCOUNT_SUSPENDED_MESSAGE,
+        code: 'ACCOUNT_SUSPENDED',
+    });
+}
+
+async function completeLogin(req, res, user, extra = {}) {
+    // Re-checked here because the 2FA steps finish a login that may have
+    // started before a moderator suspended the account.
+    if (user.account_status === ACCOUNT_STATUS.suspended) {
+        return rejectSuspendedLogin(req, res, user);
+    }
+
+    const tokens = await createSession(user, req);
+    await recordLoginEvent(req, { event: LOGIN_EVENTS.success, email: user.email, userId: user.id });
+
+    return res.status(200).json({
+        success: true,
+        ...tokens,
+        ...extra,
+        user: await buildUserResponse(user),
+    });
+}
+
 async function login(req, res) {
-    const {email, password} = req.body;
+    const {password} = req.body;
+    const email = normalizeText(req.body?.email).toLowerCase();
 
     try {
+        const throttle = await checkLoginThrottle({ email, ipAddress: req.ip });
+        if (throttle.locked) {
+            return rejectThrottledLogin(req, res, throttle, email);
+        }
+
         const {data: user, error} = await supabase
             .from('users')
             .select('*')
@@ -179,45 +316,139 @@ async function login(req, res) {
             .single();
 
         if(error || !user) {
+            await recordLoginEvent(req, { event: LOGIN_EVENTS.failure, email, reason: 'unknown_email' });
             return res.status(401).json({success: false, message: 'Invalid credentials'});
         }
 
-        const isMatch = await bcrypt.compare(password, user.password_hash);
+        const isMatch = typeof password === 'string' && await bcrypt.compare(password, user.password_hash);
         if(!isMatch) {
+            await recordLoginEvent(req, { event: LOGIN_EVENTS.failure, email, userId: user.id, reason: 'invalid_password' });
             return res.status(401).json({success: false, message: 'Invalid credentials'});
         }
 
-        const token = jwt.sign(
-            {
-                id: user.id,
-                role: user.role,
-                email: user.email
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        if (user.account_status === ACCOUNT_STATUS.pendingVerification) {
+            await recordLoginEvent(req, { event: LOGIN_EVENTS.blocked, email, userId: user.id, reason: 'email_not_verified' });
+            return res.status(403).json({
+                success: false,
+                message: 'Verify your email address before signing in',
+                code: 'EMAIL_NOT_VERIFIED',
+            });
+        }
 
-        const verificationStatus = await getAlumniVerificationStatus(user.id, user.role);
+        if (user.account_status === ACCOUNT_STATUS.suspended) {
+            return rejectSuspendedLogin(req, res, user);
+        }
+
+        // The password step succeeded, but the session is only issued by
+        // POST /2fa/verify (or /2fa/enable for a forced enrolment).
+        if (user.two_factor_enabled) {
+            const challenge = signTwoFactorToken(user, TWO_FACTOR_TOKEN_PURPOSES.challenge);
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: challenge.token,
+                challengeExpiresIn: challenge.expiresIn,
+            });
+        }
+
+        if (isTwoFactorRequiredForRole(user.role)) {
+            const enrollment = signTwoFactorToken(user, TWO_FACTOR_TOKEN_PURPOSES.enrollment);
+            return res.status(200).json({
+                success: true,
+                twoFactorEnrollmentRequired: true,
+                enrollmentToken: enrollment.token,
+                enrollmentExpiresIn: enrollment.expiresIn,
+            });
+        }
+
+        await completeLogin(req, res, user);
+    } catch (err) {
+        logger.error('Login failed', { error: err });
+        res.status(500).json({success: false, message: 'Server error during login'});
+    }
+};
+
+async function refresh(req, res) {
+    const refreshToken = normalizeText(req.body?.refreshToken);
+    if (!refreshToken) {
+        return res.status(400).json({success: false, message: 'refreshToken is required'});
+    }
+
+    try {
+        const { user, tokens } = await rotateSession(refreshToken, getUserForToken);
 
         res.status(200).json({
             success: true,
-            token,
-            user: {
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                full_name: user.full_name,
-                alumniVerificationStatus: verificationStatus,
-                isVerifiedAlumni: verificationStatus === 'approved',
-            },
+            ...tokens,
+            user: await buildUserResponse(user),
         });
     } catch (err) {
-        console.error(err);
-        res.status(500).json({success: false, message: 'Server error during login'});
+        if (err.status === 401 || err.status === 403) {
+            return res.status(err.status).json({success: false, message: err.message, code: err.code});
+        }
+        logger.error('Token refresh failed', { error: err });
+        res.status(500).json({success: false, message: 'Server error during token refresh'});
     }
 };
 
+function resolveAccessTokenSessionId(req) {
+    const accessToken = parseBearerToken(req);
+    if (!accessToken) return null;
+
+    try {
+        return verifyAccessToken(accessToken).sid || null;
+    } catch {
+        return null;
+    }
+}
+
+async function logout(req, res) {
+    const refreshToken = req.body?.refreshToken;
+    const sessionId = refreshToken ? null : resolveAccessTokenSessionId(req);
+    if (!refreshToken && !sessionId) {
+        return res.status(400).json({success: false, message: 'Provide a refreshToken or a valid access token'});
+    }
+
+    try {
+        if (refreshToken) {
+            await revokeSessionByRefreshToken(refreshToken, 'logout');
+        } else {
+            await revokeSession(sessionId, 'logout');
+        }
+        res.status(200).json({success: true, message: 'Logged out'});
+    } catch (err) {
+        if (err.status === 401) {
+            return res.status(401).json({success: false, message: err.message, code: err.code});
+        }
+        logger.error('Logout failed', { error: err });
+        res.status(500).json({success: false, message: 'Server error during logout'});
+    }
+};
+
+async function logoutAll(req, res) {
+    try {
+        const revokedCount = await revokeAllSessions(req.user.id, 'logout_all');
+        res.status(200).json({success: true, message: 'Logged out from all sessions', revokedCount});
+    } catch (err) {
+        logger.error('Logout from all sessions failed', { error: err });
+        res.status(500).json({success: false, message: 'Server error during logout'});
+    }
+};
+
+// Other services cache this to verify access tokens, so it stays public and
+// cacheable. It only ever contains public keys.
+function jwks(req, res) {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(getJwks());
+}
+
 module.exports = {
+    completeLogin,
+    rejectThrottledLogin,
     signup,
-    login
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    jwks
 };
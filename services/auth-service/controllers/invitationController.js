@@ -0,0 +1,318 @@
+const { supabase, isMissingTableError } = require('../db');
+const { sendMail } = require('../mailer');
+const { generateOpaqueToken, hashToken } = require('../tokens');
+const { logger } = require('../logger');
+
+const INVITATIONS_TABLE = process.env.INVITATIONS_TABLE || 'invitations';
+const INVITATION_DEFAULT_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+const INVITATION_MAX_TTL_DAYS = 30;
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:5173';
+const INVITATION_COLUMNS = 'id, email, role, note, created_by, expires_at, used_at, used_by, revoked_at, created_at';
+
+// Roles that can only be obtained through an invitation.
+const INVITABLE_ROLES = ['faculty', 'admin'];
+const INVITATION_STATUSES = ['pending', 'used', 'expired', 'revoked'];
+
+function normalizeText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function parseIntInRange(value, fallback, min, max) {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.min(Math.max(parsed, min), max);
+}
+
+function createInvitationError(message, status = 400, code = 'INVITATION_INVALID') {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function sendInvitationError(res, err, fallbackMessage) {
+    if (err.status) {
+        return res.status(err.status).json({success: false, message: err.message, code: err.code});
+    }
+    if (isMissingTableError(err)) {
+        return res.status(503).json({success: false, message: `Missing table "${INVITATIONS_TABLE}". Run services/auth-service/schema.sql first.`});
+    }
+    logger.error(fallbackMessage, { error: err });
+    return res.status(500).json({success: false, message: fallbackMessage});
+}
+
+function resolveInvitationStatus(row, now = Date.now()) {
+    if (row.revoked_at) return 'revoked';
+    if (row.used_at) return 'used';
+    if (new Date(row.expires_at).getTime() <= now) return 'expired';
+    return 'pending';
+}
+
+function mapInvitation(row) {
+    return {
+        id: row.id,
+        email: row.email || null,
+        role: row.role,
+        note: row.note || null,
+        status: resolveInvitationStatus(row),
+        createdBy: row.created_by || null,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        usedAt: row.used_at || null,
+        usedBy: row.used_by || null,
+        revokedAt: row.revoked_at || null,
+    };
+}
+
+function canManageRole(actorRole, role) {
+    return role !== 'admin' || String(actorRole || '').toLowerCase() === 'admin';
+}
+
+function buildInvitationUrl(code) {
+    return `${APP_BASE_URL}/signup?invite=${encodeURIComponent(code)}`;
+}
+
+async function sendInvitationEmail({ email, role, expiresAt }, inviteUrl) {
+    await sendMail({
+        to: email,
+        subject: `You have been invited to ICEntral as ${role}`,
+        text: [
+            'Hi,',
+            '',
+            `You have been invited to join ICEntral with a ${role} account.`,
+            'Open this link to create your account:',
+            inviteUrl,
+            '',
+            `The invitation can be used once and expires on ${new Date(expiresAt).toUTCString()}.`,
+        ].join('\n'),
+    });
+}
+
+async function findInvitationByCode(code) {
+    const { data, error } = await supabase
+        .from(INVITATIONS_TABLE)
+        .select(INVITATION_COLUMNS)
+        .eq('code_hash', hashToken(code))
+        .maybeSingle();
+
+    if (error) throw error;
+    return data || null;
+}
+
+/**
+ * Reserves an invitation for a signup in progress. The conditional update
+ * makes each code single-use even when two signups race for it; call
+ * releaseInvitation if the account ends up not being created.
+ */
+async function claimInvitation(code, email) {
+    const invitation = await findInvitationByCode(code);
+    if (!invitation || resolveInvitationStatus(invitation) !== 'pending') {
+        throw createInvitationError('Invitation is invalid or has expired');
+    }
+    if (invitation.email && invitation.email !== email) {
+        throw createInvitationError('This invitation was issued for a different email address', 400, 'INVITATION_EMAIL_MISMATCH');
+    }
+
+    const { data, error } = await supabase
+        .from(INVITATIONS_TABLE)
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', invitation.id)
+        .is('used_at', null)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .select(INVITATION_COLUMNS)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+        throw createInvitationError('Invitation is invalid or has expired');
+    }
+    return data;
+}
+
+async function releaseInvitation(invitationId) {
+    const { error } = await supabase
+        .from(INVITATIONS_TABLE)
+        .update({ used_at: null })
+        .eq('id', invitationId)
+        .is('used_by', null);
+
+    if (error) throw error;
+}
+
+async function markInvitationAccepted(invitationId, userId) {
+    const { error } = await supabase
+        .from(INVITATIONS_TABLE)
+        .update({ used_by: userId })
+        .eq('id', invitationId);
+
+    if (error) throw error;
+}
+
+async function createInvitation(req, res) {
+    const role = normalizeText(req.body?.role).toLowerCase();
+    const email = normalizeText(req.body?.email).toLowerCase() || null;
+    const note = normalizeText(req.body?.note).slice(0, 500) || null;
+    const expiresInDays = parseIntInRange(req.body?.expiresInDays, INVITATION_DEFAULT_TTL_DAYS, 1, INVITATION_MAX_TTL_DAYS);
+
+    if (!INVITABLE_ROLES.includes(role)) {
+        return res.status(400).json({success: false, message: `role must be one of: ${INVITABLE_ROLES.join(', ')}`});
+    }
+    if (!canManageRole(req.user.role, role)) {
+        return res.status(403).json({success: false, message: 'Only admins can invite admins.'});
+    }
+    if (email && (email.length > 254 || !/^[^\s@]+@[^\s@]+$/.test(email))) {
+        return res.status(400).json({success: false, message: 'Provide a valid email address'});
+    }
+
+    try {
+        const code = generateOpaqueToken(24);
+        const { data, error } = await supabase
+            .from(INVITATIONS_TABLE)
+            .insert({
+                code_hash: hashToken(code),
+                email,
+                role,
+                note,
+                created_by: req.user.id,
+                expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+            })
+            .select(INVITATION_COLUMNS)
+            .single();
+
+        if (error) throw error;
+
+        // The code is only ever returned here; the table stores its hash.
+        const inviteUrl = buildInvitationUrl(code);
+        const emailSent = email
+            ? await sendInvitationEmail(data, inviteUrl)
+                .then(() => true)
+                .catch((mailError) => {
+                    logger.error('Invitation email failed', { error: mailError });
+                    return false;
+                })
+            : false;
+
+        res.status(201).json({
+            success: true,
+            invitation: mapInvitation(data),
+            code,
+            inviteUrl,
+            emailSent,
+        });
+    } catch (err) {
+        sendInvitationError(res, err, 'Could not create invitation');
+    }
+};
+
+async function listInvitations(req, res) {
+    const status = normalizeText(req.query?.status).toLowerCase() || 'pending';
+    const limit = parseIntInRange(req.query?.limit, 50, 1, 200);
+
+    if (status !== 'all' && !INVITATION_STATUSES.includes(status)) {
+        return res.status(400).json({success: false, message: `status must be one of: ${INVITATION_STATUSES.join(', ')}, all`});
+    }
+
+    try {
+        const nowIso = new Date().toISOString();
+        let query = supabase
+            .from(INVITATIONS_TABLE)
+            .select(INVITATION_COLUMNS)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (status === 'pending') {
+            query = query.is('used_at', null).is('revoked_at', null).gt('expires_at', nowIso);
+        } else if (status === 'used') {
+            query = query.not('used_at', 'is', null).is('revoked_at', null);
+        } else if (status === 'expired') {
+            query = query.is('used_at', null).is('revoked_at', null).lte('expires_at', nowIso);
+        } else if (status === 'revoked') {
+            query = query.not('revoked_at', 'is', null);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.status(200).json({success: true, invitations: (data || []).map(mapInvitation)});
+    } catch (err) {
+        sendInvitationError(res, err, 'Could not load invitations');
+    }
+};
+
+async function revokeInvitation(req, res) {
+    const invitationId = normalizeText(req.params?.invitationId);
+
+    try {
+        const { data: invitation, error } = await supabase
+            .from(INVITATIONS_TABLE)
+            .select(INVITATION_COLUMNS)
+            .eq('id', invitationId)
+            .maybeSingle();
+
+        if (error && error.code !== '22P02') throw error;
+        if (!invitation) {
+            return res.status(404).json({success: false, message: 'Invitation not found'});
+        }
+        if (!canManageRole(req.user.role, invitation.role)) {
+            return res.status(403).json({success: false, message: 'Only admins can revoke admin invitations.'});
+        }
+        if (resolveInvitationStatus(invitation) !== 'pending') {
+            return res.status(409).json({success: false, message: `Invitation is already ${resolveInvitationStatus(invitation)}`, code: 'INVITATION_NOT_PENDING'});
+        }
+
+        const { data: revoked, error: revokeError } = await supabase
+            .from(INVITATIONS_TABLE)
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', invitation.id)
+            .is('used_at', null)
+            .select(INVITATION_COLUMNS)
+            .maybeSingle();
+
+        if (revokeError) throw revokeError;
+        if (!revoked) {
+            return res.status(409).json({success: false, message: 'Invitation has already been used', code: 'INVITATION_NOT_PENDING'});
+        }
+
+        res.status(200).json({success: true, message: 'Invitation revoked', invitation: mapInvitation(revoked)});
+    } catch (err) {
+        sendInvitationError(res, err, 'Could not revoke invitation');
+    }
+};
+
+// Public: lets the signup page show what an invitation link grants before the
+// form is submitted. Nothing is consumed here.
+async function lookupInvitation(req, res) {
+    const code = normalizeText(req.query?.code);
+    if (!code) {
+        return res.status(400).json({success: false, message: 'code is required', code: 'INVITATION_INVALID'});
+    }
+
+    try {
+        const invitation = await findInvitationByCode(code);
+        if (!invitation || resolveInvitationStatus(invitation) !== 'pending') {
+            return res.status(404).json({success: false, message: 'Invitation is invalid or has expired', code: 'INVITATION_INVALID'});
+        }
+
+        res.status(200).json({
+            success: true,
+            invitation: {
+                role: invitation.role,
+                email: invitation.email || null,
+                expiresAt: invitation.expires_at,
+            },
+        });
+    } catch (err) {
+        sendInvitationError(res, err, 'Could not load invitation');
+    }
+};
+
+module.exports = {
+    claimInvitation,
+    releaseInvitation,
+    markInvitationAccepted,
+    createInvitation,
+    listInvitations,
+    revokeInvitation,
+    lookupInvitation,
+};
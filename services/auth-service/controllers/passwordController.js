@@ -0,0 +1,233 @@
+const bcrypt = require('bcryptjs');
+const { supabase } = require('../db');
+const { sendMail } = require('../mailer');
+const { revokeAllSessions } = require('../sessions');
+const { generateOpaqueToken, hashToken } = require('../tokens');
+const { ACCOUNT_STATUS } = require('./verificationController');
+const { logger } = require('../logger');
+
+const PASSWORD_RESET_TOKENS_TABLE = process.env.PASSWORD_RESET_TOKENS_TABLE || 'password_reset_tokens';
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:5173';
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt ignores everything after 72 bytes.
+const PASSWORD_MAX_LENGTH = 72;
+
+function normalizeText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function validatePassword(value) {
+    if (typeof value !== 'string' || value.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    }
+    if (Buffer.byteLength(value, 'utf8') > PASSWORD_MAX_LENGTH) {
+        return `Password must be at most ${PASSWORD_MAX_LENGTH} bytes`;
+    }
+    return null;
+}
+
+async function hashPassword(password) {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(password, salt);
+}
+
+async function updatePasswordHash(userId, password) {
+    const { error } = await supabase
+        .from('users')
+        .update({ password_hash: await hashPassword(password) })
+        .eq('id', userId);
+
+    if (error) throw error;
+}
+
+// Following an emailed reset link proves ownership of the address as well.
+async function activatePendingAccount(userId) {
+    const { error } = await supabase
+        .from('users')
+        .update({
+            account_status: ACCOUNT_STATUS.active,
+            email_verified_at: new Date().toISOString(),
+        })
+        .eq('id', userId)
+        .eq('account_status', ACCOUNT_STATUS.pendingVerification);
+
+    if (error) throw error;
+}
+
+async function invalidateOutstandingResetTokens(userId) {
+    const { error } = await supabase
+        .from(PASSWORD_RESET_TOKENS_TABLE)
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('used_at', null);
+
+    if (error) throw error;
+}
+
+function buildResetEmail(user, resetUrl) {
+    const greeting = user.full_name ? `Hi ${user.full_name},` : 'Hi,';
+    const text = [
+        greeting,
+        '',
+        'We received a request to reset your ICEntral password.',
+        `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:`,
+        resetUrl,
+        '',
+        'If you did not request this, you can ignore this email.',
+    ].join('\n');
+
+    return {
+        to: user.email,
+        subject: 'Reset your ICEntral password',
+        text,
+    };
+}
+
+async function forgotPassword(req, res) {
+    const email = normalizeText(req.body?.email).toLowerCase();
+    if (!email) {
+        return res.status(400).json({success: false, message: 'email is required'});
+    }
+
+    const genericResponse = {
+        success: true,
+        message: 'If an account exists for that email, a reset link has been sent.',
+    };
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, full_name')
+            .eq('email', email)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user) {
+            return res.status(200).json(genericResponse);
+        }
+
+        await invalidateOutstandingResetTokens(user.id);
+
+        const token = generateOpaqueToken();
+        const { error: insertError } = await supabase
+            .from(PASSWORD_RESET_TOKENS_TABLE)
+            .insert({
+                user_id: user.id,
+                token_hash: hashToken(token),
+                expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+                requested_ip: req.ip || null,
+            });
+
+        if (insertError) throw insertError;
+
+        const resetUrl = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+        await sendMail(buildResetEmail(user, resetUrl));
+
+        res.status(200).json(genericResponse);
+    } catch (err) {
+        logger.error('Password reset request failed', { error: err });
+        res.status(500).json({success: false, message: 'Could not start password reset'});
+    }
+};
+
+async function resetPassword(req, res) {
+    const token = normalizeText(req.body?.token);
+    const password = req.body?.password;
+
+    if (!token) {
+        return res.status(400).json({success: false, message: 'token is required'});
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        return res.status(400).json({success: false, message: passwordError, code: 'WEAK_PASSWORD'});
+    }
+
+    try {
+        // Claiming the row by setting used_at makes the token single-use even
+        // when two reset requests race.
+        const { data: claimed, error } = await supabase
+            .from(PASSWORD_RESET_TOKENS_TABLE)
+            .update({ used_at: new Date().toISOString() })
+            .eq('token_hash', hashToken(token))
+            .is('used_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .select('id, user_id')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!claimed) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired',
+                code: 'RESET_TOKEN_INVALID',
+            });
+        }
+
+        await updatePasswordHash(claimed.user_id, password);
+        await activatePendingAccount(claimed.user_id);
+        await invalidateOutstandingResetTokens(claimed.user_id);
+        await revokeAllSessions(claimed.user_id, 'password_reset');
+
+        res.status(200).json({success: true, message: 'Password has been reset. Please sign in again.'});
+    } catch (err) {
+        logger.error('Password reset failed', { error: err });
+        res.status(500).json({success: false, message: 'Could not reset password'});
+    }
+};
+
+async function changePassword(req, res) {
+    const currentPassword = req.body?.currentPassword;
+    const newPassword = req.body?.newPassword;
+
+    if (typeof currentPassword !== 'string' || !currentPassword) {
+        return res.status(400).json({success: false, message: 'currentPassword is required'});
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+        return res.status(400).json({success: false, message: passwordError, code: 'WEAK_PASSWORD'});
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, password_hash')
+            .eq('id', req.user.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user) {
+            return res.status(404).json({success: false, message: 'User not found'});
+        }
+
+        const isMatch = await bcrypt.compare(currentPassword, user.password_hash);
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is incorrect',
+                code: 'INVALID_CURRENT_PASSWORD',
+            });
+        }
+
+        if (await bcrypt.compare(newPassword, user.password_hash)) {
+            return res.status(400).json({success: false, message: 'New password must be different from the current one'});
+        }
+
+        await updatePasswordHash(user.id, newPassword);
+        const revokedCount = await revokeAllSessions(user.id, 'password_change', { exceptSessionId: req.user.sid });
+
+        res.status(200).json({success: true, message: 'Password updated', revokedCount});
+    } catch (err) {
+        logger.error('Password change failed', { error: err });
+        res.status(500).json({success: false, message: 'Could not change password'});
+    }
+};
+
+module.exports = {
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    validatePassword,
+};
@@ -0,0 +1,64 @@
+const { supabase } = require('../db');
+const { LOGIN_EVENTS, listSuspiciousActivity, recordLoginEvent } = require('../loginAudit');
+const { logger } = require('../logger');
+
+function parseIntInRange(value, fallback, min, max) {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.min(Math.max(parsed, min), max);
+}
+
+async function getLoginActivity(req, res) {
+    const limit = parseIntInRange(req.query?.limit, 50, 1, 200);
+
+    try {
+        const activity = await listSuspiciousActivity({ limit });
+        res.status(200).json({success: true, ...activity});
+    } catch (err) {
+        logger.error('Could not load login activity', { error: err });
+        res.status(500).json({success: false, message: 'Could not load login activity'});
+    }
+};
+
+async function unlockAccount(req, res) {
+    const userId = typeof req.params?.userId === 'string' ? req.params.userId.trim() : '';
+    if (!userId) {
+        return res.status(400).json({success: false, message: 'userId is required'});
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (error && error.code !== '22P02') throw error;
+        if (!user) {
+            return res.status(404).json({success: false, message: 'User not found'});
+        }
+
+        // Failure counting restarts after the latest unlock event, so
+        // recording it is all an unlock takes.
+        const recorded = await recordLoginEvent(req, {
+            event: LOGIN_EVENTS.unlocked,
+            email: user.email,
+            userId: user.id,
+            actorId: req.user.id,
+            reason: 'moderator_unlock',
+        });
+        if (!recorded) {
+            return res.status(503).json({success: false, message: 'Login audit storage is unavailable'});
+        }
+
+        res.status(200).json({success: true, message: 'Account unlocked'});
+    } catch (err) {
+        logger.error('Account unlock failed', { error: err });
+        res.status(500).json({success: false, message: 'Could not unlock account'});
+    }
+};
+
+module.exports = {
+    getLoginActivity,
+    unlockAccount,
+};
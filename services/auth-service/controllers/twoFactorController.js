@@ -0,0 +1,243 @@
+const bcrypt = require('bcryptjs');
+const { authenticateRequest } = require('../middleware/auth');
+const { LOGIN_EVENTS, checkLoginThrottle, recordLoginEvent } = require('../loginAudit');
+const {
+    TWO_FACTOR_TOKEN_PURPOSES,
+    isTwoFactorRequiredForRole,
+    readTwoFactorToken,
+    getTwoFactorUser,
+    startEnrollment,
+    enableTwoFactor,
+    disableTwoFactor,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    countRemainingRecoveryCodes,
+} = require('../twoFactor');
+const { completeLogin, rejectThrottledLogin } = require('./authController');
+const { logger } = require('../logger');
+
+function normalizeText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function sendTwoFactorError(res, err, fallbackMessage) {
+    if (err.status) {
+        return res.status(err.status).json({success: false, message: err.message, code: err.code});
+    }
+    logger.error(fallbackMessage, { error: err });
+    return res.status(500).json({success: false, message: fallbackMessage});
+}
+
+/**
+ * Setup and enable are reachable either with a normal session or with the
+ * enrollment token login hands out when a role must enrol before signing in.
+ */
+function authenticateEnrollment(req, res, next) {
+    const enrollmentToken = normalizeText(req.body?.enrollmentToken);
+    if (!enrollmentToken) {
+        return authenticateRequest(req, res, next);
+    }
+
+    const userId = readTwoFactorToken(enrollmentToken, TWO_FACTOR_TOKEN_PURPOSES.enrollment);
+    if (!userId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Enrollment session is invalid or has expired. Sign in again.',
+            code: 'TWO_FACTOR_TOKEN_INVALID',
+        });
+    }
+
+    req.twoFactorEnrollment = { userId };
+    return next();
+}
+
+async function getTwoFactorStatus(req, res) {
+    try {
+        const user = await getTwoFactorUser(req.user.id);
+        if (!user) {
+            return res.status(404).json({success: false, message: 'User not found'});
+        }
+
+        res.status(200).json({
+            success: true,
+            enabled: Boolean(user.two_factor_enabled),
+            required: isTwoFactorRequiredForRole(user.role),
+            recoveryCodesRemaining: user.two_factor_enabled ? await countRemainingRecoveryCodes(user.id) : 0,
+        });
+    } catch (err) {
+        sendTwoFactorError(res, err, 'Could not load two-factor status');
+    }
+};
+
+async function setupTwoFactor(req, res) {
+    try {
+        const user = await getTwoFactorUser(req.twoFactorEnrollment?.userId || req.user.id);
+        if (!user) {
+            return res.status(404).json({success: false, message: 'User not found'});
+        }
+
+        const { secret, otpauthUri } = await startEnrollment(user);
+        res.status(200).json({success: true, secret, otpauthUri});
+    } catch (err) {
+        sendTwoFactorError(res, err, 'Could not start two-factor setup');
+    }
+};
+
+async function confirmTwoFactor(req, res) {
+    const code = normalizeText(req.body?.code);
+    if (!code) {
+        return res.status(400).json({success: false, message: 'code is required'});
+    }
+
+    try {
+        const user = await getTwoFactorUser(req.twoFactorEnrollment?.userId || req.user.id);
+        if (!user) {
+            return res.status(404).json({success: false, message: 'User not found'});
+        }
+
+        const recoveryCodes = await enableTwoFactor(user, code);
+
+        if (req.twoFactorEnrollment) {
+            return completeLogin(req, res, user, { recoveryCodes });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes,
+        });
+    } catch (err) {
+        sendTwoFactorError(res, err, 'Could not enable two-factor authentication');
+    }
+};
+
+async function verifyTwoFactor(req, res) {
+    const userId = readTwoFactorToken(normalizeText(req.body?.challengeToken), TWO_FACTOR_TOKEN_PURPOSES.challenge);
+    if (!userId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Sign-in challenge is invalid or has expired. Sign in again.',
+            code: 'TWO_FACTOR_TOKEN_INVALID',
+        });
+    }
+
+    const code = normalizeText(req.body?.code);
+    const recoveryCode = normalizeText(req.body?.recoveryCode);
+    if (!code && !recoveryCode) {
+        return res.status(400).json({success: false, message: 'code or recoveryCode is required'});
+    }
+
+    try {
+        const user = await getTwoFactorUser(userId);
+        if (!user || !user.two_factor_enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign-in challenge is invalid or has expired. Sign in again.',
+                code: 'TWO_FACTOR_TOKEN_INVALID',
+            });
+        }
+
+        // Wrong codes count as failed logins, so guessing the second factor
+        // runs into the same lockout as guessing the password.
+        const throttle = await checkLoginThrottle({ email: user.email, ipAddress: req.ip });
+        if (throttle.locked) {
+            return rejectThrottledLogin(req, res, throttle, user.email);
+        }
+
+        const { ok, method } = await verifySecondFactor(user, { code, recoveryCode });
+        if (!ok) {
+            await recordLoginEvent(req, {
+                event: LOGIN_EVENTS.failure,
+                email: user.email,
+                userId: user.id,
+                reason: method === 'recovery_code' ? 'invalid_recovery_code' : 'invalid_two_factor_code',
+            });
+            return res.status(401).json({success: false, message: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE'});
+        }
+
+        const extra = method === 'recovery_code'
+            ? { recoveryCodesRemaining: await countRemainingRecoveryCodes(user.id) }
+            : {};
+        await completeLogin(req, res, user, extra);
+    } catch (err) {
+        sendTwoFactorError(res, err, 'Server error during two-factor verification');
+    }
+};
+
+async function turnOffTwoFactor(req, res) {
+    const password = req.body?.password;
+    const code = normalizeText(req.body?.code);
+    const recoveryCode = normalizeText(req.body?.recoveryCode);
+
+    if (typeof password !== 'string' || !password) {
+        return res.status(400).json({success: false, message: 'password is required'});
+    }
+    if (!code && !recoveryCode) {
+        return res.status(400).json({success: false, message: 'code or recoveryCode is required'});
+    }
+
+    try {
+        const user = await getTwoFactorUser(req.user.id);
+        if (!user) {
+            return res.status(404).json({success: false, message: 'User not found'});
+        }
+        if (isTwoFactorRequiredForRole(user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is mandatory for your role',
+                code: 'TWO_FACTOR_REQUIRED',
+            });
+        }
+        if (!user.two_factor_enabled) {
+            return res.status(409).json({success: false, message: 'Two-factor authentication is not enabled', code: 'TWO_FACTOR_NOT_ENABLED'});
+        }
+
+        if (!(await bcrypt.compare(password, user.password_hash))) {
+            return res.status(400).json({success: false, message: 'Current password is incorrect', code: 'INVALID_CURRENT_PASSWORD'});
+        }
+
+        const { ok } = await verifySecondFactor(user, { code, recoveryCode });
+        if (!ok) {
+            return res.status(400).json({success: false, message: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE'});
+        }
+
+        await disableTwoFactor(user.id);
+        res.status(200).json({success: true, message: 'Two-factor authentication disabled'});
+    } catch (err) {
+        sendTwoFactorError(res, err, 'Could not disable two-factor authentication');
+    }
+};
+
+async function regenerateRecoveryCodes(req, res) {
+    const code = normalizeText(req.body?.code);
+    if (!code) {
+        return res.status(400).json({success: false, message: 'code is required'});
+    }
+
+    try {
+        const user = await getTwoFactorUser(req.user.id);
+        if (!user || !user.two_factor_enabled) {
+            return res.status(409).json({success: false, message: 'Two-factor authentication is not enabled', code: 'TWO_FACTOR_NOT_ENABLED'});
+        }
+
+        const { ok } = await verifySecondFactor(user, { code });
+        if (!ok) {
+            return res.status(400).json({success: false, message: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE'});
+        }
+
+        const recoveryCodes = await replaceRecoveryCodes(user.id);
+        res.status(200).json({success: true, recoveryCodes});
+    } catch (err) {
+        sendTwoFactorError(res, err, 'Could not regenerate recovery codes');
+    }
+};
+
+module.exports = {
+    authenticateEnrollment,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    confirmTwoFactor,
+    verifyTwoFactor,
+    turnOffTwoFactor,
+    regenerateRecoveryCodes,
+};
@@ -0,0 +1,163 @@
+const { supabase } = require('../db');
+const { sendMail } = require('../mailer');
+const { signJwt, verifyJwt } = require('../keys');
+const { logger } = require('../logger');
+
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const EMAIL_VERIFICATION_PURPOSE = 'email_verification';
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:5173';
+
+const ACCOUNT_STATUS = {
+    pendingVerification: 'pending_verification',
+    active: 'active',
+    suspended: 'suspended',
+};
+
+function normalizeText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// The link is a signed token bound to the address it was sent to, so it stops
+// working if the account's email changes before it is used.
+function signVerificationToken(user) {
+    return signJwt(
+        {
+            sub: user.id,
+            email: user.email,
+            purpose: EMAIL_VERIFICATION_PURPOSE,
+        },
+        { expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h` }
+    );
+}
+
+function readVerificationToken(token) {
+    try {
+        const payload = verifyJwt(token);
+        if (payload?.purpose !== EMAIL_VERIFICATION_PURPOSE || !payload.sub) {
+            return { error: 'invalid' };
+        }
+        return { payload };
+    } catch (err) {
+        return { error: err?.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+    }
+}
+
+async function sendVerificationEmail(user) {
+    const verifyUrl = `${APP_BASE_URL}/verify-email?token=${encodeURIComponent(signVerificationToken(user))}`;
+    const greeting = user.full_name ? `Hi ${user.full_name},` : 'Hi,';
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your ICEntral email address',
+        text: [
+            greeting,
+            '',
+            'Confirm your email address to activate your ICEntral account:',
+            verifyUrl,
+            '',
+            `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+        ].join('\n'),
+    });
+
+    const { error } = await supabase
+        .from('users')
+        .update({ email_verification_sent_at: new Date().toISOString() })
+        .eq('id', user.id);
+
+    if (error) throw error;
+}
+
+async function verifyEmail(req, res) {
+    const token = normalizeText(req.query?.token);
+    if (!token) {
+        return res.status(400).json({success: false, message: 'token is required', code: 'VERIFICATION_TOKEN_INVALID'});
+    }
+
+    const { payload, error: tokenError } = readVerificationToken(token);
+    if (tokenError) {
+        return res.status(400).json({
+            success: false,
+            message: tokenError === 'expired'
+                ? 'Verification link has expired. Request a new one.'
+                : 'Verification link is invalid',
+            code: tokenError === 'expired' ? 'VERIFICATION_TOKEN_EXPIRED' : 'VERIFICATION_TOKEN_INVALID',
+        });
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, account_status')
+            .eq('id', payload.sub)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user || user.email !== payload.email) {
+            return res.status(400).json({success: false, message: 'Verification link is invalid', code: 'VERIFICATION_TOKEN_INVALID'});
+        }
+
+        if (user.account_status !== ACCOUNT_STATUS.pendingVerification) {
+            return res.status(200).json({success: true, message: 'Email address is already verified', alreadyVerified: true});
+        }
+
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({
+                account_status: ACCOUNT_STATUS.active,
+                email_verified_at: new Date().toISOString(),
+            })
+            .eq('id', user.id)
+            .eq('account_status', ACCOUNT_STATUS.pendingVerification);
+
+        if (updateError) throw updateError;
+
+        res.status(200).json({success: true, message: 'Email address verified. You can now sign in.'});
+    } catch (err) {
+        logger.error('Email verification failed', { error: err });
+        res.status(500).json({success: false, message: 'Could not verify email address'});
+    }
+};
+
+async function resendVerification(req, res) {
+    const email = normalizeText(req.body?.email).toLowerCase();
+    if (!email) {
+        return res.status(400).json({success: false, message: 'email is required'});
+    }
+
+    const genericResponse = {
+        success: true,
+        message: 'If that account still needs verification, a new link has been sent.',
+    };
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, full_name, account_status, email_verification_sent_at')
+            .eq('email', email)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user || user.account_status !== ACCOUNT_STATUS.pendingVerification) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const lastSentAt = user.email_verification_sent_at ? new Date(user.email_verification_sent_at).getTime() : 0;
+        if (Date.now() - lastSentAt < EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) {
+            return res.status(200).json(genericResponse);
+        }
+
+        await sendVerificationEmail(user);
+        res.status(200).json(genericResponse);
+    } catch (err) {
+        logger.error('Verification email resend failed', { error: err });
+        res.status(500).json({success: false, message: 'Could not resend verification email'});
+    }
+};
+
+module.exports = {
+    ACCOUNT_STATUS,
+    sendVerificationEmail,
+    verifyEmail,
+    resendVerification,
+};
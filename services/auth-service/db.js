@@ -0,0 +1,18 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { tracedFetch } = require('./logger');
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY,
+    { global: { fetch: tracedFetch } }
+);
+
+function isMissingTableError(error) {
+    return error?.code === '42P01';
+}
+
+module.exports = {
+    supabase,
+    isMissingTableError,
+};
@@ -1,8 +1,18 @@
 require('dotenv').config();
 const express = require('express');
+const { logger, requestLogger } = require('./logger');
+const { metricsMiddleware, metricsHandler } = require('./metrics');
+const { openApiDocument } = require('./openapi');
 
 const app = express();
 
+// Login throttling keys on req.ip, which has to be the client address rather
+// than the gateway's when running behind it.
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
+
+app.use(requestLogger);
+app.use(metricsMiddleware());
+
 const allowedOrigins = (process.env.CORS_ORIGIN || 'http://localhost:5173')
     .split(',')
     .map((origin) => origin.trim())
@@ -35,9 +45,11 @@ function healthHandler(req, res) {
 
 app.get('/', healthHandler);
 app.get('/health', healthHandler);
+app.get('/metrics', metricsHandler);
+app.get('/openapi.json', (req, res) => res.json(openApiDocument));
 app.use('/auth', authRoutes);
 app.use('/', authRoutes);
 
 app.listen(PORT, () => {
-    console.log(`Auth Service is running on port ${PORT}`);
+    logger.info(`Auth Service is running on port ${PORT}`);
 });
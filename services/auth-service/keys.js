@@ -0,0 +1,171 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+const SIGNING_KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(__dirname, 'keys');
+const ACTIVE_KEY_ID = (process.env.JWT_ACTIVE_KID || '').trim();
+const DEFAULT_KEY_ALGORITHM = String(process.env.JWT_KEY_ALGORITHM || 'RS256').toUpperCase();
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const KEY_FILE_SUFFIX = '.pem';
+
+function algorithmForKey(keyObject) {
+    if (keyObject.asymmetricKeyType === 'rsa') return 'RS256';
+    if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+        return 'ES256';
+    }
+    throw new Error(`Unsupported signing key type: ${keyObject.asymmetricKeyType}`);
+}
+
+function buildKeyId() {
+    // Sortable, so "newest file wins" picks the most recent key by default.
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Writes a new private key as `<kid>.pem` into `dir` and returns the kid.
+ * Used by `npm run keys:generate` and by the development bootstrap below.
+ */
+function generateSigningKey({ dir = SIGNING_KEYS_DIR, algorithm = DEFAULT_KEY_ALGORITHM } = {}) {
+    if (algorithm !== 'ES256' && algorithm !== 'RS256') {
+        throw new Error(`Unsupported JWT_KEY_ALGORITHM: ${algorithm}`);
+    }
+
+    const { privateKey } = algorithm === 'ES256'
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    const kid = buildKeyId();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+        path.join(dir, `${kid}${KEY_FILE_SUFFIX}`),
+        privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        { mode: 0o600 }
+    );
+    return kid;
+}
+
+function toSigningKey(kid, pem) {
+    const privateKey = crypto.createPrivateKey(pem);
+    const publicKey = crypto.createPublicKey(privateKey);
+    const alg = algorithmForKey(privateKey);
+
+    return {
+        kid,
+        alg,
+        privateKey,
+        publicKey,
+        jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' },
+    };
+}
+
+function readSigningKeys(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter((name) => name.endsWith(KEY_FILE_SUFFIX))
+        .map((name) => toSigningKey(name.slice(0, -KEY_FILE_SUFFIX.length), fs.readFileSync(path.join(dir, name))));
+}
+
+// JWT_PRIVATE_KEYS holds `{ "<kid>": "<PEM>" }` for hosts without a writable
+// or mounted keys directory. Escaped "\n" in the PEM text are accepted.
+function readSigningKeysFromEnv() {
+    const raw = (process.env.JWT_PRIVATE_KEYS || '').trim();
+    if (!raw) return [];
+
+    let entries;
+    try {
+        entries = Object.entries(JSON.parse(raw));
+    } catch {
+        throw new Error('JWT_PRIVATE_KEYS must be a JSON object of { "<kid>": "<PEM private key>" }.');
+    }
+    return entries.map(([kid, pem]) => toSigningKey(kid, String(pem).replace(/\\n/g, '\n')));
+}
+
+function readAllSigningKeys() {
+    const byKid = new Map();
+    for (const key of [...readSigningKeys(SIGNING_KEYS_DIR), ...readSigningKeysFromEnv()]) {
+        byKid.set(key.kid, key);
+    }
+    return [...byKid.values()].sort((a, b) => a.kid.localeCompare(b.kid));
+}
+
+/**
+ * Every `<kid>.pem` in JWT_KEYS_DIR and every key in JWT_PRIVATE_KEYS is
+ * published in the JWKS and accepted for verification; only the active one
+ * signs. Rotation is: add a new key, make it active, and remove the old one
+ * once tokens signed with it have expired. Loading happens at require time so
+ * a misconfigured service fails to boot.
+ */
+function loadKeyRing() {
+    let keys = readAllSigningKeys();
+
+    if (keys.length === 0) {
+        if (IS_PRODUCTION) {
+            throw new Error(`No JWT signing keys found in ${SIGNING_KEYS_DIR} or JWT_PRIVATE_KEYS. Run "npm run keys:generate" and provide the key before starting auth-service.`);
+        }
+        const kid = generateSigningKey();
+        logger.warn(`No JWT signing keys found; generated development key ${kid} in ${SIGNING_KEYS_DIR}.`);
+        keys = readAllSigningKeys();
+    }
+
+    const active = ACTIVE_KEY_ID
+        ? keys.find((key) => key.kid === ACTIVE_KEY_ID)
+        : keys[keys.length - 1];
+
+    if (!active) {
+        throw new Error(`JWT_ACTIVE_KID "${ACTIVE_KEY_ID}" does not match any key in ${SIGNING_KEYS_DIR} or JWT_PRIVATE_KEYS.`);
+    }
+
+    return {
+        active,
+        byKid: new Map(keys.map((key) => [key.kid, key])),
+    };
+}
+
+const keyRing = require.main === module ? null : loadKeyRing();
+
+function getJwks() {
+    return { keys: Array.from(keyRing.byKid.values()).map((key) => key.jwk) };
+}
+
+function signJwt(payload, options = {}) {
+    return jwt.sign(payload, keyRing.active.privateKey, {
+        ...options,
+        algorithm: keyRing.active.alg,
+        keyid: keyRing.active.kid,
+    });
+}
+
+function verifyJwt(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded?.header?.kid ? keyRing.byKid.get(decoded.header.kid) : null;
+    if (!key) {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+if (require.main === module) {
+    const algorithmFlagIndex = process.argv.indexOf('--alg');
+    const algorithm = algorithmFlagIndex > -1
+        ? String(process.argv[algorithmFlagIndex + 1] || '').toUpperCase()
+        : DEFAULT_KEY_ALGORITHM;
+
+    const kid = generateSigningKey({ algorithm });
+    console.log(`Generated ${algorithm} signing key ${kid} in ${SIGNING_KEYS_DIR}`);
+
+    if (process.argv.includes('--json')) {
+        const pem = fs.readFileSync(path.join(SIGNING_KEYS_DIR, `${kid}${KEY_FILE_SUFFIX}`), 'utf8');
+        console.log(`JWT_PRIVATE_KEYS=${JSON.stringify({ [kid]: pem })}`);
+    }
+}
+
+module.exports = {
+    getJwks,
+    signJwt,
+    verifyJwt,
+};
@@ -0,0 +1,265 @@
+const { supabase, isMissingTableError } = require('./db');
+const { describeClient } = require('./sessions');
+const { logger } = require('./logger');
+const { createCounter } = require('./metrics');
+
+const LOGIN_AUDIT_TABLE = process.env.LOGIN_AUDIT_TABLE || 'login_audit';
+const LOGIN_MAX_FAILURES_PER_ACCOUNT = Number(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const LOGIN_LOCKOUT_BASE_SECONDS = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+const ACCOUNT_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const IP_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+// Past this many failures the lockout is already at its cap, so there is no
+// reason to read more rows.
+const MAX_FAILURES_CONSIDERED = 50;
+
+const LOGIN_EVENTS = {
+    success: 'login_success',
+    failure: 'login_failure',
+    blocked: 'login_blocked',
+    unlocked: 'account_unlocked',
+};
+
+const loginEvents = createCounter('auth_login_events_total', 'Login audit events, by event type.', ['event']);
+
+let missingTableWarned = false;
+
+function warnMissingTable() {
+    if (missingTableWarned) return;
+    missingTableWarned = true;
+    logger.warn(`${LOGIN_AUDIT_TABLE} table is missing; login throttling is disabled until schema.sql is applied.`);
+}
+
+/**
+ * Lockout grows with every failure past the threshold: base, 2x base, 4x base,
+ * ... capped at LOGIN_LOCKOUT_MAX_SECONDS, measured from the latest failure.
+ * `failureTimes` must be sorted newest first.
+ */
+function evaluateLockout(failureTimes, threshold, now = Date.now()) {
+    const failures = failureTimes.length;
+    if (failures < threshold) {
+        return { failures, locked: false, lockedUntil: null };
+    }
+
+    const lockSeconds = Math.min(
+        LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (failures - threshold),
+        LOGIN_LOCKOUT_MAX_SECONDS
+    );
+    const lockedUntil = failureTimes[0] + lockSeconds * 1000;
+
+    return {
+        failures,
+        locked: now < lockedUntil,
+        lockedUntil: new Date(lockedUntil).toISOString(),
+    };
+}
+
+async function getLatestAccountResetTime(email) {
+    const { data, error } = await supabase
+        .from(LOGIN_AUDIT_TABLE)
+        .select('created_at')
+        .eq('email', email)
+        .in('event', [LOGIN_EVENTS.success, LOGIN_EVENTS.unlocked])
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Date(data.created_at).getTime() : 0;
+}
+
+async function getFailureTimes(column, value, sinceMs) {
+    const { data, error } = await supabase
+        .from(LOGIN_AUDIT_TABLE)
+        .select('created_at')
+        .eq(column, value)
+        .eq('event', LOGIN_EVENTS.failure)
+        .gt('created_at', new Date(sinceMs).toISOString())
+        .order('created_at', { ascending: false })
+        .limit(MAX_FAILURES_CONSIDERED);
+
+    if (error) throw error;
+    return (data || []).map((row) => new Date(row.created_at).getTime());
+}
+
+/**
+ * Account failures count from the last successful login or moderator unlock;
+ * IP failures only age out, since one working account behind an address says
+ * nothing about the other guesses coming from it.
+ */
+async function checkLoginThrottle({ email, ipAddress }) {
+    const now = Date.now();
+
+    try {
+        const [accountResetAt, ipFailureTimes] = await Promise.all([
+            email ? getLatestAccountResetTime(email) : Promise.resolve(0),
+            ipAddress ? getFailureTimes('ip_address', ipAddress, now - IP_FAILURE_WINDOW_MS) : Promise.resolve([]),
+        ]);
+
+        const accountFailureTimes = email
+            ? await getFailureTimes('email', email, Math.max(accountResetAt, now - ACCOUNT_FAILURE_WINDOW_MS))
+            : [];
+
+        const account = evaluateLockout(accountFailureTimes, LOGIN_MAX_FAILURES_PER_ACCOUNT, now);
+        const ip = evaluateLockout(ipFailureTimes, LOGIN_MAX_FAILURES_PER_IP, now);
+
+        const scope = account.locked ? 'account' : (ip.locked ? 'ip' : null);
+        const lockedUntil = scope === 'account' ? account.lockedUntil : (scope === 'ip' ? ip.lockedUntil : null);
+
+        return {
+            locked: Boolean(scope),
+            scope,
+            lockedUntil,
+            retryAfterSeconds: lockedUntil ? Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - now) / 1000)) : 0,
+        };
+    } catch (error) {
+        if (isMissingTableError(error)) {
+            warnMissingTable();
+            return { locked: false, scope: null, lockedUntil: null, retryAfterSeconds: 0 };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Audit writes never fail the request they describe; a lost row only means a
+ * slightly more lenient throttle. Resolves to whether the row was stored.
+ */
+async function recordLoginEvent(req, { event, email, userId = null, reason = null, actorId = null }) {
+    loginEvents.inc({ event });
+    const client = describeClient(req);
+
+    const { error } = await supabase
+        .from(LOGIN_AUDIT_TABLE)
+        .insert({
+            event,
+            email: email || null,
+            user_id: userId,
+            reason,
+            actor_id: actorId,
+            ip_address: client.ip_address,
+            user_agent: client.user_agent,
+        });
+
+    if (error) {
+        if (isMissingTableError(error)) {
+            warnMissingTable();
+        } else {
+            logger.error('Failed to record login audit event', { error });
+        }
+        return false;
+    }
+    return true;
+}
+
+function summarizeByKey(rows, key, threshold, resetEvents, now) {
+    const groups = new Map();
+
+    // Rows arrive newest first, so a reset event closes the group for
+    // everything older than it.
+    for (const row of rows) {
+        const value = row[key];
+        if (!value) continue;
+
+        let group = groups.get(value);
+        if (!group) {
+            group = { failureTimes: [], blockedCount: 0, lastAttemptAt: null, reset: false, related: new Set(), userId: null };
+            groups.set(value, group);
+        }
+        if (group.reset) continue;
+
+        if (resetEvents.includes(row.event)) {
+            group.reset = true;
+            continue;
+        }
+
+        if (row.event === LOGIN_EVENTS.failure) {
+            group.failureTimes.push(new Date(row.created_at).getTime());
+        } else if (row.event === LOGIN_EVENTS.blocked) {
+            group.blockedCount += 1;
+        } else {
+            continue;
+        }
+
+        group.lastAttemptAt = group.lastAttemptAt || row.created_at;
+        group.userId = group.userId || row.user_id || null;
+        const relatedValue = key === 'email' ? row.ip_address : row.email;
+        if (relatedValue) group.related.add(relatedValue);
+    }
+
+    return Array.from(groups.entries())
+        .filter(([, group]) => group.failureTimes.length > 0 || group.blockedCount > 0)
+        .map(([value, group]) => ({
+            value,
+            group,
+            lockout: evaluateLockout(group.failureTimes, threshold, now),
+        }))
+        .sort((a, b) => b.lockout.failures - a.lockout.failures);
+}
+
+/**
+ * Accounts and addresses with failed or blocked sign-ins in the last 24
+ * hours, plus the raw events behind them.
+ */
+async function listSuspiciousActivity({ limit = 50 } = {}) {
+    const now = Date.now();
+    const since = new Date(now - ACCOUNT_FAILURE_WINDOW_MS).toISOString();
+
+    const { data, error } = await supabase
+        .from(LOGIN_AUDIT_TABLE)
+        .select('id, event, email, user_id, reason, ip_address, user_agent, created_at')
+        .gt('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(2000);
+
+    if (error) throw error;
+    const rows = data || [];
+
+    const accounts = summarizeByKey(
+        rows,
+        'email',
+        LOGIN_MAX_FAILURES_PER_ACCOUNT,
+        [LOGIN_EVENTS.success, LOGIN_EVENTS.unlocked],
+        now
+    ).slice(0, limit).map(({ value, group, lockout }) => ({
+        email: value,
+        userId: group.userId,
+        failures: lockout.failures,
+        blockedAttempts: group.blockedCount,
+        lastAttemptAt: group.lastAttemptAt,
+        ipAddresses: Array.from(group.related),
+        locked: lockout.locked,
+        lockedUntil: lockout.locked ? lockout.lockedUntil : null,
+    }));
+
+    const ipCutoff = now - IP_FAILURE_WINDOW_MS;
+    const ipAddresses = summarizeByKey(
+        rows.filter((row) => new Date(row.created_at).getTime() > ipCutoff),
+        'ip_address',
+        LOGIN_MAX_FAILURES_PER_IP,
+        [],
+        now
+    ).slice(0, limit).map(({ value, group, lockout }) => ({
+        ipAddress: value,
+        failures: lockout.failures,
+        blockedAttempts: group.blockedCount,
+        lastAttemptAt: group.lastAttemptAt,
+        emails: Array.from(group.related),
+        locked: lockout.locked,
+        lockedUntil: lockout.locked ? lockout.lockedUntil : null,
+    }));
+
+    const events = rows
+        .filter((row) => row.event === LOGIN_EVENTS.failure || row.event === LOGIN_EVENTS.blocked)
+        .slice(0, limit);
+
+    return { since, accounts, ipAddresses, events };
+}
+
+module.exports = {
+    LOGIN_EVENTS,
+    checkLoginThrottle,
+    recordLoginEvent,
+    listSuspiciousActivity,
+};
@@ -0,0 +1,95 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+const MAIL_CONFIG = {
+    transport: String(process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file')).toLowerCase(),
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox'),
+    smtpHost: process.env.SMTP_HOST || '',
+    smtpPort: Number(process.env.SMTP_PORT) || 587,
+    smtpSecure: String(process.env.SMTP_SECURE || 'false').toLowerCase() === 'true',
+    smtpUser: process.env.SMTP_USER || '',
+    smtpPass: process.env.SMTP_PASS || '',
+    fromEmail: process.env.SMTP_FROM_EMAIL || 'no-reply@icentral.local',
+    fromName: process.env.SMTP_FROM_NAME || 'ICentral',
+};
+
+function createSmtpTransport() {
+    if (!MAIL_CONFIG.smtpHost) {
+        throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host: MAIL_CONFIG.smtpHost,
+        port: MAIL_CONFIG.smtpPort,
+        secure: MAIL_CONFIG.smtpSecure,
+        ...(MAIL_CONFIG.smtpUser
+            ? { auth: { user: MAIL_CONFIG.smtpUser, pass: MAIL_CONFIG.smtpPass } }
+            : {}),
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+    };
+}
+
+// Development transport: every message becomes a JSON file in the outbox
+// directory so reset/verification links can be opened without an SMTP server.
+function createFileTransport() {
+    return {
+        name: 'file',
+        async send(message) {
+            const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            await fs.mkdir(MAIL_CONFIG.outboxDir, { recursive: true });
+            await fs.writeFile(
+                path.join(MAIL_CONFIG.outboxDir, `${messageId}.json`),
+                JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2)
+            );
+            logger.info('Mail written to outbox', { subject: message.subject, to: message.to, outboxDir: MAIL_CONFIG.outboxDir });
+            return { messageId };
+        },
+    };
+}
+
+const transportFactories = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+};
+
+let activeTransport = null;
+
+function registerMailTransport(name, factory) {
+    transportFactories[String(name).toLowerCase()] = factory;
+}
+
+function getMailTransport() {
+    if (!activeTransport) {
+        const factory = transportFactories[MAIL_CONFIG.transport];
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_CONFIG.transport}"`);
+        }
+        activeTransport = factory(MAIL_CONFIG);
+    }
+    return activeTransport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+    return getMailTransport().send({
+        from: `"${MAIL_CONFIG.fromName}" <${MAIL_CONFIG.fromEmail}>`,
+        to,
+        subject,
+        text,
+        ...(html ? { html } : {}),
+    });
+}
+
+module.exports = {
+    sendMail,
+    registerMailTransport,
+};
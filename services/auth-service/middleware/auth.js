@@ -0,0 +1,55 @@
+const { verifyAccessToken, isSessionActive } = require('../sessions');
+const { logger } = require('../logger');
+
+function parseBearerToken(req) {
+    const authHeader = req.headers.authorization || '';
+    if (!authHeader.startsWith('Bearer ')) return null;
+
+    const token = authHeader.slice(7).trim();
+    return token || null;
+}
+
+async function authenticateRequest(req, res, next) {
+    const token = parseBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    let payload = null;
+    try {
+        payload = verifyAccessToken(token);
+    } catch {
+        return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+
+    try {
+        if (!payload?.id || !(await isSessionActive(payload.sid))) {
+            return res.status(401).json({ success: false, message: 'Session has been revoked', code: 'SESSION_REVOKED' });
+        }
+    } catch (err) {
+        logger.error('Session check failed', { error: err });
+        return res.status(500).json({ success: false, message: 'Could not verify session' });
+    }
+
+    req.user = payload;
+    return next();
+}
+
+function isModeratorRole(role) {
+    const normalized = String(role || '').toLowerCase();
+    return normalized === 'admin' || normalized === 'faculty';
+}
+
+function ensureModerator(req, res, next) {
+    if (!isModeratorRole(req.user?.role)) {
+        return res.status(403).json({ success: false, message: 'Only faculty/admin can access this route.' });
+    }
+    return next();
+}
+
+module.exports = {
+    parseBearerToken,
+    authenticateRequest,
+    isModeratorRole,
+    ensureModerator,
+};
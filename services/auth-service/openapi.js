@@ -0,0 +1,352 @@
+// OpenAPI 3 description of auth-service, served at GET /openapi.json. Routes
+// are mounted at both / and /auth; the API gateway merges this document under
+// /auth. Keep it next to routes/authRoute.js when adding or changing a route.
+const {
+    schemas: { string, nullableString, integer, boolean, dateTime, object },
+    enumOf,
+    arrayOf,
+    ref,
+    jsonBody: body,
+    query,
+    pathParam,
+    ok,
+    operation,
+    baseComponents,
+} = require('./openapiHelpers');
+
+const ROLES = enumOf(['student', 'alumni', 'faculty', 'admin']);
+const twoFactorCode = {
+    code: { ...string, description: '6-digit code from the authenticator app' },
+    recoveryCode: { ...string, description: 'One-time recovery code, instead of code' },
+};
+
+function success(description, properties = {}) {
+    return ok(description, {
+        type: 'object',
+        properties: { success: { ...boolean, enum: [true] }, message: string, ...properties },
+    });
+}
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'ICEntral auth-service',
+        version: '1.0.0',
+        description: 'Sign-up, sessions, email verification, passwords, two-factor authentication and invitations.',
+    },
+    tags: [
+        { name: 'Sessions' },
+        { name: 'Account' },
+        { name: 'Two-factor' },
+        { name: 'Invitations' },
+        { name: 'Security' },
+    ],
+    paths: {
+        '/signup': {
+            post: operation('signup', 'Register an account', {
+                auth: false,
+                tags: ['Account'],
+                requestBody: body({
+                    university_id: string,
+                    full_name: string,
+                    session: string,
+                    email: { ...string, format: 'email' },
+                    phone_number: string,
+                    password: { ...string, format: 'password' },
+                    role: ROLES,
+                    invitationCode: { ...string, description: 'Required for faculty and admin sign-ups' },
+                }, ['university_id', 'full_name', 'email', 'password']),
+                responses: {
+                    201: success('Registered; the email address must be verified before signing in', {
+                        verificationRequired: boolean,
+                        verificationEmailSent: boolean,
+                        user: ref('User'),
+                    }),
+                },
+                errors: [400, 403, 409],
+            }),
+        },
+        '/login': {
+            post: operation('login', 'Sign in with email and password', {
+                auth: false,
+                tags: ['Sessions'],
+                requestBody: body({
+                    email: { ...string, format: 'email' },
+                    password: { ...string, format: 'password' },
+                }, ['email', 'password']),
+                responses: { 200: ok('Session, or the two-factor step to complete next', ref('LoginResult')) },
+                errors: [400, 401, 403, 429],
+            }),
+        },
+        '/refresh': {
+            post: operation('refreshSession', 'Exchange a refresh token for a new token pair', {
+                auth: false,
+                tags: ['Sessions'],
+                requestBody: body({ refreshToken: string }, ['refreshToken']),
+                responses: { 200: ok('New session tokens', ref('Session')) },
+                errors: [400, 401, 403],
+            }),
+        },
+        '/logout': {
+            post: operation('logout', 'Revoke the current session', {
+                auth: false,
+                tags: ['Sessions'],
+                requestBody: body({ refreshToken: string }),
+                responses: { 200: success('Logged out') },
+                errors: [400, 401],
+            }),
+        },
+        '/logout-all': {
+            post: operation('logoutAll', 'Revoke every session of the signed-in user', {
+                tags: ['Sessions'],
+                responses: { 200: success('Logged out everywhere', { revokedCount: integer }) },
+            }),
+        },
+        '/verify-email': {
+            get: operation('verifyEmail', 'Verify an email address from the emailed link', {
+                auth: false,
+                tags: ['Account'],
+                parameters: [{ ...query('token', string), required: true }],
+                responses: { 200: success('Email verified', { alreadyVerified: boolean }) },
+                errors: [400],
+            }),
+        },
+        '/verify-email/resend': {
+            post: operation('resendVerificationEmail', 'Send a new verification email', {
+                auth: false,
+                tags: ['Account'],
+                requestBody: body({ email: { ...string, format: 'email' } }, ['email']),
+                responses: { 200: success('Sent if the account exists and is unverified') },
+                errors: [400],
+            }),
+        },
+        '/password/forgot': {
+            post: operation('forgotPassword', 'Email a password reset link', {
+                auth: false,
+                tags: ['Account'],
+                requestBody: body({ email: { ...string, format: 'email' } }, ['email']),
+                responses: { 200: success('Sent if the account exists') },
+                errors: [400],
+            }),
+        },
+        '/password/reset': {
+            post: operation('resetPassword', 'Set a new password with a reset token', {
+                auth: false,
+                tags: ['Account'],
+                requestBody: body({ token: string, password: { ...string, format: 'password' } }, ['token', 'password']),
+                responses: { 200: success('Password reset; every session is revoked') },
+                errors: [400],
+            }),
+        },
+        '/password/change': {
+            post: operation('changePassword', 'Change the signed-in user\'s password', {
+                tags: ['Account'],
+                requestBody: body({
+                    currentPassword: { ...string, format: 'password' },
+                    newPassword: { ...string, format: 'password' },
+                }, ['currentPassword', 'newPassword']),
+                responses: { 200: success('Password updated; other sessions are revoked', { revokedCount: integer }) },
+                errors: [400, 403],
+            }),
+        },
+        '/2fa/status': {
+            get: operation('getTwoFactorStatus', 'Get two-factor status', {
+                tags: ['Two-factor'],
+                responses: {
+                    200: success('Status', { enabled: boolean, required: boolean, recoveryCodesRemaining: integer }),
+                },
+                errors: [404],
+            }),
+        },
+        '/2fa/setup': {
+            post: operation('setupTwoFactor', 'Start authenticator enrolment', {
+                tags: ['Two-factor'],
+                requestBody: body({
+                    enrollmentToken: { ...string, description: 'From a login that requires enrolment, instead of a bearer token' },
+                }),
+                responses: { 200: success('Secret to add to the authenticator app', { secret: string, otpauthUri: string }) },
+                errors: [404, 409],
+            }),
+        },
+        '/2fa/enable': {
+            post: operation('enableTwoFactor', 'Confirm enrolment with a code', {
+                tags: ['Two-factor'],
+                requestBody: body({ code: twoFactorCode.code, enrollmentToken: string }, ['code']),
+                responses: {
+                    200: ok('Enabled, with recovery codes; includes a session when enrolling during login', ref('LoginResult')),
+                },
+                errors: [400, 404, 409],
+            }),
+        },
+        '/2fa/verify': {
+            post: operation('verifyTwoFactor', 'Finish a login with a two-factor code', {
+                auth: false,
+                tags: ['Two-factor', 'Sessions'],
+                requestBody: body({ challengeToken: string, ...twoFactorCode }, ['challengeToken']),
+                responses: { 200: ok('Session', ref('LoginResult')) },
+                errors: [400, 401, 403],
+            }),
+        },
+        '/2fa/disable': {
+            post: operation('disableTwoFactor', 'Turn two-factor authentication off', {
+                tags: ['Two-factor'],
+                requestBody: body({ password: { ...string, format: 'password' }, ...twoFactorCode }, ['password']),
+                responses: { 200: success('Disabled') },
+                errors: [400, 403, 409],
+            }),
+        },
+        '/2fa/recovery-codes': {
+            post: operation('regenerateRecoveryCodes', 'Replace the recovery codes', {
+                tags: ['Two-factor'],
+                requestBody: body({ code: twoFactorCode.code }, ['code']),
+                responses: { 200: success('New recovery codes', { recoveryCodes: arrayOf(string) }) },
+                errors: [400, 403, 409],
+            }),
+        },
+        '/admin/login-activity': {
+            get: operation('getLoginActivity', 'Recent suspicious sign-in activity', {
+                tags: ['Security'],
+                parameters: [query('limit', integer)],
+                responses: { 200: success('Activity') },
+                errors: [403],
+            }),
+        },
+        '/admin/users/{userId}/unlock': {
+            post: operation('unlockAccount', 'Clear a sign-in lockout', {
+                tags: ['Security'],
+                parameters: [pathParam('userId')],
+                responses: { 200: success('Account unlocked') },
+                errors: [400, 403],
+            }),
+        },
+        '/invitations/lookup': {
+            get: operation('lookupInvitation', 'Check an invitation code before signing up', {
+                auth: false,
+                tags: ['Invitations'],
+                parameters: [{ ...query('code', string), required: true }],
+                responses: {
+                    200: success('Pending invitation', {
+                        invitation: {
+                            type: 'object',
+                            properties: { role: string, email: nullableString, expiresAt: dateTime },
+                        },
+                    }),
+                },
+                errors: [400, 404],
+            }),
+        },
+        '/invitations': {
+            get: operation('listInvitations', 'List invitations', {
+                tags: ['Invitations'],
+                parameters: [
+                    query('status', enumOf(['pending', 'used', 'revoked', 'expired', 'all'])),
+                    query('limit', integer),
+                ],
+                responses: { 200: success('Invitations', { invitations: arrayOf(ref('Invitation')) }) },
+                errors: [400, 403],
+            }),
+            post: operation('createInvitation', 'Invite a faculty member or admin', {
+                tags: ['Invitations'],
+                requestBody: body({
+                    role: ROLES,
+                    email: { ...string, format: 'email', nullable: true },
+                    note: { ...nullableString, maxLength: 500 },
+                    expiresInDays: integer,
+                }, ['role']),
+                responses: {
+                    201: success('Invitation; the code is only returned here', {
+                        invitation: ref('Invitation'),
+                        code: string,
+                        inviteUrl: string,
+                        emailSent: boolean,
+                    }),
+                },
+                errors: [400, 403],
+            }),
+        },
+        '/invitations/{invitationId}': {
+            delete: operation('revokeInvitation', 'Revoke a pending invitation', {
+                tags: ['Invitations'],
+                parameters: [pathParam('invitationId')],
+                responses: { 200: success('Invitation revoked', { invitation: ref('Invitation') }) },
+                errors: [403, 404, 409],
+            }),
+        },
+        '/.well-known/jwks.json': {
+            get: operation('getJwks', 'Public keys for verifying access tokens', {
+                auth: false,
+                tags: ['Sessions'],
+                responses: {
+                    200: ok('JSON Web Key Set', { type: 'object', properties: { keys: arrayOf(object) } }),
+                },
+            }),
+        },
+    },
+    components: baseComponents({
+        type: 'object',
+        required: ['success', 'message'],
+        properties: {
+            success: { ...boolean, enum: [false] },
+            message: string,
+            code: { ...string, description: 'Machine-readable reason, e.g. EMAIL_NOT_VERIFIED or SESSION_REVOKED' },
+            retryAfterSeconds: { ...integer, description: 'Sent with 429 responses' },
+        },
+    }, {
+        User: {
+            type: 'object',
+            properties: {
+                id: string,
+                email: string,
+                full_name: string,
+                role: string,
+                alumniVerificationStatus: nullableString,
+                isVerifiedAlumni: boolean,
+            },
+        },
+        Session: {
+            type: 'object',
+            properties: {
+                success: boolean,
+                token: { ...string, description: 'Access token (JWT)' },
+                refreshToken: string,
+                expiresIn: { ...integer, description: 'Access token lifetime in seconds' },
+                refreshTokenExpiresAt: dateTime,
+                user: ref('User'),
+            },
+        },
+        LoginResult: {
+            description: 'A Session, or one of the two-factor continuations.',
+            allOf: [ref('Session')],
+            type: 'object',
+            properties: {
+                twoFactorRequired: boolean,
+                challengeToken: string,
+                challengeExpiresIn: integer,
+                twoFactorEnrollmentRequired: boolean,
+                enrollmentToken: string,
+                enrollmentExpiresIn: integer,
+                recoveryCodes: arrayOf(string),
+            },
+        },
+        Invitation: {
+            type: 'object',
+            properties: {
+                id: string,
+                email: nullableString,
+                role: string,
+                note: nullableString,
+                status: enumOf(['pending', 'used', 'revoked', 'expired']),
+                createdBy: nullableString,
+                createdAt: dateTime,
+                expiresAt: dateTime,
+                usedAt: { ...dateTime, nullable: true },
+                usedBy: nullableString,
+                revokedAt: { ...dateTime, nullable: true },
+            },
+        },
+    }),
+};
+
+module.exports = {
+    openApiDocument,
+};
@@ -1,9 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const {signup, login} = require('../controllers/authController');
+const {signup, login, refresh, logout, logoutAll, jwks} = require('../controllers/authController');
+const {forgotPassword, resetPassword, changePassword} = require('../controllers/passwordController');
+const {verifyEmail, resendVerification} = require('../controllers/verificationController');
+const {getLoginActivity, unlockAccount} = require('../controllers/securityController');
+const {createInvitation, listInvitations, revokeInvitation, lookupInvitation} = require('../controllers/invitationController');
+const {
+    authenticateEnrollment,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    confirmTwoFactor,
+    verifyTwoFactor,
+    turnOffTwoFactor,
+    regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
+const {authenticateRequest, ensureModerator} = require('../middleware/auth');
 
+router.get('/.well-known/jwks.json', jwks);
 router.post('/signup', signup);
 router.post('/login', login);
-router.post('/logout', (req, res) => {});
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/logout-all', authenticateRequest, logoutAll);
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email/resend', resendVerification);
+router.post('/password/forgot', forgotPassword);
+router.post('/password/reset', resetPassword);
+router.post('/password/change', authenticateRequest, changePassword);
+router.get('/2fa/status', authenticateRequest, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateEnrollment, setupTwoFactor);
+router.post('/2fa/enable', authenticateEnrollment, confirmTwoFactor);
+router.post('/2fa/verify', verifyTwoFactor);
+router.post('/2fa/disable', authenticateRequest, turnOffTwoFactor);
+router.post('/2fa/recovery-codes', authenticateRequest, regenerateRecoveryCodes);
+router.get('/admin/login-activity', authenticateRequest, ensureModerator, getLoginActivity);
+router.post('/admin/users/:userId/unlock', authenticateRequest, ensureModerator, unlockAccount);
+router.get('/invitations/lookup', lookupInvitation);
+router.post('/invitations', authenticateRequest, ensureModerator, createInvitation);
+router.get('/invitations', authenticateRequest, ensureModerator, listInvitations);
+router.delete('/invitations/:invitationId', authenticateRequest, ensureModerator, revokeInvitation);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
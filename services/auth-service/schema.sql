@@ -0,0 +1,125 @@
+-- Auth service schema additions for sessions, account recovery, login auditing,
+-- two-factor authentication and invitations.
+-- Run this in Supabase SQL editor before using the auth-service endpoints.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.auth_sessions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    refresh_token_hash text not null,
+    user_agent text,
+    ip_address text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    expires_at timestamptz not null,
+    revoked_at timestamptz,
+    revoked_reason text
+);
+
+create index if not exists idx_auth_sessions_user_active
+    on public.auth_sessions (user_id)
+    where revoked_at is null;
+
+create table if not exists public.password_reset_tokens (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    token_hash text not null unique,
+    requested_ip text,
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists idx_password_reset_tokens_user_unused
+    on public.password_reset_tokens (user_id)
+    where used_at is null;
+
+-- Account lifecycle. Existing accounts default to active; new signups start
+-- as pending_verification until the emailed link is opened.
+alter table if exists public.users
+    add column if not exists account_status text not null default 'active',
+    add column if not exists email_verified_at timestamptz,
+    add column if not exists email_verification_sent_at timestamptz;
+
+alter table if exists public.users
+    drop constraint if exists users_account_status_check;
+
+alter table if exists public.users
+    add constraint users_account_status_check
+        check (account_status in ('pending_verification', 'active', 'suspended', 'deleted'));
+
+-- Moderator account management (user-service /admin/users). Suspended
+-- accounts cannot sign in or refresh, and suspending revokes their sessions.
+-- Reactivating restores the status the account had before, so an unverified
+-- account goes back to pending_verification.
+alter table if exists public.users
+    add column if not exists created_at timestamptz not null default now(),
+    add column if not exists suspended_at timestamptz,
+    add column if not exists suspended_reason text,
+    add column if not exists suspended_by uuid references public.users(id) on delete set null,
+    add column if not exists status_before_suspension text;
+
+create index if not exists idx_users_created_at
+    on public.users (created_at desc);
+
+create table if not exists public.login_audit (
+    id bigserial primary key,
+    event text not null
+        check (event in ('login_success', 'login_failure', 'login_blocked', 'account_unlocked')),
+    email text,
+    user_id uuid references public.users(id) on delete set null,
+    actor_id uuid references public.users(id) on delete set null,
+    reason text,
+    ip_address text,
+    user_agent text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists idx_login_audit_email_created
+    on public.login_audit (email, created_at desc);
+
+create index if not exists idx_login_audit_ip_created
+    on public.login_audit (ip_address, created_at desc);
+
+create index if not exists idx_login_audit_created
+    on public.login_audit (created_at desc);
+
+-- TOTP two-factor authentication. two_factor_secret is AES-GCM encrypted by
+-- the auth service; two_factor_last_step blocks replay of a used code.
+alter table if exists public.users
+    add column if not exists two_factor_enabled boolean not null default false,
+    add column if not exists two_factor_enabled_at timestamptz,
+    add column if not exists two_factor_secret text,
+    add column if not exists two_factor_last_step bigint;
+
+create table if not exists public.two_factor_recovery_codes (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    code_hash text not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists idx_two_factor_recovery_codes_user
+    on public.two_factor_recovery_codes (user_id, code_hash);
+
+-- Faculty and admin accounts are created from single-use invitations issued by
+-- moderators. Only a hash of the invitation code is stored.
+create table if not exists public.invitations (
+    id uuid primary key default gen_random_uuid(),
+    code_hash text not null unique,
+    email text,
+    role text not null
+        check (role in ('faculty', 'admin')),
+    note text,
+    created_by uuid references public.users(id) on delete set null,
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    used_by uuid references public.users(id) on delete set null,
+    revoked_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists idx_invitations_created_at
+    on public.invitations (created_at desc);
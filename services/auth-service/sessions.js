@@ -0,0 +1,238 @@
+const { supabase } = require('./db');
+const { signJwt, verifyJwt } = require('./keys');
+const { generateOpaqueToken, hashToken, tokenHashesMatch } = require('./tokens');
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const AUTH_SESSIONS_TABLE = process.env.AUTH_SESSIONS_TABLE || 'auth_sessions';
+
+function createSessionError(message, status = 401, code = 'INVALID_REFRESH_TOKEN') {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function generateRefreshSecret() {
+    return generateOpaqueToken(48);
+}
+
+// Refresh tokens are "<session id>.<secret>" so a presented token can be
+// matched to its session row without scanning by hash.
+function parseRefreshToken(value) {
+    const normalized = typeof value === 'string' ? value.trim() : '';
+    const separatorIndex = normalized.indexOf('.');
+    if (separatorIndex <= 0 || separatorIndex === normalized.length - 1) {
+        return null;
+    }
+
+    return {
+        sessionId: normalized.slice(0, separatorIndex),
+        secret: normalized.slice(separatorIndex + 1),
+    };
+}
+
+function describeClient(req) {
+    const userAgent = typeof req?.headers?.['user-agent'] === 'string'
+        ? req.headers['user-agent'].slice(0, 512)
+        : null;
+
+    return {
+        user_agent: userAgent,
+        ip_address: req?.ip || null,
+    };
+}
+
+function signAccessToken(user, sessionId) {
+    return signJwt(
+        {
+            id: user.id,
+            role: user.role,
+            email: user.email,
+            sid: sessionId,
+        },
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+function buildSessionTokens(user, session, secret) {
+    return {
+        token: signAccessToken(user, session.id),
+        refreshToken: `${session.id}.${secret}`,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        refreshTokenExpiresAt: session.expires_at,
+    };
+}
+
+function isSessionRowActive(row) {
+    return Boolean(
+        row
+        && !row.revoked_at
+        && new Date(row.expires_at).getTime() > Date.now()
+    );
+}
+
+async function createSession(user, req) {
+    const secret = generateRefreshSecret();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+        .from(AUTH_SESSIONS_TABLE)
+        .insert({
+            user_id: user.id,
+            refresh_token_hash: hashToken(secret),
+            expires_at: expiresAt,
+            ...describeClient(req),
+        })
+        .select('id, expires_at')
+        .single();
+
+    if (error) throw error;
+
+    return buildSessionTokens(user, data, secret);
+}
+
+async function getSessionById(sessionId) {
+    const { data, error } = await supabase
+        .from(AUTH_SESSIONS_TABLE)
+        .select('*')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error) {
+        // Malformed ids (22P02) are just unknown sessions.
+        if (error.code === '22P02') return null;
+        throw error;
+    }
+    return data || null;
+}
+
+async function isSessionActive(sessionId) {
+    if (!sessionId) return false;
+    const session = await getSessionById(sessionId);
+    return isSessionRowActive(session);
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+    const { data, error } = await supabase
+        .from(AUTH_SESSIONS_TABLE)
+        .update({
+            revoked_at: new Date().toISOString(),
+            revoked_reason: reason,
+        })
+        .eq('id', sessionId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) {
+        if (error.code === '22P02') return 0;
+        throw error;
+    }
+    return (data || []).length;
+}
+
+// Logout by refresh token must prove possession of the secret, not just the
+// session id in front of it.
+async function revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+    const parsed = parseRefreshToken(refreshToken);
+    const session = parsed ? await getSessionById(parsed.sessionId) : null;
+    if (!session || !tokenHashesMatch(hashToken(parsed.secret), session.refresh_token_hash)) {
+        throw createSessionError('Invalid refresh token');
+    }
+
+    return revokeSession(session.id, reason);
+}
+
+async function revokeAllSessions(userId, reason = 'logout_all', { exceptSessionId = null } = {}) {
+    let query = supabase
+        .from(AUTH_SESSIONS_TABLE)
+        .update({
+            revoked_at: new Date().toISOString(),
+            revoked_reason: reason,
+        })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+    if (exceptSessionId) {
+        query = query.neq('id', exceptSessionId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair. The presented
+ * secret is replaced on every call; presenting a superseded secret is treated
+ * as theft and revokes the whole session.
+ */
+async function rotateSession(refreshToken, loadUser) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        throw createSessionError('Invalid refresh token');
+    }
+
+    const session = await getSessionById(parsed.sessionId);
+    if (!session) {
+        throw createSessionError('Invalid refresh token');
+    }
+    if (session.revoked_at) {
+        throw createSessionError('Session has been revoked', 401, 'SESSION_REVOKED');
+    }
+    if (!isSessionRowActive(session)) {
+        throw createSessionError('Session has expired', 401, 'SESSION_EXPIRED');
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    if (!tokenHashesMatch(presentedHash, session.refresh_token_hash)) {
+        await revokeSession(session.id, 'refresh_token_reuse');
+        throw createSessionError('Refresh token has already been used', 401, 'SESSION_REVOKED');
+    }
+
+    const user = await loadUser(session.user_id);
+    if (!user) {
+        await revokeSession(session.id, 'user_missing');
+        throw createSessionError('Invalid refresh token');
+    }
+
+    const nextSecret = generateRefreshSecret();
+    const { data, error } = await supabase
+        .from(AUTH_SESSIONS_TABLE)
+        .update({
+            refresh_token_hash: hashToken(nextSecret),
+            last_used_at: new Date().toISOString(),
+        })
+        .eq('id', session.id)
+        .eq('refresh_token_hash', presentedHash)
+        .select('id, expires_at')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+        // Another request rotated the same token first.
+        throw createSessionError('Refresh token has already been used');
+    }
+
+    return {
+        user,
+        tokens: buildSessionTokens(user, data, nextSecret),
+    };
+}
+
+function verifyAccessToken(token) {
+    return verifyJwt(token);
+}
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeAllSessions,
+    isSessionActive,
+    parseRefreshToken,
+    verifyAccessToken,
+    describeClient,
+};
@@ -0,0 +1,21 @@
+const crypto = require('node:crypto');
+
+function generateOpaqueToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function hashToken(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function tokenHashesMatch(a, b) {
+    const left = Buffer.from(String(a || ''), 'utf8');
+    const right = Buffer.from(String(b || ''), 'utf8');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+    generateOpaqueToken,
+    hashToken,
+    tokenHashesMatch,
+};
@@ -0,0 +1,112 @@
+const crypto = require('node:crypto');
+
+// RFC 6238 defaults understood by every authenticator app.
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const normalized = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of normalized) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+function generateTotpSecret(bytes = 20) {
+    return base32Encode(crypto.randomBytes(bytes));
+}
+
+function generateHotp(key, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function getTotpStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Returns the time step the code belongs to, or null. One step of drift either
+ * way is accepted; steps at or before `afterStep` are refused so a code cannot
+ * be replayed once it has been used.
+ */
+function verifyTotp(secret, code, { window = 1, afterStep = null, now = Date.now() } = {}) {
+    const normalizedCode = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalizedCode)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = getTotpStep(now);
+
+    for (let offset = -window; offset <= window; offset += 1) {
+        const step = currentStep + offset;
+        if (afterStep !== null && step <= afterStep) continue;
+
+        const expected = Buffer.from(generateHotp(key, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalizedCode))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+};
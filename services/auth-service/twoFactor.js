@@ -0,0 +1,273 @@
+const crypto = require('node:crypto');
+const { supabase, isMissingTableError } = require('./db');
+const { signJwt, verifyJwt } = require('./keys');
+const { hashToken } = require('./tokens');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'ICEntral';
+const TWO_FACTOR_RECOVERY_CODES_TABLE = process.env.TWO_FACTOR_RECOVERY_CODES_TABLE || 'two_factor_recovery_codes';
+const TWO_FACTOR_REQUIRED_ROLES = new Set(
+    String(process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+        .split(',')
+        .map((role) => role.trim().toLowerCase())
+        .filter(Boolean)
+);
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const TWO_FACTOR_ENROLLMENT_TTL_SECONDS = 15 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+const TWO_FACTOR_TOKEN_PURPOSES = {
+    challenge: 'two_factor_challenge',
+    enrollment: 'two_factor_enrollment',
+};
+
+// Secrets are stored encrypted so a leaked users table is not enough to mint
+// codes. Deployments from before asymmetric signing derived the key from
+// JWT_SECRET, which is still honoured so existing enrolments keep working.
+function resolveSecretEncryptionKey() {
+    const explicitKey = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    const legacySecret = process.env.JWT_SECRET;
+
+    if (explicitKey) {
+        return crypto.createHash('sha256').update(explicitKey).digest();
+    }
+    if (legacySecret && legacySecret !== 'HelloWorldKey') {
+        return crypto.createHash('sha256').update(`two-factor:${legacySecret}`).digest();
+    }
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be set; auth-service will not fall back to a default secret.');
+}
+
+const SECRET_ENCRYPTION_KEY = resolveSecretEncryptionKey();
+
+function createTwoFactorError(message, status = 400, code = 'INVALID_TWO_FACTOR_CODE') {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', SECRET_ENCRYPTION_KEY, iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return ['v1', iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join(':');
+}
+
+function decryptSecret(value) {
+    const [version, iv, tag, ciphertext] = String(value || '').split(':');
+    if (version !== 'v1' || !iv || !tag || !ciphertext) {
+        throw new Error('Unsupported two-factor secret format');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SECRET_ENCRYPTION_KEY, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+function isTwoFactorRequiredForRole(role) {
+    return TWO_FACTOR_REQUIRED_ROLES.has(String(role || '').toLowerCase());
+}
+
+function signTwoFactorToken(user, purpose) {
+    const expiresIn = purpose === TWO_FACTOR_TOKEN_PURPOSES.enrollment
+        ? TWO_FACTOR_ENROLLMENT_TTL_SECONDS
+        : TWO_FACTOR_CHALLENGE_TTL_SECONDS;
+
+    return {
+        token: signJwt({ sub: user.id, purpose }, { expiresIn }),
+        expiresIn,
+    };
+}
+
+function readTwoFactorToken(token, purpose) {
+    try {
+        const payload = verifyJwt(String(token || ''));
+        return payload?.purpose === purpose && payload.sub ? payload.sub : null;
+    } catch {
+        return null;
+    }
+}
+
+async function getTwoFactorUser(userId) {
+    const { data, error } = await supabase
+        .from('users')
+        .select('id, email, role, full_name, password_hash, account_status, two_factor_enabled, two_factor_secret, two_factor_last_step')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data || null;
+}
+
+async function updateTwoFactorColumns(userId, values) {
+    const { error } = await supabase
+        .from('users')
+        .update(values)
+        .eq('id', userId);
+
+    if (error) throw error;
+}
+
+async function startEnrollment(user) {
+    if (user.two_factor_enabled) {
+        throw createTwoFactorError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    // Re-running setup replaces any secret that was never confirmed.
+    const secret = generateTotpSecret();
+    await updateTwoFactorColumns(user.id, {
+        two_factor_secret: encryptSecret(secret),
+        two_factor_last_step: null,
+    });
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER }),
+    };
+}
+
+/**
+ * Checks a TOTP code and records its time step so the same code cannot be
+ * used twice. The conditional update also settles two concurrent requests
+ * carrying the same code.
+ */
+async function consumeTotpCode(user, code) {
+    if (!user.two_factor_secret) {
+        throw createTwoFactorError('Two-factor authentication has not been set up', 409, 'TWO_FACTOR_NOT_SET_UP');
+    }
+
+    const lastStep = user.two_factor_last_step === null || user.two_factor_last_step === undefined
+        ? null
+        : Number(user.two_factor_last_step);
+    const step = verifyTotp(decryptSecret(user.two_factor_secret), code, { afterStep: lastStep });
+    if (step === null) return false;
+
+    let query = supabase
+        .from('users')
+        .update({ two_factor_last_step: step })
+        .eq('id', user.id);
+
+    query = lastStep === null
+        ? query.is('two_factor_last_step', null)
+        : query.eq('two_factor_last_step', lastStep);
+
+    const { data, error } = await query.select('id').maybeSingle();
+    if (error) throw error;
+    return Boolean(data);
+}
+
+function normalizeRecoveryCode(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+async function consumeRecoveryCode(userId, recoveryCode) {
+    const normalized = normalizeRecoveryCode(recoveryCode);
+    if (!normalized) return false;
+
+    const { data, error } = await supabase
+        .from(TWO_FACTOR_RECOVERY_CODES_TABLE)
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('code_hash', hashToken(normalized))
+        .is('used_at', null)
+        .select('id')
+        .maybeSingle();
+
+    if (error) throw error;
+    return Boolean(data);
+}
+
+async function replaceRecoveryCodes(userId) {
+    const { error: deleteError } = await supabase
+        .from(TWO_FACTOR_RECOVERY_CODES_TABLE)
+        .delete()
+        .eq('user_id', userId);
+
+    if (deleteError) throw deleteError;
+
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    const { error } = await supabase
+        .from(TWO_FACTOR_RECOVERY_CODES_TABLE)
+        .insert(codes.map((code) => ({
+            user_id: userId,
+            code_hash: hashToken(normalizeRecoveryCode(code)),
+        })));
+
+    if (error) throw error;
+    return codes;
+}
+
+async function countRemainingRecoveryCodes(userId) {
+    const { count, error } = await supabase
+        .from(TWO_FACTOR_RECOVERY_CODES_TABLE)
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('used_at', null);
+
+    if (error) {
+        if (isMissingTableError(error)) return 0;
+        throw error;
+    }
+    return count || 0;
+}
+
+/**
+ * Accepts either a TOTP `code` or a single-use `recoveryCode`.
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+        return { ok: await consumeRecoveryCode(user.id, recoveryCode), method: 'recovery_code' };
+    }
+    return { ok: await consumeTotpCode(user, code), method: 'totp' };
+}
+
+async function enableTwoFactor(user, code) {
+    if (user.two_factor_enabled) {
+        throw createTwoFactorError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!(await consumeTotpCode(user, code))) {
+        throw createTwoFactorError('Invalid authentication code');
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+    await updateTwoFactorColumns(user.id, {
+        two_factor_enabled: true,
+        two_factor_enabled_at: new Date().toISOString(),
+    });
+
+    return recoveryCodes;
+}
+
+async function disableTwoFactor(userId) {
+    await updateTwoFactorColumns(userId, {
+        two_factor_enabled: false,
+        two_factor_enabled_at: null,
+        two_factor_secret: null,
+        two_factor_last_step: null,
+    });
+
+    const { error } = await supabase
+        .from(TWO_FACTOR_RECOVERY_CODES_TABLE)
+        .delete()
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
+
+module.exports = {
+    TWO_FACTOR_TOKEN_PURPOSES,
+    isTwoFactorRequiredForRole,
+    signTwoFactorToken,
+    readTwoFactorToken,
+    getTwoFactorUser,
+    startEnrollment,
+    enableTwoFactor,
+    disableTwoFactor,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    countRemainingRecoveryCodes,
+};
@@ -1,5 +1,8 @@
 const { z } = require('zod');
 const { query, withTransaction } = require('../db');
+const { createCounter } = require('../metrics');
+
+const messagesSent = createCounter('chat_messages_sent_total', 'Chat messages sent.');
 
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
@@ -411,6 +414,7 @@ async function sendMessage(req, res, next) {
             };
         });
 
+        messagesSent.inc();
         const responseMessage = mapMessage(transactionResult.createdMessage);
         const io = req.app.locals.io;
 
@@ -0,0 +1,51 @@
+const { z } = require('zod');
+const { createCounter } = require('../metrics');
+
+const notificationsPushed = createCounter('notification_pushes_total', 'notification:new events emitted to user rooms.');
+
+const MAX_DELIVERIES = 500;
+
+// notification-service sends each stored notification with its recipient;
+// the notification object is passed through to the client unchanged.
+const pushSchema = z.object({
+    deliveries: z.array(z.object({
+        userId: z.string().uuid(),
+        notification: z.object({ id: z.string().min(1) }).passthrough(),
+    })).min(1).max(MAX_DELIVERIES),
+});
+
+function formatValidationError(error) {
+    return error.issues.map((issue) => ({
+        path: issue.path.join('.') || 'request',
+        message: issue.message,
+    }));
+}
+
+async function pushNotifications(req, res, next) {
+    try {
+        const parsed = pushSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: formatValidationError(parsed.error),
+            });
+        }
+
+        const io = req.app.locals.io;
+        const { deliveries } = parsed.data;
+        if (io) {
+            for (const { userId, notification } of deliveries) {
+                io.to(`user:${userId}`).emit('notification:new', notification);
+            }
+            notificationsPushed.inc(deliveries.length);
+        }
+
+        return res.status(202).json({ delivered: io ? deliveries.length : 0 });
+    } catch (error) {
+        return next(error);
+    }
+}
+
+module.exports = {
+    pushNotifications,
+};
@@ -0,0 +1,39 @@
+const { z } = require('zod');
+const { logger } = require('../logger');
+
+const userParamsSchema = z.object({
+    userId: z.string().uuid(),
+});
+
+// user-service calls this after it revokes a user's sessions (suspension,
+// role change or account deletion). Sockets authenticate once, on connect, so
+// open ones would otherwise keep receiving messages and pushes. A reconnect is
+// refused because the session is gone.
+async function disconnectUserSockets(req, res, next) {
+    try {
+        const parsed = userParamsSchema.safeParse(req.params || {});
+        if (!parsed.success) {
+            return res.status(400).json({ error: 'userId must be a UUID' });
+        }
+
+        const io = req.app.locals.io;
+        if (!io) {
+            return res.status(202).json({ disconnected: 0 });
+        }
+
+        const room = `user:${parsed.data.userId}`;
+        const sockets = await io.in(room).fetchSockets();
+        io.in(room).disconnectSockets(true);
+        if (sockets.length) {
+            logger.info('Disconnected user sockets', { userId: parsed.data.userId, count: sockets.length });
+        }
+
+        return res.status(202).json({ disconnected: sockets.length });
+    } catch (error) {
+        return next(error);
+    }
+}
+
+module.exports = {
+    disconnectUserSockets,
+};
@@ -4,9 +4,14 @@ const cors = require('cors');
 const express = require('express');
 const { Server } = require('socket.io');
 const chatRoutes = require('./routes/chatRoutes');
+const internalRoutes = require('./routes/internalRoutes');
 const { authenticateSocket } = require('./middleware/auth');
 const { query, isDbConfigured, closePool } = require('./db');
 const { requireConversationMembership } = require('./controllers/chatController');
+const { logger, requestLogger } = require('./logger');
+const { metricsMiddleware, metricsHandler, createCounter, createGauge } = require('./metrics');
+const { openApiDocument } = require('./openapi');
+const { listEndpoints } = require('./openapiHelpers');
 
 const app = express();
 const server = http.createServer(app);
@@ -39,27 +44,14 @@ app.locals.io = io;
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '1mb' }));
 
-app.use((req, res, next) => {
-    const startedAt = Date.now();
-    res.on('finish', () => {
-        const elapsedMs = Date.now() - startedAt;
-        console.log(`[chat-service] ${req.method} ${req.originalUrl} -> ${res.statusCode} (${elapsedMs}ms)`);
-    });
-    next();
-});
+app.use(requestLogger);
+app.use(metricsMiddleware());
 
 app.get('/', (req, res) => {
     return res.json({
         health: 'Chat service OK',
         socketPath: '/socket.io',
-        endpoints: [
-            'GET /users/search?query=',
-            'POST /conversations/dm',
-            'GET /conversations',
-            'GET /conversations/:id/messages',
-            'POST /conversations/:id/messages',
-            'POST /conversations/:id/read',
-        ],
+        endpoints: listEndpoints(openApiDocument),
     });
 });
 
@@ -94,6 +86,14 @@ app.get('/health', async (req, res) => {
     }
 });
 
+app.get('/metrics', metricsHandler);
+
+app.get('/openapi.json', (req, res) => {
+    return res.json(openApiDocument);
+});
+
+// Mounted before chatRoutes, which require a user token on every path.
+app.use('/internal', internalRoutes);
 app.use('/', chatRoutes);
 
 app.use((error, req, res, next) => {
@@ -109,7 +109,7 @@ app.use((error, req, res, next) => {
     }
 
     if (statusCode >= 500) {
-        console.error('[chat-service] Unhandled error', error);
+        logger.error('Unhandled error', { error });
     }
 
     return res.status(statusCode).json(payload);
@@ -117,10 +117,15 @@ app.use((error, req, res, next) => {
 
 io.use(authenticateSocket);
 
+const socketConnections = createGauge('socketio_connections', 'Currently connected Socket.IO clients.');
+const socketConnectionsTotal = createCounter('socketio_connections_total', 'Socket.IO connections accepted since start.');
+
 io.on('connection', (socket) => {
     const userId = socket.user.id;
     socket.join(`user:${userId}`);
-    console.log(`[chat-service] socket connected user=${userId} socket=${socket.id}`);
+    socketConnections.inc();
+    socketConnectionsTotal.inc();
+    logger.info('Socket connected', { userId, socketId: socket.id });
 
     socket.on('conversation:join', async (payload = {}, ack) => {
         const callback = typeof ack === 'function' ? ack : () => {};
@@ -158,12 +163,13 @@ io.on('connection', (socket) => {
     });
 
     socket.on('disconnect', (reason) => {
-        console.log(`[chat-service] socket disconnected user=${userId} socket=${socket.id} reason=${reason}`);
+        socketConnections.dec();
+        logger.info('Socket disconnected', { userId, socketId: socket.id, reason });
     });
 });
 
 const gracefulShutdown = async (signal) => {
-    console.log(`[chat-service] ${signal} received, shutting down`);
+    logger.info('Shutting down', { signal });
     io.close();
 
     server.close(async () => {
@@ -178,5 +184,5 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
 server.listen(PORT, () => {
-    console.log(`Chat service is running on port ${PORT}`);
+    logger.info(`Chat service is running on port ${PORT}`);
 });
@@ -1,6 +1,12 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { query } = require('../db');
+const { verifyAccessToken } = require('../jwks');
+const { readGatewayIdentity } = require('../gatewayIdentity');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'HelloWorldKey';
+const SESSION_CACHE_TTL_MS = Number(process.env.SESSION_CACHE_TTL_MS) || 30_000;
+// Shared with notification-service, which calls the /internal routes.
+const INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || '';
+const sessionStatusCache = new Map();
 
 function parseBearerToken(req) {
     const authHeader = req.headers.authorization || '';
@@ -29,27 +35,70 @@ function normalizeUserFromPayload(payload = {}) {
     };
 }
 
-function verifyToken(token) {
+async function isSessionActive(sessionId) {
+    if (!sessionId) return false;
+
+    const now = Date.now();
+    const cached = sessionStatusCache.get(sessionId);
+    if (cached && cached.checkedUntil > now) {
+        return cached.active;
+    }
+
+    let row = null;
+    try {
+        const result = await query(
+            'SELECT revoked_at, expires_at FROM auth_sessions WHERE id = $1',
+            [sessionId]
+        );
+        row = result.rows[0] || null;
+    } catch (error) {
+        // 22P02: malformed uuid, i.e. an unknown session.
+        if (error.code !== '22P02') throw error;
+    }
+
+    const active = Boolean(row && !row.revoked_at && new Date(row.expires_at).getTime() > now);
+    if (sessionStatusCache.size > 5000) {
+        sessionStatusCache.clear();
+    }
+    sessionStatusCache.set(sessionId, { active, checkedUntil: now + SESSION_CACHE_TTL_MS });
+    return active;
+}
+
+async function verifyToken(token) {
     if (!token) {
         throw new Error('Missing token');
     }
 
-    const payload = jwt.verify(token, JWT_SECRET);
+    const payload = await verifyAccessToken(token);
+    if (!(await isSessionActive(payload.sid))) {
+        throw new Error('Session has been revoked');
+    }
     return normalizeUserFromPayload(payload);
 }
 
-function authenticateRequest(req, res, next) {
+async function authenticateRequest(req, res, next) {
     try {
+        // The gateway has already verified the token when it signs the
+        // identity headers; only the session still needs checking here.
+        const identity = readGatewayIdentity(req);
+        if (identity) {
+            if (!(await isSessionActive(identity.sid))) {
+                return res.status(401).json({ error: 'Invalid or expired token' });
+            }
+            req.user = normalizeUserFromPayload(identity);
+            return next();
+        }
+
         const token = parseBearerToken(req);
         if (!token) {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        req.user = verifyToken(token);
-        return next();
+        req.user = await verifyToken(token);
     } catch (error) {
         return res.status(401).json({ error: 'Invalid or expired token' });
     }
+    return next();
 }
 
 function extractSocketToken(socket) {
@@ -72,18 +121,34 @@ function extractSocketToken(socket) {
     return null;
 }
 
-function authenticateSocket(socket, next) {
+async function authenticateSocket(socket, next) {
     try {
         const token = extractSocketToken(socket);
-        socket.user = verifyToken(token);
-        return next();
+        socket.user = await verifyToken(token);
     } catch {
         return next(new Error('Unauthorized'));
     }
+    return next();
+}
+
+// For service-to-service routes: the caller presents INTERNAL_API_TOKEN in
+// X-Internal-Token. The gateway does not forward /chat/internal.
+function authenticateInternal(req, res, next) {
+    if (!INTERNAL_API_TOKEN) {
+        return res.status(503).json({ error: 'Internal API is not configured', requiredEnv: ['INTERNAL_API_TOKEN'] });
+    }
+
+    const presented = Buffer.from(String(req.headers['x-internal-token'] || ''));
+    const expected = Buffer.from(INTERNAL_API_TOKEN);
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        return res.status(401).json({ error: 'Invalid internal token' });
+    }
+    return next();
 }
 
 module.exports = {
     authenticateRequest,
     authenticateSocket,
+    authenticateInternal,
     verifyToken,
 };
@@ -0,0 +1,141 @@
+// OpenAPI 3 description of chat-service's REST routes, served at GET
+// /openapi.json. The API gateway merges it under its /chat prefix. Socket.IO
+// events are not described here; see the socket handlers in index.js. The
+// /internal routes (notification push, socket disconnect) are not exposed by
+// the gateway and are left out too.
+const {
+    schemas: { string, nullableString, integer, dateTime, uuid },
+    arrayOf,
+    ref,
+    jsonBody: body,
+    query,
+    pathParam,
+    ok,
+    operation,
+    baseComponents,
+} = require('./openapiHelpers');
+
+const conversationId = pathParam('id', uuid);
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'ICEntral chat-service',
+        version: '1.0.0',
+        description: 'Direct-message conversations. Live updates are pushed over Socket.IO at /socket.io.',
+    },
+    tags: [{ name: 'Chat' }],
+    paths: {
+        '/users/search': {
+            get: operation('searchChatUsers', 'Find users to message by email', {
+                tags: ['Chat'],
+                parameters: [{ ...query('query', { ...string, minLength: 2, maxLength: 120 }), required: true }],
+                responses: {
+                    200: ok('Up to 10 matching users', {
+                        type: 'object',
+                        properties: { items: arrayOf(ref('ChatUser')) },
+                    }),
+                },
+                errors: [400],
+            }),
+        },
+        '/conversations/dm': {
+            post: operation('startDmConversation', 'Open (or reuse) a direct-message conversation', {
+                tags: ['Chat'],
+                requestBody: body({
+                    otherUserId: uuid,
+                    otherUserEmail: { ...string, format: 'email' },
+                }),
+                responses: {
+                    200: ok('Conversation', { type: 'object', properties: { conversationId: uuid } }),
+                },
+                errors: [400, 404],
+            }),
+        },
+        '/conversations': {
+            get: operation('listConversations', 'List the signed-in user\'s conversations', {
+                tags: ['Chat'],
+                responses: { 200: ok('Conversations, most recent first', arrayOf(ref('Conversation'))) },
+            }),
+        },
+        '/conversations/{id}/messages': {
+            get: operation('listMessages', 'Page backwards through a conversation\'s messages', {
+                tags: ['Chat'],
+                parameters: [
+                    conversationId,
+                    query('cursor', string, 'nextCursor from the previous page'),
+                    query('limit', { ...integer, minimum: 1, maximum: 100, default: 30 }),
+                ],
+                responses: {
+                    200: ok('Messages', {
+                        type: 'object',
+                        properties: { items: arrayOf(ref('Message')), nextCursor: nullableString },
+                    }),
+                },
+                errors: [400, 403, 404],
+            }),
+            post: operation('sendMessage', 'Send a message', {
+                tags: ['Chat'],
+                parameters: [conversationId],
+                requestBody: body({ body: { ...string, minLength: 1, maxLength: 2000 } }, ['body']),
+                responses: { 201: ok('Sent message', ref('Message')) },
+                errors: [400, 403, 404],
+            }),
+        },
+        '/conversations/{id}/read': {
+            post: operation('markConversationRead', 'Mark a conversation read up to now', {
+                tags: ['Chat'],
+                parameters: [conversationId],
+                responses: {
+                    200: ok('Read marker', {
+                        type: 'object',
+                        properties: { conversationId: uuid, lastReadAt: dateTime },
+                    }),
+                },
+                errors: [400, 403, 404],
+            }),
+        },
+    },
+    components: baseComponents({
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: string,
+            details: arrayOf({
+                type: 'object',
+                properties: { path: string, message: string },
+            }),
+        },
+    }, {
+        ChatUser: {
+            type: 'object',
+            properties: { id: uuid, email: string, fullName: nullableString },
+        },
+        Conversation: {
+            type: 'object',
+            properties: {
+                conversationId: uuid,
+                otherUserId: uuid,
+                otherUserEmail: nullableString,
+                otherUserFullName: nullableString,
+                lastMessage: { ...nullableString, description: 'Body of the latest message' },
+                lastMessageAt: { ...dateTime, nullable: true },
+                unreadCount: integer,
+            },
+        },
+        Message: {
+            type: 'object',
+            properties: {
+                id: uuid,
+                conversationId: uuid,
+                senderId: uuid,
+                body: string,
+                createdAt: dateTime,
+            },
+        },
+    }),
+};
+
+module.exports = {
+    openApiDocument,
+};
@@ -0,0 +1,13 @@
+const express = require('express');
+const { pushNotifications } = require('../controllers/notificationController');
+const { disconnectUserSockets } = require('../controllers/socketController');
+const { authenticateInternal } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateInternal);
+
+router.post('/notifications/push', pushNotifications);
+router.post('/users/:userId/disconnect', disconnectUserSockets);
+
+module.exports = router;
@@ -1,9 +1,18 @@
 require('dotenv').config();
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('./jwks');
+const { readGatewayIdentity } = require('./gatewayIdentity');
+const { logger, requestLogger, tracedFetch } = require('./logger');
+const { metricsMiddleware, metricsHandler, createCounter } = require('./metrics');
+const { openApiDocument } = require('./openapi');
+const { listEndpoints } = require('./openapiHelpers');
+const { publishNotification } = require('./notificationClient');
+const { createOutbox } = require('./outbox');
 
 const app = express();
+app.use(requestLogger);
+app.use(metricsMiddleware());
 app.use(express.json({ limit: '8mb' }));
 
 const PORT = Number(process.env.PORT) || 3003;
@@ -12,19 +21,23 @@ const CONFIG = {
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
     schema: process.env.JOB_SERVICE_SCHEMA || 'public',
-    jwtSecret: process.env.JWT_SECRET || 'HelloWorldKey',
+    sessionCacheTtlMs: Number(process.env.SESSION_CACHE_TTL_MS) || 30_000,
     tables: {
         posts: process.env.POSTS_TABLE || 'posts',
         users: process.env.USERS_TABLE || 'users',
         jobApplications: process.env.JOB_APPLICATIONS_TABLE || 'job_applications',
         jobApplicationNotifications: process.env.JOB_APPLICATION_NOTIFICATIONS_TABLE || 'job_application_notifications',
+        authSessions: process.env.AUTH_SESSIONS_TABLE || 'auth_sessions',
+        outbox: process.env.OUTBOX_TABLE || 'job_service_outbox',
     },
+    outboxRelayIntervalMs: Number(process.env.OUTBOX_RELAY_INTERVAL_MS ?? 2000),
 };
 
 const supabase = (CONFIG.supabaseUrl && CONFIG.supabaseKey)
     ? createClient(CONFIG.supabaseUrl, CONFIG.supabaseKey, {
         auth: { persistSession: false },
         db: { schema: CONFIG.schema },
+        global: { fetch: tracedFetch },
     })
     : null;
 
@@ -60,16 +73,57 @@ function jobSchemaError(res) {
     });
 }
 
-function getRequestUser(req) {
-    const header = req.headers.authorization || '';
-    if (!header.startsWith('Bearer ')) return null;
+const sessionStatusCache = new Map();
 
-    const token = header.slice(7).trim();
-    if (!token) return null;
+async function isSessionActive(sessionId) {
+    if (!sessionId || !supabase) return false;
+
+    const now = Date.now();
+    const cached = sessionStatusCache.get(sessionId);
+    if (cached && cached.checkedUntil > now) {
+        return cached.active;
+    }
+
+    const { data, error } = await supabase
+        .from(CONFIG.tables.authSessions)
+        .select('id, revoked_at, expires_at')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error && error.code !== '22P02') {
+        throw error;
+    }
+
+    const active = Boolean(data && !data.revoked_at && new Date(data.expires_at).getTime() > now);
+    if (sessionStatusCache.size > 5000) {
+        sessionStatusCache.clear();
+    }
+    sessionStatusCache.set(sessionId, { active, checkedUntil: now + CONFIG.sessionCacheTtlMs });
+    return active;
+}
+
+async function getRequestUser(req) {
+    // Prefer the identity the gateway already verified; the bearer token is
+    // only checked here for direct (non-gateway) calls.
+    let payload = readGatewayIdentity(req);
+    if (!payload) {
+        const header = req.headers.authorization || '';
+        if (!header.startsWith('Bearer ')) return null;
+
+        const token = header.slice(7).trim();
+        if (!token) return null;
+
+        try {
+            payload = await verifyAccessToken(token);
+        } catch {
+            return null;
+        }
+    }
 
     try {
-        return jwt.verify(token, CONFIG.jwtSecret);
-    } catch {
+        return await isSessionActive(payload?.sid) ? payload : null;
+    } catch (error) {
+        logger.error('Session check failed', { error: formatSupabaseError(error) });
         return null;
     }
 }
@@ -81,8 +135,8 @@ function ensureDb(req, res, next) {
     return next();
 }
 
-function ensureAuthenticated(req, res, next) {
-    const requestUser = getRequestUser(req);
+async function ensureAuthenticated(req, res, next) {
+    const requestUser = await getRequestUser(req);
     if (!requestUser?.id) {
         return res.status(401).json({ error: 'Authentication required' });
     }
@@ -223,13 +277,7 @@ app.get('/', (req, res) => {
     return res.json({
         health: 'Job service OK',
         supabaseConfigured: isSupabaseConfigured(),
-        endpoints: [
-            'POST /applications',
-            'GET /posts/:postId/applications',
-            'GET /notifications/unread',
-            'POST /notifications/:id/read',
-            'POST /notifications/read-all',
-        ],
+        endpoints: listEndpoints(openApiDocument),
     });
 });
 
@@ -241,7 +289,19 @@ app.get('/health', (req, res) => {
     });
 });
 
+app.get('/metrics', metricsHandler);
+
+app.get('/openapi.json', (req, res) => {
+    return res.json(openApiDocument);
+});
+
+const jobApplicationsSubmitted = createCounter('job_applications_submitted_total', 'Job applications submitted.');
+
+const outbox = createOutbox({ supabase, table: CONFIG.tables.outbox, source: 'job-service' });
+
 app.post('/applications', ensureDb, ensureAuthenticated, async (req, res) => {
+    let createdApplicationId = null;
+
     try {
         const payload = parseApplicationInput(req.body);
         if (payload.errors.length) {
@@ -294,7 +354,10 @@ app.post('/applications', ensureDb, ensureAuthenticated, async (req, res) => {
             throw applicationError;
         }
 
+        createdApplicationId = createdApplication.id;
+
         const effectiveJobTitle = payload.jobTitle || post.title || 'a job post';
+        const applicantName = payload.applicantName || applicantUser.full_name || applicantUser.email || 'A student';
 
         const { error: notificationError } = await supabase
             .from(CONFIG.tables.jobApplicationNotifications)
@@ -302,21 +365,63 @@ app.post('/applications', ensureDb, ensureAuthenticated, async (req, res) => {
                 application_id: createdApplication.id,
                 recipient_user_id: post.author_id,
                 post_id: post.id,
-                applicant_name: payload.applicantName || applicantUser.full_name || applicantUser.email || 'A student',
+                applicant_name: applicantName,
                 job_title: effectiveJobTitle,
                 company_name: payload.companyName,
             });
 
         if (notificationError) {
-            if (isMissingTableError(notificationError)) return jobSchemaError(res);
             throw notificationError;
         }
 
+        await outbox.recordEvent('job.application.created', {
+            aggregateType: 'job_application',
+            aggregateId: createdApplication.id,
+            payload: {
+                applicationId: createdApplication.id,
+                postId: post.id,
+                postAuthorId: post.author_id,
+                applicantUserId: req.requestUser.id,
+                jobTitle: effectiveJobTitle,
+                companyName: payload.companyName || null,
+            },
+            dedupeKey: `job.application.created:${createdApplication.id}`,
+        });
+
+        publishNotification({
+            type: 'job.application_received',
+            recipients: { userIds: [post.author_id] },
+            title: 'New job application received',
+            body: `${applicantName} applied for ${effectiveJobTitle}${payload.companyName ? ` at ${payload.companyName}` : ''}.`,
+            link: `/posts/${post.id}`,
+            actorUserId: req.requestUser.id,
+            entityType: 'job_application',
+            entityId: createdApplication.id,
+            data: { postId: post.id, applicationId: createdApplication.id },
+            dedupeKey: `job-application:${createdApplication.id}`,
+        });
+
+        jobApplicationsSubmitted.inc();
         return res.status(201).json({
             message: 'Application submitted',
             data: mapJobApplication(createdApplication),
         });
     } catch (error) {
+        // An application is only kept together with its inbox row and outbox
+        // event; deleting it cascades to whichever of those was stored.
+        if (createdApplicationId) {
+            const { error: rollbackError } = await supabase
+                .from(CONFIG.tables.jobApplications)
+                .delete()
+                .eq('id', createdApplicationId);
+            if (rollbackError) {
+                logger.error('Could not remove partially created application', {
+                    applicationId: createdApplicationId,
+                    error: formatSupabaseError(rollbackError),
+                });
+            }
+        }
+        if (isMissingTableError(error)) return jobSchemaError(res);
         return res.status(500).json({ error: formatSupabaseError(error) });
     }
 });
@@ -456,6 +561,10 @@ app.use((req, res) => {
     return res.status(404).json({ error: 'Route not found' });
 });
 
+if (CONFIG.outboxRelayIntervalMs > 0 && isSupabaseConfigured()) {
+    outbox.startRelay(CONFIG.outboxRelayIntervalMs);
+}
+
 app.listen(PORT, () => {
-    console.log(`Job Service is running on port ${PORT}`);
+    logger.info(`Job Service is running on port ${PORT}`);
 });
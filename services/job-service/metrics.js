@@ -0,0 +1,78 @@
+const client = require('prom-client');
+const { resolveRoute } = require('./logger');
+
+// Prometheus metrics for this process, served as text at GET /metrics. Every
+// series carries a `service` label so one scrape config can cover the stack.
+const SERVICE_NAME = process.env.SERVICE_NAME || require('./package.json').name;
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+const register = new client.Registry();
+register.setDefaultLabels({ service: SERVICE_NAME });
+client.collectDefaultMetrics({ register });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequestsTotal = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by route and status code.',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency, by route and status code.',
+    labelNames: ['method', 'route', 'status'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register],
+});
+
+function createCounter(name, help, labelNames = []) {
+    return new client.Counter({ name, help, labelNames, registers: [register] });
+}
+
+function createGauge(name, help, labelNames = []) {
+    return new client.Gauge({ name, help, labelNames, registers: [register] });
+}
+
+function createHistogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    return new client.Histogram({ name, help, labelNames, buckets, registers: [register] });
+}
+
+/**
+ * Records every request once its response is sent. The route label is the
+ * Express route pattern (never the raw path, which would create a series per
+ * id); `resolveLabel` can supply one for requests no route matched.
+ */
+function metricsMiddleware({ resolveLabel } = {}) {
+    return (req, res, next) => {
+        const endTimer = httpRequestDuration.startTimer();
+        res.on('finish', () => {
+            const labels = {
+                method: req.method,
+                route: resolveRoute(req) || resolveLabel?.(req) || 'unmatched',
+                status: String(res.statusCode),
+            };
+            httpRequestsTotal.inc(labels);
+            endTimer(labels);
+        });
+        next();
+    };
+}
+
+async function metricsHandler(req, res) {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    res.setHeader('Content-Type', register.contentType);
+    return res.send(await register.metrics());
+}
+
+module.exports = {
+    createCounter,
+    createGauge,
+    createHistogram,
+    metricsMiddleware,
+    metricsHandler,
+};
@@ -0,0 +1,142 @@
+// OpenAPI 3 description of job-service, served at GET /openapi.json. The API
+// gateway merges it under its /jobs prefix, so paths here are the service's
+// own. Keep it next to the routes it documents when adding or changing one.
+const {
+    schemas: { string, nullableString, integer, boolean, dateTime },
+    arrayOf,
+    ref,
+    jsonBody: body,
+    query,
+    pathParam,
+    ok,
+    operation,
+    baseComponents,
+} = require('./openapiHelpers');
+
+function listOf(name) {
+    return { type: 'object', properties: { data: arrayOf(ref(name)) } };
+}
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'ICEntral job-service',
+        version: '1.0.0',
+        description: 'Job applications and the job poster\'s application notifications.',
+    },
+    tags: [{ name: 'Job applications' }],
+    paths: {
+        '/applications': {
+            post: operation('submitJobApplication', 'Apply to a JOB post', {
+                tags: ['Job applications'],
+                requestBody: body({
+                    postId: string,
+                    applicantName: { ...string, maxLength: 200 },
+                    studentId: { ...string, maxLength: 120 },
+                    currentYear: { ...string, maxLength: 120 },
+                    description: { ...string, maxLength: 7000 },
+                    contactInformation: { ...string, maxLength: 1000 },
+                    cvFileName: { ...string, maxLength: 260 },
+                    cvFileType: { ...string, maxLength: 200 },
+                    cvFileSize: integer,
+                    cvDataUrl: { ...string, description: 'data: URL of the CV' },
+                    jobTitle: { ...string, maxLength: 260 },
+                    companyName: { ...string, maxLength: 260 },
+                }, [
+                    'postId',
+                    'applicantName',
+                    'studentId',
+                    'currentYear',
+                    'description',
+                    'contactInformation',
+                    'cvFileName',
+                    'cvDataUrl',
+                ]),
+                responses: {
+                    201: ok('Application submitted', {
+                        type: 'object',
+                        properties: { message: string, data: ref('JobApplication') },
+                    }),
+                },
+                errors: [400, 403, 404],
+            }),
+        },
+        '/posts/{postId}/applications': {
+            get: operation('listJobApplications', 'List applications to one of your job posts', {
+                tags: ['Job applications'],
+                parameters: [pathParam('postId'), query('limit', integer)],
+                responses: { 200: ok('Applications', listOf('JobApplication')) },
+                errors: [400, 403, 404],
+            }),
+        },
+        '/notifications/unread': {
+            get: operation('listUnreadJobNotifications', 'List unread application notifications', {
+                tags: ['Job applications'],
+                parameters: [query('limit', integer)],
+                responses: { 200: ok('Notifications', listOf('JobNotification')) },
+            }),
+        },
+        '/notifications/{id}/read': {
+            post: operation('markJobNotificationRead', 'Mark one application notification read', {
+                tags: ['Job applications'],
+                parameters: [pathParam('id')],
+                responses: { 200: ok('Updated notification') },
+                errors: [400, 404],
+            }),
+        },
+        '/notifications/read-all': {
+            post: operation('markAllJobNotificationsRead', 'Mark every application notification read', {
+                tags: ['Job applications'],
+                responses: { 200: ok('Updated count') },
+            }),
+        },
+    },
+    components: baseComponents({
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: string,
+            details: { ...arrayOf(string), description: 'Validation messages, when available' },
+        },
+    }, {
+        JobApplication: {
+            type: 'object',
+            properties: {
+                id: string,
+                postId: string,
+                postAuthorId: string,
+                applicantUserId: string,
+                applicantName: string,
+                studentId: string,
+                currentYear: string,
+                description: string,
+                contactInformation: string,
+                cvFileName: string,
+                cvFileType: nullableString,
+                cvFileSize: { ...integer, nullable: true },
+                cvDataUrl: string,
+                createdAt: dateTime,
+                updatedAt: dateTime,
+            },
+        },
+        JobNotification: {
+            type: 'object',
+            properties: {
+                id: string,
+                recipientUserId: string,
+                applicationId: string,
+                postId: string,
+                applicantName: string,
+                jobTitle: nullableString,
+                companyName: nullableString,
+                isRead: boolean,
+                readAt: { ...dateTime, nullable: true },
+                createdAt: dateTime,
+            },
+        },
+    }),
+};
+
+module.exports = {
+    openApiDocument,
+};
@@ -46,3 +46,27 @@ create table if not exists public.job_application_notifications (
 
 create index if not exists idx_job_notifications_recipient_read_created
     on public.job_application_notifications (recipient_user_id, is_read, created_at desc);
+
+-- Outbox for job.application.created, written with each application and
+-- relayed to the event bus by outbox.js.
+create table if not exists public.job_service_outbox (
+    id uuid primary key default gen_random_uuid(),
+    event_type text not null,
+    aggregate_type text not null,
+    aggregate_id text not null,
+    payload jsonb not null default '{}'::jsonb,
+    dedupe_key text unique,
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_error text,
+    published_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists idx_job_service_outbox_pending
+    on public.job_service_outbox (next_attempt_at, created_at)
+    where published_at is null;
+
+create index if not exists idx_job_service_outbox_published_at
+    on public.job_service_outbox (published_at)
+    where published_at is not null;
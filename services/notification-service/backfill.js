@@ -0,0 +1,398 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+// One-off migration of the notifications users could already see before this
+// service existed. Each source is read from the shared database and written
+// to the notifications table with the dedupe key its producer now uses, so
+// the script can be re-run, and events published after the switch-over are
+// never doubled. A notification counts as read when the old inbox had it read:
+// is_read for job notifications, otherwise a user_notification_reads key or a
+// user_notification_states.last_seen_at at or after it.
+//
+//   node backfill.js                  migrate the last 30 days of broadcasts
+//   node backfill.js --since-days 90  announcements and newsletters newer than 90 days
+//   node backfill.js --dry-run        count what would be written
+const PAGE_SIZE = 1000;
+const INSERT_BATCH_SIZE = 500;
+const DEFAULT_SINCE_DAYS = 30;
+
+const TABLES = {
+    notifications: process.env.NOTIFICATIONS_TABLE || 'notifications',
+    users: process.env.USERS_TABLE || 'users',
+    userProfiles: process.env.USER_PROFILES_TABLE || 'user_profiles',
+    posts: process.env.POSTS_TABLE || 'posts',
+    jobApplications: process.env.JOB_APPLICATIONS_TABLE || 'job_applications',
+    jobApplicationNotifications: process.env.JOB_APPLICATION_NOTIFICATIONS_TABLE || 'job_application_notifications',
+    collabJoinRequests: process.env.COLLAB_JOIN_REQUESTS_TABLE || 'collab_join_requests',
+    eventVolunteerEnrollments: process.env.EVENT_VOLUNTEER_ENROLLMENTS_TABLE || 'event_volunteer_enrollments',
+    newsletterIssues: process.env.NEWSLETTER_ISSUES_TABLE || 'newsletter_issues',
+    alumniVerificationApplications: process.env.ALUMNI_VERIFICATION_TABLE || 'alumni_verification_applications',
+    userNotificationStates: process.env.USER_NOTIFICATION_STATES_TABLE || 'user_notification_states',
+    userNotificationReads: process.env.USER_NOTIFICATION_READS_TABLE || 'user_notification_reads',
+};
+
+function readArg(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? null : process.argv[index + 1];
+}
+
+function normalizeText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function toIso(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+async function fetchAll(supabase, table, select, { applyFilters = (query) => query, orderBy = 'id' } = {}) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await applyFilters(supabase.from(table).select(select))
+            .order(orderBy, { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+        if (error) throw new Error(`${table}: ${error.message}`);
+
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+    }
+}
+
+async function loadContext(supabase) {
+    const [users, profiles, states, reads] = await Promise.all([
+        fetchAll(supabase, TABLES.users, 'id, full_name, email, role, account_status'),
+        fetchAll(supabase, TABLES.userProfiles, 'user_id, full_name', { orderBy: 'user_id' }),
+        fetchAll(supabase, TABLES.userNotificationStates, 'user_id, last_seen_at', { orderBy: 'user_id' }),
+        fetchAll(supabase, TABLES.userNotificationReads, 'id, user_id, notification_key'),
+    ]);
+
+    const profileNames = new Map(profiles.map((row) => [String(row.user_id), normalizeText(row.full_name)]));
+    const readKeys = new Map();
+    for (const row of reads) {
+        const userId = String(row.user_id);
+        if (!readKeys.has(userId)) readKeys.set(userId, new Set());
+        readKeys.get(userId).add(String(row.notification_key));
+    }
+
+    return {
+        users: new Map(users.map((row) => [String(row.id), row])),
+        activeUserIds: users.filter((row) => row.account_status === 'active').map((row) => String(row.id)),
+        displayName(userId, fallback) {
+            const user = this.users.get(String(userId));
+            return profileNames.get(String(userId)) || normalizeText(user?.full_name) || normalizeText(user?.email) || fallback;
+        },
+        lastSeen: new Map(states.map((row) => [String(row.user_id), toIso(row.last_seen_at)])),
+        readKeys,
+    };
+}
+
+// When the old inbox would have shown this notification as read.
+function legacyReadAt(context, userId, legacyKey, createdAt) {
+    const key = String(userId);
+    if (context.readKeys.get(key)?.has(legacyKey)) return createdAt;
+
+    const lastSeenAt = context.lastSeen.get(key);
+    return lastSeenAt && createdAt && lastSeenAt >= createdAt ? lastSeenAt : null;
+}
+
+function notificationRow(fields) {
+    return {
+        body: null,
+        link: null,
+        actor_user_id: null,
+        entity_type: null,
+        entity_id: null,
+        data: {},
+        read_at: null,
+        ...fields,
+        category: fields.type.split('.')[0],
+    };
+}
+
+async function jobNotifications(supabase) {
+    const rows = await fetchAll(supabase, TABLES.jobApplicationNotifications, '*');
+    const applications = await fetchAll(supabase, TABLES.jobApplications, 'id, applicant_user_id');
+    const applicantIds = new Map(applications.map((row) => [String(row.id), row.applicant_user_id]));
+
+    return rows.map((row) => notificationRow({
+        recipient_user_id: row.recipient_user_id,
+        type: 'job.application_received',
+        title: 'New job application received',
+        body: `${row.applicant_name || 'A student'} applied for ${row.job_title || 'a job post'}${row.company_name ? ` at ${row.company_name}` : ''}.`,
+        link: `/posts/${row.post_id}`,
+        actor_user_id: applicantIds.get(String(row.application_id)) || null,
+        entity_type: 'job_application',
+        entity_id: row.application_id,
+        data: { postId: row.post_id, applicationId: row.application_id },
+        dedupe_key: `job-application:${row.application_id}`,
+        read_at: row.is_read ? (row.read_at || row.created_at) : null,
+        created_at: row.created_at,
+    }));
+}
+
+async function collabNotifications(supabase, context, postsById) {
+    const requests = await fetchAll(supabase, TABLES.collabJoinRequests, '*');
+    const rows = [];
+
+    for (const request of requests) {
+        const post = postsById.get(String(request.post_id));
+        if (!post) continue;
+        const postTitle = normalizeText(post.title) || 'Collaboration post';
+        const link = `/collaborate/${encodeURIComponent(request.post_id)}`;
+        const data = { postId: request.post_id, requestId: request.id };
+
+        // The old inbox only listed requests still waiting for the owner, and
+        // the latest decision for the applicant.
+        if (request.status === 'pending') {
+            const createdAt = toIso(request.created_at || request.updated_at);
+            const key = `collab-owner-pending-${request.id}-${createdAt || 'unknown'}`;
+            rows.push(notificationRow({
+                recipient_user_id: post.author_id,
+                type: 'collab.join_request_received',
+                title: 'New join request received',
+                body: `${context.displayName(request.user_id, 'A collaborator')} requested to join "${postTitle}".`,
+                link,
+                actor_user_id: request.user_id,
+                entity_type: 'collab_join_request',
+                entity_id: request.id,
+                data,
+                dedupe_key: key,
+                read_at: legacyReadAt(context, post.author_id, key, createdAt),
+                created_at: createdAt,
+            }));
+            continue;
+        }
+
+        const accepted = request.status === 'accepted';
+        const createdAt = toIso(request.reviewed_at || request.updated_at || request.created_at);
+        const key = `collab-applicant-review-${request.id}-${accepted ? 'accepted' : 'rejected'}-${createdAt || 'unknown'}`;
+        rows.push(notificationRow({
+            recipient_user_id: request.user_id,
+            type: accepted ? 'collab.join_request_accepted' : 'collab.join_request_rejected',
+            title: accepted ? 'Join request accepted' : 'Join request updated',
+            body: accepted
+                ? `Your request for "${postTitle}" was accepted by ${context.displayName(post.author_id, 'Post owner')}.`
+                : `Your request for "${postTitle}" was not accepted.`,
+            link,
+            actor_user_id: post.author_id,
+            entity_type: 'collab_join_request',
+            entity_id: request.id,
+            data: { ...data, status: accepted ? 'ACCEPTED' : 'REJECTED' },
+            dedupe_key: key,
+            read_at: legacyReadAt(context, request.user_id, key, createdAt),
+            created_at: createdAt,
+        }));
+    }
+
+    return rows;
+}
+
+async function eventNotifications(supabase, context, postsById) {
+    const enrollments = await fetchAll(supabase, TABLES.eventVolunteerEnrollments, 'id, post_id, user_id, full_name, created_at, updated_at');
+
+    return enrollments.flatMap((enrollment) => {
+        const post = postsById.get(String(enrollment.post_id));
+        if (!post?.author_id) return [];
+
+        const createdAt = toIso(enrollment.created_at || enrollment.updated_at);
+        const key = `event-owner-volunteer-${enrollment.id}-${createdAt || 'unknown'}`;
+        const volunteerName = normalizeText(enrollment.full_name) || context.displayName(enrollment.user_id, 'A volunteer');
+        return [notificationRow({
+            recipient_user_id: post.author_id,
+            type: 'event.volunteer_enrollment_received',
+            title: 'New volunteer enrollment received',
+            body: `${volunteerName} enrolled to volunteer for "${normalizeText(post.title) || 'Event post'}".`,
+            link: `/posts/${encodeURIComponent(enrollment.post_id)}`,
+            actor_user_id: enrollment.user_id,
+            entity_type: 'event_volunteer_enrollment',
+            entity_id: enrollment.id,
+            data: { postId: enrollment.post_id, enrollmentId: enrollment.id },
+            dedupe_key: key,
+            read_at: legacyReadAt(context, post.author_id, key, createdAt),
+            created_at: createdAt,
+        })];
+    });
+}
+
+async function verificationNotifications(supabase, context) {
+    const applications = await fetchAll(
+        supabase,
+        TABLES.alumniVerificationApplications,
+        'id, applicant_id, status, review_note, reviewed_by, reviewed_at, created_at, updated_at'
+    );
+    const moderatorIds = [...context.users.values()]
+        .filter((user) => user.account_status === 'active' && ['admin', 'faculty'].includes(String(user.role || '').toLowerCase()))
+        .map((user) => String(user.id));
+
+    return applications.flatMap((application) => {
+        // The old inbox keyed every verification card by application id alone.
+        const legacyKey = `verification-${application.id}`;
+        const data = { applicationId: application.id, status: application.status };
+
+        if (application.status === 'pending') {
+            const createdAt = toIso(application.created_at);
+            return moderatorIds.map((moderatorId) => notificationRow({
+                recipient_user_id: moderatorId,
+                type: 'verification.submitted',
+                title: 'New approval request pending',
+                body: `${context.displayName(application.applicant_id, 'An alumni')} submitted a verification request.`,
+                link: '/moderation',
+                actor_user_id: application.applicant_id,
+                entity_type: 'alumni_verification',
+                entity_id: application.id,
+                data,
+                dedupe_key: `verification-${application.id}-pending`,
+                read_at: legacyReadAt(context, moderatorId, legacyKey, createdAt),
+                created_at: createdAt,
+            }));
+        }
+
+        const approved = application.status === 'approved';
+        const createdAt = toIso(application.reviewed_at || application.updated_at || application.created_at);
+        return [notificationRow({
+            recipient_user_id: application.applicant_id,
+            type: approved ? 'verification.approved' : 'verification.rejected',
+            title: approved ? 'Application accepted' : 'Application rejected',
+            body: application.review_note || (approved
+                ? 'Your alumni verification has been approved.'
+                : 'Your verification request was rejected. You can apply again.'),
+            link: approved ? '/job-portal' : '/alumni-verification',
+            actor_user_id: application.reviewed_by || null,
+            entity_type: 'alumni_verification',
+            entity_id: application.id,
+            data,
+            dedupe_key: `verification-${application.id}-${application.status}`,
+            read_at: legacyReadAt(context, application.applicant_id, legacyKey, createdAt),
+            created_at: createdAt,
+        })];
+    });
+}
+
+function newsletterMessage(contentSummary) {
+    const sections = contentSummary?.sections || {};
+    const count = (name) => (Array.isArray(sections[name]) ? sections[name].length : 0);
+    const parts = [];
+
+    if (count('achievement') > 0) parts.push(`${count('achievement')} achievement`);
+    if (count('jobs') > 0) parts.push(`${count('jobs')} job${count('jobs') === 1 ? '' : 's'}`);
+    if (count('events') > 0) parts.push(`${count('events')} event${count('events') === 1 ? '' : 's'}`);
+    if (count('collabs') > 0) parts.push(`${count('collabs')} collaboration${count('collabs') === 1 ? '' : 's'}`);
+
+    return parts.length
+        ? `${parts.join(', ')} highlighted in this issue.`
+        : 'A new monthly academic digest was published from current community activity.';
+}
+
+// Announcements and newsletters go to every active user, so only recent ones
+// are worth copying into each inbox.
+async function broadcastNotifications(supabase, context, postsById, sinceIso) {
+    const issues = await fetchAll(supabase, TABLES.newsletterIssues, '*', {
+        applyFilters: (query) => query.gte('published_at', sinceIso),
+    });
+    const broadcasts = [
+        ...[...postsById.values()]
+            .filter((post) => String(post.type || '').toUpperCase() === 'ANNOUNCEMENT'
+                && post.status === 'published'
+                && toIso(post.created_at) >= sinceIso)
+            .map((post) => ({
+                type: 'announcement.published',
+                title: post.title || 'New announcement posted',
+                body: post.summary || 'A new announcement is available in the feed.',
+                link: `/posts/${encodeURIComponent(post.id)}`,
+                actor_user_id: post.author_id || null,
+                entity_type: 'post',
+                entity_id: post.id,
+                dedupe_key: `announcement-${post.id}`,
+                created_at: toIso(post.created_at),
+            })),
+        ...issues.map((issue) => {
+            const contentSummary = issue.content_summary && typeof issue.content_summary === 'object' ? issue.content_summary : {};
+            const label = normalizeText(contentSummary.issueMonthLabel) || normalizeText(issue.issue_month) || 'Current';
+            return {
+                type: 'newsletter.issue_published',
+                title: `${label} newsletter published`,
+                body: newsletterMessage(contentSummary),
+                link: '/home',
+                entity_type: 'newsletter_issue',
+                entity_id: issue.id,
+                data: { issueMonth: issue.issue_month || null },
+                dedupe_key: `newsletter-issue-${issue.id}`,
+                created_at: toIso(issue.published_at || issue.last_sent_at || issue.created_at),
+            };
+        }),
+    ];
+
+    return broadcasts.flatMap((broadcast) => context.activeUserIds
+        .filter((userId) => userId !== String(broadcast.actor_user_id))
+        .map((userId) => notificationRow({
+            ...broadcast,
+            recipient_user_id: userId,
+            read_at: legacyReadAt(context, userId, broadcast.dedupe_key, broadcast.created_at),
+        })));
+}
+
+async function insertRows(supabase, rows) {
+    let created = 0;
+    for (let index = 0; index < rows.length; index += INSERT_BATCH_SIZE) {
+        const { data, error } = await supabase
+            .from(TABLES.notifications)
+            .upsert(rows.slice(index, index + INSERT_BATCH_SIZE), {
+                onConflict: 'recipient_user_id,dedupe_key',
+                ignoreDuplicates: true,
+            })
+            .select('id');
+        if (error) throw new Error(`${TABLES.notifications}: ${error.message}`);
+        created += (data || []).length;
+    }
+    return created;
+}
+
+async function main() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    if (!supabaseUrl || !supabaseKey) {
+        throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+    }
+
+    const sinceDays = Number.parseInt(readArg('--since-days') || DEFAULT_SINCE_DAYS, 10);
+    if (!Number.isInteger(sinceDays) || sinceDays < 0) {
+        throw new Error('--since-days must be a whole number of days');
+    }
+    const sinceIso = new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000).toISOString();
+    const dryRun = process.argv.includes('--dry-run');
+
+    const supabase = createClient(supabaseUrl, supabaseKey, {
+        auth: { persistSession: false },
+        db: { schema: process.env.NOTIFICATION_SERVICE_SCHEMA || 'public' },
+    });
+
+    const context = await loadContext(supabase);
+    const posts = await fetchAll(supabase, TABLES.posts, 'id, type, title, summary, author_id, status, created_at');
+    const postsById = new Map(posts.map((post) => [String(post.id), post]));
+
+    const sources = {
+        job: () => jobNotifications(supabase),
+        collab: () => collabNotifications(supabase, context, postsById),
+        event: () => eventNotifications(supabase, context, postsById),
+        verification: () => verificationNotifications(supabase, context),
+        broadcast: () => broadcastNotifications(supabase, context, postsById, sinceIso),
+    };
+
+    for (const [name, load] of Object.entries(sources)) {
+        // Rows must point at existing users; a deleted actor is just dropped.
+        const rows = (await load())
+            .filter((row) => row.recipient_user_id && context.users.has(String(row.recipient_user_id)))
+            .map((row) => ({
+                ...row,
+                actor_user_id: context.users.has(String(row.actor_user_id)) ? row.actor_user_id : null,
+            }));
+        const created = dryRun ? 0 : await insertRows(supabase, rows);
+        console.log(`${name}: ${rows.length} notifications${dryRun ? '' : `, ${created} new`}`);
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,179 @@
+const { isSmtpConfigured, createSmtpTransporter, formatFromAddress } = require('./mailTransport');
+const { buildNotificationEmail, buildDigestEmail } = require('./emailTemplates');
+const { logger } = require('./logger');
+const { createCounter } = require('./metrics');
+
+const EMAIL_BATCH_SIZE = 50;
+const MAX_EMAIL_ATTEMPTS = 3;
+const DIGEST_PERIOD_MS = 24 * 60 * 60 * 1000;
+const DIGEST_SCAN_LIMIT = 1000;
+const DIGEST_USERS_PER_RUN = 50;
+
+const notificationEmails = createCounter(
+    'notification_emails_total',
+    'Notification emails, by kind (immediate or digest) and outcome.',
+    ['kind', 'outcome']
+);
+
+/**
+ * Sends the emails insertNotifications queued through the email_pending and
+ * digest_pending flags. Rows are claimed by clearing their flag before
+ * sending, so two instances never mail the same notification; a failed send
+ * puts the flag back for the next run.
+ */
+function createEmailDelivery(supabase, config) {
+    const table = config.tables.notifications;
+    let transporter = null;
+
+    function getTransporter() {
+        if (!transporter) {
+            transporter = createSmtpTransporter(config.email);
+        }
+        return transporter;
+    }
+
+    async function sendMail(to, message) {
+        await getTransporter().sendMail({
+            from: formatFromAddress(config.email),
+            to,
+            ...message,
+        });
+    }
+
+    // Active users with an address, by id. Anyone else is skipped.
+    async function loadRecipients(userIds) {
+        const ids = [...new Set(userIds.map(String))];
+        if (!ids.length) return new Map();
+
+        const { data, error } = await supabase
+            .from(config.tables.users)
+            .select('id, email, full_name, account_status')
+            .in('id', ids);
+
+        if (error) throw error;
+
+        return new Map((data || [])
+            .filter((row) => row.account_status === 'active' && String(row.email || '').trim())
+            .map((row) => [String(row.id), { email: String(row.email).trim(), fullName: row.full_name || null }]));
+    }
+
+    async function deliverImmediateEmails() {
+        const { data: pending, error: pendingError } = await supabase
+            .from(table)
+            .select('id')
+            .eq('email_pending', true)
+            .order('created_at', { ascending: true })
+            .limit(EMAIL_BATCH_SIZE);
+
+        if (pendingError) throw pendingError;
+        if (!pending?.length) return { sent: 0, failed: 0, skipped: 0 };
+
+        const { data: claimed, error: claimError } = await supabase
+            .from(table)
+            .update({ email_pending: false })
+            .in('id', pending.map((row) => row.id))
+            .eq('email_pending', true)
+            .select('*');
+
+        if (claimError) throw claimError;
+
+        const rows = claimed || [];
+        const recipients = await loadRecipients(rows.map((row) => row.recipient_user_id));
+        const result = { sent: 0, failed: 0, skipped: 0 };
+
+        for (const row of rows) {
+            const recipient = recipients.get(String(row.recipient_user_id));
+            // Already seen in the inbox, so there is nothing to tell them.
+            if (!recipient || row.read_at) {
+                result.skipped += 1;
+                notificationEmails.inc({ kind: 'immediate', outcome: 'skipped' });
+                continue;
+            }
+
+            try {
+                await sendMail(recipient.email, buildNotificationEmail({ row, recipient, appBaseUrl: config.appBaseUrl }));
+                await supabase.from(table).update({ emailed_at: new Date().toISOString() }).eq('id', row.id);
+                result.sent += 1;
+                notificationEmails.inc({ kind: 'immediate', outcome: 'sent' });
+            } catch (error) {
+                const attempts = (row.email_attempts || 0) + 1;
+                await supabase
+                    .from(table)
+                    .update({ email_attempts: attempts, email_pending: attempts < MAX_EMAIL_ATTEMPTS })
+                    .eq('id', row.id);
+                result.failed += 1;
+                notificationEmails.inc({ kind: 'immediate', outcome: 'failed' });
+                logger.warn('Notification email failed', { notificationId: row.id, attempts, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    // A user's digest goes out once the oldest notification waiting for it is
+    // a day old, and covers everything that is still unread.
+    async function deliverDigests() {
+        const cutoff = new Date(Date.now() - DIGEST_PERIOD_MS).toISOString();
+        const { data: due, error: dueError } = await supabase
+            .from(table)
+            .select('recipient_user_id')
+            .eq('digest_pending', true)
+            .lte('created_at', cutoff)
+            .order('created_at', { ascending: true })
+            .limit(DIGEST_SCAN_LIMIT);
+
+        if (dueError) throw dueError;
+
+        const userIds = [...new Set((due || []).map((row) => String(row.recipient_user_id)))].slice(0, DIGEST_USERS_PER_RUN);
+        const recipients = await loadRecipients(userIds);
+        const result = { sent: 0, failed: 0, skipped: 0 };
+
+        for (const userId of userIds) {
+            const { data: claimed, error: claimError } = await supabase
+                .from(table)
+                .update({ digest_pending: false })
+                .eq('recipient_user_id', userId)
+                .eq('digest_pending', true)
+                .select('*');
+
+            if (claimError) throw claimError;
+
+            const recipient = recipients.get(userId);
+            const rows = (claimed || [])
+                .filter((row) => !row.read_at)
+                .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+            if (!recipient || !rows.length) {
+                result.skipped += 1;
+                notificationEmails.inc({ kind: 'digest', outcome: 'skipped' });
+                continue;
+            }
+
+            try {
+                await sendMail(recipient.email, buildDigestEmail({ rows, recipient, appBaseUrl: config.appBaseUrl }));
+                await supabase
+                    .from(table)
+                    .update({ digested_at: new Date().toISOString() })
+                    .in('id', rows.map((row) => row.id));
+                result.sent += 1;
+                notificationEmails.inc({ kind: 'digest', outcome: 'sent' });
+            } catch (error) {
+                await supabase.from(table).update({ digest_pending: true }).in('id', rows.map((row) => row.id));
+                result.failed += 1;
+                notificationEmails.inc({ kind: 'digest', outcome: 'failed' });
+                logger.warn('Notification digest failed', { userId, count: rows.length, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    return {
+        isConfigured: () => isSmtpConfigured(config.email),
+        deliverImmediateEmails,
+        deliverDigests,
+    };
+}
+
+module.exports = {
+    createEmailDelivery,
+};
@@ -0,0 +1,107 @@
+// Bodies for notification emails: one notification sent as it happens, or a
+// daily digest of the ones still unread. Rows are notifications table rows.
+const PREFERENCES_PATH = '/dashboard';
+
+function escapeHtml(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function absoluteUrl(appBaseUrl, link) {
+    return `${String(appBaseUrl || '').replace(/\/+$/, '')}${link || '/notifications'}`;
+}
+
+function greetingFor(recipient) {
+    return recipient?.fullName ? `Hi ${recipient.fullName},` : 'Hi,';
+}
+
+function renderNotificationHtml(row, appBaseUrl) {
+    const title = escapeHtml(row.title || 'Notification');
+    const body = escapeHtml(row.body || '');
+    const href = escapeHtml(absoluteUrl(appBaseUrl, row.link));
+
+    return `
+        <div style="padding:18px 20px;border:1px solid #dbe5f2;border-radius:16px;background:#ffffff;margin-top:12px;">
+            <h3 style="margin:0;color:#16324f;font-size:17px;line-height:1.4;">${title}</h3>
+            ${body ? `<p style="margin:8px 0 0;color:#243b53;font-size:14px;line-height:1.7;">${body}</p>` : ''}
+            <p style="margin:12px 0 0;"><a href="${href}" style="color:#0f4c81;font-weight:600;text-decoration:none;">Open in ICentral</a></p>
+        </div>
+    `;
+}
+
+function renderNotificationText(row, appBaseUrl) {
+    return [
+        row.title || 'Notification',
+        row.body || '',
+        absoluteUrl(appBaseUrl, row.link),
+    ].filter(Boolean).join('\n');
+}
+
+function wrapHtml({ recipient, intro, content, appBaseUrl }) {
+    const preferencesHref = escapeHtml(absoluteUrl(appBaseUrl, PREFERENCES_PATH));
+
+    return `
+        <div style="margin:0;padding:24px;background:#f3f6fb;font-family:Arial,Helvetica,sans-serif;">
+            <div style="max-width:600px;margin:0 auto;">
+                <p style="margin:0;color:#243b53;font-size:15px;">${escapeHtml(greetingFor(recipient))}</p>
+                <p style="margin:8px 0 0;color:#243b53;font-size:15px;">${escapeHtml(intro)}</p>
+                ${content}
+                <p style="margin:20px 0 0;color:#6b7c93;font-size:12px;line-height:1.6;">
+                    You can choose which notifications are emailed to you in your
+                    <a href="${preferencesHref}" style="color:#6b7c93;">notification settings</a>.
+                </p>
+            </div>
+        </div>
+    `;
+}
+
+function wrapText({ recipient, intro, content, appBaseUrl }) {
+    return [
+        greetingFor(recipient),
+        intro,
+        content,
+        `Choose which notifications are emailed to you: ${absoluteUrl(appBaseUrl, PREFERENCES_PATH)}`,
+    ].join('\n\n');
+}
+
+function buildNotificationEmail({ row, recipient, appBaseUrl }) {
+    const intro = 'You have a new notification on ICentral.';
+
+    return {
+        subject: row.title || 'New notification',
+        html: wrapHtml({ recipient, intro, content: renderNotificationHtml(row, appBaseUrl), appBaseUrl }),
+        text: wrapText({ recipient, intro, content: renderNotificationText(row, appBaseUrl), appBaseUrl }),
+    };
+}
+
+function buildDigestEmail({ rows, recipient, appBaseUrl }) {
+    const count = rows.length;
+    const intro = count === 1
+        ? 'Here is the notification you have not read yet.'
+        : `Here are the ${count} notifications you have not read yet.`;
+
+    return {
+        subject: count === 1 ? 'Your ICentral digest: 1 update' : `Your ICentral digest: ${count} updates`,
+        html: wrapHtml({
+            recipient,
+            intro,
+            content: rows.map((row) => renderNotificationHtml(row, appBaseUrl)).join(''),
+            appBaseUrl,
+        }),
+        text: wrapText({
+            recipient,
+            intro,
+            content: rows.map((row) => renderNotificationText(row, appBaseUrl)).join('\n\n'),
+            appBaseUrl,
+        }),
+    };
+}
+
+module.exports = {
+    buildNotificationEmail,
+    buildDigestEmail,
+};
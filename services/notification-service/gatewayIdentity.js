@@ -0,0 +1,50 @@
+const crypto = require('node:crypto');
+
+// The API gateway verifies access tokens once and forwards the caller as
+// X-User-* headers signed with this shared secret. Without it configured the
+// headers are ignored and requests fall back to bearer-token verification.
+const IDENTITY_SECRET = process.env.GATEWAY_IDENTITY_SECRET || '';
+// Bounds how long a captured set of headers could be replayed.
+const IDENTITY_MAX_AGE_MS = Number(process.env.GATEWAY_IDENTITY_MAX_AGE_MS) || 60 * 1000;
+
+function signIdentity({ id, role, sid }, timestamp) {
+    return crypto
+        .createHmac('sha256', IDENTITY_SECRET)
+        .update([id, role, sid, timestamp].join('\n'))
+        .digest('hex');
+}
+
+/**
+ * Returns `{ id, role, sid }` from gateway-signed identity headers, or null
+ * when they are absent, stale or do not verify.
+ */
+function readGatewayIdentity(req) {
+    if (!IDENTITY_SECRET) return null;
+
+    const id = req.headers['x-user-id'];
+    const signature = req.headers['x-user-signature'];
+    const timestamp = req.headers['x-user-timestamp'];
+    if (!id || typeof signature !== 'string' || !timestamp) return null;
+
+    const issuedAt = Number(timestamp);
+    if (!Number.isFinite(issuedAt) || Math.abs(Date.now() - issuedAt) > IDENTITY_MAX_AGE_MS) {
+        return null;
+    }
+
+    const identity = {
+        id: String(id),
+        role: String(req.headers['x-user-role'] || ''),
+        sid: String(req.headers['x-user-session'] || ''),
+    };
+    const expected = Buffer.from(signIdentity(identity, timestamp), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    return identity;
+}
+
+module.exports = {
+    readGatewayIdentity,
+};
@@ -0,0 +1,710 @@
+require('dotenv').config();
+const crypto = require('node:crypto');
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { verifyAccessToken } = require('./jwks');
+const { readGatewayIdentity } = require('./gatewayIdentity');
+const { logger, requestLogger, tracedFetch } = require('./logger');
+const { metricsMiddleware, metricsHandler, createCounter } = require('./metrics');
+const { openApiDocument } = require('./openapi');
+const { readSmtpConfig } = require('./mailTransport');
+const { createEmailDelivery } = require('./emailDelivery');
+
+const app = express();
+app.use(requestLogger);
+app.use(metricsMiddleware());
+app.use(express.json({ limit: '1mb' }));
+
+const PORT = Number(process.env.PORT) || 3006;
+
+const CONFIG = {
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
+    schema: process.env.NOTIFICATION_SERVICE_SCHEMA || 'public',
+    sessionCacheTtlMs: Number(process.env.SESSION_CACHE_TTL_MS) || 30_000,
+    // Shared with the producing services; see notificationClient.js there.
+    internalApiToken: process.env.INTERNAL_API_TOKEN || '',
+    // New notifications are pushed to connected clients through chat-service's
+    // Socket.IO server, which already keeps a room per user.
+    chatServiceUrl: String(process.env.CHAT_SERVICE_URL || 'http://localhost:3005').replace(/\/+$/, ''),
+    appBaseUrl: process.env.APP_BASE_URL || 'http://localhost:5173',
+    email: {
+        enabled: String(process.env.NOTIFICATION_EMAIL_ENABLED || 'true').toLowerCase() !== 'false',
+        intervalMs: Number(process.env.NOTIFICATION_EMAIL_INTERVAL_MS) || 60_000,
+        ...readSmtpConfig('ICentral'),
+    },
+    tables: {
+        notifications: process.env.NOTIFICATIONS_TABLE || 'notifications',
+        users: process.env.USERS_TABLE || 'users',
+        authSessions: process.env.AUTH_SESSIONS_TABLE || 'auth_sessions',
+        // Owned by user-service (GET/PUT /users/me/notification-preferences).
+        userNotificationPreferences: process.env.USER_NOTIFICATION_PREFERENCES_TABLE || 'user_notification_preferences',
+    },
+};
+
+if (!CONFIG.internalApiToken) {
+    logger.warn('INTERNAL_API_TOKEN is not set; the producer API will reject every request.');
+}
+
+// Categories are the part of a type before the dot. Unread counts are
+// reported for each of these.
+const NOTIFICATION_CATEGORIES = ['announcement', 'newsletter', 'verification', 'job', 'collab', 'event', 'post', 'mention'];
+const TYPE_PATTERN = /^[a-z][a-z_]*\.[a-z][a-z_]*$/;
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+const MAX_RECIPIENT_IDS = 1000;
+const MAX_DATA_BYTES = 8 * 1024;
+const INSERT_BATCH_SIZE = 500;
+const USER_PAGE_SIZE = 1000;
+const PUSH_TIMEOUT_MS = 5_000;
+const PREFERENCE_LOOKUP_BATCH_SIZE = 200;
+
+// Notification types users can configure, mapped to user-service's preference
+// types. Anything else (announcements, verification requests for moderators)
+// is delivered to the inbox only.
+const PREFERENCE_TYPE_BY_NOTIFICATION_TYPE = {
+    'job.application_received': 'job_application_received',
+    'collab.join_request_received': 'collab_join_request',
+    'collab.join_request_accepted': 'request_reviewed',
+    'collab.join_request_rejected': 'request_reviewed',
+    'event.volunteer_enrollment_received': 'volunteer_enrolled',
+    'verification.approved': 'verification_decided',
+    'verification.rejected': 'verification_decided',
+    'newsletter.issue_published': 'newsletter',
+    'mention.post': 'mentioned',
+    'mention.comment': 'mentioned',
+};
+// Same defaults as user-service for users who never saved a preference.
+const DEFAULT_PREFERENCE = { inApp: true, email: true, digest: false };
+
+const supabase = (CONFIG.supabaseUrl && CONFIG.supabaseKey)
+    ? createClient(CONFIG.supabaseUrl, CONFIG.supabaseKey, {
+        auth: { persistSession: false },
+        db: { schema: CONFIG.schema },
+        global: { fetch: tracedFetch },
+    })
+    : null;
+
+function isSupabaseConfigured() {
+    return Boolean(supabase);
+}
+
+function isMissingTableError(error) {
+    return error?.code === '42P01';
+}
+
+function formatSupabaseError(error) {
+    if (!error) return 'Unknown database error';
+    return error.message || error.details || 'Unknown database error';
+}
+
+function parseIntInRange(value, fallback, min, max) {
+    const parsed = Number.parseInt(value, 10);
+    if (Number.isNaN(parsed)) return fallback;
+    return Math.min(Math.max(parsed, min), max);
+}
+
+function normalizeText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function normalizeList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(items.map((item) => normalizeText(String(item))).filter(Boolean))];
+}
+
+function dbUnavailable(res) {
+    return res.status(503).json({
+        error: 'Notification service database is not configured',
+        requiredEnv: ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
+    });
+}
+
+function notificationSchemaError(res) {
+    return res.status(500).json({
+        error: 'Missing notification-service tables. Run services/notification-service/schema.sql first.',
+    });
+}
+
+const sessionStatusCache = new Map();
+
+async function isSessionActive(sessionId) {
+    if (!sessionId || !supabase) return false;
+
+    const now = Date.now();
+    const cached = sessionStatusCache.get(sessionId);
+    if (cached && cached.checkedUntil > now) {
+        return cached.active;
+    }
+
+    const { data, error } = await supabase
+        .from(CONFIG.tables.authSessions)
+        .select('id, revoked_at, expires_at')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error && error.code !== '22P02') {
+        throw error;
+    }
+
+    const active = Boolean(data && !data.revoked_at && new Date(data.expires_at).getTime() > now);
+    if (sessionStatusCache.size > 5000) {
+        sessionStatusCache.clear();
+    }
+    sessionStatusCache.set(sessionId, { active, checkedUntil: now + CONFIG.sessionCacheTtlMs });
+    return active;
+}
+
+async function getRequestUser(req) {
+    // Prefer the identity the gateway already verified; the bearer token is
+    // only checked here for direct (non-gateway) calls.
+    let payload = readGatewayIdentity(req);
+    if (!payload) {
+        const header = req.headers.authorization || '';
+        if (!header.startsWith('Bearer ')) return null;
+
+        const token = header.slice(7).trim();
+        if (!token) return null;
+
+        try {
+            payload = await verifyAccessToken(token);
+        } catch {
+            return null;
+        }
+    }
+
+    try {
+        return await isSessionActive(payload?.sid) ? payload : null;
+    } catch (error) {
+        logger.error('Session check failed', { error: formatSupabaseError(error) });
+        return null;
+    }
+}
+
+function ensureDb(req, res, next) {
+    if (!isSupabaseConfigured()) {
+        return dbUnavailable(res);
+    }
+    return next();
+}
+
+async function ensureAuthenticated(req, res, next) {
+    const requestUser = await getRequestUser(req);
+    if (!requestUser?.id) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.requestUser = requestUser;
+    return next();
+}
+
+// Producer routes are for other services only. The gateway does not forward
+// /internal, and callers must present the shared INTERNAL_API_TOKEN.
+function ensureInternalCaller(req, res, next) {
+    if (!CONFIG.internalApiToken) {
+        return res.status(503).json({ error: 'Producer API is not configured', requiredEnv: ['INTERNAL_API_TOKEN'] });
+    }
+
+    const presented = Buffer.from(String(req.headers['x-internal-token'] || ''));
+    const expected = Buffer.from(CONFIG.internalApiToken);
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        return res.status(401).json({ error: 'Invalid internal token' });
+    }
+    return next();
+}
+
+const emailDelivery = createEmailDelivery(supabase, CONFIG);
+
+function isEmailDeliveryEnabled() {
+    return Boolean(supabase) && CONFIG.email.enabled && emailDelivery.isConfigured();
+}
+
+/**
+ * Decides, per recipient, whether a notification shows in the inbox and is
+ * queued for an immediate email or the daily digest. Emails are only queued
+ * while delivery is configured, so turning SMTP on later does not send a
+ * backlog. The newsletter itself is mailed by post-service, so its email
+ * preference only matters there.
+ */
+async function resolveDeliveryChannels(type, recipientIds) {
+    const preferenceType = PREFERENCE_TYPE_BY_NOTIFICATION_TYPE[type] || null;
+    const preferences = new Map();
+
+    if (preferenceType) {
+        for (let index = 0; index < recipientIds.length; index += PREFERENCE_LOOKUP_BATCH_SIZE) {
+            const { data, error } = await supabase
+                .from(CONFIG.tables.userNotificationPreferences)
+                .select('user_id, in_app, email, digest')
+                .eq('notification_type', preferenceType)
+                .in('user_id', recipientIds.slice(index, index + PREFERENCE_LOOKUP_BATCH_SIZE));
+
+            if (error) {
+                if (isMissingTableError(error)) break;
+                throw error;
+            }
+            for (const row of data || []) {
+                preferences.set(String(row.user_id), { inApp: row.in_app, email: row.email, digest: row.digest });
+            }
+        }
+    }
+
+    const emailEnabled = isEmailDeliveryEnabled();
+    return new Map(recipientIds.map((recipientId) => {
+        const preference = preferenceType
+            ? preferences.get(recipientId) || DEFAULT_PREFERENCE
+            : { inApp: true, email: false, digest: false };
+        return [recipientId, {
+            in_app: preference.inApp,
+            email_pending: emailEnabled && preference.email && preferenceType !== 'newsletter',
+            digest_pending: emailEnabled && preference.digest,
+        }];
+    }));
+}
+
+function mapNotification(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        category: row.category,
+        title: row.title,
+        body: row.body || null,
+        link: row.link || null,
+        actorUserId: row.actor_user_id || null,
+        entityType: row.entity_type || null,
+        entityId: row.entity_id || null,
+        data: row.data || {},
+        isRead: Boolean(row.read_at),
+        readAt: row.read_at || null,
+        createdAt: row.created_at,
+    };
+}
+
+function encodeInboxCursor({ createdAt, id }) {
+    return Buffer.from(JSON.stringify({
+        v: 1,
+        createdAt: new Date(createdAt).toISOString(),
+        id: String(id),
+    }), 'utf8').toString('base64url');
+}
+
+function decodeInboxCursor(value) {
+    if (!value) return { value: null };
+
+    try {
+        const parsed = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        const createdAt = new Date(parsed?.createdAt);
+        if (parsed?.v !== 1 || Number.isNaN(createdAt.getTime()) || !normalizeText(parsed?.id)) {
+            return { error: 'cursor is invalid' };
+        }
+        return { value: { createdAt: createdAt.toISOString(), id: normalizeText(parsed.id) } };
+    } catch {
+        return { error: 'cursor is invalid' };
+    }
+}
+
+/**
+ * Validates a producer request. Recipients are given as explicit user ids,
+ * as roles, or as every active user; the actor is never notified about their
+ * own action.
+ */
+function parseProducerInput(body = {}) {
+    const type = normalizeText(body.type).toLowerCase();
+    const title = normalizeText(body.title);
+    const text = normalizeText(body.body);
+    const link = normalizeText(body.link);
+    const actorUserId = normalizeText(body.actorUserId) || null;
+    const entityType = normalizeText(body.entityType) || null;
+    const entityId = normalizeText(body.entityId ? String(body.entityId) : '') || null;
+    const dedupeKey = normalizeText(body.dedupeKey);
+    const data = body.data === undefined || body.data === null ? {} : body.data;
+    const recipients = body.recipients && typeof body.recipients === 'object' ? body.recipients : {};
+    const userIds = normalizeList(recipients.userIds || []);
+    const roles = normalizeList(recipients.roles || []).map((role) => role.toLowerCase());
+    const allUsers = recipients.all === true;
+
+    const errors = [];
+    if (!TYPE_PATTERN.test(type)) errors.push('type must look like "<category>.<event>"');
+    if (!title) errors.push('title is required');
+    if (title.length > 200) errors.push('title is too long');
+    if (text.length > 2000) errors.push('body is too long');
+    if (link && (!link.startsWith('/') || link.startsWith('//') || link.length > 500)) {
+        errors.push('link must be an app path such as /posts/<id>');
+    }
+    if (dedupeKey.length > 200) errors.push('dedupeKey is too long');
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        errors.push('data must be an object');
+    } else if (Buffer.byteLength(JSON.stringify(data)) > MAX_DATA_BYTES) {
+        errors.push('data is too large');
+    }
+    if (!userIds.length && !roles.length && !allUsers) {
+        errors.push('recipients must name userIds, roles or all');
+    }
+    if (userIds.length > MAX_RECIPIENT_IDS) {
+        errors.push(`recipients.userIds accepts at most ${MAX_RECIPIENT_IDS} ids`);
+    }
+
+    return {
+        fields: {
+            type,
+            category: type.split('.')[0],
+            title,
+            body: text || null,
+            link: link || null,
+            actor_user_id: actorUserId,
+            entity_type: entityType,
+            entity_id: entityId,
+            data: typeof data === 'object' && !Array.isArray(data) ? data : {},
+            // Without a key every call is a new notification; one key is
+            // shared by all recipients of this call.
+            dedupe_key: dedupeKey || `auto:${crypto.randomUUID()}`,
+        },
+        recipients: { userIds, roles, allUsers },
+        errors,
+    };
+}
+
+async function resolveRecipientIds({ userIds, roles, allUsers }, actorUserId) {
+    const recipientIds = new Set(userIds);
+
+    if (allUsers || roles.length) {
+        for (let from = 0; ; from += USER_PAGE_SIZE) {
+            let query = supabase
+                .from(CONFIG.tables.users)
+                .select('id')
+                .eq('account_status', 'active')
+                .order('id', { ascending: true })
+                .range(from, from + USER_PAGE_SIZE - 1);
+            if (!allUsers) {
+                query = query.in('role', roles);
+            }
+
+            const { data, error } = await query;
+            if (error) throw error;
+
+            for (const row of data || []) recipientIds.add(String(row.id));
+            if (!data || data.length < USER_PAGE_SIZE) break;
+        }
+    }
+
+    if (actorUserId) recipientIds.delete(actorUserId);
+    return [...recipientIds];
+}
+
+const notificationsCreated = createCounter('notifications_created_total', 'Notifications stored, by category.', ['category']);
+
+const notificationPushFailures = createCounter('notification_push_failures_total', 'Batches chat-service did not accept.');
+
+/**
+ * Emits `notification:new` to each recipient's sockets. Best effort: clients
+ * that miss it still find the notification in their inbox, so failures are
+ * only logged.
+ */
+async function pushToConnectedClients(rows) {
+    if (!rows.length || !CONFIG.internalApiToken) return;
+
+    try {
+        const response = await tracedFetch(`${CONFIG.chatServiceUrl}/internal/notifications/push`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Internal-Token': CONFIG.internalApiToken,
+            },
+            body: JSON.stringify({
+                deliveries: rows.map((row) => ({ userId: row.recipient_user_id, notification: mapNotification(row) })),
+            }),
+            signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+            notificationPushFailures.inc();
+            logger.warn('chat-service did not accept notification push', { status: response.status, count: rows.length });
+        }
+    } catch (error) {
+        notificationPushFailures.inc();
+        logger.warn('Could not push notifications', { error: error.message, count: rows.length });
+    }
+}
+
+async function insertNotifications(fields, recipientIds) {
+    let created = 0;
+    for (let index = 0; index < recipientIds.length; index += INSERT_BATCH_SIZE) {
+        const batchIds = recipientIds.slice(index, index + INSERT_BATCH_SIZE);
+        const channels = await resolveDeliveryChannels(fields.type, batchIds);
+        // Users who turned every channel off for this type get no row at all.
+        const rows = batchIds
+            .map((recipientUserId) => ({ ...fields, ...channels.get(recipientUserId), recipient_user_id: recipientUserId }))
+            .filter((row) => row.in_app || row.email_pending || row.digest_pending);
+        if (!rows.length) continue;
+
+        const { data, error } = await supabase
+            .from(CONFIG.tables.notifications)
+            .upsert(rows, { onConflict: 'recipient_user_id,dedupe_key', ignoreDuplicates: true })
+            .select('*');
+
+        if (error) throw error;
+        created += (data || []).length;
+        // Only rows this call stored come back, so a repeated event is not
+        // pushed twice.
+        pushToConnectedClients((data || []).filter((row) => row.in_app));
+    }
+
+    if (created) notificationsCreated.inc({ category: fields.category }, created);
+    return created;
+}
+
+// Email-only notifications (in_app false) never show in the inbox.
+function applyInboxFilters(query, { types, categories }) {
+    let filtered = query.eq('in_app', true);
+    if (types.length) filtered = filtered.in('type', types);
+    if (categories.length) filtered = filtered.in('category', categories);
+    return filtered;
+}
+
+async function countUnread(userId, filters = { types: [], categories: [] }) {
+    const { count, error } = await applyInboxFilters(supabase
+        .from(CONFIG.tables.notifications)
+        .select('id', { count: 'exact', head: true })
+        .eq('recipient_user_id', userId)
+        .is('read_at', null), filters);
+
+    if (error) throw error;
+    return count || 0;
+}
+
+app.get('/health', (req, res) => {
+    return res.json({
+        service: 'notification-service',
+        status: 'ok',
+        supabaseConfigured: isSupabaseConfigured(),
+        producerApiConfigured: Boolean(CONFIG.internalApiToken),
+        emailDeliveryConfigured: isEmailDeliveryEnabled(),
+    });
+});
+
+app.get('/metrics', metricsHandler);
+
+app.get('/openapi.json', (req, res) => {
+    return res.json(openApiDocument);
+});
+
+app.post('/internal/notifications', ensureDb, ensureInternalCaller, async (req, res) => {
+    try {
+        const payload = parseProducerInput(req.body);
+        if (payload.errors.length) {
+            return res.status(400).json({ error: 'Validation failed', details: payload.errors });
+        }
+
+        const recipientIds = await resolveRecipientIds(payload.recipients, payload.fields.actor_user_id);
+        const created = recipientIds.length ? await insertNotifications(payload.fields, recipientIds) : 0;
+
+        return res.status(created ? 201 : 200).json({
+            message: created ? 'Notifications created' : 'No new notifications',
+            data: {
+                recipients: recipientIds.length,
+                created,
+            },
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) return notificationSchemaError(res);
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+// The gateway mounts this service at /notifications, so the inbox is "/".
+app.get('/', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const limit = parseIntInRange(req.query.limit, DEFAULT_PAGE_LIMIT, 1, MAX_PAGE_LIMIT);
+        const cursor = decodeInboxCursor(req.query.cursor);
+        if (cursor.error) {
+            return res.status(400).json({ error: cursor.error });
+        }
+
+        const filters = {
+            types: normalizeList(req.query.type).map((type) => type.toLowerCase()),
+            categories: normalizeList(req.query.category).map((category) => category.toLowerCase()),
+        };
+        const unreadOnly = String(req.query.unread || '').toLowerCase() === 'true';
+
+        let query = applyInboxFilters(supabase
+            .from(CONFIG.tables.notifications)
+            .select('*')
+            .eq('recipient_user_id', req.requestUser.id), filters);
+        if (unreadOnly) {
+            query = query.is('read_at', null);
+        }
+        if (cursor.value) {
+            const { createdAt, id } = cursor.value;
+            query = query.or(`created_at.lt.${createdAt},and(created_at.eq.${createdAt},id.lt.${id})`);
+        }
+
+        const [{ data, error }, unreadCount] = await Promise.all([
+            query
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .limit(limit + 1),
+            countUnread(req.requestUser.id),
+        ]);
+
+        if (error) {
+            if (isMissingTableError(error)) return notificationSchemaError(res);
+            throw error;
+        }
+
+        const rows = data || [];
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+
+        return res.json({
+            data: page.map(mapNotification),
+            nextCursor: rows.length > limit && last ? encodeInboxCursor({ createdAt: last.created_at, id: last.id }) : null,
+            unreadCount,
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) return notificationSchemaError(res);
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+app.get('/unread-count', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const [total, ...perCategory] = await Promise.all([
+            countUnread(req.requestUser.id),
+            ...NOTIFICATION_CATEGORIES.map((category) => countUnread(req.requestUser.id, {
+                types: [],
+                categories: [category],
+            })),
+        ]);
+
+        return res.json({
+            data: {
+                total,
+                byCategory: Object.fromEntries(NOTIFICATION_CATEGORIES.map((category, index) => [category, perCategory[index]])),
+            },
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) return notificationSchemaError(res);
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+app.post('/read-all', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const filters = {
+            types: normalizeList(req.body?.type).map((type) => type.toLowerCase()),
+            categories: normalizeList(req.body?.category).map((category) => category.toLowerCase()),
+        };
+
+        // Lets a client mark only what it has shown, so notifications that
+        // arrived after the page loaded stay unread.
+        let before = null;
+        if (req.body?.before !== undefined) {
+            const parsed = new Date(req.body.before);
+            if (Number.isNaN(parsed.getTime())) {
+                return res.status(400).json({ error: 'before must be an ISO timestamp' });
+            }
+            before = parsed.toISOString();
+        }
+
+        let query = applyInboxFilters(supabase
+            .from(CONFIG.tables.notifications)
+            .update({ read_at: new Date().toISOString() })
+            .eq('recipient_user_id', req.requestUser.id)
+            .is('read_at', null), filters);
+        if (before) {
+            query = query.lte('created_at', before);
+        }
+
+        const { data, error } = await query.select('id');
+        if (error) {
+            if (isMissingTableError(error)) return notificationSchemaError(res);
+            throw error;
+        }
+
+        return res.json({
+            message: 'Notifications marked as read',
+            data: {
+                updatedCount: (data || []).length,
+                unreadCount: await countUnread(req.requestUser.id),
+            },
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) return notificationSchemaError(res);
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+app.post('/:id/read', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const notificationId = normalizeText(req.params.id);
+        const { data, error } = await supabase
+            .from(CONFIG.tables.notifications)
+            .select('*')
+            .eq('id', notificationId)
+            .eq('recipient_user_id', req.requestUser.id)
+            .maybeSingle();
+
+        if (error && error.code !== '22P02') {
+            if (isMissingTableError(error)) return notificationSchemaError(res);
+            throw error;
+        }
+        if (!data) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        let row = data;
+        if (!row.read_at) {
+            const { data: updated, error: updateError } = await supabase
+                .from(CONFIG.tables.notifications)
+                .update({ read_at: new Date().toISOString() })
+                .eq('id', notificationId)
+                .eq('recipient_user_id', req.requestUser.id)
+                .select('*')
+                .single();
+
+            if (updateError) throw updateError;
+            row = updated;
+        }
+
+        return res.json({
+            message: 'Notification marked as read',
+            data: mapNotification(row),
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) return notificationSchemaError(res);
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+app.use((req, res) => {
+    return res.status(404).json({ error: 'Route not found' });
+});
+
+app.listen(PORT, () => {
+    logger.info(`Notification Service is running on port ${PORT}`);
+    if (CONFIG.email.enabled && !emailDelivery.isConfigured()) {
+        logger.warn('Notification emails are off: set SMTP_HOST and SMTP_FROM_EMAIL to send them.');
+    }
+});
+
+let emailTimer = null;
+if (isEmailDeliveryEnabled() && CONFIG.email.intervalMs > 0) {
+    let running = false;
+    emailTimer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const immediate = await emailDelivery.deliverImmediateEmails();
+            const digests = await emailDelivery.deliverDigests();
+            if (immediate.sent || immediate.failed || digests.sent || digests.failed) {
+                logger.info('Notification emails delivered', { immediate, digests });
+            }
+        } catch (error) {
+            logger.error('Notification email run failed', { error: formatSupabaseError(error) });
+        } finally {
+            running = false;
+        }
+    }, CONFIG.email.intervalMs);
+
+    if (typeof emailTimer.unref === 'function') {
+        emailTimer.unref();
+    }
+}
@@ -0,0 +1,49 @@
+const nodemailer = require('nodemailer');
+
+// SMTP settings and transport used by post-service's newsletter sender and by
+// notification-service's email delivery. Keep both copies identical.
+function readSmtpConfig(defaultFromName) {
+    return {
+        smtpHost: process.env.SMTP_HOST || '',
+        smtpPort: Number(process.env.SMTP_PORT) || 587,
+        smtpSecure: String(process.env.SMTP_SECURE || 'false').toLowerCase() === 'true',
+        smtpUser: process.env.SMTP_USER || '',
+        smtpPass: process.env.SMTP_PASS || '',
+        smtpFromEmail: process.env.SMTP_FROM_EMAIL || '',
+        smtpFromName: process.env.SMTP_FROM_NAME || defaultFromName,
+    };
+}
+
+function isSmtpConfigured(config) {
+    return Boolean(
+        String(config?.smtpHost || '').trim()
+        && String(config?.smtpFromEmail || '').trim()
+    );
+}
+
+function createSmtpTransporter(config) {
+    const auth = String(config.smtpUser || '').trim()
+        ? {
+            user: config.smtpUser,
+            pass: config.smtpPass,
+        }
+        : undefined;
+
+    return nodemailer.createTransport({
+        host: config.smtpHost,
+        port: config.smtpPort,
+        secure: config.smtpSecure,
+        ...(auth ? { auth } : {}),
+    });
+}
+
+function formatFromAddress(config) {
+    return `"${config.smtpFromName}" <${config.smtpFromEmail}>`;
+}
+
+module.exports = {
+    readSmtpConfig,
+    isSmtpConfigured,
+    createSmtpTransporter,
+    formatFromAddress,
+};
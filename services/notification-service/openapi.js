@@ -0,0 +1,144 @@
+// OpenAPI 3 description of notification-service, served at GET /openapi.json.
+// The API gateway merges it under its /notifications prefix, so paths here are
+// the service's own. The producer API under /internal is not exposed by the
+// gateway and is left out. Keep it next to the routes it documents when
+// adding or changing one.
+const {
+    schemas: { string, nullableString, integer, boolean, dateTime, object },
+    arrayOf,
+    ref,
+    jsonBody: body,
+    query,
+    pathParam,
+    ok,
+    operation,
+    baseComponents,
+} = require('./openapiHelpers');
+
+const filterParameters = [
+    query('type', string, 'Comma-separated notification types, e.g. collab.join_request_received'),
+    query('category', string, 'Comma-separated categories: announcement, newsletter, verification, job, collab, event, post, mention'),
+];
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'ICEntral notification-service',
+        version: '1.0.0',
+        description: 'The signed-in user\'s notification inbox, fed by every other service.',
+    },
+    tags: [{ name: 'Notifications' }],
+    paths: {
+        '/': {
+            get: operation('listNotifications', 'List your notifications, newest first', {
+                tags: ['Notifications'],
+                parameters: [
+                    query('limit', integer),
+                    query('cursor', string, 'nextCursor from the previous page'),
+                    query('unread', boolean, 'Only unread notifications'),
+                    ...filterParameters,
+                ],
+                responses: {
+                    200: ok('Notifications', {
+                        type: 'object',
+                        properties: {
+                            data: arrayOf(ref('Notification')),
+                            nextCursor: nullableString,
+                            unreadCount: { ...integer, description: 'All unread notifications, ignoring filters' },
+                        },
+                    }),
+                },
+                errors: [400],
+            }),
+        },
+        '/unread-count': {
+            get: operation('getUnreadNotificationCount', 'Count unread notifications', {
+                tags: ['Notifications'],
+                responses: {
+                    200: ok('Unread counts', {
+                        type: 'object',
+                        properties: {
+                            data: {
+                                type: 'object',
+                                properties: {
+                                    total: integer,
+                                    byCategory: { type: 'object', additionalProperties: integer },
+                                },
+                            },
+                        },
+                    }),
+                },
+            }),
+        },
+        '/read-all': {
+            post: operation('markAllNotificationsRead', 'Mark notifications read', {
+                tags: ['Notifications'],
+                requestBody: {
+                    ...body({
+                        type: { ...string, description: 'Comma-separated types to limit the update to' },
+                        category: { ...string, description: 'Comma-separated categories to limit the update to' },
+                        before: { ...dateTime, description: 'Only notifications created at or before this time' },
+                    }),
+                    required: false,
+                },
+                responses: {
+                    200: ok('Updated count', {
+                        type: 'object',
+                        properties: {
+                            message: string,
+                            data: {
+                                type: 'object',
+                                properties: { updatedCount: integer, unreadCount: integer },
+                            },
+                        },
+                    }),
+                },
+                errors: [400],
+            }),
+        },
+        '/{id}/read': {
+            post: operation('markNotificationRead', 'Mark one notification read', {
+                tags: ['Notifications'],
+                parameters: [pathParam('id')],
+                responses: {
+                    200: ok('Updated notification', {
+                        type: 'object',
+                        properties: { message: string, data: ref('Notification') },
+                    }),
+                },
+                errors: [404],
+            }),
+        },
+    },
+    components: baseComponents({
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: string,
+            details: { ...arrayOf(string), description: 'Validation messages, when available' },
+        },
+    }, {
+        Notification: {
+            type: 'object',
+            properties: {
+                id: string,
+                type: { ...string, example: 'collab.join_request_received' },
+                category: string,
+                title: string,
+                body: nullableString,
+                link: { ...nullableString, description: 'App route to open, e.g. /posts/<id>' },
+                actorUserId: nullableString,
+                entityType: nullableString,
+                entityId: nullableString,
+                data: object,
+                isRead: boolean,
+                readAt: { ...dateTime, nullable: true },
+                createdAt: dateTime,
+            },
+        },
+    }),
+};
+
+module.exports = {
+    openApiDocument,
+};
@@ -0,0 +1,53 @@
+-- Notification service schema: one persisted inbox for every notification a
+-- user receives, whichever service produced it.
+-- Run this in Supabase SQL editor before using the notification-service endpoints.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.notifications (
+    id uuid primary key default gen_random_uuid(),
+    recipient_user_id uuid not null references public.users(id) on delete cascade,
+    -- "<category>.<event>", e.g. collab.join_request_received.
+    type text not null,
+    category text not null,
+    title text not null,
+    body text,
+    -- Frontend route to open, e.g. /posts/<id>.
+    link text,
+    actor_user_id uuid references public.users(id) on delete set null,
+    entity_type text,
+    entity_id text,
+    data jsonb not null default '{}'::jsonb,
+    -- Producers resend with the same key instead of creating a duplicate.
+    dedupe_key text not null,
+    read_at timestamptz,
+    created_at timestamptz not null default now(),
+    unique (recipient_user_id, dedupe_key)
+);
+
+create index if not exists idx_notifications_recipient_created
+    on public.notifications (recipient_user_id, created_at desc, id desc);
+
+create index if not exists idx_notifications_recipient_unread
+    on public.notifications (recipient_user_id, category)
+    where read_at is null;
+
+-- Delivery channels, decided from the recipient's user_notification_preferences
+-- (user-service) when the row is stored. in_app false keeps a notification out
+-- of the inbox; the pending flags queue it for the email worker, which clears
+-- them once the immediate email or the daily digest has gone out.
+alter table if exists public.notifications
+    add column if not exists in_app boolean not null default true,
+    add column if not exists email_pending boolean not null default false,
+    add column if not exists email_attempts integer not null default 0,
+    add column if not exists emailed_at timestamptz,
+    add column if not exists digest_pending boolean not null default false,
+    add column if not exists digested_at timestamptz;
+
+create index if not exists idx_notifications_email_pending
+    on public.notifications (created_at)
+    where email_pending;
+
+create index if not exists idx_notifications_digest_pending
+    on public.notifications (recipient_user_id, created_at)
+    where digest_pending;
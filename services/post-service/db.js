@@ -1,6 +1,8 @@
 const dns = require('node:dns');
 const net = require('node:net');
 const { Pool } = require('pg');
+const { logger } = require('./logger');
+const { createHistogram } = require('./metrics');
 
 const dnsResultOrder = String(process.env.DNS_RESULT_ORDER || 'ipv4first').toLowerCase();
 if (typeof dns.setDefaultResultOrder === 'function' && ['ipv4first', 'verbatim'].includes(dnsResultOrder)) {
@@ -53,14 +55,14 @@ async function buildPoolConfig() {
             const ipv4Lookup = await dns.promises.lookup(originalHostname, { family: 4 });
             if (ipv4Lookup?.address) {
                 parsed.hostname = ipv4Lookup.address;
-                console.log(`[post-service] Using IPv4 ${ipv4Lookup.address} for ${originalHostname}`);
+                logger.info('Using IPv4 DB host', { address: ipv4Lookup.address, hostname: originalHostname });
             }
         }
 
         effectiveConnectionString = parsed.toString();
     } catch (error) {
         // Keep original connection string if parsing/lookup fails.
-        console.warn('[post-service] Could not apply IPv4 DB host override:', error.message);
+        logger.warn('Could not apply IPv4 DB host override', { error: error.message });
     }
 
     const sslConfig = shouldUseSsl
@@ -88,9 +90,34 @@ async function getPool() {
     return poolPromise;
 }
 
+const dbQueryDuration = createHistogram(
+    'db_query_duration_seconds',
+    'Postgres query latency, by statement type and outcome.',
+    ['operation', 'outcome']
+);
+
+// Label by the leading SQL keyword only; full statements would make a series
+// per query text.
+function describeOperation(text) {
+    const keyword = String(text || '').trim().split(/\s+/, 1)[0].toUpperCase();
+    return /^(SELECT|INSERT|UPDATE|DELETE|WITH|BEGIN|COMMIT|ROLLBACK)$/.test(keyword) ? keyword : 'OTHER';
+}
+
+async function observeQuery(operation, run) {
+    const endTimer = dbQueryDuration.startTimer({ operation });
+    try {
+        const result = await run();
+        endTimer({ outcome: 'ok' });
+        return result;
+    } catch (error) {
+        endTimer({ outcome: 'error' });
+        throw error;
+    }
+}
+
 async function query(text, params = []) {
     const pool = await getPool();
-    return pool.query(text, params);
+    return observeQuery(describeOperation(text), () => pool.query(text, params));
 }
 
 function isDbConfigured() {
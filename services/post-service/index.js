@@ -1,11 +1,21 @@
+const crypto = require('crypto');
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
-const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
 const { query: searchQuery, isDbConfigured: isSearchDbConfigured, closePool: closeSearchDbPool } = require('./db');
 const { buildNewsletterEmailBodies } = require('./newsletterTemplates');
+const { verifyAccessToken } = require('./jwks');
+const { readGatewayIdentity } = require('./gatewayIdentity');
+const { logger, requestLogger, tracedFetch } = require('./logger');
+const { metricsMiddleware, metricsHandler, createCounter } = require('./metrics');
+const { openApiDocument } = require('./openapi');
+const { listEndpoints } = require('./openapiHelpers');
+const { publishNotification } = require('./notificationClient');
+const { readSmtpConfig, isSmtpConfigured, createSmtpTransporter, formatFromAddress } = require('./mailTransport');
+const { createOutbox } = require('./outbox');
 
 const app = express();
+app.use(requestLogger);
+app.use(metricsMiddleware());
 app.use(express.json({ limit: '5mb' }));
 
 const PORT = Number(process.env.PORT) || 3002;
@@ -53,6 +63,32 @@ const NEWSLETTER_BLOCKED_EMAIL_TLDS = new Set([
     'test',
 ]);
 
+// Post types that wait for moderator review, by the author's role. Posts
+// created without signing in use the "anonymous" entry, and "*" covers every
+// type. POST_REVIEW_POLICY replaces the whole map.
+const DEFAULT_POST_REVIEW_POLICY = {
+    student: ['GENERAL', 'EVENT', 'ACHIEVEMENT'],
+    anonymous: ['GENERAL', 'EVENT', 'ACHIEVEMENT'],
+};
+
+function loadPostReviewPolicy() {
+    if (!process.env.POST_REVIEW_POLICY) return DEFAULT_POST_REVIEW_POLICY;
+
+    try {
+        const parsed = JSON.parse(process.env.POST_REVIEW_POLICY);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('expected an object of role -> post types');
+        }
+        return Object.fromEntries(Object.entries(parsed).map(([role, types]) => [
+            role.toLowerCase(),
+            (Array.isArray(types) ? types : []).map((type) => String(type).trim().toUpperCase()),
+        ]));
+    } catch (error) {
+        logger.warn('Ignoring invalid POST_REVIEW_POLICY', { error: error.message });
+        return DEFAULT_POST_REVIEW_POLICY;
+    }
+}
+
 const CONFIG = {
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
@@ -66,6 +102,9 @@ const CONFIG = {
         postRefs: process.env.POST_REFS_TABLE || 'post_refs',
         postVotes: process.env.POST_VOTES_TABLE || 'post_votes',
         postComments: process.env.POST_COMMENTS_TABLE || 'post_comments',
+        postCommentReactions: process.env.POST_COMMENT_REACTIONS_TABLE || 'post_comment_reactions',
+        postRevisions: process.env.POST_REVISIONS_TABLE || 'post_revisions',
+        postMentions: process.env.POST_MENTIONS_TABLE || 'post_mentions',
         eventVolunteerEnrollments: process.env.EVENT_VOLUNTEER_ENROLLMENTS_TABLE || 'event_volunteer_enrollments',
         collabPosts: process.env.COLLAB_POSTS_TABLE || 'collab_posts',
         collabSkills: process.env.COLLAB_SKILLS_TABLE || 'collab_skills',
@@ -75,23 +114,29 @@ const CONFIG = {
         newsletterIssues: process.env.NEWSLETTER_ISSUES_TABLE || 'newsletter_issues',
         newsletterSendRuns: process.env.NEWSLETTER_SEND_RUNS_TABLE || 'newsletter_send_runs',
         newsletterSettings: process.env.NEWSLETTER_SETTINGS_TABLE || 'newsletter_settings',
+        authSessions: process.env.AUTH_SESSIONS_TABLE || 'auth_sessions',
+        // Owned by user-service; read to leave out users who turned off
+        // newsletter emails.
+        userNotificationPreferences: process.env.USER_NOTIFICATION_PREFERENCES_TABLE || 'user_notification_preferences',
+        outbox: process.env.OUTBOX_TABLE || 'post_service_outbox',
     },
+    outboxRelayIntervalMs: Number(process.env.OUTBOX_RELAY_INTERVAL_MS ?? 2000),
     feedDefaultLimit: Number(process.env.POST_FEED_DEFAULT_LIMIT) || 20,
     feedMaxLimit: Number(process.env.POST_FEED_MAX_LIMIT) || 100,
+    // Replies nest up to this depth; a reply to a comment at the limit joins
+    // that comment's thread instead of nesting further.
+    commentMaxDepth: Number(process.env.POST_COMMENT_MAX_DEPTH) || 3,
     archiveIntervalMs: Number(process.env.POST_ARCHIVE_INTERVAL_MS) || 0,
-    jwtSecret: process.env.JWT_SECRET || 'HelloWorldKey',
+    scheduledPublishIntervalMs: Number(process.env.POST_SCHEDULED_PUBLISH_INTERVAL_MS ?? 60_000),
+    postReviewPolicy: loadPostReviewPolicy(),
+    sessionCacheTtlMs: Number(process.env.SESSION_CACHE_TTL_MS) || 30_000,
+    internalApiToken: process.env.INTERNAL_API_TOKEN || '',
     newsletter: {
         scheduleEnabled: String(process.env.NEWSLETTER_SCHEDULE_ENABLED || 'true').toLowerCase() !== 'false',
         scheduleIntervalMs: Number(process.env.NEWSLETTER_SCHEDULE_INTERVAL_MS) || (60 * 60 * 1000),
         timeZone: process.env.NEWSLETTER_TIMEZONE || 'Asia/Dhaka',
         appBaseUrl: process.env.NEWSLETTER_APP_BASE_URL || 'http://localhost:5173',
-        smtpHost: process.env.SMTP_HOST || '',
-        smtpPort: Number(process.env.SMTP_PORT) || 587,
-        smtpSecure: String(process.env.SMTP_SECURE || 'false').toLowerCase() === 'true',
-        smtpUser: process.env.SMTP_USER || '',
-        smtpPass: process.env.SMTP_PASS || '',
-        smtpFromEmail: process.env.SMTP_FROM_EMAIL || '',
-        smtpFromName: process.env.SMTP_FROM_NAME || 'ICentral Academic Digest',
+        ...readSmtpConfig('ICentral Academic Digest'),
     },
 };
 
@@ -118,9 +163,12 @@ const supabase = (CONFIG.supabaseUrl && CONFIG.supabaseKey)
     ? createClient(CONFIG.supabaseUrl, CONFIG.supabaseKey, {
         auth: { persistSession: false },
         db: { schema: CONFIG.schema },
+        global: { fetch: tracedFetch },
     })
     : null;
 let newsletterTransporter = null;
+const outbox = createOutbox({ supabase, table: CONFIG.tables.outbox, source: 'post-service' });
+const newsletterEmails = createCounter('newsletter_emails_total', 'Newsletter emails, by delivery outcome.', ['outcome']);
 
 function isSupabaseConfigured() {
     return Boolean(supabase);
@@ -172,11 +220,11 @@ function normalizeSearchQuery(value) {
         .replace(/\s+/g, ' ');
 }
 
-function encodeSearchCursor({ rank, createdAt, id }) {
+function encodeSearchCursor({ rank, publishedAt, id }) {
     const payload = {
         v: 1,
         rank: Number(rank),
-        createdAt: createdAt instanceof Date ? createdAt.toISOString() : new Date(createdAt).toISOString(),
+        publishedAt: publishedAt instanceof Date ? publishedAt.toISOString() : new Date(publishedAt).toISOString(),
         id: String(id),
     };
     return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
@@ -202,14 +250,14 @@ function decodeSearchCursor(value) {
     try {
         const parsed = JSON.parse(decodedText);
         const rank = Number(parsed?.rank);
-        const createdAt = new Date(parsed?.createdAt);
+        const publishedAt = new Date(parsed?.publishedAt);
         const id = normalizeText(parsed?.id);
 
         if (!Number.isFinite(rank)) {
             return { error: 'cursor is invalid' };
         }
 
-        if (Number.isNaN(createdAt.getTime())) {
+        if (Number.isNaN(publishedAt.getTime())) {
             return { error: 'cursor is invalid' };
         }
 
@@ -220,7 +268,7 @@ function decodeSearchCursor(value) {
         return {
             value: {
                 rank,
-                createdAt: createdAt.toISOString(),
+                publishedAt: publishedAt.toISOString(),
                 id,
             },
         };
@@ -301,6 +349,65 @@ function decodeFeedCursor(value) {
     }
 }
 
+const COMMENT_SORTS = ['newest', 'oldest', 'top'];
+
+function normalizeCommentSort(value, fallback = 'newest') {
+    const normalized = String(value || '').trim().toLowerCase();
+    return COMMENT_SORTS.includes(normalized) ? normalized : fallback;
+}
+
+function encodeCommentCursor({ sort, row }) {
+    return Buffer.from(JSON.stringify({
+        v: 1,
+        sort,
+        upvoteCount: Number(row.upvote_count) || 0,
+        createdAt: row.created_at,
+        id: String(row.id),
+    }), 'utf8').toString('base64url');
+}
+
+function decodeCommentCursor(value) {
+    if (!value) return { value: null };
+
+    try {
+        const parsed = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        const createdAt = new Date(parsed?.createdAt);
+        const id = normalizeText(parsed?.id);
+        const upvoteCount = Number.parseInt(parsed?.upvoteCount, 10);
+        if (!COMMENT_SORTS.includes(parsed?.sort) || Number.isNaN(createdAt.getTime()) || /"/.test(parsed.createdAt)
+            || !/^[0-9a-f-]{36}$/i.test(id) || !Number.isFinite(upvoteCount)) {
+            return { error: 'cursor is invalid' };
+        }
+        // created_at is kept as stored: timestamps have microseconds, which a
+        // round trip through Date would drop.
+        return {
+            value: {
+                sort: parsed.sort,
+                upvoteCount,
+                createdAt: String(parsed.createdAt),
+                id,
+            },
+        };
+    } catch {
+        return { error: 'cursor is invalid' };
+    }
+}
+
+// PostgREST `or` filter for the rows after `cursor` in the given sort order.
+function buildCommentCursorFilter(sort, cursor) {
+    const createdAt = `"${cursor.createdAt}"`;
+    if (sort === 'top') {
+        return [
+            `upvote_count.lt.${cursor.upvoteCount}`,
+            `and(upvote_count.eq.${cursor.upvoteCount},created_at.gt.${createdAt})`,
+            `and(upvote_count.eq.${cursor.upvoteCount},created_at.eq.${createdAt},id.gt.${cursor.id})`,
+        ].join(',');
+    }
+
+    const op = sort === 'oldest' ? 'gt' : 'lt';
+    return `created_at.${op}.${createdAt},and(created_at.eq.${createdAt},id.${op}.${cursor.id})`;
+}
+
 function sortFeedItems(items = [], sort = 'new') {
     const normalizedSort = normalizeFeedSortOption(sort);
     const cloned = items.slice();
@@ -311,9 +418,9 @@ function sortFeedItems(items = [], sort = 'new') {
             const upvotesB = Number.isFinite(Number(b?.upvoteCount)) ? Math.trunc(Number(b.upvoteCount)) : 0;
             if (upvotesB !== upvotesA) return upvotesB - upvotesA;
 
-            const createdAtA = a?.createdAt ? new Date(a.createdAt).getTime() : 0;
-            const createdAtB = b?.createdAt ? new Date(b.createdAt).getTime() : 0;
-            if (createdAtB !== createdAtA) return createdAtB - createdAtA;
+            const timeA = getFeedSortTime(a);
+            const timeB = getFeedSortTime(b);
+            if (timeB !== timeA) return timeB - timeA;
 
             return String(b?.id || '').localeCompare(String(a?.id || ''));
         });
@@ -321,14 +428,21 @@ function sortFeedItems(items = [], sort = 'new') {
     }
 
     cloned.sort((a, b) => {
-        const createdAtA = a?.createdAt ? new Date(a.createdAt).getTime() : 0;
-        const createdAtB = b?.createdAt ? new Date(b.createdAt).getTime() : 0;
-        if (createdAtB !== createdAtA) return createdAtB - createdAtA;
+        const timeA = getFeedSortTime(a);
+        const timeB = getFeedSortTime(b);
+        if (timeB !== timeA) return timeB - timeA;
         return String(b?.id || '').localeCompare(String(a?.id || ''));
     });
     return cloned;
 }
 
+// Live posts sort by when they went live; drafts and other unpublished posts
+// have no publishedAt and fall back to when they were written.
+function getFeedSortTime(item) {
+    const value = item?.publishedAt || item?.createdAt;
+    return value ? new Date(value).getTime() : 0;
+}
+
 function pickDefined(fields) {
     return Object.fromEntries(
         Object.entries(fields).filter(([, value]) => value !== undefined)
@@ -585,6 +699,11 @@ function mapPost(row) {
         status: row.status,
         pinned: row.pinned,
         expiresAt: row.expires_at,
+        publishAt: row.publish_at || null,
+        publishedAt: row.published_at || null,
+        reviewNote: row.review_note || null,
+        reviewedAt: row.reviewed_at || null,
+        editedAt: row.last_edited_at || null,
         createdAt: row.created_at,
         updatedAt: row.updated_at,
     };
@@ -609,6 +728,7 @@ function parseVoteInput(value) {
 
 function parseCommentInput(body = {}) {
     const content = normalizeText(body.content ?? body.comment ?? body.text);
+    const parentCommentId = normalizeText(body.parentCommentId ?? body.parent_comment_id) || null;
     const errors = [];
     if (!content) {
         errors.push('content is required');
@@ -616,9 +736,11 @@ function parseCommentInput(body = {}) {
         errors.push('content is too long');
     }
 
-    return { content, errors };
+    return { content, parentCommentId, errors };
 }
 
+const COMMENT_REACTIONS = ['upvote', 'like', 'celebrate', 'insightful', 'funny'];
+
 function parseVolunteerEnrollmentInput(body = {}) {
     const fullName = normalizeText(body.fullName ?? body.full_name ?? body.name);
     const contactInfo = normalizeText(body.contactInfo ?? body.contact_info ?? body.contact);
@@ -663,15 +785,26 @@ function parseVolunteerEnrollmentInput(body = {}) {
     };
 }
 
-function mapComment(row, author = null) {
+// A deleted comment that still has replies stays in the thread without its
+// author or content.
+function mapComment(row, author = null, reactionSummary = null, mentions = []) {
+    const deleted = Boolean(row.deleted_at);
     return {
         id: row.id,
         postId: row.post_id,
-        authorId: row.author_id,
-        content: row.content,
+        parentCommentId: row.parent_comment_id || null,
+        depth: row.depth || 0,
+        authorId: deleted ? null : row.author_id,
+        content: deleted ? '' : row.content,
+        deleted,
+        replyCount: row.reply_count || 0,
+        upvoteCount: row.upvote_count || 0,
+        reactions: reactionSummary?.counts || {},
+        viewerReactions: reactionSummary?.viewerReactions || [],
+        mentions: deleted ? [] : mentions,
         createdAt: row.created_at,
         updatedAt: row.updated_at,
-        author,
+        author: deleted ? null : author,
     };
 }
 
@@ -717,6 +850,12 @@ function collabSchemaError(res) {
     });
 }
 
+function postRevisionsSchemaError(res) {
+    return res.status(500).json({
+        error: `Missing post revisions table. Run services/post-service/schema.sql first.`,
+    });
+}
+
 function newsletterSchemaError(res) {
     return res.status(500).json({
         error: `Missing newsletter tables. Run services/post-service/schema.sql first.`,
@@ -744,8 +883,8 @@ function ensureSearchDb(req, res, next) {
     return next();
 }
 
-function ensureAuthenticated(req, res, next) {
-    const requestUser = getRequestUser(req);
+async function ensureAuthenticated(req, res, next) {
+    const requestUser = await getRequestUser(req);
     if (!requestUser?.id) {
         return res.status(401).json({ error: 'Authentication required' });
     }
@@ -753,6 +892,21 @@ function ensureAuthenticated(req, res, next) {
     return next();
 }
 
+// Sweep routes are for schedulers and other services only. The gateway does
+// not forward /posts/internal, and callers must present INTERNAL_API_TOKEN.
+function ensureInternalCaller(req, res, next) {
+    if (!CONFIG.internalApiToken) {
+        return res.status(503).json({ error: 'Internal API is not configured', requiredEnv: ['INTERNAL_API_TOKEN'] });
+    }
+
+    const presented = Buffer.from(String(req.headers['x-internal-token'] || ''));
+    const expected = Buffer.from(CONFIG.internalApiToken);
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        return res.status(401).json({ error: 'Invalid internal token' });
+    }
+    return next();
+}
+
 function ensureModerator(req, res, next) {
     if (!isModeratorRole(req.requestUser?.role)) {
         return res.status(403).json({ error: 'Only faculty/admin can access this route.' });
@@ -760,16 +914,57 @@ function ensureModerator(req, res, next) {
     return next();
 }
 
-function getRequestUser(req) {
-    const header = req.headers.authorization || '';
-    if (!header.startsWith('Bearer ')) return null;
+const sessionStatusCache = new Map();
+
+async function isSessionActive(sessionId) {
+    if (!sessionId || !supabase) return false;
+
+    const now = Date.now();
+    const cached = sessionStatusCache.get(sessionId);
+    if (cached && cached.checkedUntil > now) {
+        return cached.active;
+    }
+
+    const { data, error } = await supabase
+        .from(CONFIG.tables.authSessions)
+        .select('id, revoked_at, expires_at')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error && error.code !== '22P02') {
+        throw error;
+    }
+
+    const active = Boolean(data && !data.revoked_at && new Date(data.expires_at).getTime() > now);
+    if (sessionStatusCache.size > 5000) {
+        sessionStatusCache.clear();
+    }
+    sessionStatusCache.set(sessionId, { active, checkedUntil: now + CONFIG.sessionCacheTtlMs });
+    return active;
+}
+
+async function getRequestUser(req) {
+    // Prefer the identity the gateway already verified; the bearer token is
+    // only checked here for direct (non-gateway) calls.
+    let payload = readGatewayIdentity(req);
+    if (!payload) {
+        const header = req.headers.authorization || '';
+        if (!header.startsWith('Bearer ')) return null;
 
-    const token = header.slice(7).trim();
-    if (!token) return null;
+        const token = header.slice(7).trim();
+        if (!token) return null;
+
+        try {
+            payload = await verifyAccessToken(token);
+        } catch {
+            return null;
+        }
+    }
 
     try {
-        return jwt.verify(token, CONFIG.jwtSecret);
-    } catch {
+        return await isSessionActive(payload?.sid) ? payload : null;
+    } catch (error) {
+        logger.error('Session check failed', { error: formatSupabaseError(error) });
         return null;
     }
 }
@@ -779,6 +974,12 @@ function isModeratorRole(role) {
     return normalized === 'admin' || normalized === 'faculty';
 }
 
+function requiresPostReview(role, type) {
+    if (isModeratorRole(role)) return false;
+    const types = CONFIG.postReviewPolicy[String(role || 'anonymous').toLowerCase()] || [];
+    return types.includes('*') || types.includes(String(type || '').trim().toUpperCase());
+}
+
 function isAlumniRole(role) {
     return String(role || '').toLowerCase() === 'alumni';
 }
@@ -792,10 +993,7 @@ function canCreateJobAsBypassRole(role) {
 }
 
 function isNewsletterEmailConfigured() {
-    return Boolean(
-        normalizeText(CONFIG.newsletter.smtpHost)
-        && normalizeText(CONFIG.newsletter.smtpFromEmail)
-    );
+    return isSmtpConfigured(CONFIG.newsletter);
 }
 
 function getNewsletterTransporter() {
@@ -807,19 +1005,7 @@ function getNewsletterTransporter() {
     }
 
     if (!newsletterTransporter) {
-        const auth = normalizeText(CONFIG.newsletter.smtpUser)
-            ? {
-                user: CONFIG.newsletter.smtpUser,
-                pass: CONFIG.newsletter.smtpPass,
-            }
-            : undefined;
-
-        newsletterTransporter = nodemailer.createTransport({
-            host: CONFIG.newsletter.smtpHost,
-            port: CONFIG.newsletter.smtpPort,
-            secure: CONFIG.newsletter.smtpSecure,
-            ...(auth ? { auth } : {}),
-        });
+        newsletterTransporter = createSmtpTransporter(CONFIG.newsletter);
     }
 
     return newsletterTransporter;
@@ -865,6 +1051,35 @@ async function getAlumniVerificationStatus(applicantId) {
     return resolveVerificationStatus(data || []);
 }
 
+// Statuses a client may ask for. pending_review, changes_requested and
+// rejected are only set by the review flow.
+const POST_INPUT_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+// Statuses anyone may read. Everything else is visible to the author and to
+// moderators, who find it through /review-queue.
+const PUBLIC_POST_STATUSES = ['published', 'archived'];
+
+function canViewPost({ status, authorId }, requestUser) {
+    if (PUBLIC_POST_STATUSES.includes(String(status || '').toLowerCase())) return true;
+    if (!requestUser?.id) return false;
+    return authorId === requestUser.id || isModeratorRole(requestUser.role);
+}
+
+// Only an author lists their own unpublished posts in the feed.
+function applyFeedStatusFilter(query, { status, includeArchived, listsOwnPosts }) {
+    if (status && status !== 'all') return query.eq('status', status);
+    if (!listsOwnPosts) {
+        return includeArchived ? query.in('status', PUBLIC_POST_STATUSES) : query.eq('status', 'published');
+    }
+    if (!status && !includeArchived) return query.eq('status', 'published');
+    if (status === 'all' && !includeArchived) return query.neq('status', 'archived');
+    return query;
+}
+const POST_REVIEW_ACTIONS = {
+    approve: 'approved',
+    reject: 'rejected',
+    request_changes: 'changes_requested',
+};
+
 function buildPostPayload(body, { partial = false } = {}) {
     const errors = [];
 
@@ -877,6 +1092,15 @@ function buildPostPayload(body, { partial = false } = {}) {
         errors.push(expiresAtResult.error);
     }
 
+    const publishAtResult = normalizeDate(
+        body.publishAt !== undefined ? body.publishAt : body.publish_at,
+        'publishAt'
+    );
+
+    if (publishAtResult.error) {
+        errors.push(publishAtResult.error);
+    }
+
     const statusInput = body.status;
     const archiveInput = body.archive;
     let status = statusInput;
@@ -893,6 +1117,7 @@ function buildPostPayload(body, { partial = false } = {}) {
         status: status,
         pinned: body.pinned !== undefined ? parseBool(body.pinned) : undefined,
         expires_at: expiresAtResult.value,
+        publish_at: publishAtResult.value,
     });
 
     if (typeof postFields.type === 'string') {
@@ -909,7 +1134,7 @@ function buildPostPayload(body, { partial = false } = {}) {
             errors.push('authorId cannot be empty');
         }
         if (!postFields.status) {
-            postFields.status = 'draft';
+            postFields.status = postFields.publish_at ? 'scheduled' : 'draft';
         }
         if (postFields.pinned === undefined) {
             postFields.pinned = false;
@@ -927,6 +1152,31 @@ function buildPostPayload(body, { partial = false } = {}) {
     }
     if (postFields.status !== undefined && typeof postFields.status !== 'string') {
         errors.push('status must be a string');
+    } else if (postFields.status !== undefined && !POST_INPUT_STATUSES.includes(postFields.status)) {
+        errors.push(`status must be one of ${POST_INPUT_STATUSES.join(', ')}`);
+    }
+
+    // A publish time on its own schedules the post. Moving a post to any other
+    // status clears the schedule.
+    if (postFields.publish_at && postFields.status === undefined) {
+        postFields.status = 'scheduled';
+    }
+    if (typeof postFields.status === 'string' && postFields.status !== 'scheduled') {
+        if (postFields.publish_at) {
+            errors.push('publishAt can only be set on scheduled posts');
+        } else if (partial) {
+            postFields.publish_at = null;
+        }
+    }
+    if (postFields.status === 'scheduled' && !partial && !postFields.publish_at) {
+        errors.push('publishAt is required for scheduled posts');
+    }
+    if (postFields.publish_at && new Date(postFields.publish_at).getTime() <= Date.now()) {
+        errors.push('publishAt must be in the future');
+    }
+    if (postFields.publish_at && postFields.expires_at
+        && new Date(postFields.expires_at).getTime() <= new Date(postFields.publish_at).getTime()) {
+        errors.push('expiresAt must be after publishAt');
     }
 
     let tagIds = [];
@@ -1028,6 +1278,37 @@ async function archiveExpiredPosts() {
     return { archivedCount: data?.length || 0 };
 }
 
+// Publishes scheduled posts whose time has come. published_at records the
+// go-live time, which is what the feed sorts by.
+async function publishScheduledPosts() {
+    if (!isSupabaseConfigured()) {
+        return { publishedCount: 0, skipped: true };
+    }
+
+    const nowIso = new Date().toISOString();
+    const { data, error } = await supabase
+        .from(CONFIG.tables.posts)
+        .update({ status: 'published', published_at: nowIso, updated_at: nowIso })
+        .eq('status', 'scheduled')
+        .lte('publish_at', nowIso)
+        .select('*');
+
+    if (error) {
+        throw error;
+    }
+
+    for (const row of data || []) {
+        const post = await getPostById(row.id).catch(() => null) || mapPost(row);
+        await recordPostPublished(post).catch((outboxError) => {
+            logger.error('Could not record post.published', { postId: row.id, error: formatSupabaseError(outboxError) });
+        });
+        notifyAnnouncementPublished(post);
+        await notifyPendingMentions(row.id);
+    }
+
+    return { publishedCount: data?.length || 0 };
+}
+
 async function getPostRefs(postIds) {
     if (!postIds.length) return new Map();
 
@@ -1201,7 +1482,8 @@ async function getCommentCountByPostIds(postIds = []) {
     const { data, error } = await supabase
         .from(CONFIG.tables.postComments)
         .select('post_id')
-        .in('post_id', postIds);
+        .in('post_id', postIds)
+        .is('deleted_at', null);
 
     if (error) {
         if (isMissingTableError(error)) return new Map();
@@ -1216,32 +1498,399 @@ async function getCommentCountByPostIds(postIds = []) {
     return countByPostId;
 }
 
-async function getCommentsForPost(postId, { limit = 50, offset = 0 } = {}) {
-    const { data, error, count } = await supabase
-        .from(CONFIG.tables.postComments)
-        .select('*', { count: 'exact' })
-        .eq('post_id', postId)
-        .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1);
+async function getCommentReactionSummaries(commentIds = [], requestUserId = null) {
+    if (!commentIds.length) return new Map();
+
+    const { data, error } = await supabase
+        .from(CONFIG.tables.postCommentReactions)
+        .select('comment_id, user_id, reaction')
+        .in('comment_id', commentIds);
 
     if (error) {
+        if (isMissingTableError(error)) return new Map();
         throw error;
     }
 
-    const rows = data || [];
+    const summaryByCommentId = new Map();
+    for (const row of data || []) {
+        const summary = summaryByCommentId.get(row.comment_id) || { counts: {}, viewerReactions: [] };
+        summary.counts[row.reaction] = (summary.counts[row.reaction] || 0) + 1;
+        if (requestUserId && String(row.user_id) === String(requestUserId)) {
+            summary.viewerReactions.push(row.reaction);
+        }
+        summaryByCommentId.set(row.comment_id, summary);
+    }
+    return summaryByCommentId;
+}
+
+async function mapCommentRows(rows = [], requestUserId = null) {
     const authorIds = [...new Set(rows.map((row) => row.author_id).filter(Boolean))];
-    const userMap = await getUsersByIds(authorIds);
+    const commentIds = rows.map((row) => row.id);
+    const [userMap, reactionsByCommentId, mentionsByCommentId] = await Promise.all([
+        getUsersByIds(authorIds),
+        getCommentReactionSummaries(commentIds, requestUserId),
+        getMentionsByTarget('comment_id', commentIds),
+    ]);
+    return rows.map((row) => mapComment(
+        row,
+        userMap.get(row.author_id) || null,
+        reactionsByCommentId.get(row.id) || null,
+        mentionsByCommentId.get(row.id) || []
+    ));
+}
+
+/**
+ * One page of a post's top-level comments, or of the direct replies to
+ * `parentCommentId`. Pages continue from `cursor` (from a previous page's
+ * nextCursor) or, for older clients, from `offset`.
+ */
+async function getCommentsForPost(postId, {
+    parentCommentId = null,
+    sort = 'newest',
+    limit = 50,
+    offset = 0,
+    cursor = null,
+    requestUserId = null,
+} = {}) {
+    function scoped(query) {
+        const forPost = query.eq('post_id', postId);
+        return parentCommentId
+            ? forPost.eq('parent_comment_id', parentCommentId)
+            : forPost.is('parent_comment_id', null);
+    }
+
+    let query = scoped(supabase.from(CONFIG.tables.postComments).select('*'));
+    if (sort === 'top') {
+        query = query
+            .order('upvote_count', { ascending: false })
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true });
+    } else {
+        const ascending = sort === 'oldest';
+        query = query
+            .order('created_at', { ascending })
+            .order('id', { ascending });
+    }
+    // One extra row tells whether there is a next page.
+    query = cursor
+        ? query.or(buildCommentCursorFilter(sort, cursor)).limit(limit + 1)
+        : query.range(offset, offset + limit);
+
+    const [{ data, error }, { count, error: countError }] = await Promise.all([
+        query,
+        scoped(supabase.from(CONFIG.tables.postComments).select('id', { count: 'exact', head: true })),
+    ]);
+
+    if (error) {
+        throw error;
+    }
+    if (countError) {
+        throw countError;
+    }
 
+    const rows = (data || []).slice(0, limit);
+    const hasMore = (data || []).length > limit;
     return {
-        data: rows.map((row) => mapComment(row, userMap.get(row.author_id) || null)),
+        data: await mapCommentRows(rows, requestUserId),
         pagination: {
             limit,
-            offset,
+            offset: cursor ? null : offset,
             total: count ?? rows.length,
+            nextCursor: hasMore ? encodeCommentCursor({ sort, row: rows[rows.length - 1] }) : null,
         },
     };
 }
 
+async function refreshCommentReplyCount(commentId) {
+    const { count, error } = await supabase
+        .from(CONFIG.tables.postComments)
+        .select('id', { count: 'exact', head: true })
+        .eq('parent_comment_id', commentId);
+
+    if (error) {
+        throw error;
+    }
+
+    const { error: updateError } = await supabase
+        .from(CONFIG.tables.postComments)
+        .update({ reply_count: count || 0 })
+        .eq('id', commentId);
+
+    if (updateError) {
+        throw updateError;
+    }
+    return count || 0;
+}
+
+async function refreshCommentUpvoteCount(commentId) {
+    const { count, error } = await supabase
+        .from(CONFIG.tables.postCommentReactions)
+        .select('comment_id', { count: 'exact', head: true })
+        .eq('comment_id', commentId)
+        .eq('reaction', 'upvote');
+
+    if (error) {
+        throw error;
+    }
+
+    const { error: updateError } = await supabase
+        .from(CONFIG.tables.postComments)
+        .update({ upvote_count: count || 0 })
+        .eq('id', commentId);
+
+    if (updateError) {
+        throw updateError;
+    }
+}
+
+// Removes deleted comments that no longer hold up any replies, walking up
+// from `commentId`.
+async function pruneDeletedCommentAncestors(postId, commentId) {
+    let currentId = commentId;
+    while (currentId) {
+        const comment = await getPostCommentById(postId, currentId);
+        if (!comment) return;
+
+        const replyCount = await refreshCommentReplyCount(currentId);
+        if (!comment.deleted_at || replyCount > 0) return;
+
+        const { error } = await supabase
+            .from(CONFIG.tables.postComments)
+            .delete()
+            .eq('id', currentId);
+
+        if (error) {
+            throw error;
+        }
+        currentId = comment.parent_comment_id;
+    }
+}
+
+// @mentions in post summaries and comments. A handle is a university ID or a
+// full name with its words joined by dots, dashes or underscores (@jane_doe).
+// A name that several users share is left unresolved rather than guessed.
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}][\p{L}\p{N}._-]*)/gu;
+const MAX_MENTIONS_PER_TEXT = 20;
+
+function extractMentionHandles(text) {
+    const handles = new Map();
+    for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+        const handle = match[2].replace(/[._-]+$/, '').slice(0, 80);
+        const key = handle.toLowerCase();
+        if (!handle || handles.has(key)) continue;
+        handles.set(key, handle);
+        if (handles.size >= MAX_MENTIONS_PER_TEXT) break;
+    }
+    return [...handles.values()];
+}
+
+function toMentionNameKey(value) {
+    return String(value || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(' ');
+}
+
+// Map of mentioned user id -> the handles that named them. Only active users
+// who left the `mentions` flag of their profile visibility on are resolved.
+async function resolveMentionedUsers(handles = []) {
+    if (!handles.length) return new Map();
+
+    const namePatterns = [...new Set(handles.map((handle) => toMentionNameKey(handle).split(' ').join('%')))]
+        .filter(Boolean);
+    const universityIds = [...new Set(handles.flatMap((handle) => [handle, handle.toUpperCase(), handle.toLowerCase()]))];
+    const userColumns = 'id, full_name, university_id, account_status';
+
+    const [byUniversityId, byName] = await Promise.all([
+        supabase.from(CONFIG.tables.users).select(userColumns).in('university_id', universityIds),
+        namePatterns.length
+            ? supabase
+                .from(CONFIG.tables.users)
+                .select(userColumns)
+                .or(namePatterns.map((pattern) => `full_name.ilike.${pattern}`).join(','))
+            : { data: [] },
+    ]);
+    if (byUniversityId.error) throw byUniversityId.error;
+    if (byName.error) throw byName.error;
+
+    const candidateById = new Map();
+    for (const row of [...(byUniversityId.data || []), ...(byName.data || [])]) {
+        if (row.account_status === 'active') candidateById.set(row.id, row);
+    }
+    if (!candidateById.size) return new Map();
+
+    const { data: profileRows, error: profileError } = await supabase
+        .from(CONFIG.tables.userProfiles)
+        .select('user_id, visibility')
+        .in('user_id', [...candidateById.keys()]);
+    if (profileError && !isMissingTableError(profileError)) {
+        throw profileError;
+    }
+    // Hidden users still count towards a shared name being ambiguous.
+    const hiddenUserIds = new Set((profileRows || [])
+        .filter((row) => row.visibility?.mentions === false)
+        .map((row) => row.user_id));
+
+    const candidates = [...candidateById.values()];
+    const handlesByUserId = new Map();
+    for (const handle of handles) {
+        const byId = candidates.filter((row) => String(row.university_id || '').toLowerCase() === handle.toLowerCase());
+        const nameKey = toMentionNameKey(handle);
+        const matches = byId.length ? byId : candidates.filter((row) => toMentionNameKey(row.full_name) === nameKey);
+        if (matches.length !== 1 || hiddenUserIds.has(matches[0].id)) continue;
+
+        const userHandles = handlesByUserId.get(matches[0].id) || [];
+        userHandles.push(handle);
+        handlesByUserId.set(matches[0].id, userHandles);
+    }
+    return handlesByUserId;
+}
+
+/**
+ * Brings the mention rows of a post's summary, or of one of its comments when
+ * `commentId` is given, in line with `text`. New rows are notified by
+ * notifyPendingMentions.
+ */
+async function syncMentions(postId, { commentId = null, text, mentionedBy = null }) {
+    const handlesByUserId = await resolveMentionedUsers(extractMentionHandles(text));
+
+    let existingQuery = supabase
+        .from(CONFIG.tables.postMentions)
+        .select('id, mentioned_user_id, handles')
+        .eq('post_id', postId);
+    existingQuery = commentId ? existingQuery.eq('comment_id', commentId) : existingQuery.is('comment_id', null);
+    const { data: existingRows, error } = await existingQuery;
+
+    if (error) {
+        throw error;
+    }
+
+    const existingByUserId = new Map((existingRows || []).map((row) => [row.mentioned_user_id, row]));
+    const staleIds = (existingRows || [])
+        .filter((row) => !handlesByUserId.has(row.mentioned_user_id))
+        .map((row) => row.id);
+    if (staleIds.length) {
+        const { error: deleteError } = await supabase
+            .from(CONFIG.tables.postMentions)
+            .delete()
+            .in('id', staleIds);
+
+        if (deleteError) {
+            throw deleteError;
+        }
+    }
+
+    const newRows = [];
+    for (const [userId, handles] of handlesByUserId) {
+        const existing = existingByUserId.get(userId);
+        if (!existing) {
+            newRows.push({
+                post_id: postId,
+                comment_id: commentId,
+                mentioned_user_id: userId,
+                mentioned_by: mentionedBy,
+                handles,
+            });
+        } else if (JSON.stringify(existing.handles || []) !== JSON.stringify(handles)) {
+            const { error: updateError } = await supabase
+                .from(CONFIG.tables.postMentions)
+                .update({ handles })
+                .eq('id', existing.id);
+
+            if (updateError) {
+                throw updateError;
+            }
+        }
+    }
+
+    if (newRows.length) {
+        const { error: insertError } = await supabase
+            .from(CONFIG.tables.postMentions)
+            .insert(newRows);
+
+        // 23505: a concurrent save of the same text added them first.
+        if (insertError && insertError.code !== '23505') {
+            throw insertError;
+        }
+    }
+}
+
+// Mentions are recorded and notified after the post or comment is saved, so
+// these two log failures rather than failing the request.
+async function recordMentions(postId, { commentId = null, text, mentionedBy = null }) {
+    try {
+        await syncMentions(postId, { commentId, text, mentionedBy });
+    } catch (error) {
+        logger.error('Could not record mentions', { postId, commentId, error: formatSupabaseError(error) });
+    }
+}
+
+// Notifies users mentioned in a published post, or in its comments, who were
+// not notified yet; mentions in a post that is not live wait until it is
+// published. Rows are claimed before notifying, so two calls never send the
+// same mention twice.
+async function notifyPendingMentions(postId) {
+    try {
+        const postRow = await getPostMetaById(postId);
+        if (!postRow || String(postRow.status || '').toLowerCase() !== 'published') return;
+
+        const { data: claimedRows, error } = await supabase
+            .from(CONFIG.tables.postMentions)
+            .update({ notified_at: new Date().toISOString() })
+            .eq('post_id', postId)
+            .is('notified_at', null)
+            .select('id, comment_id, mentioned_user_id, mentioned_by');
+
+        if (error) {
+            throw error;
+        }
+
+        const rows = (claimedRows || [])
+            .filter((row) => String(row.mentioned_user_id) !== String(row.mentioned_by || ''));
+        if (!rows.length) return;
+
+        const actorMap = await getUsersByIds([...new Set(rows.map((row) => row.mentioned_by).filter(Boolean))]);
+        for (const row of rows) {
+            notifyMentioned({ mentionRow: row, postRow, actor: actorMap.get(row.mentioned_by) || null });
+        }
+    } catch (error) {
+        logger.error('Could not notify mentioned users', { postId, error: formatSupabaseError(error) });
+    }
+}
+
+/**
+ * Mentioned users by post id (summary mentions) or by comment id, depending on
+ * `column`, as `[{ userId, fullName, handles }]` in the order they were added.
+ */
+async function getMentionsByTarget(column, ids = []) {
+    if (!ids.length) return new Map();
+
+    let query = supabase
+        .from(CONFIG.tables.postMentions)
+        .select('post_id, comment_id, mentioned_user_id, handles')
+        .in(column, ids)
+        .order('created_at', { ascending: true });
+    if (column === 'post_id') {
+        query = query.is('comment_id', null);
+    }
+    const { data, error } = await query;
+
+    if (error) {
+        if (isMissingTableError(error)) return new Map();
+        throw error;
+    }
+
+    const userMap = await getUsersByIds([...new Set((data || []).map((row) => row.mentioned_user_id))]);
+    const mentionsByTarget = new Map();
+    for (const row of data || []) {
+        const mentions = mentionsByTarget.get(row[column]) || [];
+        mentions.push({
+            userId: row.mentioned_user_id,
+            fullName: userMap.get(row.mentioned_user_id)?.fullName || null,
+            handles: Array.isArray(row.handles) ? row.handles : [],
+        });
+        mentionsByTarget.set(row[column], mentions);
+    }
+    return mentionsByTarget;
+}
+
 async function getPostCommentById(postId, commentId) {
     const { data, error } = await supabase
         .from(CONFIG.tables.postComments)
@@ -1337,6 +1986,7 @@ async function enrichPosts(postRows, { requestUserId = null } = {}) {
     const voteSummaryByPostId = await getVoteSummaryByPostIds(postIds, requestUserId);
     const commentCountByPostId = await getCommentCountByPostIds(postIds);
     const volunteerSummaryByPostId = await getEventVolunteerSummaryByPostIds(postIds, requestUserId);
+    const mentionsByPostId = await getMentionsByTarget('post_id', postIds);
 
     return withTags.map((post) => {
         const voteSummary = voteSummaryByPostId.get(post.id) || {
@@ -1367,6 +2017,7 @@ async function enrichPosts(postRows, { requestUserId = null } = {}) {
             commentsCount: commentCount,
             volunteerCount: volunteerSummary.volunteerCount,
             viewerHasVolunteerEnrollment: Boolean(volunteerSummary.viewerHasVolunteerEnrollment),
+            mentions: mentionsByPostId.get(post.id) || [],
         };
     });
 }
@@ -1456,6 +2107,187 @@ async function replacePostRef(postId, ref) {
     }
 }
 
+// Collaboration fields an owner can edit, kept in each revision alongside the
+// post's title, summary, tags and refs.
+const POST_REVISION_COLLAB_FIELDS = [
+    'category',
+    'description',
+    'mode',
+    'time_commitment_hours_per_week',
+    'duration',
+    'openings',
+    'preferred_background',
+    'contact_method',
+    'deadline',
+];
+
+function isImageUploadRef(ref) {
+    return String(ref?.service || '').toLowerCase() === 'image-upload';
+}
+
+// Uploaded image data stays out of revisions to keep them small, so an
+// image ref keeps only its file details.
+function toRevisionRef(ref) {
+    const metadata = { ...(ref.metadata || {}) };
+    if (isImageUploadRef(ref)) delete metadata.imageDataUrl;
+    return { service: ref.service, entity_id: ref.entityId ?? ref.entity_id, metadata };
+}
+
+/**
+ * Reads the editable content of a post as it is stored right now. Returns
+ * { postRow, content }, or null when the post does not exist.
+ */
+async function capturePostContent(postId) {
+    const { data: postRow, error } = await supabase
+        .from(CONFIG.tables.posts)
+        .select('id, type, title, summary, author_id, updated_at')
+        .eq('id', postId)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    if (!postRow) return null;
+
+    const [[tagged], refsByPostId] = await Promise.all([
+        attachTags([{ id: postRow.id }]),
+        getPostRefs([postRow.id]),
+    ]);
+    const refs = (refsByPostId.get(postRow.id) || [])
+        .map(toRevisionRef)
+        .sort((a, b) => `${a.service}:${a.entity_id}`.localeCompare(`${b.service}:${b.entity_id}`));
+
+    let collab = null;
+    if (isCollabType(postRow.type)) {
+        const meta = await getCollabPostMetaById(postRow.id);
+        if (meta) {
+            const skillsByPostId = await getCollabSkillsByPostIds([postRow.id]);
+            collab = {};
+            for (const field of POST_REVISION_COLLAB_FIELDS) {
+                collab[field] = meta.collabRow[field] ?? null;
+            }
+            collab.required_skills = [...(skillsByPostId.get(postRow.id) || [])].sort();
+        }
+    }
+
+    return {
+        postRow,
+        content: {
+            title: postRow.title || null,
+            summary: postRow.summary || null,
+            tags: (tagged?.tags || []).map((tag) => tag.name).sort(),
+            refs,
+            collab,
+        },
+    };
+}
+
+function isSamePostContent(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Records the post's current content as a new revision when it differs from
+ * `before`, the capturePostContent() result taken ahead of the edit. The first
+ * recorded edit also stores `before` as revision 1, so the original wording is
+ * kept for posts that predate revisions. Returns the new revision row, or null
+ * when the content did not change.
+ */
+async function recordPostRevision(postId, { before, editorId, restoredFrom = null }) {
+    const after = await capturePostContent(postId);
+    if (!after || (before && isSamePostContent(before.content, after.content))) {
+        return null;
+    }
+
+    // Two edits saved at the same moment can pick the same revision number;
+    // the unique index rejects one of them and it tries the next number.
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+        const { data: latestRows, error: latestError } = await supabase
+            .from(CONFIG.tables.postRevisions)
+            .select('revision_number')
+            .eq('post_id', postId)
+            .order('revision_number', { ascending: false })
+            .limit(1);
+
+        if (latestError) {
+            throw latestError;
+        }
+
+        let nextNumber = (latestRows?.[0]?.revision_number || 0) + 1;
+        const rows = [];
+        if (nextNumber === 1 && before) {
+            rows.push({
+                post_id: postId,
+                revision_number: 1,
+                editor_id: before.postRow.author_id,
+                ...before.content,
+                created_at: before.postRow.updated_at,
+            });
+            nextNumber = 2;
+        }
+
+        const nowIso = new Date().toISOString();
+        rows.push({
+            post_id: postId,
+            revision_number: nextNumber,
+            editor_id: editorId,
+            ...after.content,
+            restored_from: restoredFrom,
+            created_at: nowIso,
+        });
+
+        const { data: insertedRows, error: insertError } = await supabase
+            .from(CONFIG.tables.postRevisions)
+            .insert(rows)
+            .select('*');
+
+        if (insertError?.code === '23505') continue;
+        if (insertError) {
+            throw insertError;
+        }
+
+        const { error: touchError } = await supabase
+            .from(CONFIG.tables.posts)
+            .update({ last_edited_at: nowIso })
+            .eq('id', postId);
+
+        if (touchError) {
+            throw touchError;
+        }
+
+        return insertedRows.find((row) => row.revision_number === nextNumber) || null;
+    }
+
+    throw new Error('Could not record the post revision; try again.');
+}
+
+function mapPostRevision(row, userMap = new Map()) {
+    const editor = row.editor_id ? (userMap.get(row.editor_id) || null) : null;
+    return {
+        id: row.id,
+        postId: row.post_id,
+        revisionNumber: row.revision_number,
+        editorId: row.editor_id,
+        editorName: editor?.fullName || editor?.email || null,
+        title: row.title,
+        summary: row.summary,
+        tags: row.tags || [],
+        refs: (row.refs || []).map((ref) => ({
+            service: ref.service,
+            entityId: ref.entity_id,
+            metadata: ref.metadata || {},
+        })),
+        collab: row.collab || null,
+        restoredFrom: row.restored_from ?? null,
+        createdAt: row.created_at,
+    };
+}
+
+function canRestorePostRevision(postRow, requestUser) {
+    if (!requestUser?.id) return false;
+    return String(postRow.author_id || '') === String(requestUser.id) || isModeratorRole(requestUser.role);
+}
+
 async function getPostById(postId, options = {}) {
     const { data, error } = await supabase
         .from(CONFIG.tables.posts)
@@ -1515,6 +2347,7 @@ function mapSearchResultItem(post = {}) {
         status: post.status || null,
         pinned: Boolean(post.pinned),
         expiresAt: post.expiresAt || null,
+        publishedAt: post.publishedAt || null,
         createdAt: post.createdAt || null,
         updatedAt: post.updatedAt || null,
         tags: Array.isArray(post.tags)
@@ -1547,8 +2380,8 @@ function buildSearchPostsSql({ hasCursor }) {
         ? `
     AND (
         rank < $2
-        OR (rank = $2 AND created_at < $3::timestamptz)
-        OR (rank = $2 AND created_at = $3::timestamptz AND id < $4::uuid)
+        OR (rank = $2 AND published_at < $3::timestamptz)
+        OR (rank = $2 AND published_at = $3::timestamptz AND id < $4::uuid)
     )`
         : '';
 
@@ -1564,7 +2397,7 @@ WITH search_input AS (
 ranked_posts AS (
     SELECT
         p.id,
-        p.created_at,
+        COALESCE(p.published_at, p.created_at) AS published_at,
         (
             ts_rank_cd(
                 to_tsvector('english', coalesce(p.title, '') || ' ' || coalesce(p.summary, '')),
@@ -1592,10 +2425,10 @@ ranked_posts AS (
             OR COALESCE(tag_match.is_match, false)
         )
 )
-SELECT id, created_at, rank
+SELECT id, published_at, rank
 FROM ranked_posts
 WHERE rank > 0${cursorFilter}
-ORDER BY rank DESC, created_at DESC, id DESC
+ORDER BY rank DESC, published_at DESC, id DESC
 LIMIT ${limitPlaceholder};
 `;
 }
@@ -1607,7 +2440,7 @@ async function searchPosts({ q, limit, cursor = null, requestUserId = null }) {
 
     if (hasCursor) {
         queryParams.push(cursor.rank);
-        queryParams.push(cursor.createdAt);
+        queryParams.push(cursor.publishedAt);
         queryParams.push(cursor.id);
     }
 
@@ -1637,10 +2470,10 @@ async function searchPosts({ q, limit, cursor = null, requestUserId = null }) {
     if (rankedRows.length > limit && pageRows.length > 0) {
         const last = pageRows[pageRows.length - 1];
         const rank = Number(last.rank);
-        if (Number.isFinite(rank) && last.created_at && last.id) {
+        if (Number.isFinite(rank) && last.published_at && last.id) {
             nextCursor = encodeSearchCursor({
                 rank,
-                createdAt: last.created_at,
+                publishedAt: last.published_at,
                 id: last.id,
             });
         }
@@ -1655,7 +2488,7 @@ async function searchPosts({ q, limit, cursor = null, requestUserId = null }) {
 async function getPostMetaById(postId) {
     const { data, error } = await supabase
         .from(CONFIG.tables.posts)
-        .select('id, type, title, status, author_id')
+        .select('id, type, title, status, author_id, publish_at, published_at')
         .eq('id', postId)
         .maybeSingle();
 
@@ -2349,6 +3182,7 @@ function mapCollabPostRecord({
     downvoteCount = 0,
     commentCount = 0,
     userVote = null,
+    mentions = [],
 }) {
     const safeOpenings = Number.isFinite(Number(collab?.openings))
         ? Math.max(1, Math.trunc(Number(collab.openings)))
@@ -2427,6 +3261,7 @@ function mapCollabPostRecord({
         commentCount: safeNewsletterCount(commentCount),
         commentsCount: safeNewsletterCount(commentCount),
         userVote: userVote === 'up' || userVote === 'down' ? userVote : null,
+        mentions,
     };
 }
 
@@ -2451,6 +3286,7 @@ async function buildCollabPosts(postRows = [], collabRows = [], { requestUserId
     const requestSummary = await getCollabRequestSummaryByPostIds(postIds, requestUserId);
     const voteSummaryByPostId = await getVoteSummaryByPostIds(postIds, requestUserId);
     const commentCountByPostId = await getCommentCountByPostIds(postIds);
+    const mentionsByPostId = await getMentionsByTarget('post_id', postIds);
 
     return withTags.map((post) => {
         const collab = collabByPostId.get(String(post.id));
@@ -2486,6 +3322,7 @@ async function buildCollabPosts(postRows = [], collabRows = [], { requestUserId
             downvoteCount: voteSummary.downvoteCount,
             commentCount,
             userVote: voteSummary.userVote,
+            mentions: mentionsByPostId.get(post.id) || [],
         });
     });
 }
@@ -2830,6 +3667,188 @@ async function getEventVolunteerNotificationsForUser(userId, { limit = EVENT_NOT
         .slice(0, safeLimit);
 }
 
+// Producers for notification-service's inbox. Each dedupe key is the id the
+// computed notification above gives the same event, which is also what
+// notification-service's backfill.js uses, so migrated and new events match.
+function notifyJoinRequestReceived({ requestRow, postRow, requesterUser }) {
+    const item = buildOwnerPendingJoinRequestNotification({ requestRow, postRow, requesterUser });
+    publishNotification({
+        type: 'collab.join_request_received',
+        recipients: { userIds: [postRow.author_id] },
+        title: 'New join request received',
+        body: `${item.actorName} requested to join "${item.postTitle}".`,
+        link: `/collaborate/${encodeURIComponent(item.postId)}`,
+        actorUserId: item.actorUserId,
+        entityType: 'collab_join_request',
+        entityId: requestRow.id,
+        data: { postId: item.postId, requestId: requestRow.id },
+        dedupeKey: item.id,
+    });
+}
+
+function notifyJoinRequestReviewed({ requestRow, postRow, ownerUser }) {
+    const item = buildApplicantReviewNotification({ requestRow, postRow, ownerUser });
+    const accepted = item.requestStatus === 'ACCEPTED';
+    publishNotification({
+        type: `collab.${item.eventType}`,
+        recipients: { userIds: [requestRow.user_id] },
+        title: accepted ? 'Join request accepted' : 'Join request updated',
+        body: accepted
+            ? `Your request for "${item.postTitle}" was accepted by ${item.actorName}.`
+            : `Your request for "${item.postTitle}" was not accepted.`,
+        link: `/collaborate/${encodeURIComponent(item.postId)}`,
+        actorUserId: item.actorUserId,
+        entityType: 'collab_join_request',
+        entityId: requestRow.id,
+        data: { postId: item.postId, requestId: requestRow.id, status: item.requestStatus },
+        dedupeKey: item.id,
+    });
+}
+
+function notifyPostSubmittedForReview(post) {
+    if (!post) return;
+    publishNotification({
+        type: 'post.submitted',
+        recipients: { roles: ['admin', 'faculty'] },
+        title: 'New post waiting for review',
+        body: `"${post.title || post.summary || 'Untitled post'}" was submitted for review.`.slice(0, 2000),
+        link: '/moderation',
+        actorUserId: post.authorId || null,
+        entityType: 'post',
+        entityId: post.id,
+        data: { postId: post.id, type: post.type },
+        dedupeKey: `post-review-${post.id}-submitted-${post.updatedAt}`,
+    });
+}
+
+const POST_REVIEW_NOTIFICATIONS = {
+    approved: { title: 'Your post was approved', body: 'It is now live in the feed.' },
+    rejected: { title: 'Your post was not approved', body: 'A moderator rejected it.' },
+    changes_requested: { title: 'Changes requested on your post', body: 'Edit it and publish again to resubmit.' },
+};
+
+function notifyPostReviewed(post, outcome, reviewerId) {
+    if (!post?.authorId) return;
+    const copy = POST_REVIEW_NOTIFICATIONS[outcome];
+    const scheduled = outcome === 'approved' && post.status === 'scheduled';
+    publishNotification({
+        type: `post.${outcome}`,
+        recipients: { userIds: [post.authorId] },
+        title: copy.title,
+        body: [
+            scheduled ? 'It will go live at its scheduled time.' : copy.body,
+            post.reviewNote ? `Moderator note: ${post.reviewNote}` : '',
+        ].filter(Boolean).join(' ').slice(0, 2000),
+        link: outcome === 'approved' ? `/posts/${encodeURIComponent(post.id)}` : '/dashboard',
+        actorUserId: reviewerId || null,
+        entityType: 'post',
+        entityId: post.id,
+        data: { postId: post.id, outcome },
+        dedupeKey: `post-review-${post.id}-${outcome}-${post.reviewedAt}`,
+    });
+}
+
+function notifyMentioned({ mentionRow, postRow, actor }) {
+    const actorName = actor?.fullName || actor?.email || 'Someone';
+    const postTitle = postRow.title || 'a post';
+    const inComment = Boolean(mentionRow.comment_id);
+    publishNotification({
+        type: inComment ? 'mention.comment' : 'mention.post',
+        recipients: { userIds: [mentionRow.mentioned_user_id] },
+        title: inComment ? `${actorName} mentioned you in a comment` : `${actorName} mentioned you in a post`,
+        body: (inComment ? `On "${postTitle}".` : `"${postTitle}"`).slice(0, 2000),
+        link: `/posts/${encodeURIComponent(postRow.id)}`,
+        actorUserId: mentionRow.mentioned_by || null,
+        entityType: inComment ? 'post_comment' : 'post',
+        entityId: mentionRow.comment_id || postRow.id,
+        data: { postId: postRow.id, commentId: mentionRow.comment_id || null },
+        dedupeKey: `mention-${mentionRow.id}`,
+    });
+}
+
+function notifyVolunteerEnrolled({ enrollmentRow, postRow, volunteerUser }) {
+    const item = buildEventVolunteerNotification({ enrollmentRow, postRow, volunteerUser });
+    publishNotification({
+        type: 'event.volunteer_enrollment_received',
+        recipients: { userIds: [postRow.author_id] },
+        title: 'New volunteer enrollment received',
+        body: `${item.actorName} enrolled to volunteer for "${item.postTitle}".`,
+        link: `/posts/${encodeURIComponent(item.postId)}`,
+        actorUserId: item.actorUserId,
+        entityType: 'event_volunteer_enrollment',
+        entityId: enrollmentRow.id,
+        data: { postId: item.postId, enrollmentId: enrollmentRow.id },
+        dedupeKey: item.id,
+    });
+}
+
+// Domain events go through the outbox (see outbox.js). A post is published
+// once, so re-publishing an archived post does not repeat the event.
+function recordPostPublished(post) {
+    if (String(post?.status || '').toLowerCase() !== 'published') return Promise.resolve(null);
+
+    return outbox.recordEvent('post.published', {
+        aggregateType: 'post',
+        aggregateId: post.id,
+        payload: {
+            postId: post.id,
+            type: String(post.type || '').toUpperCase(),
+            title: post.title || null,
+            authorId: post.authorId || null,
+        },
+        dedupeKey: `post.published:${post.id}`,
+    });
+}
+
+function recordJoinRequestReviewed(requestRow) {
+    return outbox.recordEvent('collab.request.reviewed', {
+        aggregateType: 'collab_join_request',
+        aggregateId: requestRow.id,
+        payload: {
+            requestId: requestRow.id,
+            postId: requestRow.post_id,
+            userId: requestRow.user_id,
+            status: String(requestRow.status || '').toUpperCase(),
+            reviewedAt: requestRow.reviewed_at || null,
+        },
+        dedupeKey: `collab.request.reviewed:${requestRow.id}:${requestRow.reviewed_at}`,
+    });
+}
+
+function notifyAnnouncementPublished(post) {
+    if (String(post?.type || '').toUpperCase() !== 'ANNOUNCEMENT') return;
+    if (String(post?.status || '').toLowerCase() !== 'published') return;
+
+    publishNotification({
+        type: 'announcement.published',
+        recipients: { all: true },
+        title: post.title || 'New announcement posted',
+        body: post.summary || 'A new announcement is available in the feed.',
+        link: `/posts/${encodeURIComponent(post.id)}`,
+        actorUserId: post.authorId || null,
+        entityType: 'post',
+        entityId: post.id,
+        dedupeKey: `announcement-${post.id}`,
+    });
+}
+
+function notifyNewsletterPublished(issueRow) {
+    const item = mapNewsletterIssueToNotification(issueRow);
+    if (!item) return;
+
+    publishNotification({
+        type: 'newsletter.issue_published',
+        recipients: { all: true },
+        title: item.title,
+        body: item.message,
+        link: '/home',
+        entityType: 'newsletter_issue',
+        entityId: item.issueId,
+        data: { issueMonth: item.issueMonth },
+        dedupeKey: item.id,
+    });
+}
+
 function mapNewsletterSendRun(row) {
     if (!row) return null;
 
@@ -3474,6 +4493,23 @@ function isSyntacticallyValidEmail(value) {
     return true;
 }
 
+// Users who turned off newsletter emails in their notification preferences.
+// Until user-service's schema adds the preferences table, nobody is left out.
+async function getNewsletterOptedOutUserIds() {
+    const { data, error } = await supabase
+        .from(CONFIG.tables.userNotificationPreferences)
+        .select('user_id')
+        .eq('notification_type', 'newsletter')
+        .eq('email', false);
+
+    if (error) {
+        if (isMissingTableError(error)) return new Set();
+        throw error;
+    }
+
+    return new Set((data || []).map((row) => String(row.user_id)));
+}
+
 async function getNewsletterRecipients({ recipientIds = null } = {}) {
     const normalizedRecipientIds = Array.isArray(recipientIds) ? normalizeIdList(recipientIds) : null;
 
@@ -3484,6 +4520,7 @@ async function getNewsletterRecipients({ recipientIds = null } = {}) {
             validEmails: 0,
             skippedInvalidEmails: 0,
             skippedDuplicateEmails: 0,
+            skippedOptedOut: 0,
         };
     }
 
@@ -3502,12 +4539,19 @@ async function getNewsletterRecipients({ recipientIds = null } = {}) {
     }
 
     const rows = Array.isArray(data) ? data : [];
+    const optedOutUserIds = await getNewsletterOptedOutUserIds();
     const seenEmails = new Set();
     const validRecipients = [];
     let skippedInvalidEmails = 0;
     let skippedDuplicateEmails = 0;
+    let skippedOptedOut = 0;
 
     for (const row of rows) {
+        if (optedOutUserIds.has(String(row?.id))) {
+            skippedOptedOut += 1;
+            continue;
+        }
+
         const normalizedEmail = normalizeText(row?.email).toLowerCase();
 
         if (!normalizedEmail || !isSyntacticallyValidEmail(normalizedEmail)) {
@@ -3542,6 +4586,7 @@ async function getNewsletterRecipients({ recipientIds = null } = {}) {
         validEmails: validRecipients.length,
         skippedInvalidEmails,
         skippedDuplicateEmails,
+        skippedOptedOut,
     };
 }
 
@@ -3586,19 +4631,23 @@ async function sendNewsletterToRecipients({ subject, html, text, recipientSet })
 
         try {
             await transporter.sendMail({
-                from: `"${CONFIG.newsletter.smtpFromName}" <${CONFIG.newsletter.smtpFromEmail}>`,
+                from: formatFromAddress(CONFIG.newsletter),
                 to: recipient.email,
                 subject,
                 html,
                 text,
             });
             sent += 1;
+            newsletterEmails.inc({ outcome: 'sent' });
         } catch (error) {
             failed += 1;
-            console.error(`Newsletter send failed for ${recipient.email}:`, error.message);
+            newsletterEmails.inc({ outcome: 'failed' });
+            logger.error('Newsletter send failed', { recipient: recipient.email, error: error.message });
         }
     }
 
+    logger.info('Newsletter send finished', { subject, attempted, sent, failed });
+
     return {
         totalUsers: resolvedRecipientSet.totalUsers,
         validEmails: resolvedRecipientSet.validEmails,
@@ -3786,6 +4835,9 @@ async function sendCurrentMonthNewsletter({
         }
 
         issueRow = await updateNewsletterIssueRow(issueRow.id, issueUpdatePayload);
+        if (issueRow?.published_at) {
+            notifyNewsletterPublished(issueRow);
+        }
         sendRun = await finalizeNewsletterSendRun(sendRun.id, {
             status: finalStatus,
             counts,
@@ -3879,40 +4931,7 @@ app.get('/', (req, res) => {
         health: 'Post service OK',
         supabaseConfigured: isSupabaseConfigured(),
         schema: CONFIG.schema,
-        endpoints: [
-            'GET /feed',
-            'GET /search',
-            'POST /collab-posts',
-            'GET /collab-posts',
-            'GET /collab-posts/:id',
-            'PATCH /collab-posts/:id',
-            'PATCH /collab-posts/:id/status',
-            'POST /collab-posts/:id/join-requests',
-            'GET /collab-posts/:id/join-requests',
-            'PATCH /join-requests/:id',
-            'GET /collab-posts/:id/members',
-            'GET /collab-notifications',
-            'GET /event-notifications',
-            'GET /newsletter/settings',
-            'PATCH /newsletter/settings',
-            'GET /newsletter/current',
-            'GET /newsletter/recipients',
-            'POST /newsletter/send',
-            'GET /newsletter/notifications',
-            'GET /posts/:id',
-            'POST /posts',
-            'PATCH /posts/:id',
-            'DELETE /posts/:id',
-            'POST /posts/:id/vote',
-            'GET /posts/:id/volunteers',
-            'POST /posts/:id/volunteers',
-            'GET /posts/:id/comments',
-            'POST /posts/:id/comments',
-            'PATCH /posts/:id/comments/:commentId',
-            'DELETE /posts/:id/comments/:commentId',
-            'GET /tags',
-            'POST /tags',
-        ],
+        endpoints: listEndpoints(openApiDocument),
     });
 });
 
@@ -3925,10 +4944,25 @@ app.get('/health', (req, res) => {
     });
 });
 
-app.post('/internal/archive-expired', ensureDb, async (req, res) => {
+app.get('/metrics', metricsHandler);
+
+app.get('/openapi.json', (req, res) => {
+    return res.json(openApiDocument);
+});
+
+app.post('/internal/archive-expired', ensureInternalCaller, ensureDb, async (req, res) => {
+    try {
+        const result = await archiveExpiredPosts();
+        return res.json({ message: 'Archive sweep completed', ...result });
+    } catch (error) {
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+app.post('/internal/publish-scheduled', ensureInternalCaller, ensureDb, async (req, res) => {
     try {
-        const result = await archiveExpiredPosts();
-        return res.json({ message: 'Archive sweep completed', ...result });
+        const result = await publishScheduledPosts();
+        return res.json({ message: 'Scheduled publish sweep completed', ...result });
     } catch (error) {
         return res.status(500).json({ error: formatSupabaseError(error) });
     }
@@ -3936,7 +4970,7 @@ app.post('/internal/archive-expired', ensureDb, async (req, res) => {
 
 app.get('/feed', ensureDb, async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
+        const requestUser = await getRequestUser(req);
         const archiveResult = await archiveExpiredPosts().catch(() => ({ archivedCount: 0 }));
         const limit = parseIntInRange(req.query.limit, CONFIG.feedDefaultLimit, 1, CONFIG.feedMaxLimit);
         const offset = parseIntInRange(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
@@ -3956,6 +4990,11 @@ app.get('/feed', ensureDb, async (req, res) => {
         const tag = req.query.tag;
         const search = sanitizeSearchTerm(req.query.search || '');
         const effectiveOffset = cursor ? cursor.offset : offset;
+        const listsOwnPosts = Boolean(authorId && requestUser?.id === authorId);
+
+        if (status && !listsOwnPosts && !['all', ...PUBLIC_POST_STATUSES].includes(status)) {
+            return res.status(403).json({ error: 'Only the author can list unpublished posts.' });
+        }
 
         if (cursor && !authorId) {
             return res.status(400).json({
@@ -3994,13 +5033,7 @@ app.get('/feed', ensureDb, async (req, res) => {
                 .select('*')
                 .eq('author_id', authorId);
 
-            if (status && status !== 'all') {
-                authorQuery = authorQuery.eq('status', status);
-            } else if (!status && !includeArchived) {
-                authorQuery = authorQuery.eq('status', 'published');
-            } else if (status === 'all' && !includeArchived) {
-                authorQuery = authorQuery.neq('status', 'archived');
-            }
+            authorQuery = applyFeedStatusFilter(authorQuery, { status, includeArchived, listsOwnPosts });
 
             if (pinnedOnly) {
                 authorQuery = authorQuery.eq('pinned', true);
@@ -4057,16 +5090,11 @@ app.get('/feed', ensureDb, async (req, res) => {
             .from(CONFIG.tables.posts)
             .select('*', { count: 'exact' })
             .order('pinned', { ascending: false })
+            .order('published_at', { ascending: false, nullsFirst: false })
             .order('created_at', { ascending: false })
             .range(offset, offset + limit - 1);
 
-        if (status && status !== 'all') {
-            query = query.eq('status', status);
-        } else if (!status && !includeArchived) {
-            query = query.eq('status', 'published');
-        } else if (status === 'all' && !includeArchived) {
-            query = query.neq('status', 'archived');
-        }
+        query = applyFeedStatusFilter(query, { status, includeArchived, listsOwnPosts });
 
         if (pinnedOnly) {
             query = query.eq('pinned', true);
@@ -4115,7 +5143,7 @@ app.get('/feed', ensureDb, async (req, res) => {
 
 async function handleSearchPosts(req, res) {
     try {
-        const requestUser = getRequestUser(req);
+        const requestUser = await getRequestUser(req);
         const payload = parseSearchRequest(req.query);
 
         if (payload.errors.length) {
@@ -4163,6 +5191,7 @@ app.post('/collab-posts', ensureDb, ensureAuthenticated, async (req, res) => {
             author_id: req.requestUser.id,
             status: 'published',
             pinned: false,
+            published_at: nowIso,
             updated_at: nowIso,
         };
 
@@ -4207,7 +5236,11 @@ app.post('/collab-posts', ensureDb, ensureAuthenticated, async (req, res) => {
             await replacePostTags(createdPost.id, payload.tagIds, payload.tagNames);
         }
 
+        await recordMentions(createdPost.id, { text: createdPost.summary, mentionedBy: req.requestUser.id });
+
         const fullPost = await getCollabPostById(createdPost.id, { requestUserId: req.requestUser.id });
+        await recordPostPublished(fullPost || mapPost(createdPost));
+        await notifyPendingMentions(createdPost.id);
 
         return res.status(201).json({
             message: 'Collaboration post created',
@@ -4228,7 +5261,7 @@ app.post('/collab-posts', ensureDb, ensureAuthenticated, async (req, res) => {
 
 app.get('/collab-posts', ensureDb, async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
+        const requestUser = await getRequestUser(req);
         const limit = parseIntInRange(req.query.limit, COLLAB_DEFAULT_LIMIT, 1, COLLAB_MAX_LIMIT);
         const offset = parseIntInRange(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
         const sort = normalizeCollabSort(req.query.sort);
@@ -4412,7 +5445,7 @@ app.get('/collab-posts', ensureDb, async (req, res) => {
 
 app.get('/collab-posts/:id', ensureDb, async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
+        const requestUser = await getRequestUser(req);
         const post = await getCollabPostById(req.params.id, { requestUserId: requestUser?.id || null });
         if (!post) {
             return res.status(404).json({ error: 'Collaboration post not found' });
@@ -4466,6 +5499,7 @@ app.patch('/collab-posts/:id', ensureDb, ensureAuthenticated, async (req, res) =
             }
         }
 
+        const contentBefore = await capturePostContent(postId);
         const nowIso = new Date().toISOString();
 
         if (hasPostFieldUpdates) {
@@ -4521,6 +5555,15 @@ app.patch('/collab-posts/:id', ensureDb, ensureAuthenticated, async (req, res) =
 
         await closeCollabPostWhenFull(postId, { ...meta.collabRow, ...payload.collabFields });
 
+        await recordPostRevision(postId, { before: contentBefore, editorId: req.requestUser.id }).catch((revisionError) => {
+            logger.error('Could not record post revision', { postId, error: formatSupabaseError(revisionError) });
+        });
+
+        if (Object.prototype.hasOwnProperty.call(payload.postFields, 'summary')) {
+            await recordMentions(postId, { text: payload.postFields.summary, mentionedBy: req.requestUser.id });
+            await notifyPendingMentions(postId);
+        }
+
         const post = await getCollabPostById(postId, { requestUserId: req.requestUser.id });
         return res.json({
             message: 'Collaboration post updated',
@@ -4696,6 +5739,11 @@ app.post('/collab-posts/:id/join-requests', ensureDb, ensureAuthenticated, async
 
         const userMap = await getUsersByIds([savedRequest.user_id]);
         const post = await getCollabPostById(postId, { requestUserId: req.requestUser.id });
+        notifyJoinRequestReceived({
+            requestRow: savedRequest,
+            postRow: meta.postRow,
+            requesterUser: userMap.get(savedRequest.user_id) || null,
+        });
 
         return res.status(responseStatus).json({
             message: 'Join request submitted',
@@ -4858,8 +5906,17 @@ app.patch('/join-requests/:id', ensureDb, ensureAuthenticated, async (req, res)
             await closeCollabPostWhenFull(targetRequest.post_id, meta.collabRow);
         }
 
-        const userMap = await getUsersByIds([updatedRequest.user_id]);
+        await recordJoinRequestReviewed(updatedRequest).catch((outboxError) => {
+            logger.error('Could not record collab.request.reviewed', { requestId, error: formatSupabaseError(outboxError) });
+        });
+
+        const userMap = await getUsersByIds([updatedRequest.user_id, meta.postRow.author_id].filter(Boolean));
         const post = await getCollabPostById(targetRequest.post_id, { requestUserId: req.requestUser.id });
+        notifyJoinRequestReviewed({
+            requestRow: updatedRequest,
+            postRow: meta.postRow,
+            ownerUser: userMap.get(meta.postRow.author_id) || null,
+        });
 
         return res.json({
             message: 'Join request updated',
@@ -5000,6 +6057,7 @@ app.get('/newsletter/recipients', ensureDb, ensureAuthenticated, ensureModerator
                 validEmails: recipientSet.validEmails,
                 skippedInvalidEmails: recipientSet.skippedInvalidEmails,
                 skippedDuplicateEmails: recipientSet.skippedDuplicateEmails,
+                skippedOptedOut: recipientSet.skippedOptedOut,
             },
         });
     } catch (error) {
@@ -5106,13 +6164,13 @@ app.get('/newsletter/notifications', ensureDb, ensureAuthenticated, async (req,
 
 app.get('/posts/:id', ensureDb, async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
+        const requestUser = await getRequestUser(req);
         const includeComments = parseBool(req.query.includeComments, false);
         const commentsLimit = parseIntInRange(req.query.commentsLimit, 50, 1, 200);
         const commentsOffset = parseIntInRange(req.query.commentsOffset, 0, 0, Number.MAX_SAFE_INTEGER);
 
         const post = await getPostById(req.params.id, { requestUserId: requestUser?.id || null });
-        if (!post) {
+        if (!post || !canViewPost(post, requestUser)) {
             return res.status(404).json({ error: 'Post not found' });
         }
 
@@ -5120,6 +6178,7 @@ app.get('/posts/:id', ensureDb, async (req, res) => {
             const comments = await getCommentsForPost(req.params.id, {
                 limit: commentsLimit,
                 offset: commentsOffset,
+                requestUserId: requestUser?.id || null,
             });
             return res.json({ data: { ...post, comments: comments.data }, commentPagination: comments.pagination });
         }
@@ -5157,7 +6216,7 @@ app.post('/posts', ensureDb, async (req, res) => {
         }
 
         if (createAsCollab) {
-            const requestUser = getRequestUser(req);
+            const requestUser = await getRequestUser(req);
             if (!requestUser?.id) {
                 return res.status(401).json({
                     error: 'Authentication is required to create COLLAB posts.',
@@ -5168,7 +6227,7 @@ app.post('/posts', ensureDb, async (req, res) => {
         }
 
         if (normalizedType === 'ANNOUNCEMENT' || normalizedType === 'JOB') {
-            const requestUser = getRequestUser(req);
+            const requestUser = await getRequestUser(req);
             if (!requestUser?.id) {
                 return res.status(401).json({
                     error: `Authentication is required to create ${normalizedType} posts.`,
@@ -5185,7 +6244,7 @@ app.post('/posts', ensureDb, async (req, res) => {
         }
 
         if (normalizedType === 'JOB') {
-            const requestUser = getRequestUser(req);
+            const requestUser = await getRequestUser(req);
             if (canCreateJobAsBypassRole(requestUser?.role)) {
                 payload.postFields.author_id = requestUser.id;
             } else {
@@ -5214,6 +6273,15 @@ app.post('/posts', ensureDb, async (req, res) => {
             }
         }
 
+        const submitsForReview = ['published', 'scheduled'].includes(payload.postFields.status)
+            && requiresPostReview((await getRequestUser(req))?.role, normalizedType);
+        if (submitsForReview) {
+            payload.postFields.status = 'pending_review';
+        }
+        if (payload.postFields.status === 'published') {
+            payload.postFields.published_at = new Date().toISOString();
+        }
+
         const { data: createdPost, error: createError } = await supabase
             .from(CONFIG.tables.posts)
             .insert(payload.postFields)
@@ -5242,21 +6310,38 @@ app.post('/posts', ensureDb, async (req, res) => {
             await ensureDefaultCollabDataForPost(createdPost);
         }
 
+        if (createdPost.author_id) {
+            await recordMentions(createdPost.id, { text: createdPost.summary, mentionedBy: createdPost.author_id });
+        }
+
         const fullPost = createAsCollab
             ? await getCollabPostById(createdPost.id, { requestUserId: payload.postFields.author_id || null })
             : await getPostById(createdPost.id);
+        // Last step before answering: if the event cannot be stored, the post
+        // is removed below like any other failed setup step.
+        await recordPostPublished(fullPost || mapPost(createdPost));
+        notifyAnnouncementPublished(fullPost || mapPost(createdPost));
+        if (submitsForReview) {
+            notifyPostSubmittedForReview(fullPost || mapPost(createdPost));
+        }
+        await notifyPendingMentions(createdPost.id);
 
         return res.status(201).json({
-            message: 'Post created',
+            message: submitsForReview ? 'Post submitted for review' : 'Post created',
             data: fullPost || mapPost(createdPost),
         });
     } catch (error) {
-        if (createAsCollab && createdPostId) {
-            await supabase
+        // Without transactions over the REST API, a post whose tags, refs,
+        // collab data or outbox event failed is deleted (its rows cascade)
+        // instead of being left half set up.
+        if (createdPostId) {
+            const { error: rollbackError } = await supabase
                 .from(CONFIG.tables.posts)
                 .delete()
-                .eq('id', createdPostId)
-                .catch(() => null);
+                .eq('id', createdPostId);
+            if (rollbackError) {
+                logger.error('Could not remove partially created post', { postId: createdPostId, error: formatSupabaseError(rollbackError) });
+            }
         }
         if (isMissingTableError(error)) return collabSchemaError(res);
         return res.status(500).json({ error: formatSupabaseError(error) });
@@ -5280,6 +6365,12 @@ app.patch('/posts/:id', ensureDb, ensureAuthenticated, async (req, res) => {
             return res.status(400).json({ error: 'Validation failed', details: payload.errors });
         }
 
+        // Clearing the publish time of a scheduled post cancels it.
+        if (payload.postFields.publish_at === null && payload.postFields.status === undefined
+            && String(postMeta.status || '').toLowerCase() === 'scheduled') {
+            payload.postFields.status = 'draft';
+        }
+
         const hasPostFields = Object.keys(payload.postFields).length > 0;
         const hasTagChanges = payload.tagsProvided;
         const hasRefChanges = payload.refProvided;
@@ -5343,7 +6434,41 @@ app.patch('/posts/:id', ensureDb, ensureAuthenticated, async (req, res) => {
             });
         }
 
+        const currentStatus = String(postMeta.status || '').toLowerCase();
+        const isGoingLive = normalizedNextStatus === 'published' || normalizedNextStatus === 'scheduled';
+        if (isGoingLive && currentStatus === 'rejected') {
+            return res.status(400).json({ error: 'This post was rejected in review and cannot be published.' });
+        }
+
+        if (normalizedNextStatus === 'scheduled') {
+            if (!['draft', 'scheduled', 'pending_review', 'changes_requested'].includes(currentStatus)) {
+                return res.status(400).json({ error: 'Only draft or scheduled posts can be scheduled.' });
+            }
+
+            const publishAt = payload.postFields.publish_at || postMeta.publish_at;
+            if (!publishAt || new Date(publishAt).getTime() <= Date.now()) {
+                return res.status(400).json({ error: 'publishAt must be in the future' });
+            }
+        }
+
+        // A post that is not live yet goes back through review when its author
+        // publishes it, including after changes were requested.
+        const submitsForReview = isGoingLive
+            && currentStatus !== 'published'
+            && currentStatus !== 'scheduled'
+            && requiresPostReview(req.requestUser.role, payload.postFields.type || postMeta.type);
+        if (submitsForReview) {
+            payload.postFields.status = 'pending_review';
+        }
+
+        const editsContent = hasTagChanges || hasRefChanges
+            || ['title', 'summary'].some((field) => Object.prototype.hasOwnProperty.call(payload.postFields, field));
+        const contentBefore = editsContent ? await capturePostContent(postId) : null;
+
         const nowIso = new Date().toISOString();
+        if (payload.postFields.status === 'published' && !postMeta.published_at) {
+            payload.postFields.published_at = nowIso;
+        }
 
         if (hasPostFields) {
             const { data: updatedRows, error: updateError } = await supabase
@@ -5386,9 +6511,138 @@ app.patch('/posts/:id', ensureDb, ensureAuthenticated, async (req, res) => {
             await replacePostRef(postId, payload.ref);
         }
 
+        if (contentBefore) {
+            // The edit is already saved, so a revision that could not be
+            // recorded is logged rather than failing the request.
+            await recordPostRevision(postId, { before: contentBefore, editorId: req.requestUser.id }).catch((revisionError) => {
+                logger.error('Could not record post revision', { postId, error: formatSupabaseError(revisionError) });
+            });
+        }
+
+        const hasSummaryUpdate = Object.prototype.hasOwnProperty.call(payload.postFields, 'summary');
+        if (hasSummaryUpdate) {
+            await recordMentions(postId, { text: payload.postFields.summary, mentionedBy: req.requestUser.id });
+        }
+
+        const fullPost = await getPostById(postId, { requestUserId: req.requestUser.id });
+        if (hasSummaryUpdate || isStatusUpdate) {
+            await notifyPendingMentions(postId);
+        }
+        if (isStatusUpdate) {
+            // The update is already saved, so a failed event is logged rather
+            // than reported as a failed request.
+            await recordPostPublished(fullPost).catch((outboxError) => {
+                logger.error('Could not record post.published', { postId, error: formatSupabaseError(outboxError) });
+            });
+            notifyAnnouncementPublished(fullPost);
+        }
+        if (submitsForReview) {
+            notifyPostSubmittedForReview(fullPost);
+        }
+        return res.json({
+            message: submitsForReview ? 'Post submitted for review' : 'Post updated',
+            data: fullPost,
+        });
+    } catch (error) {
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+app.get('/review-queue', ensureDb, ensureAuthenticated, ensureModerator, async (req, res) => {
+    try {
+        const status = normalizeText(req.query.status).toLowerCase() || 'pending_review';
+        if (!['pending_review', 'changes_requested', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'status must be pending_review, changes_requested or rejected' });
+        }
+        const limit = parseIntInRange(req.query.limit, CONFIG.feedDefaultLimit, 1, CONFIG.feedMaxLimit);
+        const offset = parseIntInRange(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
+        // Oldest first, so the queue is worked through in submission order.
+        const { data, error, count } = await supabase
+            .from(CONFIG.tables.posts)
+            .select('*', { count: 'exact' })
+            .eq('status', status)
+            .order(status === 'pending_review' ? 'updated_at' : 'reviewed_at', { ascending: status === 'pending_review' })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        const items = await enrichPosts(data || [], { requestUserId: req.requestUser.id });
+        return res.json({
+            data: items,
+            pagination: { limit, offset, total: count ?? items.length },
+        });
+    } catch (error) {
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+app.post('/posts/:id/review', ensureDb, ensureAuthenticated, ensureModerator, async (req, res) => {
+    try {
+        const postId = normalizeText(req.params.id);
+        const action = normalizeText(req.body?.action).toLowerCase();
+        const reason = normalizeText(req.body?.reason).slice(0, 2000);
+        const outcome = POST_REVIEW_ACTIONS[action];
+
+        const errors = [];
+        if (!outcome) errors.push('action must be approve, reject or request_changes');
+        if (outcome && outcome !== 'approved' && !reason) errors.push('reason is required to reject or request changes');
+        if (errors.length) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        const postMeta = await getPostMetaById(postId);
+        if (!postMeta) {
+            return res.status(404).json({ error: 'Post not found' });
+        }
+
+        const nowIso = new Date().toISOString();
+        const update = {
+            review_note: reason || null,
+            reviewed_by: req.requestUser.id,
+            reviewed_at: nowIso,
+            updated_at: nowIso,
+        };
+        if (outcome === 'approved') {
+            // A post submitted with a future publish time keeps its schedule.
+            const keepsSchedule = postMeta.publish_at && new Date(postMeta.publish_at).getTime() > Date.now();
+            update.status = keepsSchedule ? 'scheduled' : 'published';
+            if (!keepsSchedule) {
+                update.publish_at = null;
+                update.published_at = nowIso;
+            }
+        } else {
+            update.status = outcome;
+        }
+
+        const { data: updatedRows, error: updateError } = await supabase
+            .from(CONFIG.tables.posts)
+            .update(update)
+            .eq('id', postId)
+            .eq('status', 'pending_review')
+            .select('id');
+
+        if (updateError) {
+            throw updateError;
+        }
+        if (!updatedRows?.length) {
+            return res.status(409).json({ error: 'This post is not waiting for review.' });
+        }
+
         const fullPost = await getPostById(postId, { requestUserId: req.requestUser.id });
+        if (fullPost?.status === 'published') {
+            await recordPostPublished(fullPost).catch((outboxError) => {
+                logger.error('Could not record post.published', { postId, error: formatSupabaseError(outboxError) });
+            });
+            notifyAnnouncementPublished(fullPost);
+            await notifyPendingMentions(postId);
+        }
+        notifyPostReviewed(fullPost, outcome, req.requestUser.id);
+
         return res.json({
-            message: 'Post updated',
+            message: `Post ${outcome.replace('_', ' ')}`,
             data: fullPost,
         });
     } catch (error) {
@@ -5396,6 +6650,150 @@ app.patch('/posts/:id', ensureDb, ensureAuthenticated, async (req, res) => {
     }
 });
 
+app.get('/posts/:id/revisions', ensureDb, async (req, res) => {
+    try {
+        const postId = normalizeText(req.params.id);
+        const limit = parseIntInRange(req.query.limit, 50, 1, 200);
+        const offset = parseIntInRange(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
+        const postMeta = await getPostMetaById(postId);
+        const requestUser = postMeta ? await getRequestUser(req) : null;
+        if (!postMeta || !canViewPost({ status: postMeta.status, authorId: postMeta.author_id }, requestUser)) {
+            return res.status(404).json({ error: 'Post not found' });
+        }
+
+        const { data, error, count } = await supabase
+            .from(CONFIG.tables.postRevisions)
+            .select('*', { count: 'exact' })
+            .eq('post_id', postId)
+            .order('revision_number', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        const editorIds = [...new Set((data || []).map((row) => row.editor_id).filter(Boolean))];
+        const userMap = await getUsersByIds(editorIds);
+        return res.json({
+            data: (data || []).map((row) => mapPostRevision(row, userMap)),
+            pagination: { limit, offset, total: count ?? (data || []).length },
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) return postRevisionsSchemaError(res);
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
+app.post('/posts/:id/revisions/:revisionId/restore', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const postId = normalizeText(req.params.id);
+        const revisionId = normalizeText(req.params.revisionId);
+
+        const before = await capturePostContent(postId);
+        if (!before) {
+            return res.status(404).json({ error: 'Post not found' });
+        }
+
+        if (!canRestorePostRevision(before.postRow, req.requestUser)) {
+            return res.status(403).json({ error: 'Only the original author or faculty/admin can restore a revision.' });
+        }
+
+        const { data: revision, error: revisionError } = await supabase
+            .from(CONFIG.tables.postRevisions)
+            .select('*')
+            .eq('id', revisionId)
+            .eq('post_id', postId)
+            .maybeSingle();
+
+        if (revisionError) {
+            throw revisionError;
+        }
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const target = {
+            title: revision.title || null,
+            summary: revision.summary || null,
+            tags: revision.tags || [],
+            refs: revision.refs || [],
+            collab: revision.collab || null,
+        };
+        if (isSamePostContent(before.content, target)) {
+            return res.status(400).json({ error: 'The post already matches this revision.' });
+        }
+
+        const isCollab = isCollabType(before.postRow.type);
+        const { required_skills: requiredSkills = [], ...collabFields } = target.collab || {};
+        if (isCollab && target.collab) {
+            const memberCountByPostId = await getCollabMemberCountByPostIds([postId]);
+            const memberCount = memberCountByPostId.get(postId) || 0;
+            if (Number(collabFields.openings) < memberCount) {
+                return res.status(400).json({
+                    error: `This revision has fewer openings than the current member count (${memberCount}).`,
+                });
+            }
+        }
+
+        const nowIso = new Date().toISOString();
+        const { error: updateError } = await supabase
+            .from(CONFIG.tables.posts)
+            .update({ title: target.title, summary: target.summary, updated_at: nowIso })
+            .eq('id', postId);
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        await replacePostTags(postId, [], target.tags);
+
+        // Revisions do not keep uploaded image data, so the post's image is
+        // left as it is.
+        if (![...before.content.refs, ...target.refs].some(isImageUploadRef)) {
+            await replacePostRef(postId, target.refs[0] || null);
+        }
+
+        if (isCollab && target.collab) {
+            const { error: collabError } = await supabase
+                .from(CONFIG.tables.collabPosts)
+                .update({ ...collabFields, updated_at: nowIso })
+                .eq('post_id', postId);
+
+            if (collabError) {
+                throw collabError;
+            }
+
+            await replaceCollabSkills(postId, requiredSkills);
+            const meta = await getCollabPostMetaById(postId);
+            if (meta) await closeCollabPostWhenFull(postId, meta.collabRow);
+        }
+
+        await recordPostRevision(postId, {
+            before,
+            editorId: req.requestUser.id,
+            restoredFrom: revision.revision_number,
+        }).catch((recordError) => {
+            logger.error('Could not record post revision', { postId, error: formatSupabaseError(recordError) });
+        });
+
+        // The restored words are the author's, whoever restored them.
+        await recordMentions(postId, { text: target.summary, mentionedBy: before.postRow.author_id || null });
+        await notifyPendingMentions(postId);
+
+        const post = isCollab
+            ? await getCollabPostById(postId, { requestUserId: req.requestUser.id })
+            : await getPostById(postId, { requestUserId: req.requestUser.id });
+        return res.json({
+            message: `Revision ${revision.revision_number} restored`,
+            data: post,
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) return postRevisionsSchemaError(res);
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+});
+
 app.delete('/posts/:id', ensureDb, ensureAuthenticated, async (req, res) => {
     try {
         const postId = normalizeText(req.params.id);
@@ -5603,6 +7001,11 @@ app.post('/posts/:id/volunteers', ensureDb, ensureAuthenticated, async (req, res
 
         const userMap = await getUsersByIds([req.requestUser.id]);
         const post = await getPostById(postId, { requestUserId: req.requestUser.id });
+        notifyVolunteerEnrolled({
+            enrollmentRow: createdEnrollment,
+            postRow: postMeta,
+            volunteerUser: userMap.get(req.requestUser.id) || null,
+        });
 
         return res.status(201).json({
             message: 'Volunteer enrollment submitted',
@@ -5627,13 +7030,36 @@ app.get('/posts/:id/comments', ensureDb, async (req, res) => {
         }
 
         const postMeta = await getPostMetaById(postId);
-        if (!postMeta) {
+        const requestUser = postMeta ? await getRequestUser(req) : null;
+        if (!postMeta || !canViewPost({ status: postMeta.status, authorId: postMeta.author_id }, requestUser)) {
             return res.status(404).json({ error: 'Post not found' });
         }
 
+        const parentCommentId = normalizeText(req.query.parentId) || null;
+        // Replies read as a conversation, so they default to oldest first.
+        const sort = normalizeCommentSort(req.query.sort, parentCommentId ? 'oldest' : 'newest');
         const limit = parseIntInRange(req.query.limit, 50, 1, 200);
         const offset = parseIntInRange(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
-        const comments = await getCommentsForPost(postId, { limit, offset });
+        const cursorResult = decodeCommentCursor(req.query.cursor);
+        if (cursorResult.error) {
+            return res.status(400).json({ error: cursorResult.error });
+        }
+        if (cursorResult.value && cursorResult.value.sort !== sort) {
+            return res.status(400).json({ error: 'cursor does not match requested sort' });
+        }
+
+        if (parentCommentId && !(await getPostCommentById(postId, parentCommentId))) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        const comments = await getCommentsForPost(postId, {
+            parentCommentId,
+            sort,
+            limit,
+            offset,
+            cursor: cursorResult.value,
+            requestUserId: requestUser?.id || null,
+        });
         return res.json(comments);
     } catch (error) {
         if (isMissingTableError(error)) return socialSchemaError(res);
@@ -5662,6 +7088,27 @@ app.post('/posts/:id/comments', ensureDb, ensureAuthenticated, async (req, res)
             return res.status(400).json({ error: 'Archived posts cannot be commented on.' });
         }
 
+        let parentCommentId = null;
+        let depth = 0;
+        if (payload.parentCommentId) {
+            const parent = await getPostCommentById(postId, payload.parentCommentId);
+            if (!parent) {
+                return res.status(404).json({ error: 'Comment not found' });
+            }
+            if (parent.deleted_at) {
+                return res.status(400).json({ error: 'Deleted comments cannot be replied to.' });
+            }
+
+            const parentDepth = parent.depth || 0;
+            if (parentDepth >= CONFIG.commentMaxDepth) {
+                parentCommentId = parent.parent_comment_id;
+                depth = parentDepth;
+            } else {
+                parentCommentId = parent.id;
+                depth = parentDepth + 1;
+            }
+        }
+
         const nowIso = new Date().toISOString();
         const { data: createdComment, error: insertError } = await supabase
             .from(CONFIG.tables.postComments)
@@ -5669,6 +7116,8 @@ app.post('/posts/:id/comments', ensureDb, ensureAuthenticated, async (req, res)
                 post_id: postId,
                 author_id: req.requestUser.id,
                 content: payload.content,
+                parent_comment_id: parentCommentId,
+                depth,
                 updated_at: nowIso,
             })
             .select('*')
@@ -5679,11 +7128,18 @@ app.post('/posts/:id/comments', ensureDb, ensureAuthenticated, async (req, res)
             throw insertError;
         }
 
-        const userMap = await getUsersByIds([req.requestUser.id]);
+        if (parentCommentId) {
+            await refreshCommentReplyCount(parentCommentId);
+        }
+
+        await recordMentions(postId, { commentId: createdComment.id, text: createdComment.content, mentionedBy: req.requestUser.id });
+        await notifyPendingMentions(postId);
+
+        const [comment] = await mapCommentRows([createdComment], req.requestUser.id);
         const post = await getPostById(postId, { requestUserId: req.requestUser.id });
         return res.status(201).json({
             message: 'Comment posted',
-            data: mapComment(createdComment, userMap.get(req.requestUser.id) || null),
+            data: comment,
             meta: {
                 commentCount: post?.commentCount || 0,
             },
@@ -5708,7 +7164,7 @@ app.patch('/posts/:id/comments/:commentId', ensureDb, ensureAuthenticated, async
         }
 
         const existingComment = await getPostCommentById(postId, commentId);
-        if (!existingComment) {
+        if (!existingComment || existingComment.deleted_at) {
             return res.status(404).json({ error: 'Comment not found' });
         }
 
@@ -5734,10 +7190,13 @@ app.patch('/posts/:id/comments/:commentId', ensureDb, ensureAuthenticated, async
             throw updateError;
         }
 
-        const userMap = await getUsersByIds([updatedComment.author_id]);
+        await recordMentions(postId, { commentId, text: updatedComment.content, mentionedBy: updatedComment.author_id });
+        await notifyPendingMentions(postId);
+
+        const [comment] = await mapCommentRows([updatedComment], req.requestUser.id);
         return res.json({
             message: 'Comment updated',
-            data: mapComment(updatedComment, userMap.get(updatedComment.author_id) || null),
+            data: comment,
         });
     } catch (error) {
         if (isMissingTableError(error)) return socialSchemaError(res);
@@ -5754,7 +7213,7 @@ app.delete('/posts/:id/comments/:commentId', ensureDb, ensureAuthenticated, asyn
         }
 
         const existingComment = await getPostCommentById(postId, commentId);
-        if (!existingComment) {
+        if (!existingComment || existingComment.deleted_at) {
             return res.status(404).json({ error: 'Comment not found' });
         }
 
@@ -5763,17 +7222,32 @@ app.delete('/posts/:id/comments/:commentId', ensureDb, ensureAuthenticated, asyn
             return res.status(403).json({ error: 'You can only delete your own comment.' });
         }
 
-        const { error: deleteError } = await supabase
-            .from(CONFIG.tables.postComments)
-            .delete()
-            .eq('id', commentId)
-            .eq('post_id', postId);
+        // A comment with replies is blanked out instead, so the replies keep
+        // their place in the thread.
+        const hasReplies = (await refreshCommentReplyCount(commentId)) > 0;
+        const { error: deleteError } = hasReplies
+            ? await supabase
+                .from(CONFIG.tables.postComments)
+                .update({ content: '[deleted]', deleted_at: new Date().toISOString() })
+                .eq('id', commentId)
+                .eq('post_id', postId)
+            : await supabase
+                .from(CONFIG.tables.postComments)
+                .delete()
+                .eq('id', commentId)
+                .eq('post_id', postId);
 
         if (deleteError) {
             if (isMissingTableError(deleteError)) return socialSchemaError(res);
             throw deleteError;
         }
 
+        if (hasReplies) {
+            await recordMentions(postId, { commentId, text: '' });
+        } else {
+            await pruneDeletedCommentAncestors(postId, existingComment.parent_comment_id);
+        }
+
         const post = await getPostById(postId, { requestUserId: req.requestUser.id });
         return res.json({
             message: 'Comment deleted',
@@ -5791,6 +7265,61 @@ app.delete('/posts/:id/comments/:commentId', ensureDb, ensureAuthenticated, asyn
     }
 });
 
+async function handleCommentReaction(req, res, active) {
+    try {
+        const postId = normalizeText(req.params.id);
+        const commentId = normalizeText(req.params.commentId);
+        const reaction = normalizeText(req.params.reaction).toLowerCase();
+        if (!COMMENT_REACTIONS.includes(reaction)) {
+            return res.status(400).json({ error: `reaction must be one of: ${COMMENT_REACTIONS.join(', ')}` });
+        }
+
+        const comment = await getPostCommentById(postId, commentId);
+        if (!comment || comment.deleted_at) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        const { error } = active
+            ? await supabase
+                .from(CONFIG.tables.postCommentReactions)
+                .upsert(
+                    { comment_id: commentId, user_id: req.requestUser.id, reaction },
+                    { onConflict: 'comment_id,user_id,reaction', ignoreDuplicates: true }
+                )
+            : await supabase
+                .from(CONFIG.tables.postCommentReactions)
+                .delete()
+                .eq('comment_id', commentId)
+                .eq('user_id', req.requestUser.id)
+                .eq('reaction', reaction);
+
+        if (error) {
+            throw error;
+        }
+
+        if (reaction === 'upvote') {
+            await refreshCommentUpvoteCount(commentId);
+        }
+
+        const [updated] = await mapCommentRows([await getPostCommentById(postId, commentId)], req.requestUser.id);
+        return res.json({
+            message: active ? 'Reaction added' : 'Reaction removed',
+            data: updated,
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) return socialSchemaError(res);
+        return res.status(500).json({ error: formatSupabaseError(error) });
+    }
+}
+
+app.put('/posts/:id/comments/:commentId/reactions/:reaction', ensureDb, ensureAuthenticated, (req, res) => (
+    handleCommentReaction(req, res, true)
+));
+
+app.delete('/posts/:id/comments/:commentId/reactions/:reaction', ensureDb, ensureAuthenticated, (req, res) => (
+    handleCommentReaction(req, res, false)
+));
+
 app.get('/tags', ensureDb, async (req, res) => {
     try {
         const limit = parseIntInRange(req.query.limit, 100, 1, 500);
@@ -5857,31 +7386,49 @@ app.use((req, res) => {
 });
 
 const server = app.listen(PORT, () => {
-    console.log(`Post Service is running on port ${PORT}`);
+    logger.info(`Post Service is running on port ${PORT}`);
     if (!isSupabaseConfigured()) {
-        console.log('Post Service started without Supabase config. DB routes will return 503.');
+        logger.warn('Post Service started without Supabase config. DB routes will return 503.');
     }
     if (!isSearchDbConfigured()) {
-        console.log('Post Service started without SUPABASE_DB_URL. Search route will return 503.');
+        logger.warn('Post Service started without SUPABASE_DB_URL. Search route will return 503.');
     }
 });
 
 server.on('close', () => {
     closeSearchDbPool().catch((error) => {
-        console.error('Post search pool shutdown failed:', error.message);
+        logger.error('Post search pool shutdown failed', { error: error.message });
     });
 });
 
+let scheduledPublishTimer = null;
+if (CONFIG.scheduledPublishIntervalMs > 0 && isSupabaseConfigured()) {
+    scheduledPublishTimer = setInterval(async () => {
+        try {
+            const result = await publishScheduledPosts();
+            if (result.publishedCount > 0) {
+                logger.info('Published scheduled posts', { publishedCount: result.publishedCount });
+            }
+        } catch (error) {
+            logger.error('Scheduled publish sweep failed', { error: formatSupabaseError(error) });
+        }
+    }, CONFIG.scheduledPublishIntervalMs);
+
+    if (typeof scheduledPublishTimer.unref === 'function') {
+        scheduledPublishTimer.unref();
+    }
+}
+
 let archiveTimer = null;
 if (CONFIG.archiveIntervalMs > 0 && isSupabaseConfigured()) {
     archiveTimer = setInterval(async () => {
         try {
             const result = await archiveExpiredPosts();
             if (result.archivedCount > 0) {
-                console.log(`Archived ${result.archivedCount} expired posts`);
+                logger.info('Archived expired posts', { archivedCount: result.archivedCount });
             }
         } catch (error) {
-            console.error('Post archive sweep failed:', formatSupabaseError(error));
+            logger.error('Post archive sweep failed', { error: formatSupabaseError(error) });
         }
     }, CONFIG.archiveIntervalMs);
 
@@ -5890,21 +7437,25 @@ if (CONFIG.archiveIntervalMs > 0 && isSupabaseConfigured()) {
     }
 }
 
+if (CONFIG.outboxRelayIntervalMs > 0 && isSupabaseConfigured()) {
+    outbox.startRelay(CONFIG.outboxRelayIntervalMs);
+}
+
 let newsletterTimer = null;
 if (CONFIG.newsletter.scheduleEnabled && isSupabaseConfigured()) {
     const runNewsletterSchedule = async () => {
         try {
             const result = await maybeRunAutomaticMonthlyNewsletter();
             if (!result?.skipped) {
-                console.log(`Automatic newsletter completed for ${result?.issue?.issueMonth || 'current month'}.`);
+                logger.info('Automatic newsletter completed', { issueMonth: result?.issue?.issueMonth || 'current month' });
             }
         } catch (error) {
-            console.error('Automatic newsletter run failed:', error?.message || formatSupabaseError(error));
+            logger.error('Automatic newsletter run failed', { error: error?.message || formatSupabaseError(error) });
         }
     };
 
     runNewsletterSchedule().catch((error) => {
-        console.error('Initial newsletter schedule check failed:', error?.message || formatSupabaseError(error));
+        logger.error('Initial newsletter schedule check failed', { error: error?.message || formatSupabaseError(error) });
     });
 
     newsletterTimer = setInterval(runNewsletterSchedule, CONFIG.newsletter.scheduleIntervalMs);
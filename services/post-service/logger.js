@@ -0,0 +1,110 @@
+const crypto = require('node:crypto');
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+// One JSON object per line, so logs from every container can be filtered by
+// requestId. The id is kept in async-local storage for the life of a request;
+// anything logged or fetched while handling it picks the id up automatically.
+const SERVICE_NAME = process.env.SERVICE_NAME || require('./package.json').name;
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LOG_LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LOG_LEVELS.info;
+const REQUEST_ID_HEADER = 'x-request-id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function serializeValue(value) {
+    if (!(value instanceof Error)) return value;
+    return {
+        name: value.name,
+        message: value.message,
+        ...(value.code ? { code: value.code } : {}),
+        stack: value.stack,
+    };
+}
+
+function write(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < MIN_LEVEL) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        service: SERVICE_NAME,
+        msg: message,
+    };
+    const requestId = requestContext.getStore()?.requestId;
+    if (requestId) entry.requestId = requestId;
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) entry[key] = serializeValue(value);
+    }
+
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
+
+function getRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+/**
+ * fetch() that forwards the current request id, for calls to other services
+ * and for the Supabase client (`global.fetch`).
+ */
+function tracedFetch(input, init = {}) {
+    const requestId = getRequestId();
+    if (!requestId) return fetch(input, init);
+
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    if (!headers.has(REQUEST_ID_HEADER)) headers.set(REQUEST_ID_HEADER, requestId);
+    return fetch(input, { ...init, headers });
+}
+
+function resolveRoute(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : undefined;
+}
+
+/**
+ * Adopts the caller's X-Request-Id (or assigns one), echoes it on the
+ * response and logs one line per request once the response is sent.
+ */
+function requestLogger(req, res, next) {
+    const incoming = req.headers[REQUEST_ID_HEADER];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+
+    req.id = requestId;
+    req.headers[REQUEST_ID_HEADER] = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const user = req.requestUser || req.user || req.gatewayUser;
+        const status = res.statusCode;
+        write(status >= 500 ? 'error' : 'info', 'request completed', {
+            requestId,
+            method: req.method,
+            route: resolveRoute(req),
+            path: req.originalUrl.split('?')[0],
+            status,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+            userId: user?.id ? String(user.id) : undefined,
+        });
+    });
+
+    requestContext.run({ requestId }, next);
+}
+
+module.exports = {
+    logger,
+    requestLogger,
+    tracedFetch,
+    getRequestId,
+    resolveRoute,
+};
@@ -0,0 +1,55 @@
+const { logger, tracedFetch } = require('./logger');
+
+// Producer side of notification-service. Call publishNotification() once the
+// change it describes has been saved. Delivery is best effort: a failure is
+// logged and never fails the caller's request, so there is no need to await
+// it. Every producing service keeps an identical copy.
+const NOTIFICATION_SERVICE_URL = String(process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3006').replace(/\/+$/, '');
+const INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || '';
+const PUBLISH_TIMEOUT_MS = 5_000;
+
+if (!INTERNAL_API_TOKEN) {
+    logger.warn('INTERNAL_API_TOKEN is not set; notifications will not be published.');
+}
+
+/**
+ * Sends one notification to the producer API. `notification` is
+ * `{ type, recipients, title, body, link, actorUserId, entityType, entityId,
+ * data, dedupeKey }`, where `type` is "<category>.<event>" and `recipients` is
+ * `{ userIds }`, `{ roles }` or `{ all: true }`. Resolves with whether it was
+ * accepted; never rejects.
+ */
+async function publishNotification(notification) {
+    if (!INTERNAL_API_TOKEN) return false;
+
+    try {
+        const response = await tracedFetch(`${NOTIFICATION_SERVICE_URL}/internal/notifications`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Internal-Token': INTERNAL_API_TOKEN,
+            },
+            body: JSON.stringify(notification),
+            signal: AbortSignal.timeout(PUBLISH_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            logger.warn('Notification was not accepted', {
+                type: notification?.type,
+                status: response.status,
+                error: body?.error,
+                details: body?.details,
+            });
+            return false;
+        }
+        return true;
+    } catch (error) {
+        logger.warn('Could not publish notification', { type: notification?.type, error: error.message });
+        return false;
+    }
+}
+
+module.exports = {
+    publishNotification,
+};
@@ -0,0 +1,552 @@
+// OpenAPI 3 description of post-service, served at GET /openapi.json. The API
+// gateway merges it under its /posts prefix, so paths here are the service's
+// own. Keep it next to the routes it documents when adding or changing one.
+// POST /internal/archive-expired and /internal/publish-scheduled are left out:
+// they are for the scheduler only and require X-Internal-Token.
+const {
+    schemas: { string, nullableString, integer, boolean, dateTime, uuid, object },
+    enumOf,
+    arrayOf,
+    ref,
+    jsonBody: body,
+    query,
+    pathParam,
+    ok,
+    operation,
+    baseComponents,
+} = require('./openapiHelpers');
+
+const postId = pathParam('id');
+const commentId = pathParam('commentId');
+const revisionId = pathParam('revisionId');
+const commentReactions = ['upvote', 'like', 'celebrate', 'insightful', 'funny'];
+const limit = query('limit', integer);
+const offset = query('offset', integer);
+
+const postFields = {
+    type: { ...string, description: 'GENERAL, EVENT, EVENT_RECAP, COLLAB, JOB, ...' },
+    title: nullableString,
+    summary: nullableString,
+    status: enumOf(['draft', 'scheduled', 'published', 'archived']),
+    archive: boolean,
+    pinned: boolean,
+    expiresAt: { ...dateTime, nullable: true },
+    publishAt: {
+        ...dateTime,
+        nullable: true,
+        description: 'When a scheduled post goes live. Setting it alone schedules the post; null cancels the schedule',
+    },
+    tagIds: arrayOf(uuid),
+    tags: arrayOf(string),
+    postRef: { ...object, description: 'Type-specific details (job, event or collaboration fields)' },
+};
+
+const collabFields = {
+    title: string,
+    summary: string,
+    description: string,
+    category: string,
+    mode: enumOf(['remote', 'onsite', 'hybrid']),
+    requiredSkills: arrayOf(string),
+    preferredBackground: nullableString,
+    openings: integer,
+    duration: string,
+    timeCommitmentHoursPerWeek: { ...integer, nullable: true },
+    contactMethod: nullableString,
+    deadline: { ...dateTime, nullable: true },
+    joinUntil: { ...dateTime, nullable: true },
+};
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'ICEntral post-service',
+        version: '1.0.0',
+        description: 'Feed, posts, comments, votes, collaborations, tags and the newsletter.',
+    },
+    tags: [
+        { name: 'Posts' },
+        { name: 'Comments' },
+        { name: 'Collaborations' },
+        { name: 'Newsletter' },
+        { name: 'Tags' },
+    ],
+    paths: {
+        '/feed': {
+            get: operation('getFeed', 'List feed posts', {
+                auth: false,
+                tags: ['Posts'],
+                parameters: [
+                    limit,
+                    offset,
+                    query('cursor', string, 'Opaque cursor from a previous page'),
+                    query('sort', enumOf(['new', 'upvotes'])),
+                    query('status', string, 'Statuses other than published and archived are only listed for your own authorId'),
+                    query('type', string),
+                    query('authorId', string),
+                    query('tag', string, 'Tag slug'),
+                    query('search', string),
+                    query('includeArchived', boolean),
+                    query('pinnedOnly', boolean),
+                ],
+                responses: { 200: ok('Page of posts', ref('PostPage')) },
+                errors: [400, 403],
+            }),
+        },
+        '/search': {
+            get: operation('searchPosts', 'Full-text search over published posts', {
+                auth: false,
+                tags: ['Posts'],
+                parameters: [
+                    { ...query('q', string), required: true },
+                    query('cursor', string),
+                    limit,
+                ],
+                responses: {
+                    200: ok('Search results', {
+                        type: 'object',
+                        properties: { items: arrayOf(ref('Post')), nextCursor: nullableString },
+                    }),
+                },
+                errors: [400, 503],
+            }),
+        },
+        '/posts': {
+            post: operation('createPost', 'Create a post', {
+                tags: ['Posts'],
+                requestBody: body(postFields, ['type']),
+                responses: { 201: ok('Created post', ref('Post')) },
+                errors: [400, 403],
+            }),
+        },
+        '/posts/{id}': {
+            get: operation('getPost', 'Get a post', {
+                auth: false,
+                tags: ['Posts'],
+                parameters: [
+                    postId,
+                    query('includeComments', boolean),
+                    query('commentsLimit', integer),
+                    query('commentsOffset', integer),
+                ],
+                responses: { 200: ok('Post', ref('Post')) },
+                errors: [404],
+            }),
+            patch: operation('updatePost', 'Update a post', {
+                tags: ['Posts'],
+                parameters: [postId],
+                requestBody: body(postFields),
+                responses: { 200: ok('Updated post', ref('Post')) },
+                errors: [400, 403, 404],
+            }),
+            delete: operation('deletePost', 'Delete a post', {
+                tags: ['Posts'],
+                parameters: [postId],
+                responses: { 200: ok('Deleted') },
+                errors: [403, 404],
+            }),
+        },
+        '/posts/{id}/review': {
+            post: operation('reviewPost', 'Approve, reject or request changes on a post waiting for review', {
+                tags: ['Posts'],
+                parameters: [postId],
+                requestBody: body({
+                    action: enumOf(['approve', 'reject', 'request_changes']),
+                    reason: { ...string, description: 'Required to reject or request changes; shown to the author' },
+                }, ['action']),
+                responses: { 200: ok('Reviewed post', ref('Post')) },
+                errors: [400, 403, 404, 409],
+            }),
+        },
+        '/posts/{id}/revisions': {
+            get: operation('listPostRevisions', 'Edit history of a post, newest first', {
+                auth: false,
+                tags: ['Posts'],
+                parameters: [postId, limit, offset],
+                responses: {
+                    200: ok('Revisions', {
+                        type: 'object',
+                        properties: {
+                            data: arrayOf(ref('PostRevision')),
+                            pagination: {
+                                type: 'object',
+                                properties: { limit: integer, offset: integer, total: integer },
+                            },
+                        },
+                    }),
+                },
+                errors: [404],
+            }),
+        },
+        '/posts/{id}/revisions/{revisionId}/restore': {
+            post: operation('restorePostRevision', 'Restore a post to an earlier revision (author or moderator)', {
+                tags: ['Posts'],
+                parameters: [postId, revisionId],
+                responses: { 200: ok('Restored post', ref('Post')) },
+                errors: [400, 403, 404],
+            }),
+        },
+        '/review-queue': {
+            get: operation('listPostReviewQueue', 'Posts waiting for review, or already sent back (moderator)', {
+                tags: ['Posts'],
+                parameters: [
+                    query('status', enumOf(['pending_review', 'changes_requested', 'rejected'])),
+                    limit,
+                    offset,
+                ],
+                responses: { 200: ok('Posts', ref('PostPage')) },
+                errors: [400, 403],
+            }),
+        },
+        '/posts/{id}/vote': {
+            post: operation('votePost', 'Upvote, downvote or clear a vote', {
+                tags: ['Posts'],
+                parameters: [postId],
+                requestBody: body({ vote: enumOf(['up', 'down', 'none']) }, ['vote']),
+                responses: { 200: ok('Updated vote totals') },
+                errors: [400, 404],
+            }),
+        },
+        '/posts/{id}/volunteers': {
+            get: operation('listVolunteers', 'List volunteers for an event (author or moderator)', {
+                tags: ['Posts'],
+                parameters: [postId],
+                responses: { 200: ok('Volunteers') },
+                errors: [400, 403, 404],
+            }),
+            post: operation('volunteerForEvent', 'Volunteer for an event', {
+                tags: ['Posts'],
+                parameters: [postId],
+                requestBody: body({
+                    fullName: string,
+                    contactInfo: string,
+                    availability: nullableString,
+                    motivation: nullableString,
+                    notes: nullableString,
+                }, ['fullName', 'contactInfo']),
+                responses: { 201: ok('Enrollment') },
+                errors: [400, 404, 409],
+            }),
+        },
+        '/posts/{id}/comments': {
+            get: operation('listComments', 'List top-level comments on a post, or the replies to one comment', {
+                auth: false,
+                tags: ['Comments'],
+                parameters: [
+                    postId,
+                    query('parentId', string, 'Comment whose direct replies to list'),
+                    query('sort', enumOf(['newest', 'oldest', 'top']), 'Defaults to newest, or oldest for replies'),
+                    query('cursor', string, 'nextCursor from the previous page'),
+                    limit,
+                    offset,
+                ],
+                responses: {
+                    200: ok('Comments', {
+                        type: 'object',
+                        properties: {
+                            data: arrayOf(ref('Comment')),
+                            pagination: {
+                                type: 'object',
+                                properties: { limit: integer, offset: integer, total: integer, nextCursor: nullableString },
+                            },
+                        },
+                    }),
+                },
+                errors: [400, 404],
+            }),
+            post: operation('createComment', 'Comment on a post, or reply to a comment', {
+                tags: ['Comments'],
+                parameters: [postId],
+                requestBody: body({
+                    content: { ...string, maxLength: 5000 },
+                    parentCommentId: { ...nullableString, description: 'Comment being replied to' },
+                }, ['content']),
+                responses: { 201: ok('Created comment', ref('Comment')) },
+                errors: [400, 404],
+            }),
+        },
+        '/posts/{id}/comments/{commentId}': {
+            patch: operation('updateComment', 'Edit a comment', {
+                tags: ['Comments'],
+                parameters: [postId, commentId],
+                requestBody: body({ content: { ...string, maxLength: 5000 } }, ['content']),
+                responses: { 200: ok('Updated comment', ref('Comment')) },
+                errors: [400, 403, 404],
+            }),
+            delete: operation('deleteComment', 'Delete a comment', {
+                tags: ['Comments'],
+                parameters: [postId, commentId],
+                responses: { 200: ok('Deleted') },
+                errors: [403, 404],
+            }),
+        },
+        '/posts/{id}/comments/{commentId}/reactions/{reaction}': {
+            put: operation('addCommentReaction', 'React to a comment', {
+                tags: ['Comments'],
+                parameters: [postId, commentId, pathParam('reaction', enumOf(commentReactions))],
+                responses: { 200: ok('Comment', ref('Comment')) },
+                errors: [400, 404],
+            }),
+            delete: operation('removeCommentReaction', 'Remove a reaction from a comment', {
+                tags: ['Comments'],
+                parameters: [postId, commentId, pathParam('reaction', enumOf(commentReactions))],
+                responses: { 200: ok('Comment', ref('Comment')) },
+                errors: [400, 404],
+            }),
+        },
+        '/collab-posts': {
+            get: operation('listCollabPosts', 'List collaboration posts', {
+                auth: false,
+                tags: ['Collaborations'],
+                parameters: [
+                    limit,
+                    offset,
+                    query('sort', enumOf(['newest', 'deadline'])),
+                    query('q', string),
+                    query('category', string),
+                    query('author', string),
+                    query('skill', string),
+                    query('mode', enumOf(['remote', 'onsite', 'hybrid'])),
+                    query('status', enumOf(['open', 'closed'])),
+                ],
+                responses: { 200: ok('Page of collaboration posts') },
+                errors: [400],
+            }),
+            post: operation('createCollabPost', 'Create a collaboration post', {
+                tags: ['Collaborations'],
+                requestBody: body(collabFields, ['title', 'summary', 'description']),
+                responses: { 201: ok('Created collaboration post') },
+                errors: [400],
+            }),
+        },
+        '/collab-posts/{id}': {
+            get: operation('getCollabPost', 'Get a collaboration post', {
+                auth: false,
+                tags: ['Collaborations'],
+                parameters: [postId],
+                responses: { 200: ok('Collaboration post') },
+                errors: [400, 404],
+            }),
+            patch: operation('updateCollabPost', 'Update a collaboration post', {
+                tags: ['Collaborations'],
+                parameters: [postId],
+                requestBody: body(collabFields),
+                responses: { 200: ok('Updated collaboration post') },
+                errors: [400, 403, 404],
+            }),
+        },
+        '/collab-posts/{id}/status': {
+            patch: operation('setCollabPostStatus', 'Open or close a collaboration post', {
+                tags: ['Collaborations'],
+                parameters: [postId],
+                requestBody: body({ status: enumOf(['open', 'closed']) }, ['status']),
+                responses: { 200: ok('Updated collaboration post') },
+                errors: [400, 403, 404],
+            }),
+        },
+        '/collab-posts/{id}/join-requests': {
+            get: operation('listJoinRequests', 'List join requests (post owner)', {
+                tags: ['Collaborations'],
+                parameters: [postId],
+                responses: { 200: ok('Join requests') },
+                errors: [400, 403, 404],
+            }),
+            post: operation('requestToJoin', 'Ask to join a collaboration', {
+                tags: ['Collaborations'],
+                parameters: [postId],
+                requestBody: body({ message: { ...string, minLength: 12 } }, ['message']),
+                responses: { 201: ok('Join request') },
+                errors: [400, 403, 404, 409],
+            }),
+        },
+        '/join-requests/{id}': {
+            patch: operation('reviewJoinRequest', 'Accept or reject a join request', {
+                tags: ['Collaborations'],
+                parameters: [pathParam('id')],
+                requestBody: body({
+                    status: enumOf(['pending', 'accepted', 'rejected']),
+                    teamRole: nullableString,
+                }, ['status']),
+                responses: { 200: ok('Updated join request') },
+                errors: [400, 403, 404, 409],
+            }),
+        },
+        '/collab-posts/{id}/members': {
+            get: operation('listCollabMembers', 'List accepted collaboration members', {
+                auth: false,
+                tags: ['Collaborations'],
+                parameters: [postId],
+                responses: { 200: ok('Members') },
+                errors: [400, 404],
+            }),
+        },
+        '/collab-notifications': {
+            get: operation('listCollabNotifications', 'Join request activity for the signed-in user', {
+                tags: ['Collaborations'],
+                parameters: [limit],
+                responses: { 200: ok('Notifications') },
+            }),
+        },
+        '/event-notifications': {
+            get: operation('listEventNotifications', 'Recently published events', {
+                tags: ['Posts'],
+                parameters: [limit],
+                responses: { 200: ok('Notifications') },
+            }),
+        },
+        '/newsletter/settings': {
+            get: operation('getNewsletterSettings', 'Get newsletter settings', {
+                tags: ['Newsletter'],
+                responses: { 200: ok('Settings') },
+                errors: [403],
+            }),
+            patch: operation('updateNewsletterSettings', 'Turn automatic newsletter sends on or off', {
+                tags: ['Newsletter'],
+                requestBody: body({ autoSendEnabled: boolean }, ['autoSendEnabled']),
+                responses: { 200: ok('Settings') },
+                errors: [400, 403],
+            }),
+        },
+        '/newsletter/recipients': {
+            get: operation('listNewsletterRecipients', 'List newsletter recipients', {
+                tags: ['Newsletter'],
+                responses: { 200: ok('Recipients') },
+                errors: [403],
+            }),
+        },
+        '/newsletter/current': {
+            get: operation('previewNewsletter', 'Preview the current newsletter issue', {
+                tags: ['Newsletter'],
+                responses: { 200: ok('Newsletter preview') },
+                errors: [403],
+            }),
+        },
+        '/newsletter/send': {
+            post: operation('sendNewsletter', 'Send the current newsletter issue', {
+                tags: ['Newsletter'],
+                requestBody: body({ recipientIds: { ...arrayOf(string), description: 'Defaults to every recipient' } }),
+                responses: { 200: ok('Send summary') },
+                errors: [400, 403, 409],
+            }),
+        },
+        '/newsletter/notifications': {
+            get: operation('listNewsletterNotifications', 'Newsletter issues sent to the signed-in user', {
+                tags: ['Newsletter'],
+                parameters: [limit],
+                responses: { 200: ok('Notifications') },
+            }),
+        },
+        '/tags': {
+            get: operation('listTags', 'List or search tags', {
+                auth: false,
+                tags: ['Tags'],
+                parameters: [query('q', string), limit],
+                responses: { 200: ok('Tags', { type: 'object', properties: { data: arrayOf(ref('Tag')) } }) },
+            }),
+            post: operation('createTag', 'Create a tag, or return the existing one with the same slug', {
+                auth: false,
+                tags: ['Tags'],
+                requestBody: body({ name: string, slug: string }, ['name']),
+                responses: { 201: ok('Tag', ref('Tag')) },
+                errors: [400],
+            }),
+        },
+    },
+    components: baseComponents({
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: string,
+            details: { ...arrayOf(string), description: 'Validation messages, when available' },
+        },
+    }, {
+        Post: {
+            type: 'object',
+            properties: {
+                id: string,
+                type: string,
+                title: nullableString,
+                summary: nullableString,
+                status: {
+                    ...string,
+                    description: 'draft, pending_review, changes_requested, rejected, scheduled, published or archived',
+                },
+                pinned: boolean,
+                author_id: nullableString,
+                created_at: dateTime,
+                updated_at: dateTime,
+                expires_at: { ...dateTime, nullable: true },
+                publish_at: { ...dateTime, nullable: true },
+                published_at: { ...dateTime, nullable: true, description: 'When the post went live; the feed sorts by it' },
+                review_note: nullableString,
+                reviewed_at: { ...dateTime, nullable: true },
+                last_edited_at: { ...dateTime, nullable: true },
+                tags: arrayOf(ref('Tag')),
+                mentions: { ...arrayOf(ref('Mention')), description: 'Users mentioned in the summary' },
+            },
+        },
+        PostRevision: {
+            type: 'object',
+            properties: {
+                id: string,
+                postId: string,
+                revisionNumber: integer,
+                editorId: nullableString,
+                editorName: nullableString,
+                title: nullableString,
+                summary: nullableString,
+                tags: arrayOf(string),
+                refs: arrayOf(object),
+                collab: { ...object, nullable: true, description: 'Collaboration details, for collaboration posts' },
+                restoredFrom: { ...integer, nullable: true, description: 'Revision number this one restored' },
+                createdAt: dateTime,
+            },
+        },
+        PostPage: {
+            type: 'object',
+            properties: {
+                data: arrayOf(ref('Post')),
+                pagination: {
+                    type: 'object',
+                    properties: { limit: integer, offset: integer, total: integer, nextCursor: nullableString },
+                },
+                nextCursor: nullableString,
+            },
+        },
+        Comment: {
+            type: 'object',
+            properties: {
+                id: string,
+                postId: string,
+                parentCommentId: nullableString,
+                depth: integer,
+                authorId: nullableString,
+                content: string,
+                deleted: { ...boolean, description: 'Deleted, but kept because it has replies' },
+                replyCount: integer,
+                upvoteCount: integer,
+                reactions: { ...object, description: 'Count per reaction' },
+                viewerReactions: arrayOf(enumOf(commentReactions)),
+                mentions: arrayOf(ref('Mention')),
+                createdAt: dateTime,
+                updatedAt: dateTime,
+            },
+        },
+        Mention: {
+            type: 'object',
+            properties: {
+                userId: string,
+                fullName: nullableString,
+                handles: { ...arrayOf(string), description: 'How the text wrote the mention, without the "@"' },
+            },
+        },
+        Tag: {
+            type: 'object',
+            properties: { id: string, name: string, slug: string },
+        },
+    }),
+};
+
+module.exports = {
+    openApiDocument,
+};
@@ -0,0 +1,107 @@
+// Shorthand for writing the service's OpenAPI document (openapi.js). Every
+// service keeps an identical copy, as with logger.js and metrics.js.
+const schemas = {
+    string: { type: 'string' },
+    nullableString: { type: 'string', nullable: true },
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    dateTime: { type: 'string', format: 'date-time' },
+    uuid: { type: 'string', format: 'uuid' },
+    object: { type: 'object' },
+    binary: { type: 'string', format: 'binary' },
+};
+
+function enumOf(values) {
+    return { type: 'string', enum: values };
+}
+
+function arrayOf(items) {
+    return { type: 'array', items };
+}
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function jsonContent(schema) {
+    return { 'application/json': { schema } };
+}
+
+function jsonBody(properties, required = []) {
+    return {
+        required: true,
+        content: jsonContent({ type: 'object', properties, ...(required.length ? { required } : {}) }),
+    };
+}
+
+function query(name, schema, description) {
+    return { name, in: 'query', schema, ...(description ? { description } : {}) };
+}
+
+function pathParam(name, schema = schemas.string) {
+    return { name, in: 'path', required: true, schema };
+}
+
+function ok(description, schema = schemas.object) {
+    return { description, content: jsonContent(schema) };
+}
+
+/**
+ * One operation object. Protected operations get the bearer security
+ * requirement and a 401; every operation documents 500. `errors` lists the
+ * other statuses the handler can answer with the shared Error response.
+ */
+function operation(operationId, summary, { auth = true, tags, parameters, requestBody, responses, errors = [] }) {
+    const statuses = [...new Set([...errors, ...(auth ? [401] : []), 500])].sort();
+    return {
+        operationId,
+        summary,
+        ...(tags ? { tags } : {}),
+        ...(auth ? { security: [{ bearerAuth: [] }] } : {}),
+        ...(parameters ? { parameters } : {}),
+        ...(requestBody ? { requestBody } : {}),
+        responses: {
+            ...responses,
+            ...Object.fromEntries(statuses.map((status) => [status, { $ref: '#/components/responses/Error' }])),
+        },
+    };
+}
+
+/**
+ * Components shared by every service document: the bearer scheme and the
+ * Error response wrapping the service's own `Error` schema.
+ */
+function baseComponents(errorSchema, extraSchemas = {}) {
+    return {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        },
+        schemas: { Error: errorSchema, ...extraSchemas },
+        responses: {
+            Error: { description: 'Error', content: jsonContent(ref('Error')) },
+        },
+    };
+}
+
+// "METHOD /path" strings for the service's GET / summary.
+function listEndpoints(document) {
+    return Object.entries(document.paths).flatMap(([path, methods]) => (
+        Object.keys(methods).map((method) => `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`)
+    ));
+}
+
+module.exports = {
+    schemas,
+    enumOf,
+    arrayOf,
+    ref,
+    jsonContent,
+    jsonBody,
+    query,
+    pathParam,
+    ok,
+    operation,
+    baseComponents,
+    listEndpoints,
+};
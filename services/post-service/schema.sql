@@ -21,6 +21,51 @@ create table if not exists public.posts (
 alter table if exists public.posts
     alter column type set default 'GENERAL';
 
+-- Scheduled publishing. A 'scheduled' post goes live once publish_at passes;
+-- post-service publishes due posts every POST_SCHEDULED_PUBLISH_INTERVAL_MS.
+-- published_at is when a post actually went live (scheduled, approved after
+-- review or published directly); the feed sorts by it, and created_at stays
+-- the time the post was written.
+alter table if exists public.posts
+    add column if not exists publish_at timestamptz,
+    add column if not exists published_at timestamptz;
+
+update public.posts
+set published_at = created_at
+where published_at is null
+    and status in ('published', 'archived');
+
+-- Pre-publication review (POST_REVIEW_POLICY). Posts that need it wait in
+-- 'pending_review' until a moderator approves them, rejects them or asks for
+-- changes; review_note carries the moderator's reason.
+alter table if exists public.posts
+    add column if not exists review_note text,
+    add column if not exists reviewed_by uuid,
+    add column if not exists reviewed_at timestamptz;
+
+alter table if exists public.posts
+    drop constraint if exists posts_status_check;
+
+alter table if exists public.posts
+    add constraint posts_status_check
+        check (status in (
+            'draft',
+            'pending_review',
+            'changes_requested',
+            'rejected',
+            'scheduled',
+            'published',
+            'archived'
+        ));
+
+create index if not exists idx_posts_scheduled_publish_at
+    on public.posts (publish_at)
+    where status = 'scheduled';
+
+create index if not exists idx_posts_review_queue
+    on public.posts (status, updated_at)
+    where status in ('pending_review', 'changes_requested', 'rejected');
+
 create table if not exists public.tags (
     id uuid primary key default gen_random_uuid(),
     name text not null,
@@ -64,6 +109,71 @@ create table if not exists public.post_comments (
     constraint post_comments_content_check check (char_length(trim(content)) > 0)
 );
 
+-- Threaded replies. depth counts from 0 for top-level comments and is capped
+-- by POST_COMMENT_MAX_DEPTH. reply_count and upvote_count are kept by
+-- post-service for sorting. A deleted comment that still has replies keeps
+-- its row with deleted_at set.
+alter table if exists public.post_comments
+    add column if not exists parent_comment_id uuid references public.post_comments(id) on delete cascade,
+    add column if not exists depth smallint not null default 0,
+    add column if not exists reply_count integer not null default 0,
+    add column if not exists upvote_count integer not null default 0,
+    add column if not exists deleted_at timestamptz;
+
+create table if not exists public.post_comment_reactions (
+    comment_id uuid not null references public.post_comments(id) on delete cascade,
+    user_id uuid not null references public.users(id) on delete cascade,
+    reaction text not null,
+    created_at timestamptz not null default now(),
+    constraint post_comment_reactions_reaction_check
+        check (reaction in ('upvote', 'like', 'celebrate', 'insightful', 'funny')),
+    primary key (comment_id, user_id, reaction)
+);
+
+-- Content history. Every edit of a post's title, summary, tags, refs or
+-- collaboration details adds a numbered revision; the first edit also stores
+-- the original content as revision 1. Uploaded image data is left out of refs.
+create table if not exists public.post_revisions (
+    id uuid primary key default gen_random_uuid(),
+    post_id uuid not null references public.posts(id) on delete cascade,
+    revision_number integer not null,
+    editor_id uuid,
+    title text,
+    summary text,
+    tags jsonb not null default '[]'::jsonb,
+    refs jsonb not null default '[]'::jsonb,
+    collab jsonb,
+    restored_from integer,
+    created_at timestamptz not null default now(),
+    constraint post_revisions_number_unique unique (post_id, revision_number)
+);
+
+alter table if exists public.posts
+    add column if not exists last_edited_at timestamptz;
+
+-- @mentions in a post's summary (comment_id null) or in one of its comments,
+-- one row per mentioned user. handles are the spellings used in the text, for
+-- rendering; notified_at is set once the user was notified, which for a post
+-- waits until it is published.
+create table if not exists public.post_mentions (
+    id uuid primary key default gen_random_uuid(),
+    post_id uuid not null references public.posts(id) on delete cascade,
+    comment_id uuid references public.post_comments(id) on delete cascade,
+    mentioned_user_id uuid not null references public.users(id) on delete cascade,
+    mentioned_by uuid references public.users(id) on delete set null,
+    handles jsonb not null default '[]'::jsonb,
+    notified_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create unique index if not exists idx_post_mentions_post_user
+    on public.post_mentions (post_id, mentioned_user_id)
+    where comment_id is null;
+
+create unique index if not exists idx_post_mentions_comment_user
+    on public.post_mentions (comment_id, mentioned_user_id)
+    where comment_id is not null;
+
 create table if not exists public.event_volunteer_enrollments (
     id uuid primary key default gen_random_uuid(),
     post_id uuid not null references public.posts(id) on delete cascade,
@@ -211,6 +321,9 @@ create index if not exists idx_posts_status_created_at
 create index if not exists idx_posts_pinned_created_at
     on public.posts (pinned desc, created_at desc);
 
+create index if not exists idx_posts_pinned_published_at
+    on public.posts (pinned desc, published_at desc nulls last, created_at desc);
+
 create index if not exists idx_posts_type_status_created_at
     on public.posts (type, status, created_at desc);
 
@@ -241,6 +354,22 @@ create index if not exists idx_post_comments_post_created_at
 create index if not exists idx_post_comments_author_id
     on public.post_comments (author_id);
 
+create index if not exists idx_post_comments_thread_created_at
+    on public.post_comments (post_id, parent_comment_id, created_at, id);
+
+create index if not exists idx_post_comments_thread_top
+    on public.post_comments (post_id, parent_comment_id, upvote_count desc, created_at, id);
+
+create index if not exists idx_post_comment_reactions_user_id
+    on public.post_comment_reactions (user_id);
+
+create index if not exists idx_post_mentions_pending
+    on public.post_mentions (post_id)
+    where notified_at is null;
+
+create index if not exists idx_post_mentions_mentioned_user_id
+    on public.post_mentions (mentioned_user_id, created_at desc);
+
 create index if not exists idx_event_volunteer_enrollments_post_created_at
     on public.event_volunteer_enrollments (post_id, created_at desc);
 
@@ -310,3 +439,28 @@ create index if not exists idx_tags_name_trgm
 create index if not exists idx_tags_slug_trgm
     on public.tags
     using gin (slug gin_trgm_ops);
+
+-- Outbox for post.published and collab.request.reviewed (see outbox.js). The
+-- relay publishes rows to the event bus and prunes them after
+-- OUTBOX_RETENTION_DAYS.
+create table if not exists public.post_service_outbox (
+    id uuid primary key default gen_random_uuid(),
+    event_type text not null,
+    aggregate_type text not null,
+    aggregate_id text not null,
+    payload jsonb not null default '{}'::jsonb,
+    dedupe_key text unique,
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_error text,
+    published_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists idx_post_service_outbox_pending
+    on public.post_service_outbox (next_attempt_at, created_at)
+    where published_at is null;
+
+create index if not exists idx_post_service_outbox_published_at
+    on public.post_service_outbox (published_at)
+    where published_at is not null;
@@ -0,0 +1,36 @@
+const { logger, tracedFetch } = require('./logger');
+
+// Tells chat-service to drop a user's open sockets once their sessions are
+// revoked. Best effort like publishNotification(): a failure is logged and
+// never fails the caller's request.
+const CHAT_SERVICE_URL = String(process.env.CHAT_SERVICE_URL || 'http://localhost:3005').replace(/\/+$/, '');
+const INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || '';
+const DISCONNECT_TIMEOUT_MS = 5_000;
+
+/**
+ * Resolves with whether chat-service accepted the request; never rejects.
+ */
+async function disconnectChatSockets(userId) {
+    if (!INTERNAL_API_TOKEN) return false;
+
+    try {
+        const response = await tracedFetch(`${CHAT_SERVICE_URL}/internal/users/${encodeURIComponent(userId)}/disconnect`, {
+            method: 'POST',
+            headers: { 'X-Internal-Token': INTERNAL_API_TOKEN },
+            signal: AbortSignal.timeout(DISCONNECT_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+            logger.warn('Chat sockets were not disconnected', { userId, status: response.status });
+            return false;
+        }
+        return true;
+    } catch (error) {
+        logger.warn('Could not disconnect chat sockets', { userId, error: error.message });
+        return false;
+    }
+}
+
+module.exports = {
+    disconnectChatSockets,
+};
@@ -0,0 +1,142 @@
+const { EventEmitter } = require('node:events');
+const { logger } = require('./logger');
+
+// Domain event bus shared by the services. With EVENT_BUS_URL unset events
+// stay in this process; with a redis:// URL they go through one Redis stream
+// that every service reads with its own consumer group. Delivery is at least
+// once, so consumers skip events whose `id` they have already handled. Every
+// service keeps an identical copy.
+const EVENT_BUS_URL = process.env.EVENT_BUS_URL || '';
+const STREAM_KEY = process.env.EVENT_BUS_STREAM || 'icentral:events';
+const STREAM_MAX_LENGTH = 100_000;
+const READ_BLOCK_MS = 5_000;
+const READ_COUNT = 50;
+
+function matchesTypes(types, event) {
+    return !types || types.includes(event.type);
+}
+
+async function runHandler(handler, event, group) {
+    try {
+        await handler(event);
+        return true;
+    } catch (error) {
+        logger.error('Event handler failed', { group, eventId: event.id, type: event.type, error: error.message });
+        return false;
+    }
+}
+
+function createMemoryBus() {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    return {
+        kind: 'memory',
+        async publish(event) {
+            emitter.emit('event', event);
+        },
+        subscribe(group, handler, { types } = {}) {
+            const listener = (event) => {
+                if (matchesTypes(types, event)) runHandler(handler, event, group);
+            };
+            emitter.on('event', listener);
+            return () => emitter.off('event', listener);
+        },
+        async close() {
+            emitter.removeAllListeners();
+        },
+    };
+}
+
+function createRedisBus(url) {
+    // Only loaded when configured, so services run without Redis.
+    const Redis = require('ioredis');
+    const publisher = new Redis(url, { maxRetriesPerRequest: 1 });
+    const readers = new Set();
+    publisher.on('error', (error) => logger.error('Event bus connection error', { error: error.message }));
+
+    function parseEntry([entryId, fields]) {
+        const index = fields.indexOf('event');
+        try {
+            return { entryId, event: JSON.parse(fields[index + 1]) };
+        } catch {
+            return { entryId, event: null };
+        }
+    }
+
+    return {
+        kind: 'redis',
+        async publish(event) {
+            await publisher.xadd(STREAM_KEY, 'MAXLEN', '~', STREAM_MAX_LENGTH, '*', 'event', JSON.stringify(event));
+        },
+        // Each group gets every event once; instances in the same group share
+        // the work. Unacknowledged entries are retried when the reader starts.
+        subscribe(group, handler, { types } = {}) {
+            const reader = publisher.duplicate();
+            const consumer = `${process.env.HOSTNAME || 'local'}-${process.pid}`;
+            let stopped = false;
+            readers.add(reader);
+            reader.on('error', (error) => logger.error('Event bus reader error', { group, error: error.message }));
+
+            async function handleEntries(entries) {
+                for (const { entryId, event } of entries.map(parseEntry)) {
+                    const handled = !event || !matchesTypes(types, event) || await runHandler(handler, event, group);
+                    if (handled) await reader.xack(STREAM_KEY, group, entryId);
+                }
+            }
+
+            (async () => {
+                await reader.xgroup('CREATE', STREAM_KEY, group, '$', 'MKSTREAM').catch((error) => {
+                    if (!String(error.message).includes('BUSYGROUP')) throw error;
+                });
+
+                let cursor = '0';
+                while (!stopped) {
+                    try {
+                        const result = await reader.xreadgroup(
+                            'GROUP', group, consumer,
+                            'COUNT', READ_COUNT,
+                            'BLOCK', READ_BLOCK_MS,
+                            'STREAMS', STREAM_KEY, cursor
+                        );
+                        const entries = result?.[0]?.[1] || [];
+                        // Start with this consumer's pending entries, then
+                        // switch to new ones once they are drained.
+                        if (cursor === '0' && entries.length === 0) cursor = '>';
+                        await handleEntries(entries);
+                    } catch (error) {
+                        if (stopped) break;
+                        logger.error('Event bus read failed', { group, error: error.message });
+                        await new Promise((resolve) => setTimeout(resolve, READ_BLOCK_MS));
+                    }
+                }
+            })().catch((error) => {
+                logger.error('Event bus subscription stopped', { group, error: error.message });
+            });
+
+            return () => {
+                stopped = true;
+                readers.delete(reader);
+                reader.disconnect();
+            };
+        },
+        async close() {
+            for (const reader of readers) reader.disconnect();
+            readers.clear();
+            publisher.disconnect();
+        },
+    };
+}
+
+let bus = null;
+
+function getEventBus() {
+    if (!bus) {
+        bus = /^rediss?:\/\//i.test(EVENT_BUS_URL) ? createRedisBus(EVENT_BUS_URL) : createMemoryBus();
+    }
+    return bus;
+}
+
+module.exports = {
+    getEventBus,
+};
@@ -1,10 +1,21 @@
 require('dotenv').config();
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
+const { verifyAccessToken } = require('./jwks');
+const { readGatewayIdentity } = require('./gatewayIdentity');
+const { logger, requestLogger, tracedFetch } = require('./logger');
+const { metricsMiddleware, metricsHandler } = require('./metrics');
+const { openApiDocument } = require('./openapi');
+const { listEndpoints } = require('./openapiHelpers');
+const { publishNotification } = require('./notificationClient');
+const { disconnectChatSockets } = require('./chatClient');
+const { createZip } = require('./zip');
+const { createOutbox } = require('./outbox');
 
 const app = express();
+app.use(requestLogger);
+app.use(metricsMiddleware());
 app.use(express.json({ limit: '5mb' }));
 
 const PORT = Number(process.env.PORT) || 3001;
@@ -13,24 +24,50 @@ const CONFIG = {
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
     schema: process.env.USER_SERVICE_SCHEMA || 'public',
-    jwtSecret: process.env.JWT_SECRET || 'HelloWorldKey',
+    sessionCacheTtlMs: Number(process.env.SESSION_CACHE_TTL_MS) || 30_000,
     avatarBucket: process.env.SUPABASE_AVATAR_BUCKET || process.env.USER_AVATAR_BUCKET || 'avatars',
+    accountDeletionGraceDays: Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+    accountDeletionSweepIntervalMs: Number(process.env.ACCOUNT_DELETION_SWEEP_INTERVAL_MS ?? 60 * 60 * 1000),
     tables: {
         users: process.env.USERS_TABLE || 'users',
         userProfiles: process.env.USER_PROFILES_TABLE || 'user_profiles',
         alumniVerificationApplications: process.env.ALUMNI_VERIFICATION_TABLE || 'alumni_verification_applications',
+        alumniVerificationStates: process.env.ALUMNI_VERIFICATION_STATES_VIEW || 'alumni_verification_states',
         userNotificationStates: process.env.USER_NOTIFICATION_STATE_TABLE || 'user_notification_states',
         userNotificationReads: process.env.USER_NOTIFICATION_READS_TABLE || 'user_notification_reads',
+        userNotificationPreferences: process.env.USER_NOTIFICATION_PREFERENCES_TABLE || 'user_notification_preferences',
+        authSessions: process.env.AUTH_SESSIONS_TABLE || 'auth_sessions',
+        twoFactorRecoveryCodes: process.env.TWO_FACTOR_RECOVERY_CODES_TABLE || 'two_factor_recovery_codes',
+        posts: process.env.POSTS_TABLE || 'posts',
+        postComments: process.env.POST_COMMENTS_TABLE || 'post_comments',
+        postCommentReactions: process.env.POST_COMMENT_REACTIONS_TABLE || 'post_comment_reactions',
+        postMentions: process.env.POST_MENTIONS_TABLE || 'post_mentions',
+        postVotes: process.env.POST_VOTES_TABLE || 'post_votes',
+        eventVolunteerEnrollments: process.env.EVENT_VOLUNTEER_ENROLLMENTS_TABLE || 'event_volunteer_enrollments',
+        collabJoinRequests: process.env.COLLAB_JOIN_REQUESTS_TABLE || 'collab_join_requests',
+        collabMemberships: process.env.COLLAB_MEMBERSHIPS_TABLE || 'collab_memberships',
+        jobApplications: process.env.JOB_APPLICATIONS_TABLE || 'job_applications',
+        chatConversationMembers: process.env.CHAT_CONVERSATION_MEMBERS_TABLE || 'conversation_members',
+        chatMessages: process.env.CHAT_MESSAGES_TABLE || 'messages',
+        notifications: process.env.NOTIFICATIONS_TABLE || 'notifications',
+        jobApplicationNotifications: process.env.JOB_APPLICATION_NOTIFICATIONS_TABLE || 'job_application_notifications',
+        passwordResetTokens: process.env.PASSWORD_RESET_TOKENS_TABLE || 'password_reset_tokens',
+        loginAudit: process.env.LOGIN_AUDIT_TABLE || 'login_audit',
+        outbox: process.env.OUTBOX_TABLE || 'user_service_outbox',
     },
+    outboxRelayIntervalMs: Number(process.env.OUTBOX_RELAY_INTERVAL_MS ?? 2000),
 };
 
 const supabase = (CONFIG.supabaseUrl && CONFIG.supabaseKey)
     ? createClient(CONFIG.supabaseUrl, CONFIG.supabaseKey, {
         auth: { persistSession: false },
         db: { schema: CONFIG.schema },
+        global: { fetch: tracedFetch },
     })
     : null;
 
+const outbox = createOutbox({ supabase, table: CONFIG.tables.outbox, source: 'user-service' });
+
 function isSupabaseConfigured() {
     return Boolean(supabase);
 }
@@ -45,12 +82,35 @@ function parseIntInRange(value, fallback, min, max) {
     return Math.min(Math.max(parsed, min), max);
 }
 
-const PROFILE_VISIBILITY_KEYS = ['bio', 'location', 'education', 'work'];
+// `mentions` is not a profile field: turning it off keeps the user out of
+// @mention suggestions, and post-service stops resolving mentions of them.
+const PROFILE_VISIBILITY_KEYS = ['bio', 'location', 'education', 'work', 'mentions'];
 const PROFILE_VISIBILITY_DEFAULTS = {
     bio: true,
     location: true,
     education: true,
     work: true,
+    mentions: true,
+};
+// Notification types a user can configure. notification-service maps its own
+// types onto these and reads the table directly, and post-service checks
+// `newsletter` before mailing an issue, so keep the names in step.
+const NOTIFICATION_PREFERENCE_TYPES = [
+    'job_application_received',
+    'collab_join_request',
+    'request_reviewed',
+    'volunteer_enrolled',
+    'verification_decided',
+    'newsletter',
+    'mentioned',
+];
+// inApp is the notifications inbox, email is sent as soon as the notification
+// is created and digest collects notifications into one email a day.
+const NOTIFICATION_PREFERENCE_CHANNELS = ['inApp', 'email', 'digest'];
+const NOTIFICATION_PREFERENCE_DEFAULTS = {
+    inApp: true,
+    email: true,
+    digest: false,
 };
 const AVATAR_UPLOAD_MAX_BYTES = 2 * 1024 * 1024;
 const AVATAR_BUCKET_RETRY_ATTEMPTS = 3;
@@ -119,6 +179,50 @@ function mergeProfileVisibility(...values) {
     return merged;
 }
 
+function parseNotificationPreferenceUpdates(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { errors: ['preferences must be an object keyed by notification type'] };
+    }
+
+    const errors = [];
+    const updates = {};
+    for (const [type, channels] of Object.entries(value)) {
+        if (!NOTIFICATION_PREFERENCE_TYPES.includes(type)) {
+            errors.push(`preferences.${type}: unknown notification type`);
+            continue;
+        }
+        if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+            errors.push(`preferences.${type} must be an object`);
+            continue;
+        }
+
+        const channelUpdates = {};
+        for (const [channel, enabled] of Object.entries(channels)) {
+            if (!NOTIFICATION_PREFERENCE_CHANNELS.includes(channel)) {
+                errors.push(`preferences.${type}.${channel}: unknown channel`);
+            } else if (typeof enabled !== 'boolean') {
+                errors.push(`preferences.${type}.${channel} must be true or false`);
+            } else {
+                channelUpdates[channel] = enabled;
+            }
+        }
+        updates[type] = channelUpdates;
+    }
+
+    return { errors, value: updates };
+}
+
+// Types without a stored row use the defaults.
+function mapNotificationPreferences(rows) {
+    const rowsByType = new Map((rows || []).map((row) => [row.notification_type, row]));
+    return Object.fromEntries(NOTIFICATION_PREFERENCE_TYPES.map((type) => {
+        const row = rowsByType.get(type);
+        return [type, row
+            ? { inApp: Boolean(row.in_app), email: Boolean(row.email), digest: Boolean(row.digest) }
+            : { ...NOTIFICATION_PREFERENCE_DEFAULTS }];
+    }));
+}
+
 function sanitizeFileName(value) {
     const fallback = 'avatar';
     const source = normalizeText(value).toLowerCase();
@@ -194,6 +298,12 @@ function profileSchemaError(res) {
     });
 }
 
+function notificationPreferencesSchemaError(res) {
+    return res.status(500).json({
+        error: `Missing table "${CONFIG.tables.userNotificationPreferences}". Run services/user-service/schema.sql first.`,
+    });
+}
+
 function dbUnavailable(res) {
     return res.status(503).json({
         error: 'User service database is not configured',
@@ -213,22 +323,63 @@ function isModeratorRole(role) {
     return normalized === 'admin' || normalized === 'faculty';
 }
 
-function getRequestUser(req) {
-    const header = req.headers.authorization || '';
-    if (!header.startsWith('Bearer ')) return null;
+const sessionStatusCache = new Map();
+
+async function isSessionActive(sessionId) {
+    if (!sessionId || !supabase) return false;
+
+    const now = Date.now();
+    const cached = sessionStatusCache.get(sessionId);
+    if (cached && cached.checkedUntil > now) {
+        return cached.active;
+    }
+
+    const { data, error } = await supabase
+        .from(CONFIG.tables.authSessions)
+        .select('id, revoked_at, expires_at')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error && error.code !== '22P02') {
+        throw error;
+    }
+
+    const active = Boolean(data && !data.revoked_at && new Date(data.expires_at).getTime() > now);
+    if (sessionStatusCache.size > 5000) {
+        sessionStatusCache.clear();
+    }
+    sessionStatusCache.set(sessionId, { active, checkedUntil: now + CONFIG.sessionCacheTtlMs });
+    return active;
+}
 
-    const token = header.slice(7).trim();
-    if (!token) return null;
+async function getRequestUser(req) {
+    // Prefer the identity the gateway already verified; the bearer token is
+    // only checked here for direct (non-gateway) calls.
+    let payload = readGatewayIdentity(req);
+    if (!payload) {
+        const header = req.headers.authorization || '';
+        if (!header.startsWith('Bearer ')) return null;
+
+        const token = header.slice(7).trim();
+        if (!token) return null;
+
+        try {
+            payload = await verifyAccessToken(token);
+        } catch {
+            return null;
+        }
+    }
 
     try {
-        return jwt.verify(token, CONFIG.jwtSecret);
-    } catch {
+        return await isSessionActive(payload?.sid) ? payload : null;
+    } catch (error) {
+        logger.error('Session check failed', { error: formatSupabaseError(error) });
         return null;
     }
 }
 
-function ensureAuthenticated(req, res, next) {
-    const requestUser = getRequestUser(req);
+async function ensureAuthenticated(req, res, next) {
+    const requestUser = await getRequestUser(req);
     if (!requestUser?.id) {
         return res.status(401).json({ error: 'Authentication required' });
     }
@@ -326,6 +477,73 @@ function mapPublicProfile(userRow, profileRow) {
     };
 }
 
+// The text a suggestion inserts after "@". post-service resolves it back to
+// the user: a university ID as is, or a full name with its words joined by
+// underscores.
+function toMentionHandle(userRow) {
+    const universityId = normalizeText(userRow?.university_id);
+    if (universityId && /^[\p{L}\p{N}][\p{L}\p{N}._-]*$/u.test(universityId)) {
+        return universityId;
+    }
+    const words = normalizeText(userRow?.full_name).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return words.length ? words.join('_') : null;
+}
+
+/**
+ * Users matching the text typed after "@", by name or university ID prefix.
+ * Users who turned off the `mentions` visibility flag, and accounts that are
+ * not active, are left out.
+ */
+async function searchMentionSuggestions(text, { excludeUserId = null, limit = 8 } = {}) {
+    const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (!words.length) return [];
+
+    const universityIdPrefix = text.replace(/[^\p{L}\p{N}._-]/gu, '');
+    const filters = [`full_name.ilike.%${words.join('%')}%`];
+    if (universityIdPrefix) filters.push(`university_id.ilike."${universityIdPrefix}%"`);
+
+    // Extra rows make up for users dropped by their visibility setting.
+    let query = supabase
+        .from(CONFIG.tables.users)
+        .select('id, full_name, university_id')
+        .or(filters.join(','))
+        .eq('account_status', 'active')
+        .order('full_name', { ascending: true })
+        .limit(limit * 3);
+    if (excludeUserId) {
+        query = query.neq('id', excludeUserId);
+    }
+
+    const { data: userRows, error } = await query;
+    if (error) {
+        throw error;
+    }
+    if (!userRows?.length) return [];
+
+    const { data: profileRows, error: profileError } = await supabase
+        .from(CONFIG.tables.userProfiles)
+        .select('user_id, full_name, avatar_url, visibility')
+        .in('user_id', userRows.map((row) => row.id));
+    if (profileError) {
+        throw profileError;
+    }
+
+    const profileByUserId = new Map((profileRows || []).map((row) => [row.user_id, row]));
+    return userRows
+        .filter((row) => mergeProfileVisibility(profileByUserId.get(row.id)?.visibility).mentions)
+        .map((row) => {
+            const profileRow = profileByUserId.get(row.id);
+            return {
+                userId: row.id,
+                fullName: normalizeText(profileRow?.full_name) || normalizeText(row.full_name) || 'Community member',
+                avatarUrl: normalizeText(profileRow?.avatar_url) || null,
+                handle: toMentionHandle(row),
+            };
+        })
+        .filter((suggestion) => suggestion.handle)
+        .slice(0, limit);
+}
+
 function parseProfileUpdateInput(body = {}) {
     const errors = [];
 
@@ -568,6 +786,47 @@ async function updateUserProfileData(userId, profileValues = {}) {
     return mapPrivateProfile(updatedUser, updatedProfile);
 }
 
+async function getNotificationPreferences(userId) {
+    const { data, error } = await supabase
+        .from(CONFIG.tables.userNotificationPreferences)
+        .select('notification_type, in_app, email, digest')
+        .eq('user_id', userId);
+
+    if (error) {
+        throw error;
+    }
+
+    return mapNotificationPreferences(data);
+}
+
+async function updateNotificationPreferences(userId, updates) {
+    const current = await getNotificationPreferences(userId);
+    const nowIso = new Date().toISOString();
+    const rows = Object.entries(updates).map(([type, channels]) => {
+        const next = { ...current[type], ...channels };
+        return {
+            user_id: userId,
+            notification_type: type,
+            in_app: next.inApp,
+            email: next.email,
+            digest: next.digest,
+            updated_at: nowIso,
+        };
+    });
+
+    if (rows.length) {
+        const { error } = await supabase
+            .from(CONFIG.tables.userNotificationPreferences)
+            .upsert(rows, { onConflict: 'user_id,notification_type' });
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    return getNotificationPreferences(userId);
+}
+
 function mapApplicant(userRow) {
     if (!userRow) return null;
     return {
@@ -598,6 +857,57 @@ function mapVerificationApplication(row, applicant = null) {
     };
 }
 
+// Dedupe keys name the application and the status it reached, so the
+// notification-service backfill and these calls never produce the same
+// notification twice.
+function notifyVerificationSubmitted(row, applicantUser) {
+    publishNotification({
+        type: 'verification.submitted',
+        recipients: { roles: ['admin', 'faculty'] },
+        title: 'New approval request pending',
+        body: `${applicantUser?.full_name || 'An alumni'} submitted a verification request.`,
+        link: '/moderation',
+        actorUserId: row.applicant_id,
+        entityType: 'alumni_verification',
+        entityId: row.id,
+        data: { applicationId: row.id, status: 'pending' },
+        dedupeKey: `verification-${row.id}-pending`,
+    });
+}
+
+function notifyVerificationReviewed(row) {
+    const approved = row.status === 'approved';
+    publishNotification({
+        type: approved ? 'verification.approved' : 'verification.rejected',
+        recipients: { userIds: [row.applicant_id] },
+        title: approved ? 'Application accepted' : 'Application rejected',
+        body: row.review_note || (approved
+            ? 'Your alumni verification has been approved.'
+            : 'Your verification request was rejected. You can apply again.'),
+        link: approved ? '/job-portal' : '/alumni-verification',
+        actorUserId: row.reviewed_by || null,
+        entityType: 'alumni_verification',
+        entityId: row.id,
+        data: { applicationId: row.id, status: row.status },
+        dedupeKey: `verification-${row.id}-${row.status}`,
+    });
+}
+
+function recordVerificationDecided(row) {
+    return outbox.recordEvent('alumni.verification.decided', {
+        aggregateType: 'alumni_verification',
+        aggregateId: row.id,
+        payload: {
+            applicationId: row.id,
+            applicantId: row.applicant_id,
+            status: row.status,
+            reviewedBy: row.reviewed_by || null,
+            reviewedAt: row.reviewed_at || null,
+        },
+        dedupeKey: `alumni.verification.decided:${row.id}:${row.status}`,
+    });
+}
+
 function resolveStateFromApplications(rows) {
     const applications = Array.isArray(rows) ? rows : [];
     const approved = applications.find((item) => item.status === 'approved');
@@ -669,22 +979,520 @@ function laterIso(a, b) {
     return new Date(a).getTime() >= new Date(b).getTime() ? a : b;
 }
 
+const MANAGED_ROLES = ['student', 'alumni', 'faculty', 'admin'];
+const ACCOUNT_STATUSES = ['pending_verification', 'active', 'suspended', 'deleted'];
+const VERIFICATION_STATUS_FILTERS = ['approved', 'pending', 'rejected', 'not_submitted'];
+const ADMIN_USER_COLUMNS = 'id, full_name, email, role, university_id, session, account_status, created_at, suspended_at, suspended_reason, suspended_by, status_before_suspension';
+
+function sanitizeSearchTerm(term) {
+    return String(term)
+        .trim()
+        .replace(/[(),%*]/g, ' ')
+        .replace(/\s+/g, ' ');
+}
+
+function parseDateFilter(value, label, errors) {
+    const text = normalizeText(value);
+    if (!text) return null;
+
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) {
+        errors.push(`${label} must be a valid date`);
+        return null;
+    }
+    return date.toISOString();
+}
+
+function parseAdminUserFilters(query = {}) {
+    const errors = [];
+    const role = normalizeText(query.role).toLowerCase();
+    const status = normalizeText(query.status).toLowerCase();
+    const verificationStatus = normalizeText(query.verificationStatus).toLowerCase();
+
+    if (role && !MANAGED_ROLES.includes(role)) {
+        errors.push(`role must be one of: ${MANAGED_ROLES.join(', ')}`);
+    }
+    if (status && !ACCOUNT_STATUSES.includes(status)) {
+        errors.push(`status must be one of: ${ACCOUNT_STATUSES.join(', ')}`);
+    }
+    if (verificationStatus && !VERIFICATION_STATUS_FILTERS.includes(verificationStatus)) {
+        errors.push(`verificationStatus must be one of: ${VERIFICATION_STATUS_FILTERS.join(', ')}`);
+    }
+    if (verificationStatus && role && role !== 'alumni') {
+        errors.push('verificationStatus only applies to alumni accounts');
+    }
+
+    const createdFrom = parseDateFilter(query.createdFrom, 'createdFrom', errors);
+    const createdTo = parseDateFilter(query.createdTo, 'createdTo', errors);
+    if (createdFrom && createdTo && createdFrom > createdTo) {
+        errors.push('createdFrom must be before createdTo');
+    }
+
+    return {
+        errors,
+        values: {
+            q: sanitizeSearchTerm(query.q || '').slice(0, 120),
+            role,
+            session: normalizeText(query.session).slice(0, 40),
+            status,
+            verificationStatus,
+            createdFrom,
+            createdTo,
+            limit: parseIntInRange(query.limit, 25, 1, 100),
+            offset: parseIntInRange(query.offset, 0, 0, Number.MAX_SAFE_INTEGER),
+        },
+    };
+}
+
+async function listVerificationStatesByApplicant(applicantIds) {
+    if (!applicantIds.length) return new Map();
+
+    const { data, error } = await supabase
+        .from(CONFIG.tables.alumniVerificationApplications)
+        .select('applicant_id, status')
+        .in('applicant_id', applicantIds);
+    if (error) {
+        if (isMissingTableError(error)) return new Map();
+        throw error;
+    }
+
+    const rowsByApplicant = new Map();
+    for (const row of data || []) {
+        const rows = rowsByApplicant.get(row.applicant_id) || [];
+        rows.push(row);
+        rowsByApplicant.set(row.applicant_id, rows);
+    }
+
+    return new Map([...rowsByApplicant].map(([applicantId, rows]) => [
+        applicantId,
+        resolveStateFromApplications(rows).status,
+    ]));
+}
+
+function mapAdminUser(userRow, verificationStatus = null) {
+    const isAlumni = String(userRow.role || '').toLowerCase() === 'alumni';
+    return {
+        ...mapApplicant(userRow),
+        accountStatus: userRow.account_status || 'active',
+        createdAt: userRow.created_at || null,
+        suspendedAt: userRow.suspended_at || null,
+        suspendedReason: userRow.suspended_reason || null,
+        suspendedBy: userRow.suspended_by || null,
+        alumniVerificationStatus: isAlumni ? (verificationStatus || 'not_submitted') : null,
+    };
+}
+
+async function getAdminUserRow(userId) {
+    const { data, error } = await supabase
+        .from(CONFIG.tables.users)
+        .select(ADMIN_USER_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) {
+        // Malformed ids (22P02) are just unknown users.
+        if (error.code === '22P02') return null;
+        throw error;
+    }
+    return data || null;
+}
+
+async function loadAdminUserResponse(userId) {
+    const userRow = await getAdminUserRow(userId);
+    const verificationStates = await listVerificationStatesByApplicant([userId]);
+    return mapAdminUser(userRow, verificationStates.get(userId));
+}
+
+/**
+ * Loads the account a moderator wants to change and enforces who may touch
+ * it: nobody manages their own account here, and only admins manage admins.
+ */
+async function loadManagedUser(actor, userId) {
+    const target = await getAdminUserRow(normalizeText(userId));
+    if (!target) {
+        const error = new Error('User not found');
+        error.status = 404;
+        throw error;
+    }
+    if (target.id === actor.id) {
+        const error = new Error('You cannot change your own account from the moderation console.');
+        error.status = 403;
+        throw error;
+    }
+    if (String(target.role || '').toLowerCase() === 'admin' && String(actor.role || '').toLowerCase() !== 'admin') {
+        const error = new Error('Only admins can manage admin accounts.');
+        error.status = 403;
+        throw error;
+    }
+    return target;
+}
+
+// Access tokens carry the role and are otherwise valid until they expire, so
+// role changes and suspensions end every session; the user signs in again.
+async function revokeUserSessions(userId, reason) {
+    const { error } = await supabase
+        .from(CONFIG.tables.authSessions)
+        .update({
+            revoked_at: new Date().toISOString(),
+            revoked_reason: reason,
+        })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+    if (error) {
+        throw error;
+    }
+    // Open chat sockets outlive the sessions they were opened with.
+    disconnectChatSockets(userId);
+}
+
+async function updateManagedUser(userId, values) {
+    const { error } = await supabase
+        .from(CONFIG.tables.users)
+        .update(values)
+        .eq('id', userId);
+
+    if (error) {
+        if (error.code === '23505') {
+            const conflict = new Error('Another account already uses that university ID.');
+            conflict.status = 409;
+            throw conflict;
+        }
+        throw error;
+    }
+}
+
+function sendAdminUserError(res, error) {
+    if (error?.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    if (error?.code === '42703') {
+        return res.status(500).json({
+            error: 'Account management columns are missing. Run services/auth-service/schema.sql first.',
+        });
+    }
+    return res.status(500).json({ error: formatSupabaseError(error) });
+}
+
+const EXPORT_PAGE_SIZE = 1000;
+const EXPORT_USER_COLUMNS = 'id, university_id, full_name, session, email, phone_number, role, account_status, created_at, email_verified_at, two_factor_enabled, deletion_requested_at, deletion_scheduled_for';
+const DELETED_USER_NAME = 'Deleted user';
+
+function toIsoAfterDays(days, from = Date.now()) {
+    return new Date(from + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Reads every row matching `column = value` (or `column in value` for arrays),
+ * paging past PostgREST's row cap. A missing table yields null so the export
+ * can say which sections were unavailable instead of failing outright.
+ */
+async function fetchAllRows(table, column, value, { select = '*', orderBy = 'created_at' } = {}) {
+    const rows = [];
+    for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+        let query = supabase
+            .from(table)
+            .select(select)
+            .order(orderBy, { ascending: true })
+            .range(from, from + EXPORT_PAGE_SIZE - 1);
+
+        query = Array.isArray(value) ? query.in(column, value) : query.eq(column, value);
+
+        const { data, error } = await query;
+        if (error) {
+            if (isMissingTableError(error)) return null;
+            throw error;
+        }
+
+        rows.push(...(data || []));
+        if (!data || data.length < EXPORT_PAGE_SIZE) return rows;
+    }
+}
+
+function parseDataUrl(value) {
+    const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(String(value || ''));
+    if (!match) return null;
+    return {
+        mimeType: match[1] || 'application/octet-stream',
+        buffer: match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf8'),
+    };
+}
+
+function extensionForMimeType(mimeType) {
+    const subtype = String(mimeType || '').split('/')[1] || 'bin';
+    return subtype.replace(/[^a-z0-9]/gi, '').slice(0, 10) || 'bin';
+}
+
+/**
+ * Collects everything the platform stores about a user into ZIP entries: one
+ * JSON file per data set, plus uploaded CVs and ID card images as files.
+ */
+async function buildUserExportEntries(userId) {
+    const { data: account, error: accountError } = await supabase
+        .from(CONFIG.tables.users)
+        .select(EXPORT_USER_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (accountError) {
+        throw accountError;
+    }
+    if (!account) {
+        const error = new Error('User not found');
+        error.status = 404;
+        throw error;
+    }
+
+    const profile = await getUserProfileRow(userId);
+    const [
+        posts,
+        comments,
+        commentReactions,
+        mentions,
+        votes,
+        volunteerEnrollments,
+        collabJoinRequests,
+        collabMemberships,
+        jobApplications,
+        verificationApplications,
+        conversationMemberships,
+        chatMessages,
+        notificationPreferences,
+    ] = await Promise.all([
+        fetchAllRows(CONFIG.tables.posts, 'author_id', userId),
+        fetchAllRows(CONFIG.tables.postComments, 'author_id', userId),
+        fetchAllRows(CONFIG.tables.postCommentReactions, 'user_id', userId),
+        fetchAllRows(CONFIG.tables.postMentions, 'mentioned_by', userId),
+        fetchAllRows(CONFIG.tables.postVotes, 'user_id', userId),
+        fetchAllRows(CONFIG.tables.eventVolunteerEnrollments, 'user_id', userId),
+        fetchAllRows(CONFIG.tables.collabJoinRequests, 'user_id', userId),
+        fetchAllRows(CONFIG.tables.collabMemberships, 'user_id', userId),
+        fetchAllRows(CONFIG.tables.jobApplications, 'applicant_user_id', userId),
+        fetchAllRows(CONFIG.tables.alumniVerificationApplications, 'applicant_id', userId),
+        fetchAllRows(CONFIG.tables.chatConversationMembers, 'user_id', userId, { orderBy: 'joined_at' }),
+        // Only messages the user sent: the other participants' messages are
+        // their personal data, not the requester's.
+        fetchAllRows(CONFIG.tables.chatMessages, 'sender_id', userId),
+        fetchAllRows(CONFIG.tables.userNotificationPreferences, 'user_id', userId, { orderBy: 'notification_type' }),
+    ]);
+
+    const entries = [];
+    const files = [];
+
+    const jobApplicationRows = (jobApplications || []).map(({ cv_file_data_url: cvDataUrl, ...row }) => {
+        const cv = parseDataUrl(cvDataUrl);
+        if (!cv) return { ...row, cv_file: null };
+        const fileName = `cvs/${row.id}-${sanitizeFileName(row.cv_file_name || `cv.${extensionForMimeType(cv.mimeType)}`)}`;
+        files.push({ name: fileName, data: cv.buffer });
+        return { ...row, cv_file: fileName };
+    });
+
+    const verificationRows = (verificationApplications || []).map(({ id_card_image_data_url: imageDataUrl, ...row }) => {
+        const image = parseDataUrl(imageDataUrl);
+        if (!image) return { ...row, id_card_image_file: null };
+        const fileName = `verification/${row.id}-id-card.${extensionForMimeType(image.mimeType)}`;
+        files.push({ name: fileName, data: image.buffer });
+        return { ...row, id_card_image_file: fileName };
+    });
+
+    const sections = {
+        'profile.json': { account, profile },
+        'posts.json': posts,
+        'comments.json': comments,
+        'comment_reactions.json': commentReactions,
+        'mentions.json': mentions,
+        'votes.json': votes,
+        'volunteer_enrollments.json': volunteerEnrollments,
+        'collab_join_requests.json': collabJoinRequests,
+        'collab_memberships.json': collabMemberships,
+        'job_applications.json': jobApplications ? jobApplicationRows : null,
+        'chat_messages.json': chatMessages
+            ? { conversations: conversationMemberships || [], messages: chatMessages }
+            : null,
+        'alumni_verification_applications.json': verificationApplications ? verificationRows : null,
+        'notification_preferences.json': notificationPreferences,
+    };
+
+    const unavailable = [];
+    for (const [name, value] of Object.entries(sections)) {
+        if (value === null) {
+            unavailable.push(name);
+            continue;
+        }
+        entries.push({ name, data: JSON.stringify(value, null, 2) });
+    }
+
+    entries.unshift({
+        name: 'manifest.json',
+        data: JSON.stringify({
+            userId,
+            generatedAt: new Date().toISOString(),
+            files: [...entries.map((entry) => entry.name), ...files.map((file) => file.name)],
+            unavailable,
+        }, null, 2),
+    });
+
+    return [...entries, ...files];
+}
+
+async function removeUserRows(table, column, userId) {
+    const { error } = await supabase
+        .from(table)
+        .delete()
+        .eq(column, userId);
+
+    if (error && !isMissingTableError(error)) {
+        throw error;
+    }
+}
+
+async function removeAvatarObjects(userId) {
+    const bucket = supabase.storage.from(CONFIG.avatarBucket);
+    const { data, error } = await bucket.list(userId);
+    if (error || !data?.length) return;
+
+    const { error: removeError } = await bucket.remove(data.map((item) => `${userId}/${item.name}`));
+    if (removeError) {
+        logger.error('Avatar cleanup failed', { userId, error: formatSupabaseError(removeError) });
+    }
+}
+
+/**
+ * Erases a user's personal data once the grace period is over. The users row
+ * is kept and anonymised so posts, comments, votes and chat history written by
+ * the account stay intact for everyone else and show up as "Deleted user";
+ * data that only concerns this person (profile, CVs, ID cards, enrolment
+ * forms) is removed.
+ */
+// Login audit rows stay for security review, but without the email address,
+// IP and user agent that identify the person.
+async function anonymiseLoginAudit(userId, email) {
+    const filters = [`user_id.eq.${userId}`];
+    if (email) filters.push(`email.eq."${String(email).toLowerCase()}"`);
+
+    const { error } = await supabase
+        .from(CONFIG.tables.loginAudit)
+        .update({ email: null, ip_address: null, user_agent: null })
+        .or(filters.join(','));
+
+    if (error && !isMissingTableError(error)) {
+        throw error;
+    }
+}
+
+async function anonymiseAccount(userId) {
+    const { data: userRow, error: userError } = await supabase
+        .from(CONFIG.tables.users)
+        .select('email')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (userError) {
+        throw userError;
+    }
+
+    await removeUserRows(CONFIG.tables.jobApplications, 'applicant_user_id', userId);
+    await removeUserRows(CONFIG.tables.alumniVerificationApplications, 'applicant_id', userId);
+    await removeUserRows(CONFIG.tables.eventVolunteerEnrollments, 'user_id', userId);
+    await removeUserRows(CONFIG.tables.collabJoinRequests, 'user_id', userId);
+    await removeUserRows(CONFIG.tables.collabMemberships, 'user_id', userId);
+    await removeUserRows(CONFIG.tables.userNotificationStates, 'user_id', userId);
+    await removeUserRows(CONFIG.tables.userNotificationReads, 'user_id', userId);
+    await removeUserRows(CONFIG.tables.userNotificationPreferences, 'user_id', userId);
+    // Inbox rows sent to the user, and rows in other inboxes whose titles and
+    // excerpts name the user as the actor.
+    await removeUserRows(CONFIG.tables.notifications, 'recipient_user_id', userId);
+    await removeUserRows(CONFIG.tables.notifications, 'actor_user_id', userId);
+    await removeUserRows(CONFIG.tables.jobApplicationNotifications, 'recipient_user_id', userId);
+    await removeUserRows(CONFIG.tables.passwordResetTokens, 'user_id', userId);
+    await removeUserRows(CONFIG.tables.twoFactorRecoveryCodes, 'user_id', userId);
+    await anonymiseLoginAudit(userId, userRow?.email);
+    await removeUserRows(CONFIG.tables.userProfiles, 'user_id', userId);
+    await removeAvatarObjects(userId);
+    await revokeUserSessions(userId, 'account_deleted');
+
+    const { error } = await supabase
+        .from(CONFIG.tables.users)
+        .update({
+            full_name: DELETED_USER_NAME,
+            email: `deleted-${userId}@deleted.invalid`,
+            university_id: null,
+            session: null,
+            phone_number: null,
+            password_hash: `deleted:${userId}`,
+            account_status: 'deleted',
+            deleted_at: new Date().toISOString(),
+            deletion_scheduled_for: null,
+            two_factor_enabled: false,
+            two_factor_enabled_at: null,
+            two_factor_secret: null,
+            two_factor_last_step: null,
+        })
+        .eq('id', userId);
+
+    if (error) {
+        throw error;
+    }
+}
+
+async function purgeDueAccountDeletions() {
+    const { data, error } = await supabase
+        .from(CONFIG.tables.users)
+        .select('id')
+        .lte('deletion_scheduled_for', new Date().toISOString())
+        .is('deleted_at', null)
+        .limit(50);
+
+    if (error) {
+        throw error;
+    }
+
+    let deletedCount = 0;
+    for (const row of data || []) {
+        try {
+            await anonymiseAccount(row.id);
+            deletedCount += 1;
+        } catch (purgeError) {
+            logger.error('Account deletion failed', { userId: row.id, error: formatSupabaseError(purgeError) });
+        }
+    }
+    return { deletedCount };
+}
+
+function mapDeletionState(userRow) {
+    return {
+        deletionRequestedAt: userRow?.deletion_requested_at || null,
+        deletionScheduledFor: userRow?.deletion_scheduled_for || null,
+    };
+}
+
+async function getDeletionStateRow(userId) {
+    const { data, error } = await supabase
+        .from(CONFIG.tables.users)
+        .select('id, email, deletion_requested_at, deletion_scheduled_for')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    return data || null;
+}
+
+function sendAccountDataError(res, error) {
+    if (error?.code === '42703') {
+        return res.status(500).json({
+            error: 'Account deletion columns are missing. Run services/user-service/schema.sql first.',
+        });
+    }
+    return res.status(error?.status || 500).json({ error: error?.status ? error.message : formatSupabaseError(error) });
+}
+
 app.get('/', (req, res) => {
     return res.json({
         health: 'User service OK',
         supabaseConfigured: isSupabaseConfigured(),
-        endpoints: [
-            'GET /me',
-            'PUT /me',
-            'POST /me/avatar',
-            'GET /:userId',
-            'GET /alumni-verification/me',
-            'POST /alumni-verification/apply',
-            'GET /notifications/alumni-verifications',
-            'GET /notifications/state',
-            'POST /notifications/state/mark-read',
-            'PATCH /notifications/alumni-verifications/:id',
-        ],
+        endpoints: listEndpoints(openApiDocument),
     });
 });
 
@@ -696,6 +1504,12 @@ app.get('/health', (req, res) => {
     });
 });
 
+app.get('/metrics', metricsHandler);
+
+app.get('/openapi.json', (req, res) => {
+    return res.json(openApiDocument);
+});
+
 app.get('/me', ensureDb, ensureAuthenticated, async (req, res) => {
     try {
         const userRow = await getUserById(req.requestUser.id);
@@ -773,6 +1587,140 @@ app.post('/me/avatar', ensureDb, ensureAuthenticated, runAvatarUpload, async (re
     }
 });
 
+app.get('/me/export', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const entries = await buildUserExportEntries(req.requestUser.id);
+        const archive = createZip(entries);
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="icentral-export-${stamp}.zip"`);
+        res.set('Cache-Control', 'no-store');
+        return res.send(archive);
+    } catch (error) {
+        return sendAccountDataError(res, error);
+    }
+});
+
+app.get('/me/deletion', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const userRow = await getDeletionStateRow(req.requestUser.id);
+        if (!userRow) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        return res.json({ data: mapDeletionState(userRow) });
+    } catch (error) {
+        return sendAccountDataError(res, error);
+    }
+});
+
+app.delete('/me', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const userRow = await getDeletionStateRow(req.requestUser.id);
+        if (!userRow) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const confirmEmail = normalizeText(req.body?.confirmEmail).toLowerCase();
+        if (!confirmEmail || confirmEmail !== String(userRow.email || '').toLowerCase()) {
+            return res.status(400).json({ error: 'Type your account email in confirmEmail to delete your account.' });
+        }
+        if (userRow.deletion_scheduled_for) {
+            return res.status(409).json({
+                error: 'Account deletion is already scheduled.',
+                data: mapDeletionState(userRow),
+            });
+        }
+
+        const nowMs = Date.now();
+        const { data: updated, error } = await supabase
+            .from(CONFIG.tables.users)
+            .update({
+                deletion_requested_at: new Date(nowMs).toISOString(),
+                deletion_scheduled_for: toIsoAfterDays(CONFIG.accountDeletionGraceDays, nowMs),
+            })
+            .eq('id', req.requestUser.id)
+            .select('id, deletion_requested_at, deletion_scheduled_for')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return res.status(202).json({
+            message: `Your account will be deleted after ${CONFIG.accountDeletionGraceDays} days unless you cancel.`,
+            data: mapDeletionState(updated),
+        });
+    } catch (error) {
+        return sendAccountDataError(res, error);
+    }
+});
+
+app.post('/me/deletion/cancel', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const { data: updated, error } = await supabase
+            .from(CONFIG.tables.users)
+            .update({
+                deletion_requested_at: null,
+                deletion_scheduled_for: null,
+            })
+            .eq('id', req.requestUser.id)
+            .not('deletion_scheduled_for', 'is', null)
+            .select('id, deletion_requested_at, deletion_scheduled_for')
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+        if (!updated) {
+            return res.status(409).json({ error: 'No account deletion is scheduled.' });
+        }
+
+        return res.json({
+            message: 'Account deletion cancelled.',
+            data: mapDeletionState(updated),
+        });
+    } catch (error) {
+        return sendAccountDataError(res, error);
+    }
+});
+
+app.get('/me/notification-preferences', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        return res.json({
+            data: await getNotificationPreferences(req.requestUser.id),
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) {
+            return notificationPreferencesSchemaError(res);
+        }
+        return res.status(error?.status || 500).json({ error: error?.message || formatSupabaseError(error) });
+    }
+});
+
+app.put('/me/notification-preferences', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const payload = parseNotificationPreferenceUpdates(req.body?.preferences);
+        if (payload.errors.length) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: payload.errors,
+            });
+        }
+
+        const preferences = await updateNotificationPreferences(req.requestUser.id, payload.value);
+        return res.json({
+            message: 'Notification preferences updated.',
+            data: preferences,
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) {
+            return notificationPreferencesSchemaError(res);
+        }
+        return res.status(error?.status || 500).json({ error: error?.message || formatSupabaseError(error) });
+    }
+});
+
 app.get('/alumni-verification/me', ensureDb, ensureAuthenticated, async (req, res) => {
     try {
         const user = await getUserById(req.requestUser.id);
@@ -839,6 +1787,8 @@ app.post('/alumni-verification/apply', ensureDb, ensureAuthenticated, async (req
             throw error;
         }
 
+        notifyVerificationSubmitted(data, user);
+
         return res.status(201).json({
             message: 'Verification application submitted.',
             data: {
@@ -1160,6 +2110,12 @@ app.patch('/notifications/alumni-verifications/:id', ensureDb, ensureAuthenticat
             }
         }
 
+        // The decision is saved by now; a failed event is logged, not returned.
+        await recordVerificationDecided(updated).catch((outboxError) => {
+            logger.error('Could not record alumni.verification.decided', { applicationId: updated.id, error: formatSupabaseError(outboxError) });
+        });
+        notifyVerificationReviewed(updated);
+
         const user = await getUserById(updated.applicant_id);
         return res.json({
             message: `Application ${nextStatus}.`,
@@ -1173,6 +2129,214 @@ app.patch('/notifications/alumni-verifications/:id', ensureDb, ensureAuthenticat
     }
 });
 
+app.get('/admin/users', ensureDb, ensureAuthenticated, ensureModerator, async (req, res) => {
+    try {
+        const filters = parseAdminUserFilters(req.query || {});
+        if (filters.errors.length) {
+            return res.status(400).json({ error: 'Validation failed', details: filters.errors });
+        }
+
+        const { q, role, session, status, verificationStatus, createdFrom, createdTo, limit, offset } = filters.values;
+
+        // Verification status is derived from the applications table, so the
+        // filter embeds the alumni_verification_states view: an inner join for
+        // a decided or pending status, and "no row" for not_submitted.
+        let columns = ADMIN_USER_COLUMNS;
+        if (verificationStatus) {
+            const join = verificationStatus === 'not_submitted' ? '' : '!inner';
+            columns += `, verification:${CONFIG.tables.alumniVerificationStates}${join}(status)`;
+        }
+
+        let query = supabase
+            .from(CONFIG.tables.users)
+            .select(columns, { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (q) {
+            query = query.or(`full_name.ilike.%${q}%,email.ilike.%${q}%,university_id.ilike.%${q}%`);
+        }
+        if (role) {
+            query = query.eq('role', role);
+        }
+        if (session) {
+            query = query.eq('session', session);
+        }
+        if (status) {
+            query = query.eq('account_status', status);
+        }
+        if (createdFrom) {
+            query = query.gte('created_at', createdFrom);
+        }
+        if (createdTo) {
+            query = query.lte('created_at', createdTo);
+        }
+
+        if (verificationStatus) {
+            query = query.eq('role', 'alumni');
+            query = verificationStatus === 'not_submitted'
+                ? query.is('verification', null)
+                : query.eq('verification.status', verificationStatus);
+        }
+
+        const { data: rows, error, count } = await query;
+        if (error) {
+            throw error;
+        }
+
+        const alumniIds = (rows || [])
+            .filter((row) => String(row.role || '').toLowerCase() === 'alumni')
+            .map((row) => row.id);
+        const verificationStates = await listVerificationStatesByApplicant(alumniIds);
+
+        return res.json({
+            data: (rows || []).map((row) => mapAdminUser(row, verificationStates.get(row.id))),
+            pagination: {
+                limit,
+                offset,
+                total: count ?? 0,
+            },
+        });
+    } catch (error) {
+        return sendAdminUserError(res, error);
+    }
+});
+
+app.patch('/admin/users/:userId', ensureDb, ensureAuthenticated, ensureModerator, async (req, res) => {
+    try {
+        const target = await loadManagedUser(req.requestUser, req.params.userId);
+        const errors = [];
+        const values = {};
+
+        const universityId = normalizeNullableText(req.body?.universityId, { maxLength: 40, allowNull: false });
+        if (universityId.error) {
+            errors.push(`universityId: ${universityId.error}`);
+        } else if (universityId.value !== undefined) {
+            values.university_id = universityId.value;
+        }
+
+        const session = normalizeNullableText(req.body?.session, { maxLength: 40 });
+        if (session.error) {
+            errors.push(`session: ${session.error}`);
+        } else if (session.value !== undefined) {
+            values.session = session.value;
+        }
+
+        if (errors.length) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+        if (!Object.keys(values).length) {
+            return res.status(400).json({ error: 'Provide universityId or session to update.' });
+        }
+
+        await updateManagedUser(target.id, values);
+        return res.json({
+            message: 'User updated.',
+            data: await loadAdminUserResponse(target.id),
+        });
+    } catch (error) {
+        return sendAdminUserError(res, error);
+    }
+});
+
+app.patch('/admin/users/:userId/role', ensureDb, ensureAuthenticated, ensureModerator, async (req, res) => {
+    try {
+        const role = normalizeText(req.body?.role).toLowerCase();
+        if (!MANAGED_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${MANAGED_ROLES.join(', ')}` });
+        }
+        if (role === 'admin' && String(req.requestUser.role || '').toLowerCase() !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can grant the admin role.' });
+        }
+
+        const target = await loadManagedUser(req.requestUser, req.params.userId);
+        if (String(target.role || '').toLowerCase() === role) {
+            return res.status(409).json({ error: `User is already ${role}.` });
+        }
+
+        await updateManagedUser(target.id, { role });
+        await revokeUserSessions(target.id, 'role_changed');
+        return res.json({
+            message: `Role changed to ${role}.`,
+            data: await loadAdminUserResponse(target.id),
+        });
+    } catch (error) {
+        return sendAdminUserError(res, error);
+    }
+});
+
+app.patch('/admin/users/:userId/suspend', ensureDb, ensureAuthenticated, ensureModerator, async (req, res) => {
+    try {
+        const reason = normalizeNullableText(req.body?.reason, { maxLength: 500 });
+        if (reason.error) {
+            return res.status(400).json({ error: `reason: ${reason.error}` });
+        }
+
+        const target = await loadManagedUser(req.requestUser, req.params.userId);
+        if (target.account_status === 'suspended') {
+            return res.status(409).json({ error: 'User is already suspended.' });
+        }
+
+        await updateManagedUser(target.id, {
+            account_status: 'suspended',
+            status_before_suspension: target.account_status,
+            suspended_at: new Date().toISOString(),
+            suspended_reason: reason.value ?? null,
+            suspended_by: req.requestUser.id,
+        });
+        await revokeUserSessions(target.id, 'account_suspended');
+        return res.json({
+            message: 'User suspended.',
+            data: await loadAdminUserResponse(target.id),
+        });
+    } catch (error) {
+        return sendAdminUserError(res, error);
+    }
+});
+
+app.patch('/admin/users/:userId/reactivate', ensureDb, ensureAuthenticated, ensureModerator, async (req, res) => {
+    try {
+        const target = await loadManagedUser(req.requestUser, req.params.userId);
+        if (target.account_status !== 'suspended') {
+            return res.status(409).json({ error: 'User is not suspended.' });
+        }
+
+        // Accounts suspended before status_before_suspension existed fall back to active.
+        await updateManagedUser(target.id, {
+            account_status: target.status_before_suspension || 'active',
+            status_before_suspension: null,
+            suspended_at: null,
+            suspended_reason: null,
+            suspended_by: null,
+        });
+        return res.json({
+            message: 'User reactivated.',
+            data: await loadAdminUserResponse(target.id),
+        });
+    } catch (error) {
+        return sendAdminUserError(res, error);
+    }
+});
+
+app.get('/mention-suggestions', ensureDb, ensureAuthenticated, async (req, res) => {
+    try {
+        const text = normalizeText(req.query.q).replace(/^@/, '').slice(0, 80);
+        const limit = parseIntInRange(req.query.limit, 8, 1, 20);
+        if (!text) {
+            return res.json({ data: [] });
+        }
+
+        return res.json({
+            data: await searchMentionSuggestions(text, { excludeUserId: req.requestUser.id, limit }),
+        });
+    } catch (error) {
+        if (isMissingTableError(error)) {
+            return profileSchemaError(res);
+        }
+        return res.status(error?.status || 500).json({ error: error?.message || formatSupabaseError(error) });
+    }
+});
+
 app.get('/:userId', ensureDb, async (req, res) => {
     try {
         const userId = normalizeText(req.params.userId);
@@ -1202,8 +2366,30 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, () => {
-    console.log(`User Service is running on port ${PORT}`);
+    logger.info(`User Service is running on port ${PORT}`);
     if (!isSupabaseConfigured()) {
-        console.log('User service started without Supabase config. DB routes will return 503.');
+        logger.warn('User service started without Supabase config. DB routes will return 503.');
     }
 });
+
+if (CONFIG.outboxRelayIntervalMs > 0 && isSupabaseConfigured()) {
+    outbox.startRelay(CONFIG.outboxRelayIntervalMs);
+}
+
+let accountDeletionTimer = null;
+if (CONFIG.accountDeletionSweepIntervalMs > 0 && isSupabaseConfigured()) {
+    accountDeletionTimer = setInterval(async () => {
+        try {
+            const result = await purgeDueAccountDeletions();
+            if (result.deletedCount > 0) {
+                logger.info('Anonymised deleted accounts', { deletedCount: result.deletedCount });
+            }
+        } catch (error) {
+            logger.error('Account deletion sweep failed', { error: formatSupabaseError(error) });
+        }
+    }, CONFIG.accountDeletionSweepIntervalMs);
+
+    if (typeof accountDeletionTimer.unref === 'function') {
+        accountDeletionTimer.unref();
+    }
+}
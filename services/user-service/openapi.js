@@ -0,0 +1,296 @@
+// OpenAPI 3 description of user-service, served at GET /openapi.json. The API
+// gateway merges it under its /users prefix, so paths here are the service's
+// own. Keep it next to the routes it documents when adding or changing one.
+const {
+    schemas: { string, nullableString, integer, boolean, dateTime, object, binary },
+    enumOf,
+    arrayOf,
+    ref,
+    jsonContent,
+    jsonBody: body,
+    query,
+    pathParam,
+    ok,
+    operation,
+    baseComponents,
+} = require('./openapiHelpers');
+
+const ROLES = enumOf(['student', 'alumni', 'faculty', 'admin']);
+const profileUpdate = {
+    fullName: string,
+    bio: nullableString,
+    location: nullableString,
+    work: nullableString,
+    education: nullableString,
+    visibility: { type: 'object', additionalProperties: boolean, description: 'Per-field visibility flags' },
+};
+const notificationChannels = {
+    type: 'object',
+    properties: { inApp: boolean, email: boolean, digest: boolean },
+};
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'ICEntral user-service',
+        version: '1.0.0',
+        description: 'Profiles, alumni verification, notification state and user administration.',
+    },
+    tags: [{ name: 'Users' }, { name: 'Alumni verification' }, { name: 'User administration' }],
+    paths: {
+        '/me': {
+            get: operation('getMyProfile', 'Get the signed-in user\'s profile', {
+                responses: { 200: ok('Profile', ref('Profile')) },
+                errors: [404],
+            }),
+            put: operation('updateMyProfile', 'Update the signed-in user\'s profile', {
+                requestBody: body(profileUpdate),
+                responses: { 200: ok('Updated profile', ref('Profile')) },
+                errors: [400],
+            }),
+            delete: operation('requestAccountDeletion', 'Schedule deletion of the signed-in account', {
+                requestBody: body({ confirmEmail: { ...string, description: 'Must match the account email' } }, ['confirmEmail']),
+                responses: { 202: ok('Deletion scheduled') },
+                errors: [400, 404, 409],
+            }),
+        },
+        '/me/avatar': {
+            post: operation('uploadMyAvatar', 'Upload an avatar image or set an avatar URL', {
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: { type: 'object', properties: { avatar: binary } },
+                        },
+                        ...jsonContent({ type: 'object', properties: { avatarUrl: string } }),
+                    },
+                },
+                responses: { 200: ok('Updated profile', ref('Profile')) },
+                errors: [400],
+            }),
+        },
+        '/me/export': {
+            get: operation('exportMyData', 'Download a ZIP export of the signed-in user\'s data', {
+                responses: {
+                    200: {
+                        description: 'ZIP archive',
+                        content: { 'application/zip': { schema: binary } },
+                    },
+                },
+            }),
+        },
+        '/me/deletion': {
+            get: operation('getAccountDeletion', 'Get the account deletion schedule', {
+                responses: { 200: ok('Deletion state') },
+                errors: [404],
+            }),
+        },
+        '/me/deletion/cancel': {
+            post: operation('cancelAccountDeletion', 'Cancel a scheduled account deletion', {
+                responses: { 200: ok('Deletion cancelled') },
+                errors: [409],
+            }),
+        },
+        '/me/notification-preferences': {
+            get: operation('getMyNotificationPreferences', 'Get the signed-in user\'s notification preferences', {
+                responses: { 200: ok('Preferences by notification type', ref('NotificationPreferences')) },
+            }),
+            put: operation('updateMyNotificationPreferences', 'Change channels for one or more notification types', {
+                requestBody: body({
+                    preferences: {
+                        type: 'object',
+                        additionalProperties: notificationChannels,
+                        description: 'Keyed by notification type; omitted types and channels keep their current value',
+                    },
+                }, ['preferences']),
+                responses: { 200: ok('Updated preferences', ref('NotificationPreferences')) },
+                errors: [400],
+            }),
+        },
+        '/alumni-verification/me': {
+            get: operation('getMyAlumniVerification', 'Get the signed-in alumnus\'s verification request', {
+                tags: ['Alumni verification'],
+                responses: { 200: ok('Verification state') },
+                errors: [403, 404],
+            }),
+        },
+        '/alumni-verification/apply': {
+            post: operation('applyForAlumniVerification', 'Submit an alumni verification request', {
+                tags: ['Alumni verification'],
+                requestBody: body({
+                    studentId: string,
+                    currentJobInfo: string,
+                    idCardImageDataUrl: { ...string, description: 'data: URL of the ID card image' },
+                }, ['studentId', 'idCardImageDataUrl']),
+                responses: { 201: ok('Request submitted') },
+                errors: [400, 403, 404, 409],
+            }),
+        },
+        '/notifications/alumni-verifications': {
+            get: operation('listAlumniVerificationNotifications', 'List alumni verification requests or updates', {
+                tags: ['Alumni verification'],
+                parameters: [
+                    query('status', enumOf(['pending', 'approved', 'rejected', 'all'])),
+                    query('limit', integer),
+                    query('offset', integer),
+                ],
+                responses: { 200: ok('Notifications') },
+                errors: [400],
+            }),
+        },
+        '/notifications/alumni-verifications/{id}': {
+            patch: operation('reviewAlumniVerification', 'Approve or reject an alumni verification request', {
+                tags: ['Alumni verification'],
+                parameters: [pathParam('id')],
+                requestBody: body({
+                    action: enumOf(['approve', 'reject']),
+                    reviewNote: nullableString,
+                }, ['action']),
+                responses: { 200: ok('Reviewed request') },
+                errors: [400, 403, 404],
+            }),
+        },
+        '/notifications/state': {
+            get: operation('getNotificationState', 'Get the notification read markers', {
+                responses: { 200: ok('Read markers') },
+            }),
+        },
+        '/notifications/state/mark-read': {
+            post: operation('markNotificationsRead', 'Move a notification read marker forward', {
+                requestBody: body({ notificationKey: string, lastSeenAt: dateTime }, ['notificationKey']),
+                responses: { 200: ok('Updated read markers') },
+                errors: [400],
+            }),
+        },
+        '/admin/users': {
+            get: operation('listUsersForAdmin', 'Search and filter user accounts', {
+                tags: ['User administration'],
+                parameters: [
+                    query('q', string, 'Matches name, email or university ID'),
+                    query('role', ROLES),
+                    query('session', string),
+                    query('status', enumOf(['pending_verification', 'active', 'suspended', 'deleted'])),
+                    query('verificationStatus', enumOf(['approved', 'pending', 'rejected', 'not_submitted'])),
+                    query('createdFrom', dateTime),
+                    query('createdTo', dateTime),
+                    query('limit', integer),
+                    query('offset', integer),
+                ],
+                responses: { 200: ok('Page of users', ref('AdminUserPage')) },
+                errors: [400, 403],
+            }),
+        },
+        '/admin/users/{userId}': {
+            patch: operation('updateUserForAdmin', 'Correct a user\'s university ID or session', {
+                tags: ['User administration'],
+                parameters: [pathParam('userId')],
+                requestBody: body({ universityId: nullableString, session: nullableString }),
+                responses: { 200: ok('Updated user') },
+                errors: [400, 403, 404, 409],
+            }),
+        },
+        '/admin/users/{userId}/role': {
+            patch: operation('changeUserRole', 'Change a user\'s role and sign them out everywhere', {
+                tags: ['User administration'],
+                parameters: [pathParam('userId')],
+                requestBody: body({ role: ROLES }, ['role']),
+                responses: { 200: ok('Updated user') },
+                errors: [400, 403, 404, 409],
+            }),
+        },
+        '/admin/users/{userId}/suspend': {
+            patch: operation('suspendUser', 'Suspend a user and revoke their sessions', {
+                tags: ['User administration'],
+                parameters: [pathParam('userId')],
+                requestBody: body({ reason: nullableString }),
+                responses: { 200: ok('Updated user') },
+                errors: [400, 403, 404, 409],
+            }),
+        },
+        '/admin/users/{userId}/reactivate': {
+            patch: operation('reactivateUser', 'Lift a suspension', {
+                tags: ['User administration'],
+                parameters: [pathParam('userId')],
+                responses: { 200: ok('Updated user') },
+                errors: [403, 404, 409],
+            }),
+        },
+        '/mention-suggestions': {
+            get: operation('listMentionSuggestions', 'Suggest users to @mention', {
+                parameters: [
+                    query('q', string, 'Text typed after "@"; matches names and university ID prefixes'),
+                    query('limit', integer),
+                ],
+                responses: { 200: ok('Users who can be mentioned', arrayOf(ref('MentionSuggestion'))) },
+            }),
+        },
+        '/{userId}': {
+            get: operation('getPublicProfile', 'Get a user\'s public profile', {
+                auth: false,
+                parameters: [pathParam('userId')],
+                responses: { 200: ok('Public profile', ref('Profile')) },
+                errors: [400, 404],
+            }),
+        },
+    },
+    components: baseComponents({
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: string,
+            details: { description: 'Validation details, when available' },
+        },
+    }, {
+        Profile: {
+            type: 'object',
+            properties: {
+                id: string,
+                email: string,
+                fullName: string,
+                role: string,
+                avatarUrl: nullableString,
+                bio: nullableString,
+                location: nullableString,
+                work: nullableString,
+                education: nullableString,
+                visibility: { type: 'object', additionalProperties: boolean },
+            },
+        },
+        NotificationPreferences: {
+            type: 'object',
+            description: 'in-app, immediate email and daily digest flags for each notification type',
+            properties: Object.fromEntries([
+                'job_application_received',
+                'collab_join_request',
+                'request_reviewed',
+                'volunteer_enrolled',
+                'verification_decided',
+                'newsletter',
+                'mentioned',
+            ].map((type) => [type, notificationChannels])),
+        },
+        MentionSuggestion: {
+            type: 'object',
+            properties: {
+                userId: string,
+                fullName: string,
+                avatarUrl: nullableString,
+                handle: { ...string, description: 'Text to insert after "@"' },
+            },
+        },
+        AdminUserPage: {
+            type: 'object',
+            properties: {
+                data: arrayOf(object),
+                pagination: {
+                    type: 'object',
+                    properties: { limit: integer, offset: integer, total: integer },
+                },
+            },
+        },
+    }),
+};
+
+module.exports = {
+    openApiDocument,
+};
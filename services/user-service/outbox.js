@@ -0,0 +1,158 @@
+const { logger } = require('./logger');
+const { createCounter } = require('./metrics');
+const { getEventBus } = require('./eventBus');
+
+// Outbox for domain events. A service records an event in its own outbox
+// table as part of the change it describes, before answering the request, and
+// the relay publishes recorded events to the event bus until each one goes
+// through. Every service keeps an identical copy.
+const RELAY_BATCH_SIZE = 100;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const RETENTION_MS = (Number(process.env.OUTBOX_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const outboxEvents = createCounter(
+    'outbox_events_total',
+    'Domain events, by type and outcome (recorded, published or failed).',
+    ['type', 'outcome']
+);
+
+function toEvent(row, source) {
+    return {
+        id: row.id,
+        type: row.event_type,
+        source,
+        aggregateType: row.aggregate_type,
+        aggregateId: row.aggregate_id,
+        occurredAt: row.created_at,
+        payload: row.payload || {},
+    };
+}
+
+function createOutbox({ supabase, table, source }) {
+    let lastPrunedAt = 0;
+
+    /**
+     * Stores one event, e.g. recordEvent('post.published', { aggregateType:
+     * 'post', aggregateId: post.id, payload }). With a dedupeKey, recording the
+     * same event again is a no-op. Rejects when the row could not be stored, so
+     * the caller can undo or fail the change it belongs to.
+     */
+    async function recordEvent(type, { aggregateType, aggregateId, payload = {}, dedupeKey = null }) {
+        const { data, error } = await supabase
+            .from(table)
+            .insert({
+                event_type: type,
+                aggregate_type: aggregateType,
+                aggregate_id: String(aggregateId),
+                payload,
+                dedupe_key: dedupeKey,
+            })
+            .select('*')
+            .single();
+
+        if (error) {
+            if (error.code === '23505') return null;
+            outboxEvents.inc({ type, outcome: 'failed' });
+            throw error;
+        }
+
+        outboxEvents.inc({ type, outcome: 'recorded' });
+        return toEvent(data, source);
+    }
+
+    async function pruneOutbox() {
+        if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+        lastPrunedAt = Date.now();
+
+        const { error } = await supabase
+            .from(table)
+            .delete()
+            .lt('published_at', new Date(Date.now() - RETENTION_MS).toISOString());
+        if (error) logger.warn('Outbox prune failed', { table, error: error.message });
+    }
+
+    // Publishes due events oldest first. A failed event is retried with
+    // exponential backoff and does not hold back the others.
+    async function relayPending() {
+        const { data, error } = await supabase
+            .from(table)
+            .select('*')
+            .is('published_at', null)
+            .lte('next_attempt_at', new Date().toISOString())
+            .order('created_at', { ascending: true })
+            .limit(RELAY_BATCH_SIZE);
+
+        if (error) throw error;
+
+        const bus = getEventBus();
+        const result = { published: 0, failed: 0 };
+        for (const row of data || []) {
+            try {
+                await bus.publish(toEvent(row, source));
+                await supabase.from(table).update({ published_at: new Date().toISOString() }).eq('id', row.id);
+                result.published += 1;
+                outboxEvents.inc({ type: row.event_type, outcome: 'published' });
+            } catch (publishError) {
+                const attempts = (row.attempts || 0) + 1;
+                const delayMs = Math.min(1000 * (2 ** attempts), MAX_RETRY_DELAY_MS);
+                await supabase
+                    .from(table)
+                    .update({
+                        attempts,
+                        next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+                        last_error: String(publishError.message || publishError).slice(0, 500),
+                    })
+                    .eq('id', row.id);
+                result.failed += 1;
+                outboxEvents.inc({ type: row.event_type, outcome: 'failed' });
+                logger.warn('Outbox event not published', { eventId: row.id, type: row.event_type, attempts, error: publishError.message });
+            }
+        }
+
+        await pruneOutbox();
+        return result;
+    }
+
+    function startRelay(intervalMs) {
+        let running = false;
+        // The relay runs every few seconds, so an ongoing failure is logged
+        // once rather than on every run.
+        let lastFailure = null;
+        const timer = setInterval(async () => {
+            if (running) return;
+            running = true;
+            try {
+                await relayPending();
+                lastFailure = null;
+            } catch (error) {
+                const failure = error?.code === '42P01' ? 'missing-table' : String(error?.message || error);
+                if (failure !== lastFailure) {
+                    lastFailure = failure;
+                    if (failure === 'missing-table') {
+                        logger.warn(`Missing outbox table "${table}"; run this service's schema.sql.`);
+                    } else {
+                        logger.error('Outbox relay failed', { table, error: failure });
+                    }
+                }
+            } finally {
+                running = false;
+            }
+        }, intervalMs);
+
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+        return timer;
+    }
+
+    return {
+        recordEvent,
+        relayPending,
+        startRelay,
+    };
+}
+
+module.exports = {
+    createOutbox,
+};
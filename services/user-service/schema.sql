@@ -37,6 +37,20 @@ create index if not exists idx_alumni_verification_applicant
 create index if not exists idx_alumni_verification_status
     on public.alumni_verification_applications (status, created_at desc);
 
+-- One verification status per applicant, with the same precedence as the
+-- service (approved, then pending, then rejected). GET /admin/users embeds it
+-- to filter accounts by status without listing every applicant id.
+create or replace view public.alumni_verification_states as
+select
+    applicant_id,
+    case
+        when bool_or(status = 'approved') then 'approved'
+        when bool_or(status = 'pending') then 'pending'
+        else 'rejected'
+    end as status
+from public.alumni_verification_applications
+group by applicant_id;
+
 create table if not exists public.user_notification_states (
     user_id uuid primary key references public.users(id) on delete cascade,
     last_seen_at timestamptz,
@@ -53,3 +67,82 @@ create table if not exists public.user_notification_reads (
 
 create index if not exists idx_user_notification_reads_user_read_at
     on public.user_notification_reads (user_id, read_at desc);
+
+-- Which channels each user wants per notification type. A type without a row
+-- uses the defaults in user-service (in-app and email on, digest off).
+-- notification-service reads this when storing and emailing notifications.
+create table if not exists public.user_notification_preferences (
+    user_id uuid not null references public.users(id) on delete cascade,
+    notification_type text not null,
+    in_app boolean not null default true,
+    email boolean not null default true,
+    digest boolean not null default false,
+    updated_at timestamptz not null default now(),
+    primary key (user_id, notification_type),
+    constraint user_notification_preferences_type_check
+        check (notification_type in (
+            'job_application_received',
+            'collab_join_request',
+            'request_reviewed',
+            'volunteer_enrolled',
+            'verification_decided',
+            'newsletter',
+            'mentioned'
+        ))
+);
+
+-- Re-created so databases that already have the table accept every type above.
+alter table if exists public.user_notification_preferences
+    drop constraint if exists user_notification_preferences_type_check;
+
+alter table if exists public.user_notification_preferences
+    add constraint user_notification_preferences_type_check
+        check (notification_type in (
+            'job_application_received',
+            'collab_join_request',
+            'request_reviewed',
+            'volunteer_enrolled',
+            'verification_decided',
+            'newsletter',
+            'mentioned'
+        ));
+
+create index if not exists idx_user_notification_preferences_type
+    on public.user_notification_preferences (notification_type, user_id);
+
+-- Self-service account deletion. DELETE /me schedules the deletion; once
+-- deletion_scheduled_for passes, the service anonymises the users row (setting
+-- account_status to 'deleted', see auth-service/schema.sql) instead of
+-- deleting it, so content other people interacted with is kept.
+alter table if exists public.users
+    add column if not exists deletion_requested_at timestamptz,
+    add column if not exists deletion_scheduled_for timestamptz,
+    add column if not exists deleted_at timestamptz;
+
+create index if not exists idx_users_deletion_scheduled_for
+    on public.users (deletion_scheduled_for)
+    where deletion_scheduled_for is not null and deleted_at is null;
+
+-- Outbox for alumni.verification.decided, relayed to the event bus by
+-- outbox.js.
+create table if not exists public.user_service_outbox (
+    id uuid primary key default gen_random_uuid(),
+    event_type text not null,
+    aggregate_type text not null,
+    aggregate_id text not null,
+    payload jsonb not null default '{}'::jsonb,
+    dedupe_key text unique,
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_error text,
+    published_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists idx_user_service_outbox_pending
+    on public.user_service_outbox (next_attempt_at, created_at)
+    where published_at is null;
+
+create index if not exists idx_user_service_outbox_published_at
+    on public.user_service_outbox (published_at)
+    where published_at is not null;